@@ -11,16 +11,29 @@
  * App Structure:
  * / (Home) -> BookingForm for users to make appointments
  * /admin   -> Admin panel with login and dashboard
+ * /booking/:token -> Customer's manage link (reschedule or cancel)
+ * /waitlist/:token -> Waitlist offer link (claim or decline a freed slot)
+ * /account -> Customer's bookings (signs in by emailed link)
+ * /account/sign-in/:token -> Emailed sign-in link
+ * /account/bookings/:id -> One of the signed-in customer's bookings
+ * 
+ * Other business locations serve the same pages under /b/<slug>
+ * (or on their own subdomain) - see utils/tenant.js.
  */
 
 import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
 import Navbar from './components/Navbar';
 import HomePage from './pages/HomePage';
 import AdminPage from './pages/AdminPage';
+import ManageBookingPage from './pages/ManageBookingPage';
+import WaitlistOfferPage from './pages/WaitlistOfferPage';
+import AccountPage from './pages/AccountPage';
+import AccountSignInPage from './pages/AccountSignInPage';
+import { BASENAME } from './utils/tenant';
 
 function App() {
   return (
-    <Router>
+    <Router basename={BASENAME}>
       {/* Main app container with gradient background */}
       <div className="min-h-screen" style={{ background: 'linear-gradient(135deg, #30cfd0 0%, #330867 100%)' }}>
         {/* Navigation bar - appears on all pages */}
@@ -33,6 +46,17 @@ function App() {
 
           {/* Admin page - Protected dashboard */}
           <Route path="/admin" element={<AdminPage />} />
+
+          {/* Manage booking - Customer's private link */}
+          <Route path="/booking/:token" element={<ManageBookingPage />} />
+
+          {/* Waitlist offer - Claim a freed slot */}
+          <Route path="/waitlist/:token" element={<WaitlistOfferPage />} />
+
+          {/* Customer account - My bookings */}
+          <Route path="/account" element={<AccountPage />} />
+          <Route path="/account/sign-in/:token" element={<AccountSignInPage />} />
+          <Route path="/account/bookings/:id" element={<ManageBookingPage />} />
         </Routes>
       </div>
     </Router>
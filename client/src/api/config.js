@@ -1,10 +1,14 @@
 import axios from 'axios';
+import { withTenant } from '../utils/tenant';
 
 /**
  * API Configuration
  * 
  * In development: Uses Vite proxy (relative URLs like /api/...)
  * In production: Uses VITE_API_URL environment variable
+ * 
+ * Requests are sent to the business location of the page, so
+ * components always call plain /api/... paths.
  */
 const api = axios.create({
     baseURL: import.meta.env.VITE_API_URL || '',
@@ -14,9 +18,10 @@ const api = axios.create({
     withCredentials: true
 });
 
-// Request interceptor for debugging
+// Request interceptor: point at this location's API, log for debugging
 api.interceptors.request.use(
     (config) => {
+        config.url = withTenant(config.url);
         console.log(`API Request: ${config.method?.toUpperCase()} ${config.url}`);
         return config;
     },
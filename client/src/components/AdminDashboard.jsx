@@ -5,35 +5,87 @@
  * 
  * The main admin dashboard that displays:
  * - Total bookings count
- * - Search functionality
- * - Export to Excel button
- * - Clear All Records button
- * - Bookings data table with delete functionality
+ * - Search and filters (status, date range, time slot, staff member)
+ * - Server-side sorting and paging
+ * - Export to Excel button for the filtered bookings (owners)
+ * - Clear All Records button (owners)
+ * - Manage Users button (owners)
+ * - Services button to manage what customers can book (owners)
+ * - Staff button to manage who (or what) bookings are assigned to (owners)
+ * - Calendar Feed button to subscribe from a calendar app
+ * - Bookings data table with status actions, edit and delete (staff and owners)
+ * - Calendar view (day/week/month) with drag-to-reschedule (staff and owners)
+ * - Trash view to restore or permanently delete bookings
+ * - Customers view: the customer directory with each customer's visits,
+ *   no-shows, notes and bookings (CustomersTable, CustomerDrawer)
+ * - "Undo" toast for a few seconds after any deletion
+ * - History drawer with each booking's audit trail
+ * - Recurring bookings: list a whole series, and confirm, cancel or
+ *   edit "this appointment" or "this and following"
  * - Logout button
  * 
+ * Buttons the signed-in admin's role cannot use are hidden;
+ * the API enforces the same rules.
+ * 
  * This component fetches bookings from the API and
  * manages the admin dashboard state.
  * 
  * Props:
- * - onLogout: Function to call when logging out
+ * - admin: The signed-in admin user
+ * - onLogout: Function to call when logging out (or the session expires)
  */
 
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback, useRef } from 'react';
 import api from '../api/config';
+import { hasRole } from '../utils/roles';
+import { STATUS_DISPLAY } from '../utils/status';
 import BookingsTable from './BookingsTable';
+import TrashTable from './TrashTable';
+import CustomersTable from './CustomersTable';
+import CustomerDrawer from './CustomerDrawer';
+import BookingsCalendar from './BookingsCalendar';
+import ServicesModal from './ServicesModal';
+import StaffModal from './StaffModal';
+import UndoToast from './UndoToast';
+import HistoryDrawer from './HistoryDrawer';
+import EditBookingModal from './EditBookingModal';
+import UsersModal from './UsersModal';
+import CalendarFeedModal from './CalendarFeedModal';
+import ScopeDialog from './ScopeDialog';
+
+// Bookings per page
+const PAGE_SIZE = 25;
+
+// Filters sent to GET /api/bookings (empty = not filtered)
+const EMPTY_FILTERS = { status: '', from: '', to: '', slot: '', staff: '', series: '' };
 
-const AdminDashboard = ({ onLogout }) => {
-    // Bookings data state
+const AdminDashboard = ({ admin, onLogout }) => {
+    // Bookings on the current page
     const [bookings, setBookings] = useState([]);
 
+    // Paging details from the API
+    const [pageInfo, setPageInfo] = useState({ total: 0, pages: 0 });
+    const [page, setPage] = useState(1);
+
+    // Business timezone used to display appointment times
+    const [timezone, setTimezone] = useState('');
+
     // Loading state for initial data fetch
     const [isLoading, setIsLoading] = useState(true);
 
     // Error state
     const [error, setError] = useState('');
 
-    // Search term state
+    // Search box text, and the debounced value sent to the API
     const [searchTerm, setSearchTerm] = useState('');
+    const [search, setSearch] = useState('');
+
+    // Filters and sort sent to the API
+    const [filters, setFilters] = useState(EMPTY_FILTERS);
+    const [sort, setSort] = useState('createdAt-desc');
+
+    // Latest request number - ignores responses to older requests
+    const latestRequestRef = useRef(0);
 
     // Export loading state
     const [isExporting, setIsExporting] = useState(false);
@@ -41,33 +93,169 @@ const AdminDashboard = ({ onLogout }) => {
     // Clear all loading state
     const [isClearing, setIsClearing] = useState(false);
 
+    // User management modal (owners only)
+    const [showUsers, setShowUsers] = useState(false);
+
+    // Services modal (owners only)
+    const [showServices, setShowServices] = useState(false);
+
+    // Staff modal (owners only), and the staff list for the filter
+    const [showStaff, setShowStaff] = useState(false);
+    const [staffList, setStaffList] = useState([]);
+
+    // Calendar feed link modal
+    const [showCalendarFeed, setShowCalendarFeed] = useState(false);
+
+    // Booking whose status is being saved
+    const [updatingId, setUpdatingId] = useState(null);
+
+    // Which list is shown: 'bookings', 'calendar' or 'trash'
+    const [view, setView] = useState('bookings');
+
+    // Bumped to reload the calendar after a booking is edited elsewhere
+    const [calendarKey, setCalendarKey] = useState(0);
+
+    // Pending undo after a deletion: { id, message, onUndo }
+    const [undo, setUndo] = useState(null);
+    const dismissUndo = useCallback(() => setUndo(null), []);
+
+    // Booking whose audit history is open
+    const [historyBooking, setHistoryBooking] = useState(null);
+
+    // Customer whose details are open in the drawer
+    const [openCustomer, setOpenCustomer] = useState(null);
+
+    // Bumped to reload the customer directory (e.g. after notes are saved)
+    const [customersKey, setCustomersKey] = useState(0);
+
+    // Booking open in the edit form
+    const [editingBooking, setEditingBooking] = useState(null);
+
+    // Status change on a recurring booking, waiting for its scope
+    const [scopeChange, setScopeChange] = useState(null);
+
+    // What the signed-in admin's role allows
+    const isOwner = hasRole(admin, 'owner');
+    const isStaff = hasRole(admin, 'staff');
+
+    const hasFilters = Boolean(search || Object.values(filters).some(Boolean));
+
     /**
-     * Fetches all bookings from the API
+     * Builds the search, filter and sort parameters shared by the list and the export
+     * @returns {Object} - Query parameters (only the filters that are set)
      */
-    const fetchBookings = async () => {
+    const getQueryParams = useCallback(() => {
+        const [sortField, order] = sort.split('-');
+
+        const params = { sort: sortField, order };
+        if (search) params.search = search;
+        Object.entries(filters).forEach(([name, value]) => {
+            if (value) params[name] = value;
+        });
+
+        return params;
+    }, [search, filters, sort]);
+
+    /**
+     * Fetches the current page of bookings from the API
+     */
+    const fetchBookings = useCallback(async () => {
+        const requestId = ++latestRequestRef.current;
+        const params = { ...getQueryParams(), page, limit: PAGE_SIZE };
+
         try {
             setIsLoading(true);
-            const response = await api.get('/api/bookings');
+            setError('');
+            const response = await api.get('/api/bookings', { params });
+
+            if (requestId !== latestRequestRef.current) return;
 
             if (response.data.success) {
-                setBookings(response.data.data);
+                const { data, total, pages } = response.data;
+
+                // The last page emptied (e.g. after a delete) - step back
+                if (data.length === 0 && page > 1 && pages > 0) {
+                    setPage(pages);
+                    return;
+                }
+
+                setBookings(data);
+                setPageInfo({ total, pages });
+                setTimezone(response.data.timezone);
             }
         } catch (err) {
-            setError('Failed to load bookings. Please try again.');
+            if (requestId !== latestRequestRef.current) return;
+
+            // Session expired - back to the login form
+            if (err.response?.status === 401) {
+                onLogout();
+                return;
+            }
+            setError(err.response?.data?.message || 'Failed to load bookings. Please try again.');
             console.error('Error fetching bookings:', err);
         } finally {
-            setIsLoading(false);
+            if (requestId === latestRequestRef.current) {
+                setIsLoading(false);
+            }
         }
-    };
+    }, [onLogout, page, getQueryParams]);
 
-    // Fetch bookings on component mount
+    // Fetch bookings on mount and whenever the page, search, filters or sort change
     useEffect(() => {
         fetchBookings();
-    }, []);
+    }, [fetchBookings]);
+
+    // Wait until typing pauses before searching, then start from page 1
+    useEffect(() => {
+        const timer = setTimeout(() => {
+            setSearch(searchTerm.trim());
+            setPage(1);
+        }, 300);
+
+        return () => clearTimeout(timer);
+    }, [searchTerm]);
+
+    // Load the staff for the filter, and again after they're edited
+    useEffect(() => {
+        if (showStaff) return;
+
+        let ignore = false;
+
+        api.get('/api/staff', { params: { all: true } })
+            .then((response) => {
+                if (!ignore && response.data.success) {
+                    setStaffList(response.data.data);
+                }
+            })
+            .catch((err) => {
+                console.error('Error fetching staff:', err);
+            });
+
+        return () => {
+            ignore = true;
+        };
+    }, [showStaff]);
+
+    /**
+     * Updates one filter and goes back to page 1
+     */
+    const handleFilterChange = (e) => {
+        const { name, value } = e.target;
+        setFilters(prev => ({ ...prev, [name]: value }));
+        setPage(1);
+    };
+
+    /**
+     * Changes the sort order and goes back to page 1
+     */
+    const handleSortChange = (value) => {
+        setSort(value);
+        setPage(1);
+    };
 
     /**
      * Handles Excel export
-     * Downloads the file directly from the API
+     * Downloads the bookings matching the current search and filters
      */
     const handleExport = async () => {
         try {
@@ -75,6 +263,7 @@ const AdminDashboard = ({ onLogout }) => {
 
             // Make request with blob response type for file download
             const response = await api.get('/api/bookings/export', {
+                params: getQueryParams(),
                 responseType: 'blob'
             });
 
@@ -97,36 +286,123 @@ const AdminDashboard = ({ onLogout }) => {
     };
 
     /**
-     * Handles clearing all records
-     * NOTE: Functionality disabled but code kept for future use
+     * Moves a booking to another status (staff and owners)
+     * Cancelling asks for confirmation because it releases the slot.
+     * Confirming or cancelling a recurring booking first asks whether
+     * the later appointments change too (ScopeDialog).
+     */
+    const handleStatusChange = async (booking, status, scope) => {
+        const canApplyToSeries = booking.series && (status === 'confirmed' || status === 'cancelled');
+        if (canApplyToSeries && !scope) {
+            setScopeChange({ booking, status });
+            return;
+        }
+
+        if (status === 'cancelled' && !booking.series && !window.confirm(`Cancel ${booking.name}'s booking? The time slot will be released.`)) {
+            return;
+        }
+
+        try {
+            setUpdatingId(booking._id);
+            const response = await api.patch(`/api/bookings/${booking._id}/status`, { status, scope });
+
+            if (response.data.success && response.data.updated > 1) {
+                // Later appointments of the series changed too
+                fetchBookings();
+            } else if (response.data.success) {
+                setBookings(prev => prev.map(item =>
+                    item._id === booking._id ? response.data.data : item
+                ));
+            }
+        } catch (err) {
+            alert(err.response?.data?.message || 'Failed to update the booking. Please try again.');
+            console.error('Error updating status:', err);
+        } finally {
+            setUpdatingId(null);
+        }
+    };
+
+    /**
+     * Moves one booking to the trash (staff and owners)
      */
-    // const handleClearAll = async () => {
-    //     if (!window.confirm('Are you sure you want to delete ALL bookings? This action cannot be undone!')) {
-    //         return;
-    //     }
-
-    //     try {
-    //         setIsClearing(true);
-    //         const response = await axios.delete('/api/bookings');
-
-    //         if (response.data.success) {
-    //             setBookings([]);
-    //             alert('All bookings have been deleted successfully.');
-    //         }
-    //     } catch (err) {
-    //         alert('Failed to clear records. Please try again.');
-    //         console.error('Error clearing:', err);
-    //     } finally {
-    //         setIsClearing(false);
-    //     }
-    // };
+    const handleDelete = async (booking) => {
+        try {
+            setUpdatingId(booking._id);
+            const response = await api.delete(`/api/bookings/${booking._id}`);
+
+            if (response.data.success) {
+                fetchBookings();
+                setUndo({
+                    id: Date.now(),
+                    message: `${booking.name}'s booking moved to the trash`,
+                    onUndo: () => runUndo(api.post(`/api/bookings/${booking._id}/restore`))
+                });
+            }
+        } catch (err) {
+            alert(err.response?.data?.message || 'Failed to delete the booking. Please try again.');
+            console.error('Error deleting booking:', err);
+        } finally {
+            setUpdatingId(null);
+        }
+    };
+
+    /**
+     * Runs an undo request, then reloads the bookings
+     */
+    const runUndo = async (request) => {
+        try {
+            const response = await request;
+            if (response.data.skipped) {
+                alert(response.data.message);
+            }
+        } catch (err) {
+            alert(err.response?.data?.message || 'Failed to undo. The booking is still in the trash.');
+        }
+        fetchBookings();
+    };
+
+    /**
+     * Handles clearing all records (owners only)
+     * Bookings go to the trash, so this can be undone.
+     */
+    const handleClearAll = async () => {
+        if (!window.confirm('Move ALL bookings to the trash? You can restore them from the Trash view.')) {
+            return;
+        }
+
+        try {
+            setIsClearing(true);
+            const response = await api.delete('/api/bookings');
+
+            if (response.data.success) {
+                const { deletedAt } = response.data;
+                fetchBookings();
+                setUndo({
+                    id: Date.now(),
+                    message: response.data.message,
+                    onUndo: () => runUndo(api.post('/api/bookings/restore', { deletedAt }))
+                });
+            }
+        } catch (err) {
+            alert('Failed to clear records. Please try again.');
+            console.error('Error clearing:', err);
+        } finally {
+            setIsClearing(false);
+        }
+    };
 
     /**
      * Handles logout
+     * Ends the server session, then returns to the login form
      */
-    const handleLogout = () => {
-        sessionStorage.removeItem('isAdminLoggedIn');
-        onLogout();
+    const handleLogout = async () => {
+        try {
+            await api.post('/api/auth/logout');
+        } catch (err) {
+            console.error('Error logging out:', err);
+        } finally {
+            onLogout();
+        }
     };
 
     return (
@@ -141,19 +417,72 @@ const AdminDashboard = ({ onLogout }) => {
                             </h1>
                             <p className="text-gray-500">
                                 Manage and view all appointment bookings
+                                {admin?.name && <> &middot; Signed in as <span className="font-medium text-gray-700">{admin.name}</span></>}
                             </p>
                         </div>
 
-                        {/* Logout Button */}
-                        <button
-                            onClick={handleLogout}
-                            className="mt-4 md:mt-0 inline-flex items-center px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors"
-                        >
-                            <svg className="w-4 h-4 mr-2" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17 16l4-4m0 0l-4-4m4 4H7m6 4v1a3 3 0 01-3 3H6a3 3 0 01-3-3V7a3 3 0 013-3h4a3 3 0 013 3v1" />
-                            </svg>
-                            Logout
-                        </button>
+                        <div className="mt-4 md:mt-0 flex flex-wrap gap-3">
+                            {/* Manage Users Button - owners only */}
+                            {isOwner && (
+                                <button
+                                    onClick={() => setShowUsers(true)}
+                                    className="inline-flex items-center px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors"
+                                >
+                                    <svg className="w-4 h-4 mr-2" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4.354a4 4 0 110 5.292M15 21H3v-1a6 6 0 0112 0v1zm0 0h6v-1a6 6 0 00-9-5.197M13 7a4 4 0 11-8 0 4 4 0 018 0z" />
+                                    </svg>
+                                    Manage Users
+                                </button>
+                            )}
+
+                            {/* Services Button - owners only */}
+                            {isOwner && (
+                                <button
+                                    onClick={() => setShowServices(true)}
+                                    className="inline-flex items-center px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors"
+                                >
+                                    <svg className="w-4 h-4 mr-2" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 6h16M4 10h16M4 14h16M4 18h16" />
+                                    </svg>
+                                    Services
+                                </button>
+                            )}
+
+                            {/* Staff Button - owners only */}
+                            {isOwner && (
+                                <button
+                                    onClick={() => setShowStaff(true)}
+                                    className="inline-flex items-center px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors"
+                                >
+                                    <svg className="w-4 h-4 mr-2" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M16 7a4 4 0 11-8 0 4 4 0 018 0zM12 14a7 7 0 00-7 7h14a7 7 0 00-7-7z" />
+                                    </svg>
+                                    Staff
+                                </button>
+                            )}
+
+                            {/* Calendar Feed Button */}
+                            <button
+                                onClick={() => setShowCalendarFeed(true)}
+                                className="inline-flex items-center px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors"
+                            >
+                                <svg className="w-4 h-4 mr-2" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 7V3m8 4V3m-9 8h10M5 21h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v12a2 2 0 002 2z" />
+                                </svg>
+                                Calendar Feed
+                            </button>
+
+                            {/* Logout Button */}
+                            <button
+                                onClick={handleLogout}
+                                className="inline-flex items-center px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors"
+                            >
+                                <svg className="w-4 h-4 mr-2" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17 16l4-4m0 0l-4-4m4 4H7m6 4v1a3 3 0 01-3 3H6a3 3 0 01-3-3V7a3 3 0 013-3h4a3 3 0 013 3v1" />
+                                </svg>
+                                Logout
+                            </button>
+                        </div>
                     </div>
                 </div>
 
@@ -168,9 +497,11 @@ const AdminDashboard = ({ onLogout }) => {
                                 </svg>
                             </div>
                             <div>
-                                <p className="text-sm text-gray-500 font-medium">Total Bookings</p>
+                                <p className="text-sm text-gray-500 font-medium">
+                                    {hasFilters ? 'Matching Bookings' : 'Total Bookings'}
+                                </p>
                                 <p className="text-3xl font-bold text-gray-900">
-                                    {isLoading ? '...' : bookings.length}
+                                    {isLoading ? '...' : pageInfo.total}
                                 </p>
                             </div>
                         </div>
@@ -188,7 +519,7 @@ const AdminDashboard = ({ onLogout }) => {
                                 </svg>
                                 <input
                                     type="text"
-                                    placeholder="Search by name, email, phone, date..."
+                                    placeholder="Search by name, email or phone..."
                                     value={searchTerm}
                                     onChange={(e) => setSearchTerm(e.target.value)}
                                     className="w-full pl-12 pr-4 py-3 rounded-xl border-2 border-gray-200 focus:border-lime-600 outline-none transition-colors"
@@ -207,13 +538,102 @@ const AdminDashboard = ({ onLogout }) => {
                         </div>
                     </div>
 
+                    {/* Filters Row */}
+                    <div className="grid grid-cols-2 md:grid-cols-6 gap-3 mt-6">
+                        <select
+                            name="status"
+                            value={filters.status}
+                            onChange={handleFilterChange}
+                            aria-label="Status"
+                            className="text-sm border border-gray-300 rounded-lg px-3 py-2 bg-white focus:outline-none focus:ring-2 focus:ring-lime-500 focus:border-lime-500 cursor-pointer"
+                        >
+                            <option value="">All statuses</option>
+                            {Object.entries(STATUS_DISPLAY).map(([value, { label }]) => (
+                                <option key={value} value={value}>{label}</option>
+                            ))}
+                        </select>
+                        <label className="flex items-center gap-2 text-sm text-gray-600">
+                            From
+                            <input
+                                type="date"
+                                name="from"
+                                value={filters.from}
+                                onChange={handleFilterChange}
+                                className="flex-1 min-w-0 text-sm border border-gray-300 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-lime-500 focus:border-lime-500"
+                            />
+                        </label>
+                        <label className="flex items-center gap-2 text-sm text-gray-600">
+                            To
+                            <input
+                                type="date"
+                                name="to"
+                                value={filters.to}
+                                onChange={handleFilterChange}
+                                className="flex-1 min-w-0 text-sm border border-gray-300 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-lime-500 focus:border-lime-500"
+                            />
+                        </label>
+                        <label className="flex items-center gap-2 text-sm text-gray-600">
+                            Slot
+                            <input
+                                type="time"
+                                name="slot"
+                                value={filters.slot}
+                                onChange={handleFilterChange}
+                                className="flex-1 min-w-0 text-sm border border-gray-300 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-lime-500 focus:border-lime-500"
+                            />
+                        </label>
+                        {staffList.length > 0 && (
+                            <select
+                                name="staff"
+                                value={filters.staff}
+                                onChange={handleFilterChange}
+                                aria-label="Staff"
+                                className="text-sm border border-gray-300 rounded-lg px-3 py-2 bg-white focus:outline-none focus:ring-2 focus:ring-lime-500 focus:border-lime-500 cursor-pointer"
+                            >
+                                <option value="">All staff</option>
+                                <option value="none">Unassigned</option>
+                                {staffList.map(member => (
+                                    <option key={member._id} value={member._id}>{member.name}</option>
+                                ))}
+                            </select>
+                        )}
+                        {filters.series && (
+                            <button
+                                onClick={() => {
+                                    setFilters(prev => ({ ...prev, series: '' }));
+                                    setPage(1);
+                                }}
+                                className="inline-flex items-center justify-center gap-1 text-sm font-medium rounded-lg px-3 py-2 bg-purple-50 text-purple-800 hover:bg-purple-100"
+                            >
+                                One series
+                                <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                                </svg>
+                            </button>
+                        )}
+                        {hasFilters && (
+                            <button
+                                onClick={() => {
+                                    setSearchTerm('');
+                                    setFilters(EMPTY_FILTERS);
+                                    setPage(1);
+                                }}
+                                className="text-sm font-medium text-gray-600 hover:text-gray-900"
+                            >
+                                Clear filters
+                            </button>
+                        )}
+                    </div>
+
                     {/* Actions Row */}
                     <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between mt-6 pt-6 border-t border-gray-100">
                         <p className="text-sm text-gray-500 mb-4 sm:mb-0">
-                            {searchTerm ? (
-                                <>Showing results for "<span className="font-medium text-gray-700">{searchTerm}</span>"</>
+                            {search ? (
+                                <>Showing results for "<span className="font-medium text-gray-700">{search}</span>"</>
+                            ) : hasFilters ? (
+                                <>Showing {pageInfo.total} filtered bookings</>
                             ) : (
-                                <>Showing all {bookings.length} bookings</>
+                                <>Showing all {pageInfo.total} bookings</>
                             )}
                         </p>
 
@@ -230,55 +650,58 @@ const AdminDashboard = ({ onLogout }) => {
                                 Refresh
                             </button>
 
-                            {/* Clear All Button - DISABLED but code kept for future use
-                            <button
-                                onClick={handleClearAll}
-                                disabled={isClearing || bookings.length === 0}
-                                className="inline-flex items-center px-4 py-2 text-sm font-medium text-white bg-gradient-to-r from-red-500 to-rose-500 rounded-lg hover:from-red-600 hover:to-rose-600 transition-all disabled:opacity-50 disabled:cursor-not-allowed shadow-lg hover:shadow-xl"
-                            >
-                                {isClearing ? (
-                                    <>
-                                        <svg className="w-4 h-4 mr-2 spinner" fill="none" viewBox="0 0 24 24">
-                                            <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4" />
-                                            <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z" />
-                                        </svg>
-                                        Clearing...
-                                    </>
-                                ) : (
-                                    <>
-                                        <svg className="w-4 h-4 mr-2" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
-                                        </svg>
-                                        Clear All
-                                    </>
-                                )}
-                            </button>
-                            */}
+                            {/* Clear All Button - owners only */}
+                            {isOwner && (
+                                <button
+                                    onClick={handleClearAll}
+                                    disabled={isClearing || (pageInfo.total === 0 && !hasFilters)}
+                                    className="inline-flex items-center px-4 py-2 text-sm font-medium text-white bg-gradient-to-r from-red-500 to-rose-500 rounded-lg hover:from-red-600 hover:to-rose-600 transition-all disabled:opacity-50 disabled:cursor-not-allowed shadow-lg hover:shadow-xl"
+                                >
+                                    {isClearing ? (
+                                        <>
+                                            <svg className="w-4 h-4 mr-2 spinner" fill="none" viewBox="0 0 24 24">
+                                                <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4" />
+                                                <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z" />
+                                            </svg>
+                                            Clearing...
+                                        </>
+                                    ) : (
+                                        <>
+                                            <svg className="w-4 h-4 mr-2" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                                            </svg>
+                                            Clear All
+                                        </>
+                                    )}
+                                </button>
+                            )}
 
-                            {/* Export Button */}
-                            <button
-                                onClick={handleExport}
-                                disabled={isExporting || bookings.length === 0}
-                                className="inline-flex items-center px-4 py-2 text-sm font-medium text-white rounded-lg transition-all disabled:opacity-50 disabled:cursor-not-allowed shadow-lg hover:shadow-xl hover:opacity-90"
-                                style={{ background: 'linear-gradient(135deg, #304352 0%, #0f9b0f 100%)' }}
-                            >
-                                {isExporting ? (
-                                    <>
-                                        <svg className="w-4 h-4 mr-2 spinner" fill="none" viewBox="0 0 24 24">
-                                            <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4" />
-                                            <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z" />
-                                        </svg>
-                                        Exporting...
-                                    </>
-                                ) : (
-                                    <>
-                                        <svg className="w-4 h-4 mr-2" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 10v6m0 0l-3-3m3 3l3-3m2 8H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
-                                        </svg>
-                                        Export to Excel
-                                    </>
-                                )}
-                            </button>
+                            {/* Export Button - owners only */}
+                            {isOwner && (
+                                <button
+                                    onClick={handleExport}
+                                    disabled={isExporting || (pageInfo.total === 0 && !hasFilters)}
+                                    className="inline-flex items-center px-4 py-2 text-sm font-medium text-white rounded-lg transition-all disabled:opacity-50 disabled:cursor-not-allowed shadow-lg hover:shadow-xl hover:opacity-90"
+                                    style={{ background: 'linear-gradient(135deg, #304352 0%, #0f9b0f 100%)' }}
+                                >
+                                    {isExporting ? (
+                                        <>
+                                            <svg className="w-4 h-4 mr-2 spinner" fill="none" viewBox="0 0 24 24">
+                                                <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4" />
+                                                <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z" />
+                                            </svg>
+                                            Exporting...
+                                        </>
+                                    ) : (
+                                        <>
+                                            <svg className="w-4 h-4 mr-2" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 10v6m0 0l-3-3m3 3l3-3m2 8H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
+                                            </svg>
+                                            Export to Excel
+                                        </>
+                                    )}
+                                </button>
+                            )}
                         </div>
                     </div>
                 </div>
@@ -299,8 +722,58 @@ const AdminDashboard = ({ onLogout }) => {
                     </div>
                 )}
 
-                {/* Loading State */}
-                {isLoading ? (
+                {/* View Tabs */}
+                <div className="flex gap-2 mb-4">
+                    {[
+                        { value: 'bookings', label: 'Bookings' },
+                        { value: 'calendar', label: 'Calendar' },
+                        { value: 'customers', label: 'Customers' },
+                        { value: 'trash', label: 'Trash' }
+                    ].map(tab => (
+                        <button
+                            key={tab.value}
+                            onClick={() => setView(tab.value)}
+                            className={`px-4 py-2 text-sm font-medium rounded-lg transition-colors ${view === tab.value
+                                ? 'text-white btn-primary'
+                                : 'text-gray-700 bg-white border border-gray-300 hover:bg-gray-50'
+                                }`}
+                        >
+                            {tab.label}
+                        </button>
+                    ))}
+                </div>
+
+                {/* Calendar, Customers, Trash, Loading State or Bookings */}
+                {view === 'calendar' ? (
+                    /* Bookings Calendar */
+                    <div className="bg-white rounded-2xl shadow-lg overflow-hidden">
+                        <BookingsCalendar
+                            canReschedule={isStaff}
+                            onOpenBooking={isStaff ? setEditingBooking : setHistoryBooking}
+                            onChanged={fetchBookings}
+                            refreshKey={calendarKey}
+                            staff={filters.staff}
+                        />
+                    </div>
+                ) : view === 'customers' ? (
+                    /* Customer Directory */
+                    <div className="bg-white rounded-2xl shadow-lg overflow-hidden">
+                        <CustomersTable
+                            timezone={timezone}
+                            onOpenCustomer={setOpenCustomer}
+                            refreshKey={customersKey}
+                        />
+                    </div>
+                ) : view === 'trash' ? (
+                    /* Trash Table */
+                    <div className="bg-white rounded-2xl shadow-lg overflow-hidden">
+                        <TrashTable
+                            admin={admin}
+                            timezone={timezone}
+                            onRestored={fetchBookings}
+                        />
+                    </div>
+                ) : isLoading && bookings.length === 0 ? (
                     <div className="bg-white rounded-2xl shadow-lg p-12 text-center">
                         <svg className="w-12 h-12 mx-auto spinner" style={{ color: '#30cfd0' }} fill="none" viewBox="0 0 24 24">
                             <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4" />
@@ -313,11 +786,118 @@ const AdminDashboard = ({ onLogout }) => {
                     <div className="bg-white rounded-2xl shadow-lg overflow-hidden">
                         <BookingsTable
                             bookings={bookings}
-                            searchTerm={searchTerm}
+                            timezone={timezone}
+                            hasFilters={hasFilters}
+                            sort={sort}
+                            onSortChange={handleSortChange}
+                            page={page}
+                            pages={pageInfo.pages}
+                            limit={PAGE_SIZE}
+                            total={pageInfo.total}
+                            onPageChange={setPage}
+                            onStatusChange={isStaff ? handleStatusChange : undefined}
+                            onEdit={isStaff ? setEditingBooking : undefined}
+                            onDelete={isStaff ? handleDelete : undefined}
+                            onShowHistory={setHistoryBooking}
+                            onShowSeries={(booking) => {
+                                setFilters({ ...EMPTY_FILTERS, series: booking.series });
+                                setSort('start-asc');
+                                setPage(1);
+                            }}
+                            updatingId={updatingId}
                         />
                     </div>
                 )}
             </div>
+
+            {/* Undo Toast - shown after a deletion */}
+            {undo && (
+                <UndoToast
+                    key={undo.id}
+                    message={undo.message}
+                    onUndo={undo.onUndo}
+                    onClose={dismissUndo}
+                />
+            )}
+
+            {/* Edit Booking Modal */}
+            {editingBooking && (
+                <EditBookingModal
+                    booking={editingBooking}
+                    timezone={timezone}
+                    onSaved={(updated, count) => {
+                        if (count > 1) {
+                            // Later appointments of the series changed too
+                            fetchBookings();
+                        } else {
+                            setBookings(prev => prev.map(item => (item._id === updated._id ? updated : item)));
+                        }
+                        setCalendarKey(key => key + 1);
+                        setEditingBooking(null);
+                    }}
+                    onClose={() => setEditingBooking(null)}
+                />
+            )}
+
+            {/* Scope of a status change on a recurring booking */}
+            {scopeChange && (
+                <ScopeDialog
+                    booking={scopeChange.booking}
+                    title={scopeChange.status === 'cancelled' ? 'Cancel booking' : 'Confirm booking'}
+                    message={scopeChange.status === 'cancelled'
+                        ? 'This booking is part of a recurring series. Cancelled time slots will be released.'
+                        : 'This booking is part of a recurring series.'}
+                    confirmLabel={scopeChange.status === 'cancelled' ? 'Cancel Booking' : 'Confirm Booking'}
+                    onConfirm={(scope) => {
+                        setScopeChange(null);
+                        handleStatusChange(scopeChange.booking, scopeChange.status, scope);
+                    }}
+                    onClose={() => setScopeChange(null)}
+                />
+            )}
+
+            {/* Booking History Drawer */}
+            {historyBooking && (
+                <HistoryDrawer
+                    booking={historyBooking}
+                    timezone={timezone}
+                    onClose={() => setHistoryBooking(null)}
+                />
+            )}
+
+            {/* Customer Drawer */}
+            {openCustomer && (
+                <CustomerDrawer
+                    customer={openCustomer}
+                    timezone={timezone}
+                    canEditNotes={isStaff}
+                    onSaved={() => setCustomersKey(key => key + 1)}
+                    onClose={() => setOpenCustomer(null)}
+                />
+            )}
+
+            {/* User Management Modal */}
+            {showUsers && (
+                <UsersModal
+                    currentAdmin={admin}
+                    onClose={() => setShowUsers(false)}
+                />
+            )}
+
+            {/* Services Modal */}
+            {showServices && (
+                <ServicesModal onClose={() => setShowServices(false)} />
+            )}
+
+            {/* Staff Modal */}
+            {showStaff && (
+                <StaffModal onClose={() => setShowStaff(false)} />
+            )}
+
+            {/* Calendar Feed Modal */}
+            {showCalendarFeed && (
+                <CalendarFeedModal onClose={() => setShowCalendarFeed(false)} />
+            )}
         </div>
     );
 };
@@ -9,13 +9,17 @@
  * - Username and password fields
  * - Password visibility toggle
  * - Error handling with user feedback
- * - Session storage for login persistence
+ * - Server-side sign-in (POST /api/auth/login sets an httpOnly session cookie)
  * - Clean, professional design
  * 
- * Credentials: admin / admin123
+ * Admin accounts are created on the server: npm run create-admin
+ * 
+ * Props:
+ * - onLogin: Function called with the signed-in admin user
  */
 
 import { useState } from 'react';
+import api from '../api/config';
 
 const AdminLogin = ({ onLogin }) => {
     // Form state
@@ -31,28 +35,26 @@ const AdminLogin = ({ onLogin }) => {
     // Loading state
     const [isLoading, setIsLoading] = useState(false);
 
-    // Admin credentials
-    const ADMIN_USERNAME = 'admin';
-    const ADMIN_PASSWORD = 'admin123';
-
     /**
      * Handles form submission
+     * The server checks the credentials and sets the session cookie
      */
-    const handleSubmit = (e) => {
+    const handleSubmit = async (e) => {
         e.preventDefault();
         setIsLoading(true);
         setError('');
 
-        // Simulate API delay
-        setTimeout(() => {
-            if (username === ADMIN_USERNAME && password === ADMIN_PASSWORD) {
-                sessionStorage.setItem('isAdminLoggedIn', 'true');
-                onLogin();
-            } else {
-                setError('Invalid username or password');
+        try {
+            const response = await api.post('/api/auth/login', { username, password });
+
+            if (response.data.success) {
+                onLogin(response.data.data);
             }
+        } catch (err) {
+            setError(err.response?.data?.message || 'Unable to sign in. Please try again.');
+        } finally {
             setIsLoading(false);
-        }, 500);
+        }
     };
 
     return (
@@ -6,36 +6,92 @@
  * The main user-facing form for creating appointments.
  * 
  * Features:
- * - All required fields (Name, Email, Phone, Date, Time Slot)
+ * - Step 1: pick a service (ServicePicker) - its duration decides
+ *   which time slots are offered
+ * - Step 2: all required fields (Name, Email, Phone, Date, Time Slot)
+ * - Choice of staff member, or "Any available" (StaffPicker), once the
+ *   business has staff set up
+ * - Choice of how to receive updates (Email, SMS or WhatsApp)
+ * - Optional repeat (RepeatPicker) to book a recurring series; dates
+ *   that can't be booked are listed before anything is saved, and
+ *   can be skipped (not for services with a deposit)
+ * - Services with a deposit are reserved until it is paid online - the
+ *   success modal links to the payment checkout
+ * - Live slot availability ("2 left" badges, full slots greyed out)
+ * - The picked slot is held for a few minutes (POST /api/holds) so nobody
+ *   else can book it while the form is filled in, with a countdown
+ * - Full slots can be picked to join their waitlist instead; the
+ *   customer is sent a link to claim the slot if it frees up
+ * - Slot times shown in the business timezone
  * - Real-time validation with error messages
  * - Loading state during form submission
  * - Success modal on successful booking
+ * - Signed-in customers (see AccountPage) get their name, email, phone
+ *   and channel filled in, with a link to their bookings
  * - Responsive design for mobile and desktop
  * 
  * How it works:
- * 1. User fills out the form fields
- * 2. Validation runs on blur and on submit
- * 3. Form submits to POST /api/bookings
- * 4. Success modal shows with booking details
+ * 1. User picks a service, then fills out the form fields
+ * 2. The calendar offers dates from the business schedule; picking
+ *    one loads GET /api/availability for that date, service and staff
+ *    choice (SlotPicker)
+ * 3. Validation runs on blur and on submit
+ * 4. Form submits to POST /api/bookings (or POST /api/waitlist for a full slot)
+ * 5. Success modal shows with booking details and the manage link
+ *    (or a "slot just taken" message if the server answers 409 Conflict,
+ *    or the series' conflicting dates)
  */
 
-import { useState } from 'react';
+import { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
 import api from '../api/config';
-import {
-    validateBookingForm,
-    getTimeSlots
-} from '../utils/validation';
+import { validateBookingForm } from '../utils/validation';
+import DatePicker from './DatePicker';
+import SlotPicker from './SlotPicker';
+import ServicePicker from './ServicePicker';
+import StaffPicker from './StaffPicker';
+import RepeatPicker from './RepeatPicker';
+import SeriesConflicts from './SeriesConflicts';
+import HoldTimer from './HoldTimer';
 import SuccessModal from './SuccessModal';
+import { formatDuration, formatPrice } from '../utils/services';
+import { ANY_STAFF } from '../utils/staff';
+import { EMPTY_REPEAT, toRecurrence } from '../utils/recurrence';
+import { formatDate, formatTimeRange } from '../utils/dates';
+
+// Ways the customer can get confirmations and reminders
+const NOTIFICATION_CHANNELS = [
+    { value: 'email', label: 'Email' },
+    { value: 'sms', label: 'SMS' },
+    { value: 'whatsapp', label: 'WhatsApp' }
+];
+
+const EMPTY_FORM = {
+    name: '',
+    email: '',
+    phone: '',
+    notificationChannel: 'email',
+    service: '',
+    staff: ANY_STAFF,
+    date: '',
+    start: ''
+};
+
+/**
+ * Form fields filled in from a customer's account
+ * @param {Object} account - From GET /api/account/me
+ * @returns {Object}
+ */
+const getAccountDetails = (account) => ({
+    name: account.name || '',
+    email: account.email,
+    phone: account.phone || '',
+    notificationChannel: account.notificationChannel || 'email'
+});
 
 const BookingForm = () => {
     // Form data state - stores all input values
-    const [formData, setFormData] = useState({
-        name: '',
-        email: '',
-        phone: '',
-        date: '',
-        timeSlot: ''
-    });
+    const [formData, setFormData] = useState(EMPTY_FORM);
 
     // Validation errors state - stores error messages for each field
     const [errors, setErrors] = useState({});
@@ -47,8 +103,173 @@ const BookingForm = () => {
     const [showModal, setShowModal] = useState(false);
     const [bookingData, setBookingData] = useState(null);
 
-    // Get time slot options
-    const timeSlots = getTimeSlots();
+    // Bumped to reload slot availability (e.g. after a slot was taken)
+    const [slotRefreshKey, setSlotRefreshKey] = useState(0);
+
+    // Service picked in step 1: { service, currency }
+    const [selected, setSelected] = useState(null);
+
+    // Repeat choice for a recurring series
+    const [repeat, setRepeat] = useState(EMPTY_REPEAT);
+
+    // Series dates that can't be booked: { conflicts, total, timezone }
+    const [seriesConflicts, setSeriesConflicts] = useState(null);
+
+    // Start time of the full slot picked to join its waitlist
+    const [waitlistStart, setWaitlistStart] = useState('');
+
+    // Waitlist entry just joined: { start, end, timezone, position, offerMinutes }
+    const [waitlisted, setWaitlisted] = useState(null);
+
+    // Hold on the picked slot while the form is filled in: { token, start, expiresAt }
+    const [hold, setHold] = useState(null);
+
+    // Signed-in customer's account (null when not signed in)
+    const [account, setAccount] = useState(null);
+
+    // Fill in the details of a signed-in customer
+    useEffect(() => {
+        let ignore = false;
+
+        api.get('/api/account/me')
+            .then((response) => {
+                if (ignore || !response.data.success) return;
+                const details = getAccountDetails(response.data.data);
+                setAccount(response.data.data);
+                // Keep anything typed in already
+                setFormData(prev => ({
+                    ...prev,
+                    name: prev.name || details.name,
+                    email: prev.email || details.email,
+                    phone: prev.phone || details.phone,
+                    notificationChannel: details.notificationChannel
+                }));
+            })
+            .catch(() => {
+                // Not signed in - the form starts empty
+            });
+
+        return () => {
+            ignore = true;
+        };
+    }, []);
+
+    /**
+     * An empty form - with the customer's details, when signed in
+     * @returns {Object}
+     */
+    const getEmptyForm = () => (account ? { ...EMPTY_FORM, ...getAccountDetails(account) } : EMPTY_FORM);
+
+    /**
+     * Lets the current slot hold go, so others can book the slot again
+     */
+    const releaseHold = () => {
+        if (hold) {
+            api.delete(`/api/holds/${hold.token}`).catch(() => {});
+            setHold(null);
+        }
+    };
+
+    /**
+     * Holds a picked slot (replacing any earlier hold). If every seat
+     * was booked or held in the meantime, the slot is unpicked.
+     */
+    const placeHold = async (start) => {
+        try {
+            const response = await api.post('/api/holds', {
+                service: formData.service,
+                staff: formData.staff,
+                start,
+                replace: hold?.token
+            });
+
+            if (response.data.success) {
+                setHold({ token: response.data.holdToken, start, expiresAt: response.data.data.expiresAt });
+            }
+        } catch (error) {
+            setHold(null);
+            if (error.response?.status === 409) {
+                setFormData(prev => (prev.start === start ? { ...prev, start: '' } : prev));
+                setErrors(prev => ({ ...prev, start: 'This slot was just taken' }));
+                setSlotRefreshKey(key => key + 1);
+            }
+        }
+    };
+
+    /**
+     * The hold ran out - the slot may be taken by someone else now
+     */
+    const handleHoldExpired = useCallback(() => {
+        setHold(null);
+        setFormData(prev => ({ ...prev, start: '' }));
+        setErrors(prev => ({ ...prev, start: 'We could only hold this time for a few minutes. Please pick a time again.' }));
+        setSlotRefreshKey(key => key + 1);
+    }, []);
+
+    /**
+     * Picks a service (step 1). Slots depend on its length, and not
+     * every staff member offers it, so the staff choice and any
+     * chosen slot are cleared.
+     */
+    const handleServiceSelect = (service, currency) => {
+        setSelected({ service, currency });
+        setFormData(prev => ({
+            ...prev,
+            service: service._id,
+            staff: ANY_STAFF,
+            start: ''
+        }));
+        // Services with a deposit can't be booked as a series
+        if (service.deposit > 0) setRepeat(EMPTY_REPEAT);
+        setWaitlistStart('');
+        releaseHold();
+        setErrors({});
+    };
+
+    /**
+     * Picks who to book with. Their free slots differ, so any
+     * chosen slot is cleared.
+     */
+    const handleStaffSelect = (staff) => {
+        setFormData(prev => ({
+            ...prev,
+            staff,
+            start: ''
+        }));
+        setWaitlistStart('');
+        releaseHold();
+    };
+
+    /**
+     * Selects a time slot from the slot grid
+     */
+    const handleSlotSelect = (start) => {
+        setFormData(prev => ({
+            ...prev,
+            start
+        }));
+        setWaitlistStart('');
+        setSeriesConflicts(null);
+        placeHold(start);
+
+        if (errors.start) {
+            setErrors(prev => ({
+                ...prev,
+                start: ''
+            }));
+        }
+    };
+
+    /**
+     * Picks a full slot to join its waitlist instead of booking
+     */
+    const handleWaitlistSelect = (start) => {
+        setWaitlistStart(start);
+        setFormData(prev => ({ ...prev, start: '' }));
+        releaseHold();
+        setSeriesConflicts(null);
+        setErrors(prev => ({ ...prev, start: '', submit: '' }));
+    };
 
     /**
      * Handles input field changes
@@ -57,11 +278,16 @@ const BookingForm = () => {
     const handleChange = (e) => {
         const { name, value } = e.target;
 
-        // Update form data
+        // Update form data (a new date resets the chosen slot)
         setFormData(prev => ({
             ...prev,
-            [name]: value
+            [name]: value,
+            ...(name === 'date' && { start: '' })
         }));
+        if (name === 'date') {
+            setWaitlistStart('');
+            releaseHold();
+        }
 
         // Clear error for this field when user starts typing
         if (errors[name]) {
@@ -88,15 +314,36 @@ const BookingForm = () => {
         }
     };
 
+    /**
+     * Changes the repeat choice - the old conflicts no longer apply
+     */
+    const handleRepeatChange = (value) => {
+        setRepeat(value);
+        setSeriesConflicts(null);
+        if (errors.repeat) {
+            setErrors(prev => ({ ...prev, repeat: '' }));
+        }
+    };
+
     /**
      * Handles form submission
      * Validates all fields, calls API, and shows success modal
+     * @param {Event} [e] - Submit event
+     * @param {boolean} [skipConflicts] - Book a series without its conflicting dates
      */
-    const handleSubmit = async (e) => {
-        e.preventDefault();
+    const handleSubmit = async (e, skipConflicts = false) => {
+        e?.preventDefault();
+
+        if (waitlistStart) {
+            await handleJoinWaitlist();
+            return;
+        }
 
         // Validate entire form
         const formErrors = validateBookingForm(formData);
+        if (repeat.frequency && repeat.ends === 'until' && !repeat.until) {
+            formErrors.repeat = 'Please choose when the series ends';
+        }
 
         // If there are errors, show them and stop submission
         if (Object.keys(formErrors).length > 0) {
@@ -108,27 +355,71 @@ const BookingForm = () => {
         setIsLoading(true);
 
         try {
-            // Make API call to create booking
-            const response = await api.post('/api/bookings', formData);
+            // Make API call to create booking (the slot is identified by its start time)
+            const { name, email, phone, notificationChannel, service, staff, start } = formData;
+            const response = await api.post('/api/bookings', {
+                name,
+                email,
+                phone,
+                notificationChannel,
+                service,
+                staff,
+                start,
+                holdToken: hold?.start === start ? hold.token : undefined,
+                recurrence: toRecurrence(repeat),
+                skipConflicts
+            });
 
             if (response.data.success) {
-                // Store booking data for modal
-                setBookingData(formData);
+                // Store saved booking (with UTC start/end) for modal
+                setBookingData({
+                    ...response.data.data,
+                    timezone: response.data.timezone,
+                    currency: selected.currency,
+                    manageToken: response.data.manageToken,
+                    series: response.data.series,
+                    payment: response.data.payment
+                });
 
                 // Show success modal
                 setShowModal(true);
 
-                // Reset form
-                setFormData({
-                    name: '',
-                    email: '',
-                    phone: '',
-                    date: '',
-                    timeSlot: ''
-                });
+                // Reset form (back to step 1). The account remembers the
+                // details just booked with, so the next booking uses them too.
+                if (account && response.data.data.email === account.email) {
+                    const updated = { ...account, name, phone, notificationChannel };
+                    setAccount(updated);
+                    setFormData({ ...EMPTY_FORM, ...getAccountDetails(updated) });
+                } else {
+                    setFormData(getEmptyForm());
+                }
+                setSelected(null);
+                setRepeat(EMPTY_REPEAT);
+                setSeriesConflicts(null);
+                setHold(null);
                 setErrors({});
             }
         } catch (error) {
+            // Some dates of the series can't be booked - let the customer decide
+            if (error.response?.status === 409 && error.response.data?.conflicts) {
+                const { conflicts, total, timezone } = error.response.data;
+                setSeriesConflicts({ conflicts, total, timezone });
+                setErrors({ submit: error.response.data.message });
+                return;
+            }
+
+            // Slot was taken by someone else while the form was being filled in
+            if (error.response?.status === 409) {
+                setErrors({
+                    start: 'This slot was just taken',
+                    submit: 'Sorry, this slot was just taken. Please pick another time.'
+                });
+                setFormData(prev => ({ ...prev, start: '' }));
+                releaseHold();
+                setSlotRefreshKey(key => key + 1);
+                return;
+            }
+
             // Handle API errors
             const message = error.response?.data?.message || 'Something went wrong. Please try again.';
             setErrors({ submit: message });
@@ -137,6 +428,55 @@ const BookingForm = () => {
         }
     };
 
+    /**
+     * Joins the waitlist for the picked full slot (POST /api/waitlist)
+     */
+    const handleJoinWaitlist = async () => {
+        const formErrors = validateBookingForm({ ...formData, start: waitlistStart });
+        if (Object.keys(formErrors).length > 0) {
+            setErrors(formErrors);
+            return;
+        }
+
+        setIsLoading(true);
+
+        try {
+            const { name, email, phone, notificationChannel, service, staff } = formData;
+            const response = await api.post('/api/waitlist', {
+                name,
+                email,
+                phone,
+                notificationChannel,
+                service,
+                staff,
+                start: waitlistStart
+            });
+
+            if (response.data.success) {
+                const { data, timezone, position, offerMinutes } = response.data;
+                setWaitlisted({ ...data, timezone, position, offerMinutes });
+
+                // Reset form (back to step 1)
+                setFormData(getEmptyForm());
+                setSelected(null);
+                setRepeat(EMPTY_REPEAT);
+                setWaitlistStart('');
+                setErrors({});
+            }
+        } catch (error) {
+            // A place opened up while the form was being filled in
+            if (error.response?.status === 409) {
+                setWaitlistStart('');
+                setSlotRefreshKey(key => key + 1);
+            }
+
+            const message = error.response?.data?.message || 'Something went wrong. Please try again.';
+            setErrors({ submit: message });
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
     return (
         <>
             {/* Form Container */}
@@ -147,217 +487,338 @@ const BookingForm = () => {
                         Book Your Appointment
                     </h2>
                     <p className="text-gray-500">
-                        Fill in the details below to schedule your slot
+                        {selected
+                            ? 'Fill in the details below to schedule your slot'
+                            : 'Choose a service to get started'}
                     </p>
                 </div>
 
-                {/* Form */}
-                <form onSubmit={handleSubmit} className="space-y-6">
-                    {/* Name Field */}
-                    <div>
-                        <label
-                            htmlFor="name"
-                            className="block text-sm font-medium text-gray-700 mb-2"
-                        >
-                            Full Name *
-                        </label>
-                        <input
-                            type="text"
-                            id="name"
-                            name="name"
-                            value={formData.name}
-                            onChange={handleChange}
-                            onBlur={handleBlur}
-                            placeholder="Enter your full name"
-                            className={`w-full px-4 py-3 rounded-xl border-2 transition-all duration-200 outline-none form-input ${errors.name
-                                ? 'border-red-300 focus:border-red-500 bg-red-50'
-                                : 'border-gray-200 focus:border-lime-600 bg-white'
-                                }`}
-                        />
-                        {errors.name && (
-                            <p className="mt-2 text-sm text-red-500 flex items-center">
-                                <svg className="w-4 h-4 mr-1" fill="currentColor" viewBox="0 0 20 20">
-                                    <path fillRule="evenodd" d="M18 10a8 8 0 11-16 0 8 8 0 0116 0zm-7 4a1 1 0 11-2 0 1 1 0 012 0zm-1-9a1 1 0 00-1 1v4a1 1 0 102 0V6a1 1 0 00-1-1z" clipRule="evenodd" />
-                                </svg>
-                                {errors.name}
-                            </p>
-                        )}
-                    </div>
+                {/* Signed-in customer */}
+                <p className="text-sm text-center text-gray-500 -mt-4 mb-6">
+                    {account ? (
+                        <>
+                            Signed in as <span className="font-medium text-gray-700">{account.email}</span>
+                            {' · '}
+                            <Link to="/account" className="font-medium hover:underline" style={{ color: '#330867' }}>
+                                My bookings
+                            </Link>
+                        </>
+                    ) : (
+                        <>
+                            Booked with us before?{' '}
+                            <Link to="/account" className="font-medium hover:underline" style={{ color: '#330867' }}>
+                                Sign in
+                            </Link>
+                            {' '}to fill in your details.
+                        </>
+                    )}
+                </p>
 
-                    {/* Email Field */}
-                    <div>
-                        <label
-                            htmlFor="email"
-                            className="block text-sm font-medium text-gray-700 mb-2"
-                        >
-                            Email Address *
-                        </label>
-                        <input
-                            type="email"
-                            id="email"
-                            name="email"
-                            value={formData.email}
-                            onChange={handleChange}
-                            onBlur={handleBlur}
-                            placeholder="you@example.com"
-                            className={`w-full px-4 py-3 rounded-xl border-2 transition-all duration-200 outline-none form-input ${errors.email
-                                ? 'border-red-300 focus:border-red-500 bg-red-50'
-                                : 'border-gray-200 focus:border-lime-600 bg-white'
-                                }`}
-                        />
-                        {errors.email && (
-                            <p className="mt-2 text-sm text-red-500 flex items-center">
-                                <svg className="w-4 h-4 mr-1" fill="currentColor" viewBox="0 0 20 20">
-                                    <path fillRule="evenodd" d="M18 10a8 8 0 11-16 0 8 8 0 0116 0zm-7 4a1 1 0 11-2 0 1 1 0 012 0zm-1-9a1 1 0 00-1 1v4a1 1 0 102 0V6a1 1 0 00-1-1z" clipRule="evenodd" />
-                                </svg>
-                                {errors.email}
+                {/* Waitlist confirmation */}
+                {waitlisted && (
+                    <div className="bg-green-50 border border-green-200 rounded-xl p-4 mb-6 flex items-start justify-between gap-3">
+                        <div className="text-sm text-green-800">
+                            <p className="font-semibold">
+                                You're on the waitlist (#{waitlisted.position} in line)
                             </p>
-                        )}
-                    </div>
-
-                    {/* Phone Field */}
-                    <div>
-                        <label
-                            htmlFor="phone"
-                            className="block text-sm font-medium text-gray-700 mb-2"
-                        >
-                            Phone Number *
-                        </label>
-                        <input
-                            type="tel"
-                            id="phone"
-                            name="phone"
-                            value={formData.phone}
-                            onChange={handleChange}
-                            onBlur={handleBlur}
-                            placeholder="9876543210"
-                            maxLength={10}
-                            className={`w-full px-4 py-3 rounded-xl border-2 transition-all duration-200 outline-none form-input ${errors.phone
-                                ? 'border-red-300 focus:border-red-500 bg-red-50'
-                                : 'border-gray-200 focus:border-lime-600 bg-white'
-                                }`}
-                        />
-                        {errors.phone && (
-                            <p className="mt-2 text-sm text-red-500 flex items-center">
-                                <svg className="w-4 h-4 mr-1" fill="currentColor" viewBox="0 0 20 20">
-                                    <path fillRule="evenodd" d="M18 10a8 8 0 11-16 0 8 8 0 0116 0zm-7 4a1 1 0 11-2 0 1 1 0 012 0zm-1-9a1 1 0 00-1 1v4a1 1 0 102 0V6a1 1 0 00-1-1z" clipRule="evenodd" />
-                                </svg>
-                                {errors.phone}
+                            <p className="mt-1">
+                                {waitlisted.serviceName} on {formatDate(waitlisted.start, waitlisted.timezone)}, {formatTimeRange(waitlisted.start, waitlisted.end, waitlisted.timezone)}.
+                                If a place opens up we'll send you a link - you'll have {waitlisted.offerMinutes} minutes to claim it.
                             </p>
-                        )}
+                        </div>
+                        <button
+                            type="button"
+                            onClick={() => setWaitlisted(null)}
+                            aria-label="Dismiss"
+                            className="text-green-700 hover:text-green-900"
+                        >
+                            <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                            </svg>
+                        </button>
                     </div>
+                )}
 
-                    {/* Date and Time Row */}
-                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                        {/* Date Dropdown */}
+                {!selected ? (
+                    /* Step 1: Service */
+                    <ServicePicker
+                        value={formData.service}
+                        onChange={handleServiceSelect}
+                    />
+                ) : (
+                    /* Step 2: Details */
+                    <form onSubmit={handleSubmit} className="space-y-6">
+                        {/* Chosen Service */}
+                        <div className="flex items-center justify-between gap-3 rounded-xl border-2 border-gray-200 bg-white px-4 py-3">
+                            <div>
+                                <p className="font-semibold text-gray-800">{selected.service.name}</p>
+                                <p className="text-sm text-gray-500">
+                                    {formatDuration(selected.service.durationMinutes)} · {formatPrice(selected.service.price, selected.currency)}
+                                    {selected.service.deposit > 0 && ` · ${formatPrice(selected.service.deposit, selected.currency)} deposit paid online`}
+                                </p>
+                            </div>
+                            <button
+                                type="button"
+                                onClick={() => setSelected(null)}
+                                className="text-sm font-medium hover:underline"
+                                style={{ color: '#330867' }}
+                            >
+                                Change
+                            </button>
+                        </div>
+
+                        {/* Name Field */}
                         <div>
                             <label
-                                htmlFor="date"
+                                htmlFor="name"
                                 className="block text-sm font-medium text-gray-700 mb-2"
                             >
-                                Appointment Date *
+                                Full Name *
                             </label>
                             <input
-                                type="date"
-                                id="date"
-                                name="date"
-                                value={formData.date}
+                                type="text"
+                                id="name"
+                                name="name"
+                                value={formData.name}
                                 onChange={handleChange}
                                 onBlur={handleBlur}
-                                min="2026-02-01"
-                                max="2026-02-28"
-                                className={`w-full px-4 py-3 rounded-xl border-2 transition-all duration-200 outline-none cursor-pointer ${errors.date
+                                placeholder="Enter your full name"
+                                className={`w-full px-4 py-3 rounded-xl border-2 transition-all duration-200 outline-none form-input ${errors.name
                                     ? 'border-red-300 focus:border-red-500 bg-red-50'
                                     : 'border-gray-200 focus:border-lime-600 bg-white'
                                     }`}
                             />
-                            {errors.date && (
+                            {errors.name && (
                                 <p className="mt-2 text-sm text-red-500 flex items-center">
                                     <svg className="w-4 h-4 mr-1" fill="currentColor" viewBox="0 0 20 20">
                                         <path fillRule="evenodd" d="M18 10a8 8 0 11-16 0 8 8 0 0116 0zm-7 4a1 1 0 11-2 0 1 1 0 012 0zm-1-9a1 1 0 00-1 1v4a1 1 0 102 0V6a1 1 0 00-1-1z" clipRule="evenodd" />
                                     </svg>
-                                    {errors.date}
+                                    {errors.name}
                                 </p>
                             )}
                         </div>
 
-                        {/* Time Slot Dropdown */}
+                        {/* Email Field */}
                         <div>
                             <label
-                                htmlFor="timeSlot"
+                                htmlFor="email"
                                 className="block text-sm font-medium text-gray-700 mb-2"
                             >
-                                Time Slot *
+                                Email Address *
                             </label>
-                            <select
-                                id="timeSlot"
-                                name="timeSlot"
-                                value={formData.timeSlot}
+                            <input
+                                type="email"
+                                id="email"
+                                name="email"
+                                value={formData.email}
                                 onChange={handleChange}
                                 onBlur={handleBlur}
-                                className={`w-full px-4 py-3 rounded-xl border-2 transition-all duration-200 outline-none appearance-none cursor-pointer ${errors.timeSlot
+                                placeholder="you@example.com"
+                                className={`w-full px-4 py-3 rounded-xl border-2 transition-all duration-200 outline-none form-input ${errors.email
                                     ? 'border-red-300 focus:border-red-500 bg-red-50'
                                     : 'border-gray-200 focus:border-lime-600 bg-white'
                                     }`}
-                                style={{
-                                    backgroundImage: `url("data:image/svg+xml,%3Csvg xmlns='http://www.w3.org/2000/svg' fill='none' viewBox='0 0 24 24' stroke='%236B7280'%3E%3Cpath stroke-linecap='round' stroke-linejoin='round' stroke-width='2' d='M19 9l-7 7-7-7'%3E%3C/path%3E%3C/svg%3E")`,
-                                    backgroundRepeat: 'no-repeat',
-                                    backgroundPosition: 'right 1rem center',
-                                    backgroundSize: '1.5rem'
-                                }}
+                            />
+                            {errors.email && (
+                                <p className="mt-2 text-sm text-red-500 flex items-center">
+                                    <svg className="w-4 h-4 mr-1" fill="currentColor" viewBox="0 0 20 20">
+                                        <path fillRule="evenodd" d="M18 10a8 8 0 11-16 0 8 8 0 0116 0zm-7 4a1 1 0 11-2 0 1 1 0 012 0zm-1-9a1 1 0 00-1 1v4a1 1 0 102 0V6a1 1 0 00-1-1z" clipRule="evenodd" />
+                                    </svg>
+                                    {errors.email}
+                                </p>
+                            )}
+                        </div>
+
+                        {/* Phone Field */}
+                        <div>
+                            <label
+                                htmlFor="phone"
+                                className="block text-sm font-medium text-gray-700 mb-2"
                             >
-                                <option value="">Select a time</option>
-                                {timeSlots.map((slot) => (
-                                    <option key={slot} value={slot}>
-                                        {slot}
-                                    </option>
-                                ))}
-                            </select>
-                            {errors.timeSlot && (
+                                Phone Number *
+                            </label>
+                            <input
+                                type="tel"
+                                id="phone"
+                                name="phone"
+                                value={formData.phone}
+                                onChange={handleChange}
+                                onBlur={handleBlur}
+                                placeholder="9876543210"
+                                maxLength={10}
+                                className={`w-full px-4 py-3 rounded-xl border-2 transition-all duration-200 outline-none form-input ${errors.phone
+                                    ? 'border-red-300 focus:border-red-500 bg-red-50'
+                                    : 'border-gray-200 focus:border-lime-600 bg-white'
+                                    }`}
+                            />
+                            {errors.phone && (
                                 <p className="mt-2 text-sm text-red-500 flex items-center">
                                     <svg className="w-4 h-4 mr-1" fill="currentColor" viewBox="0 0 20 20">
                                         <path fillRule="evenodd" d="M18 10a8 8 0 11-16 0 8 8 0 0116 0zm-7 4a1 1 0 11-2 0 1 1 0 012 0zm-1-9a1 1 0 00-1 1v4a1 1 0 102 0V6a1 1 0 00-1-1z" clipRule="evenodd" />
                                     </svg>
-                                    {errors.timeSlot}
+                                    {errors.phone}
                                 </p>
                             )}
                         </div>
-                    </div>
 
-                    {/* Submit Error Message */}
-                    {errors.submit && (
-                        <div className="bg-red-50 border border-red-200 rounded-xl p-4 flex items-center">
-                            <svg className="w-5 h-5 text-red-500 mr-3 flex-shrink-0" fill="currentColor" viewBox="0 0 20 20">
-                                <path fillRule="evenodd" d="M18 10a8 8 0 11-16 0 8 8 0 0116 0zm-7 4a1 1 0 11-2 0 1 1 0 012 0zm-1-9a1 1 0 00-1 1v4a1 1 0 102 0V6a1 1 0 00-1-1z" clipRule="evenodd" />
-                            </svg>
-                            <p className="text-sm text-red-600">{errors.submit}</p>
+                        {/* Notification Channel */}
+                        <div>
+                            <span className="block text-sm font-medium text-gray-700 mb-2">
+                                Send me updates by
+                            </span>
+                            <div className="grid grid-cols-3 gap-2">
+                                {NOTIFICATION_CHANNELS.map(channel => (
+                                    <label
+                                        key={channel.value}
+                                        className={`flex items-center justify-center py-2.5 rounded-xl border-2 text-sm font-medium cursor-pointer transition-all duration-200 ${formData.notificationChannel === channel.value
+                                            ? 'border-transparent text-white btn-primary'
+                                            : 'border-gray-200 bg-white text-gray-700 hover:border-lime-600'
+                                            }`}
+                                    >
+                                        <input
+                                            type="radio"
+                                            name="notificationChannel"
+                                            value={channel.value}
+                                            checked={formData.notificationChannel === channel.value}
+                                            onChange={handleChange}
+                                            className="sr-only"
+                                        />
+                                        {channel.label}
+                                    </label>
+                                ))}
+                            </div>
+                            {formData.notificationChannel !== 'email' && (
+                                <p className="mt-2 text-xs text-gray-500">
+                                    We'll message the phone number above.
+                                </p>
+                            )}
                         </div>
-                    )}
 
-                    {/* Submit Button */}
-                    <button
-                        type="submit"
-                        disabled={isLoading}
-                        className="w-full py-4 px-6 rounded-xl text-white font-semibold text-lg btn-primary disabled:opacity-70 disabled:cursor-not-allowed flex items-center justify-center"
-                    >
-                        {isLoading ? (
-                            <>
-                                <svg className="w-5 h-5 mr-2 spinner" fill="none" viewBox="0 0 24 24">
-                                    <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4" />
-                                    <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z" />
-                                </svg>
-                                Booking...
-                            </>
+                        {/* Staff Choice */}
+                        <StaffPicker
+                            service={formData.service}
+                            value={formData.staff}
+                            onChange={handleStaffSelect}
+                        />
+
+                        {/* Date Picker */}
+                        <div>
+                            <span className="block text-sm font-medium text-gray-700 mb-2">
+                                Appointment Date *
+                            </span>
+                            <DatePicker
+                                value={formData.date}
+                                queryParams={{ service: formData.service, staff: formData.staff }}
+                                onChange={(date) => handleChange({ target: { name: 'date', value: date } })}
+                                hasError={Boolean(errors.date)}
+                            />
+                            {errors.date && (
+                                <p className="mt-2 text-sm text-red-500 flex items-center">
+                                    <svg className="w-4 h-4 mr-1" fill="currentColor" viewBox="0 0 20 20">
+                                        <path fillRule="evenodd" d="M18 10a8 8 0 11-16 0 8 8 0 0116 0zm-7 4a1 1 0 11-2 0 1 1 0 012 0zm-1-9a1 1 0 00-1 1v4a1 1 0 102 0V6a1 1 0 00-1-1z" clipRule="evenodd" />
+                                    </svg>
+                                    {errors.date}
+                                </p>
+                            )}
+                        </div>
+
+                        {/* Time Slot Grid */}
+                        <SlotPicker
+                            label="Time Slot *"
+                            date={formData.date}
+                            queryParams={{ service: formData.service, staff: formData.staff }}
+                            value={formData.start}
+                            onChange={handleSlotSelect}
+                            error={errors.start}
+                            refreshKey={slotRefreshKey}
+                            onWaitlist={handleWaitlistSelect}
+                            waitlistValue={waitlistStart}
+                        />
+
+                        {/* Countdown while the picked slot is held */}
+                        {hold && hold.start === formData.start && (
+                            <HoldTimer expiresAt={hold.expiresAt} onExpire={handleHoldExpired} />
+                        )}
+
+                        {waitlistStart ? (
+                            /* Waitlist for a full slot */
+                            <div className="bg-amber-50 border border-amber-200 rounded-xl p-4 text-sm text-amber-900">
+                                This time is fully booked. Join the waitlist and we'll send you a link
+                                if a place opens up - the first person waiting gets a limited time to claim it.
+                            </div>
+                        ) : selected.service.deposit > 0 ? (
+                            /* Deposit - paid when booking, so no series */
+                            <div className="bg-amber-50 border border-amber-200 rounded-xl p-4 text-sm text-amber-900">
+                                This service needs a {formatPrice(selected.service.deposit, selected.currency)} deposit,
+                                paid online to confirm your booking. You'll have a few minutes to pay after booking.
+                            </div>
                         ) : (
-                            <>
-                                <svg className="w-5 h-5 mr-2" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 7V3m8 4V3m-9 8h10M5 21h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v12a2 2 0 002 2z" />
+                            /* Repeat */
+                            <div>
+                                <RepeatPicker
+                                    value={repeat}
+                                    onChange={handleRepeatChange}
+                                    minDate={formData.date}
+                                />
+                                {errors.repeat && (
+                                    <p className="mt-2 text-sm text-red-500">{errors.repeat}</p>
+                                )}
+                            </div>
+                        )}
+
+                        {/* Series dates that can't be booked */}
+                        <SeriesConflicts
+                            conflicts={seriesConflicts?.conflicts}
+                            timezone={seriesConflicts?.timezone}
+                            title="These dates can't be booked:"
+                        >
+                            {seriesConflicts && seriesConflicts.conflicts.length < seriesConflicts.total && (
+                                <button
+                                    type="button"
+                                    disabled={isLoading}
+                                    onClick={() => handleSubmit(null, true)}
+                                    className="px-4 py-2 rounded-lg text-sm font-semibold text-white btn-primary disabled:opacity-70"
+                                >
+                                    Book the other {seriesConflicts.total - seriesConflicts.conflicts.length} dates
+                                </button>
+                            )}
+                        </SeriesConflicts>
+
+                        {/* Submit Error Message */}
+                        {errors.submit && (
+                            <div className="bg-red-50 border border-red-200 rounded-xl p-4 flex items-center">
+                                <svg className="w-5 h-5 text-red-500 mr-3 flex-shrink-0" fill="currentColor" viewBox="0 0 20 20">
+                                    <path fillRule="evenodd" d="M18 10a8 8 0 11-16 0 8 8 0 0116 0zm-7 4a1 1 0 11-2 0 1 1 0 012 0zm-1-9a1 1 0 00-1 1v4a1 1 0 102 0V6a1 1 0 00-1-1z" clipRule="evenodd" />
                                 </svg>
-                                Book Appointment
-                            </>
+                                <p className="text-sm text-red-600">{errors.submit}</p>
+                            </div>
                         )}
-                    </button>
-                </form>
+
+                        {/* Submit Button */}
+                        <button
+                            type="submit"
+                            disabled={isLoading}
+                            className="w-full py-4 px-6 rounded-xl text-white font-semibold text-lg btn-primary disabled:opacity-70 disabled:cursor-not-allowed flex items-center justify-center"
+                        >
+                            {isLoading ? (
+                                <>
+                                    <svg className="w-5 h-5 mr-2 spinner" fill="none" viewBox="0 0 24 24">
+                                        <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4" />
+                                        <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z" />
+                                    </svg>
+                                    {waitlistStart ? 'Joining...' : 'Booking...'}
+                                </>
+                            ) : (
+                                <>
+                                    <svg className="w-5 h-5 mr-2" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 7V3m8 4V3m-9 8h10M5 21h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v12a2 2 0 002 2z" />
+                                    </svg>
+                                    {waitlistStart ? 'Join Waitlist' : 'Book Appointment'}
+                                </>
+                            )}
+                        </button>
+                    </form>
+                )}
             </div>
 
             {/* Success Modal */}
@@ -0,0 +1,515 @@
+/**
+ * ============================================
+ * BOOKINGS CALENDAR COMPONENT
+ * ============================================
+ *
+ * Day, week and month views of the bookings for planning.
+ *
+ * Features:
+ * - Loads GET /api/bookings/calendar for the visible dates
+ * - Day and week views show each date's time slots with the
+ *   bookings in them, colour-coded by status, plus free places
+ *   (staff working then, or the slot capacity)
+ * - Month view shows booked / free / cancelled counts per date;
+ *   clicking a date opens it in the day view
+ * - Clicking a booking opens it
+ * - Staff can drag an upcoming booking onto a free slot to
+ *   reschedule it (PATCH /api/bookings/:id)
+ *
+ * Props:
+ * - canReschedule: Whether drag-to-reschedule is allowed (staff+)
+ * - onOpenBooking: Function called with a booking when it's clicked
+ * - onChanged: Function called after a booking is rescheduled here
+ * - refreshKey: Changing it reloads the calendar (e.g. after an edit)
+ * - staff: Show one staff member's calendar (their id), or "none" for
+ *   unassigned bookings; empty for everyone
+ */
+
+import { useState, useEffect } from 'react';
+import api from '../api/config';
+import { STATUS_DISPLAY } from '../utils/status';
+import {
+    getDateKey,
+    getTimeKey,
+    shiftDate,
+    formatMonthLabel,
+    formatTimeRange,
+    getTimeZoneLabel
+} from '../utils/dates';
+
+const MODES = [
+    { value: 'day', label: 'Day' },
+    { value: 'week', label: 'Week' },
+    { value: 'month', label: 'Month' }
+];
+
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+/**
+ * Formats a "YYYY-MM-DD" date key for headings
+ * @param {string} date - Date key
+ * @param {Object} options - Intl date options
+ * @returns {string}
+ */
+const formatDay = (date, options) => {
+    return new Date(`${date}T00:00:00Z`).toLocaleDateString('en-IN', { timeZone: 'UTC', ...options });
+};
+
+/**
+ * Monday of the week a date falls in
+ * @param {string} date - Date key
+ * @returns {string} - Date key of that Monday
+ */
+const getWeekStart = (date) => {
+    const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+    return shiftDate(date, -((weekday + 6) % 7));
+};
+
+/**
+ * First and last date shown by a view
+ * @param {string} mode - "day", "week" or "month"
+ * @param {string} date - Date the view is centred on
+ * @returns {Object} - { from, to }
+ */
+const getRange = (mode, date) => {
+    if (mode === 'day') {
+        return { from: date, to: date };
+    }
+    if (mode === 'week') {
+        const from = getWeekStart(date);
+        return { from, to: shiftDate(from, 6) };
+    }
+
+    // Whole weeks around the month, so the grid has no gaps
+    const firstOfMonth = `${date.slice(0, 7)}-01`;
+    const lastOfMonth = shiftDate(`${shiftDate(firstOfMonth, 31).slice(0, 7)}-01`, -1);
+    return { from: getWeekStart(firstOfMonth), to: shiftDate(getWeekStart(lastOfMonth), 6) };
+};
+
+/**
+ * Moves the view back or forward by one day, week or month
+ * @param {string} mode - Current view
+ * @param {string} date - Current date
+ * @param {number} direction - -1 or 1
+ * @returns {string} - New date
+ */
+const stepDate = (mode, date, direction) => {
+    if (mode === 'day') return shiftDate(date, direction);
+    if (mode === 'week') return shiftDate(date, 7 * direction);
+
+    const [year, month] = date.split('-').map(Number);
+    const target = new Date(Date.UTC(year, month - 1 + direction, 1));
+    return target.toISOString().slice(0, 10);
+};
+
+// Bookings that can still be moved
+const isMovable = (booking) => {
+    return ['pending', 'confirmed'].includes(booking.status) && new Date(booking.start) > new Date();
+};
+
+// Bookings that hold a seat in their slot
+const holdsSeat = (booking) => booking.status !== 'cancelled';
+
+const BookingsCalendar = ({ canReschedule, onOpenBooking, onChanged, refreshKey, staff = '' }) => {
+    const [mode, setMode] = useState('week');
+    const [date, setDate] = useState(() => getDateKey(new Date()));
+
+    // Bumped to reload after a drag-and-drop move
+    const [reloadCount, setReloadCount] = useState(0);
+
+    const { from, to } = getRange(mode, date);
+    const requestKey = `${from}|${to}|${staff}|${refreshKey}|${reloadCount}`;
+
+    // Calendar data, tagged with the request it came from
+    const [calendar, setCalendar] = useState({
+        key: '',
+        days: [],
+        bookings: [],
+        timezone: '',
+        error: ''
+    });
+
+    // Booking being dragged, and the slot it's over
+    const [dragging, setDragging] = useState(null);
+    const [dropTarget, setDropTarget] = useState(null);
+    const [movingId, setMovingId] = useState(null);
+
+    // Load the visible dates
+    useEffect(() => {
+        let ignore = false;
+
+        api.get('/api/bookings/calendar', { params: { from, to, ...(staff && { staff }) } })
+            .then((response) => {
+                if (!ignore && response.data.success) {
+                    const { days, data, timezone } = response.data;
+                    setCalendar({ key: requestKey, days, bookings: data, timezone, error: '' });
+                }
+            })
+            .catch((err) => {
+                if (!ignore) {
+                    setCalendar(prev => ({
+                        ...prev,
+                        key: requestKey,
+                        error: err.response?.data?.message || 'Failed to load the calendar.'
+                    }));
+                }
+            });
+
+        return () => {
+            ignore = true;
+        };
+    }, [from, to, staff, requestKey]);
+
+    const isLoading = calendar.key !== requestKey;
+    const { days, bookings, timezone } = calendar;
+
+    // Bookings grouped by date, then by start time
+    const bookingsByDate = {};
+    bookings.forEach((booking) => {
+        const dateKey = getDateKey(booking.start, timezone);
+        const timeKey = getTimeKey(booking.start, timezone);
+        bookingsByDate[dateKey] = bookingsByDate[dateKey] || {};
+        bookingsByDate[dateKey][timeKey] = [...(bookingsByDate[dateKey][timeKey] || []), booking];
+    });
+
+    /**
+     * Free places in a slot
+     */
+    const getFreeSeats = (slot, slotBookings) => {
+        return Math.max(slot.capacity - slotBookings.filter(holdsSeat).length, 0);
+    };
+
+    /**
+     * Whether the dragged booking may be dropped on a slot
+     */
+    const canDropOn = (slot, slotBookings) => {
+        return Boolean(dragging && slot?.bookable &&
+            getFreeSeats(slot, slotBookings) > 0 &&
+            new Date(slot.start).getTime() !== new Date(dragging.start).getTime());
+    };
+
+    /**
+     * Reschedules the dragged booking into a slot
+     */
+    const handleDrop = async (slot) => {
+        const booking = dragging;
+        setDragging(null);
+        setDropTarget(null);
+
+        const when = `${formatDay(getDateKey(slot.start, timezone), { weekday: 'short', day: 'numeric', month: 'short' })}, ${formatTimeRange(slot.start, slot.end, timezone)}`;
+        if (!window.confirm(`Move ${booking.name}'s booking to ${when}?`)) {
+            return;
+        }
+
+        try {
+            setMovingId(booking._id);
+            await api.patch(`/api/bookings/${booking._id}`, { start: slot.start });
+            onChanged?.();
+        } catch (err) {
+            alert(err.response?.data?.message || 'Failed to move the booking. Please try again.');
+        } finally {
+            setMovingId(null);
+            setReloadCount(count => count + 1);
+        }
+    };
+
+    /**
+     * One booking inside a slot cell
+     */
+    const renderBooking = (booking) => {
+        const display = STATUS_DISPLAY[booking.status] || STATUS_DISPLAY.confirmed;
+        const isCancelled = booking.status === 'cancelled';
+        const draggable = canReschedule && isMovable(booking) && movingId !== booking._id;
+
+        return (
+            <button
+                key={booking._id}
+                type="button"
+                draggable={draggable}
+                onDragStart={(e) => {
+                    e.dataTransfer.effectAllowed = 'move';
+                    e.dataTransfer.setData('text/plain', booking._id);
+                    setDragging(booking);
+                }}
+                onDragEnd={() => {
+                    setDragging(null);
+                    setDropTarget(null);
+                }}
+                onClick={() => onOpenBooking(booking)}
+                title={[booking.name, booking.serviceName, booking.staffName, display.label].filter(Boolean).join(' - ')}
+                className={`block w-full text-left px-2 py-1 mb-1 rounded-md text-xs font-medium truncate ${display.className} ${isCancelled ? 'line-through opacity-70' : ''} ${draggable ? 'cursor-grab active:cursor-grabbing' : 'cursor-pointer'} ${movingId === booking._id ? 'opacity-50' : ''}`}
+            >
+                {booking.name}
+            </button>
+        );
+    };
+
+    /**
+     * One date/time cell of the day and week grids
+     */
+    const renderSlotCell = (day, timeKey, slot) => {
+        const slotBookings = bookingsByDate[day.date]?.[timeKey] || [];
+        const cellKey = `${day.date}|${timeKey}`;
+        const freeSeats = slot ? getFreeSeats(slot, slotBookings) : 0;
+        const isDroppable = canDropOn(slot, slotBookings);
+        const isOver = isDroppable && dropTarget === cellKey;
+
+        return (
+            <td
+                key={cellKey}
+                onDragOver={(e) => {
+                    if (!isDroppable) return;
+                    e.preventDefault();
+                    setDropTarget(cellKey);
+                }}
+                onDragLeave={() => setDropTarget(prev => (prev === cellKey ? null : prev))}
+                onDrop={(e) => {
+                    if (!isDroppable) return;
+                    e.preventDefault();
+                    handleDrop(slot);
+                }}
+                className={`align-top p-1.5 border border-gray-100 min-w-[7rem] h-14 ${!slot
+                    ? 'bg-gray-50'
+                    : isOver
+                        ? 'bg-lime-100 ring-2 ring-inset ring-lime-500'
+                        : isDroppable ? 'bg-lime-50' : 'bg-white'
+                    }`}
+            >
+                {slotBookings.map(renderBooking)}
+                {slot?.bookable && freeSeats > 0 && (
+                    <span className="block px-2 py-1 rounded-md border border-dashed border-green-300 text-xs text-green-700">
+                        {slot.capacity > 1 ? `${freeSeats} free` : 'Free'}
+                    </span>
+                )}
+            </td>
+        );
+    };
+
+    /**
+     * Day and week views: time rows, one column per date
+     */
+    const renderGrid = () => {
+        // Every start time in view - slots plus bookings at other times
+        // (e.g. made before the opening hours changed)
+        const timeKeys = new Set();
+        const slotsByDate = {};
+        days.forEach((day) => {
+            slotsByDate[day.date] = {};
+            day.slots.forEach((slot) => {
+                const timeKey = getTimeKey(slot.start, timezone);
+                slotsByDate[day.date][timeKey] = slot;
+                timeKeys.add(timeKey);
+            });
+            Object.keys(bookingsByDate[day.date] || {}).forEach(timeKey => timeKeys.add(timeKey));
+        });
+        const rows = [...timeKeys].sort();
+
+        if (rows.length === 0) {
+            return (
+                <p className="p-12 text-center text-gray-500">
+                    {mode === 'day' ? 'Closed on this date.' : 'Closed all week.'}
+                </p>
+            );
+        }
+
+        return (
+            <div className="overflow-x-auto">
+                <table className="w-full border-collapse">
+                    <thead>
+                        <tr>
+                            <th className="w-20 p-2 text-xs font-medium text-gray-500 text-left">Time</th>
+                            {days.map(day => (
+                                <th key={day.date} className="p-2 text-xs font-semibold text-gray-700 text-left">
+                                    <button
+                                        type="button"
+                                        onClick={() => {
+                                            setMode('day');
+                                            setDate(day.date);
+                                        }}
+                                        className="hover:underline"
+                                    >
+                                        {formatDay(day.date, { weekday: 'short', day: 'numeric', month: 'short' })}
+                                    </button>
+                                    {!day.open && (
+                                        <span className="block font-normal text-gray-400">
+                                            {day.reason === 'holiday' ? day.label || 'Holiday' : 'Closed'}
+                                        </span>
+                                    )}
+                                </th>
+                            ))}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {rows.map(timeKey => (
+                            <tr key={timeKey}>
+                                <td className="p-2 text-xs text-gray-500 align-top whitespace-nowrap">{timeKey}</td>
+                                {days.map(day => renderSlotCell(day, timeKey, slotsByDate[day.date][timeKey]))}
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+        );
+    };
+
+    /**
+     * Month view: one cell per date with booking counts
+     */
+    const renderMonth = () => {
+        const month = date.slice(0, 7);
+
+        return (
+            <div className="grid grid-cols-7 gap-px bg-gray-100 border border-gray-100">
+                {WEEKDAYS.map(weekday => (
+                    <div key={weekday} className="bg-white p-2 text-xs font-medium text-gray-500 text-center">
+                        {weekday}
+                    </div>
+                ))}
+                {days.map((day) => {
+                    const dayBookings = Object.values(bookingsByDate[day.date] || {}).flat();
+                    const booked = dayBookings.filter(holdsSeat).length;
+                    const cancelled = dayBookings.length - booked;
+                    const free = day.slots
+                        .filter(slot => slot.bookable)
+                        .reduce((sum, slot) => {
+                            const slotBookings = bookingsByDate[day.date]?.[getTimeKey(slot.start, timezone)] || [];
+                            return sum + getFreeSeats(slot, slotBookings);
+                        }, 0);
+
+                    return (
+                        <button
+                            key={day.date}
+                            type="button"
+                            onClick={() => {
+                                setMode('day');
+                                setDate(day.date);
+                            }}
+                            className={`min-h-[5.5rem] p-2 text-left align-top hover:ring-2 hover:ring-inset hover:ring-lime-500 ${day.open ? 'bg-white' : 'bg-gray-50'} ${day.date.startsWith(month) ? '' : 'opacity-40'}`}
+                        >
+                            <span className="block text-sm font-semibold text-gray-700">
+                                {Number(day.date.slice(8))}
+                            </span>
+                            {booked > 0 && (
+                                <span className={`block mt-1 px-1.5 py-0.5 rounded text-xs ${STATUS_DISPLAY.confirmed.className}`}>
+                                    {booked} booked
+                                </span>
+                            )}
+                            {free > 0 && (
+                                <span className="block mt-1 px-1.5 py-0.5 rounded border border-dashed border-green-300 text-xs text-green-700">
+                                    {free} free
+                                </span>
+                            )}
+                            {cancelled > 0 && (
+                                <span className={`block mt-1 px-1.5 py-0.5 rounded text-xs line-through ${STATUS_DISPLAY.cancelled.className}`}>
+                                    {cancelled} cancelled
+                                </span>
+                            )}
+                            {!day.open && (
+                                <span className="block mt-1 text-xs text-gray-400">
+                                    {day.reason === 'holiday' ? day.label || 'Holiday' : 'Closed'}
+                                </span>
+                            )}
+                        </button>
+                    );
+                })}
+            </div>
+        );
+    };
+
+    // Heading for the visible range
+    const title = mode === 'day'
+        ? formatDay(date, { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' })
+        : mode === 'week'
+            ? `${formatDay(from, { day: 'numeric', month: 'short' })} - ${formatDay(to, { day: 'numeric', month: 'short', year: 'numeric' })}`
+            : formatMonthLabel(date.slice(0, 7));
+
+    return (
+        <div>
+            {/* Toolbar */}
+            <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-3 p-4 border-b border-gray-100">
+                <div className="flex items-center gap-2">
+                    <button
+                        type="button"
+                        onClick={() => setDate(prev => stepDate(mode, prev, -1))}
+                        className="p-2 rounded-lg text-gray-600 hover:bg-gray-100"
+                        aria-label="Previous"
+                    >
+                        <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+                        </svg>
+                    </button>
+                    <button
+                        type="button"
+                        onClick={() => setDate(getDateKey(new Date(), timezone))}
+                        className="px-3 py-1.5 text-sm font-medium text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50"
+                    >
+                        Today
+                    </button>
+                    <button
+                        type="button"
+                        onClick={() => setDate(prev => stepDate(mode, prev, 1))}
+                        className="p-2 rounded-lg text-gray-600 hover:bg-gray-100"
+                        aria-label="Next"
+                    >
+                        <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5l7 7-7 7" />
+                        </svg>
+                    </button>
+                    <h3 className="ml-2 text-lg font-semibold text-gray-800">{title}</h3>
+                    {isLoading && (
+                        <svg className="w-4 h-4 spinner" style={{ color: '#30cfd0' }} fill="none" viewBox="0 0 24 24">
+                            <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4" />
+                            <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4z" />
+                        </svg>
+                    )}
+                </div>
+
+                <div className="flex gap-1">
+                    {MODES.map(option => (
+                        <button
+                            key={option.value}
+                            type="button"
+                            onClick={() => setMode(option.value)}
+                            className={`px-3 py-1.5 text-sm font-medium rounded-lg transition-colors ${mode === option.value
+                                ? 'text-white btn-primary'
+                                : 'text-gray-700 bg-white border border-gray-300 hover:bg-gray-50'
+                                }`}
+                        >
+                            {option.label}
+                        </button>
+                    ))}
+                </div>
+            </div>
+
+            {calendar.error && (
+                <p className="px-4 py-3 text-sm text-red-600 bg-red-50 border-b border-red-100">{calendar.error}</p>
+            )}
+
+            {/* Legend */}
+            <div className="flex flex-wrap items-center gap-3 px-4 py-2 text-xs text-gray-500 border-b border-gray-100">
+                {Object.entries(STATUS_DISPLAY).map(([status, { label, className }]) => (
+                    <span key={status} className={`px-2 py-0.5 rounded ${className} ${status === 'cancelled' ? 'line-through' : ''}`}>
+                        {label}
+                    </span>
+                ))}
+                <span className="px-2 py-0.5 rounded border border-dashed border-green-300 text-green-700">Free</span>
+                <span className="px-2 py-0.5 rounded bg-gray-50 border border-gray-200">Closed</span>
+                {timezone && <span className="ml-auto">Times in {getTimeZoneLabel(new Date(), timezone)}</span>}
+            </div>
+
+            {canReschedule && mode !== 'month' && (
+                <p className="px-4 pt-3 text-xs text-gray-400">
+                    Drag an upcoming booking onto a free slot to reschedule it.
+                </p>
+            )}
+
+            <div className="p-4">
+                {days.length === 0 && isLoading ? (
+                    <p className="p-12 text-center text-gray-500">Loading calendar...</p>
+                ) : mode === 'month' ? renderMonth() : renderGrid()}
+            </div>
+        </div>
+    );
+};
+
+export default BookingsCalendar;
@@ -3,105 +3,100 @@
  * BOOKINGS TABLE COMPONENT
  * ============================================
  * 
- * A data table component that displays all bookings.
+ * A data table component that displays one page of bookings.
+ * Searching, filtering, sorting and paging all happen on the
+ * server (GET /api/bookings) - this component only renders
+ * the page it is given and reports what the admin picked.
  * 
  * Features:
- * - Displays all booking records in a clean table
- * - Search/filter functionality (searches across all fields)
+ * - Displays the current page of booking records in a clean table
  * - Sort dropdown for easy sorting
+ * - Page controls (previous / next, "Showing 26-50 of 312")
  * - Responsive design (horizontal scroll on mobile)
  * - Empty state when no bookings found
+ * - Status badge and per-row status actions (staff and owners)
+ * - Per-row edit (opens the edit form)
+ * - Per-row delete (moves the booking to the trash)
+ * - Per-row "History" button that opens the booking's audit trail
+ * - Recurring bookings show their series ("Every week · 3 of 10");
+ *   clicking it lists the whole series
  * 
  * Props:
- * - bookings: Array of booking objects to display
- * - searchTerm: Current search filter value
+ * - bookings: Bookings on the current page
+ * - timezone: Business timezone for showing appointment times
+ * - hasFilters: True when a search or filter is active (for the empty state)
+ * - sort: Current sort, e.g. "createdAt-desc"
+ * - onSortChange: Function called with the new sort value
+ * - page, pages, limit, total: Paging details from the API
+ * - onPageChange: Function called with the page to show
+ * - onStatusChange: Function called with (booking, status); omit to hide actions
+ * - onEdit: Function called with the booking to edit; omit to hide the button
+ * - onDelete: Function called with the booking to delete; omit to hide the button
+ * - onShowHistory: Function called with the booking whose history to show
+ * - onShowSeries: Function called with a recurring booking to list its series
+ * - updatingId: _id of the booking whose status is being saved
  */
 
-import { useState, useMemo } from 'react';
-
-const BookingsTable = ({ bookings, searchTerm }) => {
-    // Sorting state: { field: 'name', direction: 'asc' | 'desc' }
-    const [sortConfig, setSortConfig] = useState({
-        field: 'createdAt',
-        direction: 'desc'
-    });
-
-    // Sort options for dropdown
-    const sortOptions = [
-        { value: 'createdAt-desc', label: 'Newest First' },
-        { value: 'createdAt-asc', label: 'Oldest First' },
-        { value: 'name-asc', label: 'Name (A-Z)' },
-        { value: 'name-desc', label: 'Name (Z-A)' },
-        { value: 'date-asc', label: 'Date (Earliest)' },
-        { value: 'date-desc', label: 'Date (Latest)' },
-    ];
-
-    /**
-     * Filter bookings based on search term
-     * Searches across name, email, phone, date, and timeSlot
-     */
-    const filteredBookings = useMemo(() => {
-        if (!searchTerm) return bookings;
-
-        const lowerSearch = searchTerm.toLowerCase();
-        return bookings.filter(booking =>
-            booking.name.toLowerCase().includes(lowerSearch) ||
-            booking.email.toLowerCase().includes(lowerSearch) ||
-            booking.phone.includes(searchTerm) ||
-            booking.date.toLowerCase().includes(lowerSearch) ||
-            booking.timeSlot.toLowerCase().includes(lowerSearch)
-        );
-    }, [bookings, searchTerm]);
-
-    /**
-     * Sort filtered bookings based on sort configuration
-     */
-    const sortedBookings = useMemo(() => {
-        const sorted = [...filteredBookings];
-
-        sorted.sort((a, b) => {
-            let aValue = a[sortConfig.field];
-            let bValue = b[sortConfig.field];
-
-            // Handle date sorting
-            if (sortConfig.field === 'createdAt') {
-                aValue = new Date(aValue);
-                bValue = new Date(bValue);
-            } else {
-                // String comparison (case-insensitive)
-                aValue = aValue?.toLowerCase() || '';
-                bValue = bValue?.toLowerCase() || '';
-            }
-
-            if (aValue < bValue) return sortConfig.direction === 'asc' ? -1 : 1;
-            if (aValue > bValue) return sortConfig.direction === 'asc' ? 1 : -1;
-            return 0;
-        });
-
-        return sorted;
-    }, [filteredBookings, sortConfig]);
-
-    /**
-     * Handles sort dropdown change
-     */
-    const handleSortChange = (e) => {
-        const [field, direction] = e.target.value.split('-');
-        setSortConfig({ field, direction });
-    };
+import { formatDate, formatTimeRange } from '../utils/dates';
+import { STATUS_DISPLAY, getNextStatuses } from '../utils/status';
+import { describeSeries } from '../utils/recurrence';
+
+// Row action button label for each target status
+const ACTION_LABELS = {
+    confirmed: 'Confirm',
+    cancelled: 'Cancel',
+    completed: 'Complete',
+    'no-show': 'No-show'
+};
+
+// Sort options for dropdown ("field-order", as sent to the API)
+const SORT_OPTIONS = [
+    { value: 'createdAt-desc', label: 'Newest First' },
+    { value: 'createdAt-asc', label: 'Oldest First' },
+    { value: 'name-asc', label: 'Name (A-Z)' },
+    { value: 'name-desc', label: 'Name (Z-A)' },
+    { value: 'start-asc', label: 'Date (Earliest)' },
+    { value: 'start-desc', label: 'Date (Latest)' },
+    { value: 'status-asc', label: 'Status' },
+];
+
+const BookingsTable = ({
+    bookings,
+    timezone,
+    hasFilters,
+    sort,
+    onSortChange,
+    page,
+    pages,
+    limit,
+    total,
+    onPageChange,
+    onStatusChange,
+    onEdit,
+    onDelete,
+    onShowHistory,
+    onShowSeries,
+    updatingId
+}) => {
+    // Only show the actions column when the admin can do something
+    const showActions = Boolean(onStatusChange || onEdit || onDelete || onShowHistory);
+
+    // Position of the first row on this page (for S.No and the range label)
+    const offset = (page - 1) * limit;
 
     // Empty state
-    if (sortedBookings.length === 0) {
+    if (bookings.length === 0) {
         return (
             <div className="text-center py-12">
                 <svg className="w-16 h-16 mx-auto text-gray-300 mb-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                     <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5} d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2" />
                 </svg>
                 <h3 className="text-lg font-medium text-gray-500 mb-1">
-                    {searchTerm ? 'No bookings found' : 'No bookings yet'}
+                    {hasFilters ? 'No bookings found' : 'No bookings yet'}
                 </h3>
                 <p className="text-gray-400">
-                    {searchTerm
-                        ? 'Try adjusting your search terms'
+                    {hasFilters
+                        ? 'Try adjusting your search or filters'
                         : 'Bookings will appear here when customers make appointments'}
                 </p>
             </div>
@@ -113,17 +108,17 @@ const BookingsTable = ({ bookings, searchTerm }) => {
             {/* Sort Dropdown */}
             <div className="px-4 py-3 border-b border-gray-200 flex items-center justify-between bg-gray-50">
                 <span className="text-sm text-gray-600">
-                    {sortedBookings.length} record{sortedBookings.length !== 1 ? 's' : ''}
+                    {total} record{total !== 1 ? 's' : ''}
                 </span>
                 <div className="flex items-center gap-2">
                     <label htmlFor="sort" className="text-sm text-gray-600">Sort by:</label>
                     <select
                         id="sort"
-                        value={`${sortConfig.field}-${sortConfig.direction}`}
-                        onChange={handleSortChange}
+                        value={sort}
+                        onChange={(e) => onSortChange(e.target.value)}
                         className="text-sm border border-gray-300 rounded-lg px-3 py-1.5 bg-white focus:outline-none focus:ring-2 focus:ring-lime-500 focus:border-lime-500 cursor-pointer"
                     >
-                        {sortOptions.map(option => (
+                        {SORT_OPTIONS.map(option => (
                             <option key={option.value} value={option.value}>
                                 {option.label}
                             </option>
@@ -150,28 +145,39 @@ const BookingsTable = ({ bookings, searchTerm }) => {
                             <th className="px-4 py-3 text-left text-xs font-semibold text-gray-500 uppercase tracking-wider">
                                 Phone
                             </th>
+                            <th className="px-4 py-3 text-left text-xs font-semibold text-gray-500 uppercase tracking-wider">
+                                Service
+                            </th>
                             <th className="px-4 py-3 text-left text-xs font-semibold text-gray-500 uppercase tracking-wider">
                                 Date
                             </th>
                             <th className="px-4 py-3 text-left text-xs font-semibold text-gray-500 uppercase tracking-wider">
                                 Time Slot
                             </th>
+                            <th className="px-4 py-3 text-left text-xs font-semibold text-gray-500 uppercase tracking-wider">
+                                Status
+                            </th>
                             <th className="px-4 py-3 text-left text-xs font-semibold text-gray-500 uppercase tracking-wider">
                                 Booked On
                             </th>
+                            {showActions && (
+                                <th className="px-4 py-3 text-left text-xs font-semibold text-gray-500 uppercase tracking-wider">
+                                    Actions
+                                </th>
+                            )}
                         </tr>
                     </thead>
 
                     {/* Table Body */}
                     <tbody className="bg-white divide-y divide-gray-200">
-                        {sortedBookings.map((booking, index) => (
+                        {bookings.map((booking, index) => (
                             <tr
                                 key={booking._id}
-                                className="table-row-hover transition-colors"
+                                className={`table-row-hover transition-colors ${booking.status === 'cancelled' ? 'opacity-60' : ''}`}
                             >
                                 {/* S.No */}
                                 <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-500">
-                                    {index + 1}
+                                    {offset + index + 1}
                                 </td>
 
                                 {/* Name */}
@@ -196,17 +202,42 @@ const BookingsTable = ({ bookings, searchTerm }) => {
                                     {booking.phone}
                                 </td>
 
+                                {/* Service */}
+                                <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-600">
+                                    {booking.serviceName || '-'}
+                                    {booking.staffName && (
+                                        <span className="block text-xs text-gray-400">with {booking.staffName}</span>
+                                    )}
+                                </td>
+
                                 {/* Date */}
                                 <td className="px-4 py-4 whitespace-nowrap">
                                     <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-lime-100 text-lime-800">
-                                        {booking.date}
+                                        {formatDate(booking.start, timezone)}
                                     </span>
+                                    {booking.series && (
+                                        <button
+                                            type="button"
+                                            onClick={() => onShowSeries?.(booking)}
+                                            title="Show the whole series"
+                                            className="block mt-1 text-xs text-gray-500 hover:text-gray-800 hover:underline"
+                                        >
+                                            {describeSeries(booking)}
+                                        </button>
+                                    )}
                                 </td>
 
                                 {/* Time Slot */}
                                 <td className="px-4 py-4 whitespace-nowrap">
                                     <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-purple-100 text-purple-800">
-                                        {booking.timeSlot}
+                                        {formatTimeRange(booking.start, booking.end, timezone)}
+                                    </span>
+                                </td>
+
+                                {/* Status */}
+                                <td className="px-4 py-4 whitespace-nowrap">
+                                    <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${STATUS_DISPLAY[booking.status]?.className || 'bg-gray-100 text-gray-600'}`}>
+                                        {STATUS_DISPLAY[booking.status]?.label || booking.status}
                                     </span>
                                 </td>
 
@@ -217,11 +248,96 @@ const BookingsTable = ({ bookings, searchTerm }) => {
                                         timeStyle: 'short'
                                     })}
                                 </td>
+
+                                {/* Status Actions */}
+                                {showActions && (
+                                    <td className="px-4 py-4 whitespace-nowrap">
+                                        <div className="flex gap-2">
+                                            {onStatusChange && getNextStatuses(booking).map(status => (
+                                                <button
+                                                    key={status}
+                                                    onClick={() => onStatusChange(booking, status)}
+                                                    disabled={updatingId === booking._id}
+                                                    className={`px-2.5 py-1 text-xs font-medium rounded-lg border transition-colors disabled:opacity-50 ${status === 'cancelled' || status === 'no-show'
+                                                        ? 'border-red-200 text-red-600 hover:bg-red-50'
+                                                        : 'border-gray-200 text-gray-700 hover:bg-gray-50'
+                                                        }`}
+                                                >
+                                                    {ACTION_LABELS[status]}
+                                                </button>
+                                            ))}
+                                            {onEdit && (
+                                                <button
+                                                    onClick={() => onEdit(booking)}
+                                                    disabled={updatingId === booking._id}
+                                                    className="p-1 rounded-lg text-gray-400 hover:text-gray-700 hover:bg-gray-100 transition-colors disabled:opacity-50"
+                                                    title="Edit"
+                                                    aria-label="Edit"
+                                                >
+                                                    <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                                                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
+                                                    </svg>
+                                                </button>
+                                            )}
+                                            {onShowHistory && (
+                                                <button
+                                                    onClick={() => onShowHistory(booking)}
+                                                    className="p-1 rounded-lg text-gray-400 hover:text-gray-700 hover:bg-gray-100 transition-colors"
+                                                    title="History"
+                                                    aria-label="History"
+                                                >
+                                                    <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                                                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+                                                    </svg>
+                                                </button>
+                                            )}
+                                            {onDelete && (
+                                                <button
+                                                    onClick={() => onDelete(booking)}
+                                                    disabled={updatingId === booking._id}
+                                                    className="p-1 rounded-lg text-gray-400 hover:text-red-600 hover:bg-red-50 transition-colors disabled:opacity-50"
+                                                    title="Move to trash"
+                                                    aria-label="Move to trash"
+                                                >
+                                                    <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                                                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                                                    </svg>
+                                                </button>
+                                            )}
+                                        </div>
+                                    </td>
+                                )}
                             </tr>
                         ))}
                     </tbody>
                 </table>
             </div>
+
+            {/* Page Controls */}
+            <div className="px-4 py-3 border-t border-gray-200 flex items-center justify-between bg-gray-50">
+                <span className="text-sm text-gray-600">
+                    Showing {offset + 1}-{offset + bookings.length} of {total}
+                </span>
+                <div className="flex items-center gap-2">
+                    <button
+                        onClick={() => onPageChange(page - 1)}
+                        disabled={page <= 1}
+                        className="px-3 py-1.5 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                        Previous
+                    </button>
+                    <span className="text-sm text-gray-600">
+                        Page {page} of {Math.max(pages, 1)}
+                    </span>
+                    <button
+                        onClick={() => onPageChange(page + 1)}
+                        disabled={page >= pages}
+                        className="px-3 py-1.5 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                        Next
+                    </button>
+                </div>
+            </div>
         </div>
     );
 };
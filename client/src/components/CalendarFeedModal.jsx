@@ -0,0 +1,229 @@
+/**
+ * ============================================
+ * CALENDAR FEED MODAL COMPONENT
+ * ============================================
+ * 
+ * Lets any admin subscribe to bookings from Google Calendar,
+ * Outlook or Apple Calendar:
+ * - Shows whether they already have a feed link
+ * - Creates a new link (revoking the old one) and shows it once,
+ *   optionally narrowed to one staff member's bookings
+ * - Revokes the link
+ * 
+ * The link contains a secret token, so the server only keeps its
+ * hash - it can't be shown again after the modal closes.
+ * 
+ * Props:
+ * - onClose: Function to call when closing the modal
+ */
+
+import { useState, useEffect } from 'react';
+import api from '../api/config';
+import { formatDateTime } from '../utils/dates';
+
+const CalendarFeedModal = ({ onClose }) => {
+    // { active, createdAt, url? } - url only right after creating a link
+    const [feed, setFeed] = useState(null);
+    const [isLoading, setIsLoading] = useState(true);
+    const [isSaving, setIsSaving] = useState(false);
+    const [error, setError] = useState('');
+    const [copied, setCopied] = useState(false);
+
+    // Staff whose bookings the link can be narrowed to ('' = everyone)
+    const [staffList, setStaffList] = useState([]);
+    const [feedStaff, setFeedStaff] = useState('');
+
+    // Load the feed status and staff when the modal opens
+    useEffect(() => {
+        let ignore = false;
+
+        api.get('/api/calendar/feed')
+            .then((response) => {
+                if (!ignore && response.data.success) {
+                    setFeed(response.data.data);
+                }
+            })
+            .catch((err) => {
+                if (!ignore) setError(err.response?.data?.message || 'Failed to load calendar feed.');
+            })
+            .finally(() => {
+                if (!ignore) setIsLoading(false);
+            });
+
+        api.get('/api/staff', { params: { all: true } })
+            .then((response) => {
+                if (!ignore && response.data.success) {
+                    setStaffList(response.data.data);
+                }
+            })
+            .catch((err) => {
+                console.error('Error fetching staff:', err);
+            });
+
+        return () => {
+            ignore = true;
+        };
+    }, []);
+
+    const feedUrl = feed?.url && (feedStaff ? `${feed.url}&staff=${feedStaff}` : feed.url);
+
+    /**
+     * Creates a new feed link (the old one stops working)
+     */
+    const handleCreate = async () => {
+        if (feed?.active && !window.confirm('Create a new link? Calendars using the current link will stop updating.')) {
+            return;
+        }
+
+        setError('');
+        setCopied(false);
+        try {
+            setIsSaving(true);
+            const response = await api.post('/api/calendar/feed');
+            setFeed(response.data.data);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to create calendar link.');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    /**
+     * Revokes the feed link
+     */
+    const handleRevoke = async () => {
+        if (!window.confirm('Revoke your calendar link? Subscribed calendars will stop updating.')) {
+            return;
+        }
+
+        setError('');
+        try {
+            setIsSaving(true);
+            const response = await api.delete('/api/calendar/feed');
+            setFeed(response.data.data);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to revoke calendar link.');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const handleCopy = async () => {
+        try {
+            await navigator.clipboard.writeText(feedUrl);
+            setCopied(true);
+        } catch {
+            setCopied(false);
+        }
+    };
+
+    return (
+        // Modal overlay - covers the entire screen
+        <div className="fixed inset-0 z-50 overflow-y-auto">
+            {/* Semi-transparent backdrop */}
+            <div
+                className="fixed inset-0 bg-black/50 backdrop-blur-sm transition-opacity"
+                onClick={onClose}
+            />
+
+            {/* Modal container - centered */}
+            <div className="flex min-h-full items-center justify-center p-4">
+                <div className="relative bg-white rounded-2xl shadow-2xl max-w-lg w-full p-6 md:p-8 modal-animate">
+                    {/* Close button */}
+                    <button
+                        onClick={onClose}
+                        className="absolute top-4 right-4 text-gray-400 hover:text-gray-600 transition-colors"
+                    >
+                        <svg className="w-6 h-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                        </svg>
+                    </button>
+
+                    <h2 className="text-2xl font-bold text-gray-800 mb-1">Calendar Feed</h2>
+                    <p className="text-sm text-gray-500 mb-6">
+                        Subscribe to upcoming bookings in Google Calendar, Outlook or Apple Calendar.
+                        Moved, edited and cancelled bookings update automatically.
+                    </p>
+
+                    {error && (
+                        <div className="bg-red-50 border border-red-200 rounded-xl p-3 mb-4 text-sm text-red-600">
+                            {error}
+                        </div>
+                    )}
+
+                    {isLoading ? (
+                        <p className="text-gray-500 text-sm">Loading...</p>
+                    ) : (
+                        <>
+                            {feed?.url ? (
+                                // New link - shown only this once
+                                <div className="rounded-xl border-2 border-dashed border-gray-200 p-4 mb-4">
+                                    <p className="text-sm font-medium text-gray-700 mb-1">Your private feed link</p>
+                                    <p className="text-xs text-gray-500 mb-2">
+                                        Add it as a calendar "from URL". Keep it secret - anyone with
+                                        the link can see your bookings. It won't be shown again.
+                                    </p>
+                                    {staffList.length > 0 && (
+                                        <select
+                                            value={feedStaff}
+                                            onChange={(e) => {
+                                                setFeedStaff(e.target.value);
+                                                setCopied(false);
+                                            }}
+                                            aria-label="Bookings in the feed"
+                                            className="w-full text-sm border border-gray-300 rounded-lg px-3 py-2 mb-2 bg-white focus:outline-none focus:ring-2 focus:ring-lime-500 focus:border-lime-500"
+                                        >
+                                            <option value="">Everyone's bookings</option>
+                                            {staffList.map(member => (
+                                                <option key={member._id} value={member._id}>
+                                                    Only {member.name}'s bookings
+                                                </option>
+                                            ))}
+                                        </select>
+                                    )}
+                                    <p className="text-sm break-all font-mono text-gray-800 bg-gray-50 rounded-lg p-2 mb-3">
+                                        {feedUrl}
+                                    </p>
+                                    <button
+                                        onClick={handleCopy}
+                                        className="text-sm font-medium hover:underline"
+                                        style={{ color: '#330867' }}
+                                    >
+                                        {copied ? 'Copied!' : 'Copy link'}
+                                    </button>
+                                </div>
+                            ) : (
+                                <p className="text-sm text-gray-600 mb-4">
+                                    {feed?.active
+                                        ? `You created a feed link on ${formatDateTime(feed.createdAt)}.`
+                                        : "You don't have a feed link yet."}
+                                </p>
+                            )}
+
+                            <div className="flex gap-3">
+                                <button
+                                    onClick={handleCreate}
+                                    disabled={isSaving}
+                                    className="flex-1 py-2.5 rounded-xl text-white font-semibold btn-primary disabled:opacity-70 disabled:cursor-not-allowed"
+                                >
+                                    {feed?.active ? 'Create New Link' : 'Create Link'}
+                                </button>
+                                {feed?.active && (
+                                    <button
+                                        onClick={handleRevoke}
+                                        disabled={isSaving}
+                                        className="px-4 py-2.5 rounded-xl text-sm font-medium text-red-600 border border-red-200 hover:bg-red-50 disabled:opacity-70 disabled:cursor-not-allowed"
+                                    >
+                                        Revoke
+                                    </button>
+                                )}
+                            </div>
+                        </>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default CalendarFeedModal;
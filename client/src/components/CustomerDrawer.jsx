@@ -0,0 +1,220 @@
+/**
+ * ============================================
+ * CUSTOMER DRAWER COMPONENT
+ * ============================================
+ * 
+ * A panel that slides in from the right with one customer
+ * of the directory (GET /api/customers/:id).
+ * 
+ * Shows:
+ * - Contact details
+ * - Bookings, visits, last visit and no-shows
+ * - Admins' notes, which staff and owners can edit
+ *   (PATCH /api/customers/:id)
+ * - Every booking they made (not those in the trash), latest first,
+ *   with its status
+ * 
+ * Props:
+ * - customer: The customer shown (from the directory list)
+ * - timezone: Business timezone for showing times
+ * - canEditNotes: Whether the signed-in admin may change the notes
+ * - onSaved: Function called with the customer after their notes are saved
+ * - onClose: Function to call when closing the drawer
+ */
+
+import { useState, useEffect } from 'react';
+import api from '../api/config';
+import { formatDate, formatTimeRange } from '../utils/dates';
+import { STATUS_DISPLAY } from '../utils/status';
+
+const CustomerDrawer = ({ customer, timezone, canEditNotes, onSaved, onClose }) => {
+    // Customer with their bookings, tagged with the customer they belong to
+    const [details, setDetails] = useState({ customerId: '', customer: null, bookings: [], error: '' });
+
+    // Notes being edited (null when not editing)
+    const [notes, setNotes] = useState(null);
+    const [isSaving, setIsSaving] = useState(false);
+    const [notesError, setNotesError] = useState('');
+
+    // Load the customer and their bookings
+    useEffect(() => {
+        let ignore = false;
+
+        api.get(`/api/customers/${customer._id}`)
+            .then((response) => {
+                if (!ignore && response.data.success) {
+                    setDetails({ customerId: customer._id, customer: response.data.data, bookings: response.data.bookings, error: '' });
+                }
+            })
+            .catch((err) => {
+                if (!ignore) {
+                    setDetails({ customerId: customer._id, customer: null, bookings: [], error: err.response?.data?.message || 'Failed to load the customer.' });
+                }
+            });
+
+        return () => {
+            ignore = true;
+        };
+    }, [customer._id]);
+
+    const isLoading = details.customerId !== customer._id;
+    const shown = details.customer || customer;
+
+    /**
+     * Saves the edited notes
+     */
+    const handleSaveNotes = async () => {
+        setIsSaving(true);
+        setNotesError('');
+
+        try {
+            const response = await api.patch(`/api/customers/${customer._id}`, { notes });
+
+            if (response.data.success) {
+                setDetails(prev => ({ ...prev, customer: response.data.data }));
+                setNotes(null);
+                onSaved(response.data.data);
+            }
+        } catch (err) {
+            setNotesError(err.response?.data?.message || 'Failed to save the notes. Please try again.');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 z-50">
+            {/* Semi-transparent backdrop */}
+            <div
+                className="fixed inset-0 bg-black/50 backdrop-blur-sm transition-opacity"
+                onClick={onClose}
+            />
+
+            {/* Drawer panel */}
+            <div className="fixed inset-y-0 right-0 w-full max-w-md bg-white shadow-2xl flex flex-col">
+                {/* Header */}
+                <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+                    <div>
+                        <h2 className="text-lg font-bold text-gray-900">{shown.name}</h2>
+                        <p className="text-sm text-gray-500">
+                            {shown.email}{shown.phone && <> &middot; {shown.phone}</>}
+                        </p>
+                    </div>
+                    <button
+                        onClick={onClose}
+                        className="text-gray-400 hover:text-gray-600 transition-colors"
+                        aria-label="Close"
+                    >
+                        <svg className="w-6 h-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                        </svg>
+                    </button>
+                </div>
+
+                <div className="flex-1 overflow-y-auto px-6 py-4 space-y-6">
+                    {/* Stats */}
+                    <div className="grid grid-cols-4 gap-2 text-center">
+                        {[
+                            { label: 'Bookings', value: shown.bookingCount },
+                            { label: 'Visits', value: shown.visitCount },
+                            { label: 'No-shows', value: shown.noShowCount },
+                            { label: 'Last visit', value: shown.lastVisitAt ? formatDate(shown.lastVisitAt, timezone) : '—' }
+                        ].map(stat => (
+                            <div key={stat.label} className="rounded-lg bg-gray-50 px-2 py-3">
+                                <p className="text-sm font-semibold text-gray-800">{stat.value}</p>
+                                <p className="text-xs text-gray-500">{stat.label}</p>
+                            </div>
+                        ))}
+                    </div>
+
+                    {/* Notes */}
+                    <div>
+                        <div className="flex items-center justify-between mb-2">
+                            <h3 className="text-sm font-semibold text-gray-700">Notes</h3>
+                            {canEditNotes && notes === null && (
+                                <button
+                                    onClick={() => setNotes(shown.notes || '')}
+                                    className="text-sm font-medium hover:underline"
+                                    style={{ color: '#330867' }}
+                                >
+                                    Edit
+                                </button>
+                            )}
+                        </div>
+                        {notes === null ? (
+                            <p className="text-sm text-gray-600 whitespace-pre-wrap">
+                                {shown.notes || <span className="text-gray-400">No notes yet.</span>}
+                            </p>
+                        ) : (
+                            <div className="space-y-2">
+                                <textarea
+                                    value={notes}
+                                    onChange={(e) => setNotes(e.target.value)}
+                                    rows={4}
+                                    maxLength={2000}
+                                    placeholder="Preferences, allergies, anything worth remembering..."
+                                    className="w-full text-sm border border-gray-300 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-lime-500 focus:border-lime-500"
+                                />
+                                {notesError && <p className="text-sm text-red-500">{notesError}</p>}
+                                <div className="flex gap-2 justify-end">
+                                    <button
+                                        onClick={() => {
+                                            setNotes(null);
+                                            setNotesError('');
+                                        }}
+                                        className="px-3 py-1.5 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors"
+                                    >
+                                        Cancel
+                                    </button>
+                                    <button
+                                        onClick={handleSaveNotes}
+                                        disabled={isSaving}
+                                        className="px-3 py-1.5 text-sm font-medium text-white rounded-lg btn-primary disabled:opacity-70 disabled:cursor-not-allowed"
+                                    >
+                                        {isSaving ? 'Saving...' : 'Save Notes'}
+                                    </button>
+                                </div>
+                            </div>
+                        )}
+                    </div>
+
+                    {/* Bookings */}
+                    <div>
+                        <h3 className="text-sm font-semibold text-gray-700 mb-2">Bookings</h3>
+                        {isLoading ? (
+                            <p className="text-sm text-gray-500">Loading bookings...</p>
+                        ) : details.error ? (
+                            <p className="text-sm text-red-500">{details.error}</p>
+                        ) : details.bookings.length === 0 ? (
+                            <p className="text-sm text-gray-400">No bookings outside the trash.</p>
+                        ) : (
+                            <ul className="divide-y divide-gray-100 border border-gray-200 rounded-lg">
+                                {details.bookings.map((booking) => {
+                                    const display = STATUS_DISPLAY[booking.status] || STATUS_DISPLAY.confirmed;
+                                    return (
+                                        <li key={booking._id} className="px-3 py-2 flex items-center justify-between gap-3">
+                                            <div>
+                                                <p className="text-sm text-gray-800">
+                                                    {formatDate(booking.start, timezone)}, {formatTimeRange(booking.start, booking.end, timezone)}
+                                                </p>
+                                                <p className="text-xs text-gray-500">
+                                                    {booking.serviceName || 'Appointment'}
+                                                    {booking.staffName && ` · ${booking.staffName}`}
+                                                </p>
+                                            </div>
+                                            <span className={`shrink-0 px-2 py-0.5 rounded-full text-xs font-medium ${display.className}`}>
+                                                {display.label}
+                                            </span>
+                                        </li>
+                                    );
+                                })}
+                            </ul>
+                        )}
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default CustomerDrawer;
@@ -0,0 +1,229 @@
+/**
+ * ============================================
+ * CUSTOMERS TABLE COMPONENT
+ * ============================================
+ * 
+ * The customer directory: everyone who has booked, once, however
+ * many bookings they made.
+ * 
+ * Features:
+ * - Loads GET /api/customers, a page at a time
+ * - Search by name, email or phone
+ * - Sort by last booking, last visit, visits, no-shows or name
+ * - Visits, last visit and no-shows for each customer
+ * - Clicking a customer opens their details (CustomerDrawer)
+ * 
+ * Props:
+ * - timezone: Business timezone for showing dates
+ * - onOpenCustomer: Function called with the customer clicked
+ * - refreshKey: Changes to reload the list (e.g. after notes are saved)
+ */
+
+import { useState, useEffect } from 'react';
+import api from '../api/config';
+import { formatDate } from '../utils/dates';
+
+// Customers per page
+const PAGE_SIZE = 25;
+
+// Sort choices ("<field>-<order>")
+const SORT_OPTIONS = [
+    { value: 'lastBookedAt-desc', label: 'Last booked' },
+    { value: 'lastVisitAt-desc', label: 'Last visit' },
+    { value: 'visitCount-desc', label: 'Most visits' },
+    { value: 'noShowCount-desc', label: 'Most no-shows' },
+    { value: 'name-asc', label: 'Name (A-Z)' }
+];
+
+const CustomersTable = ({ timezone, onOpenCustomer, refreshKey }) => {
+    // Search box, and the search sent once typing pauses
+    const [searchTerm, setSearchTerm] = useState('');
+    const [search, setSearch] = useState('');
+
+    const [sort, setSort] = useState('lastBookedAt-desc');
+    const [page, setPage] = useState(1);
+
+    // Page of customers, tagged with the request it came from
+    const [result, setResult] = useState({ requestKey: '', customers: [], total: 0, pages: 0, error: '' });
+
+    // Wait until typing pauses before searching, then start from page 1
+    useEffect(() => {
+        const timer = setTimeout(() => {
+            setSearch(searchTerm.trim());
+            setPage(1);
+        }, 300);
+
+        return () => clearTimeout(timer);
+    }, [searchTerm]);
+
+    const requestKey = `${search}|${sort}|${page}|${refreshKey}`;
+
+    // Load the page
+    useEffect(() => {
+        let ignore = false;
+        const [sortField, order] = sort.split('-');
+
+        api.get('/api/customers', { params: { search: search || undefined, sort: sortField, order, page, limit: PAGE_SIZE } })
+            .then((response) => {
+                if (!ignore && response.data.success) {
+                    const { data, total, pages } = response.data;
+                    setResult({ requestKey, customers: data, total, pages, error: '' });
+                }
+            })
+            .catch((err) => {
+                if (!ignore) {
+                    setResult({ requestKey, customers: [], total: 0, pages: 0, error: err.response?.data?.message || 'Failed to load customers.' });
+                }
+            });
+
+        return () => {
+            ignore = true;
+        };
+    }, [requestKey, search, sort, page]);
+
+    const isLoading = result.requestKey !== requestKey;
+    const offset = (page - 1) * PAGE_SIZE;
+
+    return (
+        <div>
+            {/* Search and Sort */}
+            <div className="px-4 py-3 border-b border-gray-200 flex flex-col md:flex-row md:items-center gap-3 bg-gray-50">
+                <input
+                    type="text"
+                    placeholder="Search by name, email or phone..."
+                    value={searchTerm}
+                    onChange={(e) => setSearchTerm(e.target.value)}
+                    className="flex-1 text-sm border border-gray-300 rounded-lg px-3 py-2 bg-white focus:outline-none focus:ring-2 focus:ring-lime-500 focus:border-lime-500"
+                />
+                <div className="flex items-center gap-2">
+                    <label htmlFor="customer-sort" className="text-sm text-gray-600">Sort by:</label>
+                    <select
+                        id="customer-sort"
+                        value={sort}
+                        onChange={(e) => {
+                            setSort(e.target.value);
+                            setPage(1);
+                        }}
+                        className="text-sm border border-gray-300 rounded-lg px-3 py-1.5 bg-white focus:outline-none focus:ring-2 focus:ring-lime-500 focus:border-lime-500 cursor-pointer"
+                    >
+                        {SORT_OPTIONS.map(option => (
+                            <option key={option.value} value={option.value}>
+                                {option.label}
+                            </option>
+                        ))}
+                    </select>
+                </div>
+            </div>
+
+            {isLoading ? (
+                <p className="text-center text-gray-500 py-12">Loading customers...</p>
+            ) : result.error ? (
+                <p className="text-center text-red-500 py-12">{result.error}</p>
+            ) : result.customers.length === 0 ? (
+                <div className="text-center py-12">
+                    <h3 className="text-lg font-medium text-gray-500 mb-1">
+                        {search ? 'No customers found' : 'No customers yet'}
+                    </h3>
+                    <p className="text-gray-400">
+                        {search
+                            ? 'Try a different search'
+                            : 'Customers will appear here when they make a booking'}
+                    </p>
+                </div>
+            ) : (
+                <>
+                    {/* Table */}
+                    <div className="overflow-x-auto">
+                        <table className="min-w-full divide-y divide-gray-200">
+                            <thead className="bg-gray-50">
+                                <tr>
+                                    <th className="px-4 py-3 text-left text-xs font-semibold text-gray-500 uppercase tracking-wider">
+                                        Customer
+                                    </th>
+                                    <th className="px-4 py-3 text-left text-xs font-semibold text-gray-500 uppercase tracking-wider">
+                                        Phone
+                                    </th>
+                                    <th className="px-4 py-3 text-left text-xs font-semibold text-gray-500 uppercase tracking-wider">
+                                        Bookings
+                                    </th>
+                                    <th className="px-4 py-3 text-left text-xs font-semibold text-gray-500 uppercase tracking-wider">
+                                        Visits
+                                    </th>
+                                    <th className="px-4 py-3 text-left text-xs font-semibold text-gray-500 uppercase tracking-wider">
+                                        Last Visit
+                                    </th>
+                                    <th className="px-4 py-3 text-left text-xs font-semibold text-gray-500 uppercase tracking-wider">
+                                        No-shows
+                                    </th>
+                                </tr>
+                            </thead>
+                            <tbody className="bg-white divide-y divide-gray-200">
+                                {result.customers.map(customer => (
+                                    <tr
+                                        key={customer._id}
+                                        onClick={() => onOpenCustomer(customer)}
+                                        className="table-row-hover transition-colors cursor-pointer"
+                                    >
+                                        <td className="px-4 py-4 whitespace-nowrap">
+                                            <p className="text-sm font-medium text-gray-900">{customer.name}</p>
+                                            <p className="text-xs text-gray-500">{customer.email}</p>
+                                        </td>
+                                        <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-600">
+                                            {customer.phone || '—'}
+                                        </td>
+                                        <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-600">
+                                            {customer.bookingCount}
+                                        </td>
+                                        <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-600">
+                                            {customer.visitCount}
+                                        </td>
+                                        <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-600">
+                                            {customer.lastVisitAt ? formatDate(customer.lastVisitAt, timezone) : '—'}
+                                        </td>
+                                        <td className="px-4 py-4 whitespace-nowrap text-sm">
+                                            {customer.noShowCount > 0 ? (
+                                                <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-700">
+                                                    {customer.noShowCount}
+                                                </span>
+                                            ) : (
+                                                <span className="text-gray-400">0</span>
+                                            )}
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+
+                    {/* Page Controls */}
+                    <div className="px-4 py-3 border-t border-gray-200 flex items-center justify-between bg-gray-50">
+                        <span className="text-sm text-gray-600">
+                            Showing {offset + 1}-{offset + result.customers.length} of {result.total}
+                        </span>
+                        <div className="flex items-center gap-2">
+                            <button
+                                onClick={() => setPage(page - 1)}
+                                disabled={page <= 1}
+                                className="px-3 py-1.5 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                            >
+                                Previous
+                            </button>
+                            <span className="text-sm text-gray-600">
+                                Page {page} of {Math.max(result.pages, 1)}
+                            </span>
+                            <button
+                                onClick={() => setPage(page + 1)}
+                                disabled={page >= result.pages}
+                                className="px-3 py-1.5 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                            >
+                                Next
+                            </button>
+                        </div>
+                    </div>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default CustomersTable;
@@ -0,0 +1,141 @@
+/**
+ * ============================================
+ * DATE PICKER COMPONENT
+ * ============================================
+ * 
+ * A month calendar that only lets customers pick dates
+ * the business schedule offers.
+ * 
+ * Features:
+ * - Previous / next month navigation (any month)
+ * - Loads bookable dates from GET /api/schedule/dates
+ * - Closed days, holidays and past dates are greyed out
+ * - Highlights the selected date
+ * 
+ * Props:
+ * - value: Selected date ("YYYY-MM-DD") or empty string
+ * - queryParams: What is being booked, as query parameters (see SlotPicker),
+ *   so dates with no room for it are greyed out
+ * - onChange: Function called with the picked date
+ * - hasError: Boolean to show the error border
+ */
+
+import { useState, useEffect } from 'react';
+import api from '../api/config';
+import { getMonthKey, shiftMonth, formatMonthLabel } from '../utils/dates';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const DatePicker = ({ value, queryParams, onChange, hasError }) => {
+    // Month being displayed ("YYYY-MM") - starts at the selected date or today
+    const [month, setMonth] = useState(() => (value ? value.slice(0, 7) : getMonthKey(new Date())));
+
+    // Dates returned by the API, tagged with the request they belong to
+    const [monthData, setMonthData] = useState({ key: '', dates: [], error: '' });
+
+    const paramsKey = JSON.stringify(queryParams || {});
+    const requestKey = `${month}|${paramsKey}`;
+
+    // Load bookable dates whenever the displayed month (or query) changes
+    useEffect(() => {
+        let ignore = false;
+
+        api.get('/api/schedule/dates', { params: { month, ...JSON.parse(paramsKey) } })
+            .then((response) => {
+                if (!ignore && response.data.success) {
+                    setMonthData({ key: requestKey, dates: response.data.data, error: '' });
+                }
+            })
+            .catch((error) => {
+                if (!ignore) {
+                    setMonthData({ key: requestKey, dates: [], error: 'Could not load dates. Please try again.' });
+                }
+                console.error('Error fetching schedule dates:', error);
+            });
+
+        return () => {
+            ignore = true;
+        };
+    }, [month, paramsKey, requestKey]);
+
+    const isLoading = monthData.key !== requestKey;
+
+    // Blank cells before the 1st so dates line up with weekdays
+    const leadingBlanks = new Date(`${month}-01T00:00:00`).getDay();
+
+    return (
+        <div className={`rounded-xl border-2 p-4 bg-white ${hasError ? 'border-red-300' : 'border-gray-200'}`}>
+            {/* Month Navigation */}
+            <div className="flex items-center justify-between mb-3">
+                <button
+                    type="button"
+                    onClick={() => setMonth(shiftMonth(month, -1))}
+                    className="p-1.5 rounded-lg text-gray-500 hover:bg-gray-100 transition-colors"
+                    aria-label="Previous month"
+                >
+                    <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+                    </svg>
+                </button>
+                <span className="text-sm font-semibold text-gray-800">
+                    {formatMonthLabel(month)}
+                </span>
+                <button
+                    type="button"
+                    onClick={() => setMonth(shiftMonth(month, 1))}
+                    className="p-1.5 rounded-lg text-gray-500 hover:bg-gray-100 transition-colors"
+                    aria-label="Next month"
+                >
+                    <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5l7 7-7 7" />
+                    </svg>
+                </button>
+            </div>
+
+            {/* Weekday Headers */}
+            <div className="grid grid-cols-7 gap-1 mb-1">
+                {WEEKDAYS.map(day => (
+                    <span key={day} className="text-center text-xs font-medium text-gray-400">
+                        {day}
+                    </span>
+                ))}
+            </div>
+
+            {/* Day Grid */}
+            {isLoading ? (
+                <p className="text-sm text-gray-500 text-center py-8">Loading dates...</p>
+            ) : monthData.error ? (
+                <p className="text-sm text-red-500 text-center py-8">{monthData.error}</p>
+            ) : (
+                <div className="grid grid-cols-7 gap-1">
+                    {Array.from({ length: leadingBlanks }, (_, index) => (
+                        <span key={`blank-${index}`} />
+                    ))}
+                    {monthData.dates.map(({ date, available, label }) => {
+                        const isSelected = date === value;
+
+                        return (
+                            <button
+                                key={date}
+                                type="button"
+                                disabled={!available}
+                                onClick={() => onChange(date)}
+                                title={label}
+                                className={`h-9 rounded-lg text-sm transition-all duration-200 ${isSelected
+                                    ? 'text-white font-semibold btn-primary'
+                                    : available
+                                        ? 'text-gray-700 hover:bg-lime-50 hover:text-lime-800'
+                                        : 'text-gray-300 cursor-not-allowed'
+                                    }`}
+                            >
+                                {Number(date.slice(8))}
+                            </button>
+                        );
+                    })}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default DatePicker;
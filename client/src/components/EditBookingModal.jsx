@@ -0,0 +1,294 @@
+/**
+ * ============================================
+ * EDIT BOOKING MODAL COMPONENT
+ * ============================================
+ * 
+ * Lets staff and owners fix a booking's details or move it
+ * to another slot without deleting and re-entering it.
+ * 
+ * Features:
+ * - Same validation rules as the booking form (validateBookingForm)
+ * - Date and slot pickers with live availability; the current
+ *   slot stays selectable
+ * - Reassigns the booking to another staff member (once staff are
+ *   set up); the slot picker then shows their free times
+ * - Saves with PATCH /api/bookings/:id ("slot just taken" on 409)
+ * - Recurring bookings: the change applies to this appointment or
+ *   to this and following ones; later appointments that can't
+ *   move are listed and nothing is saved
+ * 
+ * Props:
+ * - booking: The booking being edited
+ * - timezone: Business timezone for showing times
+ * - onSaved: Function called with the updated booking and how many
+ *   bookings changed
+ * - onClose: Function to call when closing the modal
+ */
+
+import { useState, useEffect } from 'react';
+import api from '../api/config';
+import { validateBookingForm } from '../utils/validation';
+import { getDateKey } from '../utils/dates';
+import { getBookingQueryParams } from '../utils/services';
+import DatePicker from './DatePicker';
+import SlotPicker from './SlotPicker';
+import ScopePicker from './ScopePicker';
+import SeriesConflicts from './SeriesConflicts';
+
+// Text inputs shown at the top of the form
+const FIELDS = [
+    { name: 'name', label: 'Full Name', type: 'text' },
+    { name: 'email', label: 'Email Address', type: 'email' },
+    { name: 'phone', label: 'Phone Number', type: 'tel', maxLength: 10 }
+];
+
+const EditBookingModal = ({ booking, timezone, onSaved, onClose }) => {
+    // Form starts with the booking's current values
+    const [formData, setFormData] = useState({
+        name: booking.name,
+        email: booking.email,
+        phone: booking.phone,
+        date: getDateKey(booking.start, timezone),
+        start: booking.start,
+        staff: booking.staff || ''
+    });
+
+    // Active staff the booking can be assigned to
+    const [staffList, setStaffList] = useState([]);
+
+    const [errors, setErrors] = useState({});
+    const [isSaving, setIsSaving] = useState(false);
+    const [slotRefreshKey, setSlotRefreshKey] = useState(0);
+
+    // Which appointments of a series the change applies to
+    const [scope, setScope] = useState('this');
+
+    // Later appointments that can't follow the change
+    const [conflicts, setConflicts] = useState(null);
+
+    // Load the staff once
+    useEffect(() => {
+        let ignore = false;
+
+        api.get('/api/staff')
+            .then((response) => {
+                if (!ignore && response.data.success) {
+                    setStaffList(response.data.data);
+                }
+            })
+            .catch((error) => {
+                console.error('Error fetching staff:', error);
+            });
+
+        return () => {
+            ignore = true;
+        };
+    }, []);
+
+    // Availability for the chosen staff member
+    const queryParams = getBookingQueryParams(booking, formData.staff);
+
+    /**
+     * Updates a field and clears its error (a new date resets the slot)
+     */
+    const updateField = (name, value) => {
+        setFormData(prev => ({
+            ...prev,
+            [name]: value,
+            ...(name === 'date' && { start: '' })
+        }));
+
+        if (errors[name]) {
+            setErrors(prev => ({ ...prev, [name]: '' }));
+        }
+    };
+
+    /**
+     * Validates and saves the changes
+     */
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+
+        const formErrors = validateBookingForm(formData);
+        if (Object.keys(formErrors).length > 0) {
+            setErrors(formErrors);
+            return;
+        }
+
+        setIsSaving(true);
+        setConflicts(null);
+
+        try {
+            const { name, email, phone, start, staff } = formData;
+            const response = await api.patch(`/api/bookings/${booking._id}`, {
+                name,
+                email,
+                phone,
+                start,
+                // Only a change of staff reassigns it
+                ...(staff && staff !== booking.staff && { staff }),
+                scope
+            });
+
+            if (response.data.success) {
+                onSaved(response.data.data, response.data.updated);
+            }
+        } catch (error) {
+            // Later appointments can't move with it - nothing was saved
+            if (error.response?.data?.conflicts) {
+                setConflicts(error.response.data.conflicts);
+            } else if (error.response?.status === 409) {
+                // Slot was taken while the form was open
+                setFormData(prev => ({ ...prev, start: '' }));
+                setSlotRefreshKey(key => key + 1);
+            }
+            setErrors({ submit: error.response?.data?.message || 'Something went wrong. Please try again.' });
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    return (
+        // Modal overlay - covers the entire screen
+        <div className="fixed inset-0 z-50 overflow-y-auto">
+            {/* Semi-transparent backdrop */}
+            <div
+                className="fixed inset-0 bg-black/50 backdrop-blur-sm transition-opacity"
+                onClick={onClose}
+            />
+
+            {/* Modal container - centered */}
+            <div className="flex min-h-full items-center justify-center p-4">
+                <div className="relative bg-white rounded-2xl shadow-2xl max-w-xl w-full p-6 md:p-8 modal-animate">
+                    {/* Close button */}
+                    <button
+                        onClick={onClose}
+                        className="absolute top-4 right-4 text-gray-400 hover:text-gray-600 transition-colors"
+                    >
+                        <svg className="w-6 h-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                        </svg>
+                    </button>
+
+                    <h2 className={`text-2xl font-bold text-gray-800 ${booking.serviceName ? 'mb-1' : 'mb-6'}`}>Edit Booking</h2>
+                    {booking.serviceName && (
+                        <p className="text-sm text-gray-500 mb-6">{booking.serviceName}</p>
+                    )}
+
+                    <form onSubmit={handleSubmit} className="space-y-5">
+                        {/* Contact Fields */}
+                        {FIELDS.map(field => (
+                            <div key={field.name}>
+                                <label htmlFor={`edit-${field.name}`} className="block text-sm font-medium text-gray-700 mb-1">
+                                    {field.label} *
+                                </label>
+                                <input
+                                    id={`edit-${field.name}`}
+                                    type={field.type}
+                                    value={formData[field.name]}
+                                    maxLength={field.maxLength}
+                                    onChange={(e) => updateField(field.name, e.target.value)}
+                                    className={`w-full px-4 py-2.5 rounded-xl border-2 outline-none transition-colors ${errors[field.name]
+                                        ? 'border-red-300 focus:border-red-500 bg-red-50'
+                                        : 'border-gray-200 focus:border-lime-600 bg-white'
+                                        }`}
+                                />
+                                {errors[field.name] && (
+                                    <p className="mt-1 text-sm text-red-500">{errors[field.name]}</p>
+                                )}
+                            </div>
+                        ))}
+
+                        {/* Staff */}
+                        {staffList.length > 0 && (
+                            <div>
+                                <label htmlFor="edit-staff" className="block text-sm font-medium text-gray-700 mb-1">
+                                    Staff
+                                </label>
+                                <select
+                                    id="edit-staff"
+                                    value={formData.staff}
+                                    onChange={(e) => updateField('staff', e.target.value)}
+                                    className="w-full px-4 py-2.5 rounded-xl border-2 border-gray-200 focus:border-lime-600 outline-none bg-white"
+                                >
+                                    {!booking.staff && <option value="">Unassigned</option>}
+                                    {booking.staff && !staffList.some(member => member._id === booking.staff) && (
+                                        <option value={booking.staff}>{booking.staffName} (inactive)</option>
+                                    )}
+                                    {staffList.map(member => (
+                                        <option key={member._id} value={member._id}>
+                                            {member.name}{member.title ? ` - ${member.title}` : ''}
+                                        </option>
+                                    ))}
+                                </select>
+                            </div>
+                        )}
+
+                        {/* Date Picker */}
+                        <div>
+                            <span className="block text-sm font-medium text-gray-700 mb-1">
+                                Appointment Date *
+                            </span>
+                            <DatePicker
+                                value={formData.date}
+                                queryParams={queryParams}
+                                onChange={(date) => updateField('date', date)}
+                                hasError={Boolean(errors.date)}
+                            />
+                            {errors.date && (
+                                <p className="mt-1 text-sm text-red-500">{errors.date}</p>
+                            )}
+                        </div>
+
+                        {/* Time Slot Grid */}
+                        <SlotPicker
+                            label="Time Slot *"
+                            date={formData.date}
+                            queryParams={queryParams}
+                            value={formData.start}
+                            onChange={(start) => updateField('start', start)}
+                            error={errors.start}
+                            refreshKey={slotRefreshKey}
+                            currentStart={booking.start}
+                            currentSelectable
+                        />
+
+                        <ScopePicker booking={booking} value={scope} onChange={setScope} />
+
+                        <SeriesConflicts
+                            conflicts={conflicts}
+                            timezone={timezone}
+                            title="These appointments can't follow the change:"
+                        />
+
+                        {/* Submit Error Message */}
+                        {errors.submit && (
+                            <div className="bg-red-50 border border-red-200 rounded-xl p-3 text-sm text-red-600">
+                                {errors.submit}
+                            </div>
+                        )}
+
+                        <div className="flex gap-3">
+                            <button
+                                type="button"
+                                onClick={onClose}
+                                className="flex-1 py-3 px-4 rounded-xl border-2 border-gray-200 text-gray-700 font-semibold hover:bg-gray-50 transition-colors"
+                            >
+                                Cancel
+                            </button>
+                            <button
+                                type="submit"
+                                disabled={isSaving}
+                                className="flex-1 py-3 px-4 rounded-xl text-white font-semibold btn-primary disabled:opacity-70 disabled:cursor-not-allowed"
+                            >
+                                {isSaving ? 'Saving...' : 'Save Changes'}
+                            </button>
+                        </div>
+                    </form>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default EditBookingModal;
@@ -0,0 +1,155 @@
+/**
+ * ============================================
+ * HISTORY DRAWER COMPONENT
+ * ============================================
+ * 
+ * A panel that slides in from the right with the audit
+ * history of one booking (GET /api/audit?booking=:id).
+ * 
+ * Each entry shows:
+ * - What happened and when
+ * - Who did it (admin username or "customer") and from which IP
+ * - The fields that changed, before and after
+ * 
+ * Props:
+ * - booking: The booking whose history is shown
+ * - timezone: Business timezone for showing times
+ * - onClose: Function to call when closing the drawer
+ */
+
+import { useState, useEffect } from 'react';
+import api from '../api/config';
+import { formatDateTime } from '../utils/dates';
+import { STATUS_DISPLAY } from '../utils/status';
+
+// Heading for each audit action
+const ACTION_LABELS = {
+    create: 'Booked',
+    reschedule: 'Rescheduled',
+    update: 'Edited',
+    status: 'Status changed',
+    delete: 'Moved to trash',
+    restore: 'Restored',
+    purge: 'Permanently deleted'
+};
+
+// Readable names for the audited booking fields
+const FIELD_LABELS = {
+    name: 'Name',
+    email: 'Email',
+    phone: 'Phone',
+    staffName: 'Staff',
+    start: 'Start',
+    end: 'End',
+    status: 'Status',
+    deletedAt: 'Deleted'
+};
+
+const DATE_FIELDS = ['start', 'end', 'deletedAt'];
+
+const HistoryDrawer = ({ booking, timezone, onClose }) => {
+    // Audit entries, tagged with the booking they belong to
+    const [history, setHistory] = useState({ bookingId: '', entries: [], error: '' });
+
+    // Load the booking's history
+    useEffect(() => {
+        let ignore = false;
+
+        api.get('/api/audit', { params: { booking: booking._id, limit: 200 } })
+            .then((response) => {
+                if (!ignore && response.data.success) {
+                    setHistory({ bookingId: booking._id, entries: response.data.data, error: '' });
+                }
+            })
+            .catch((err) => {
+                if (!ignore) {
+                    setHistory({ bookingId: booking._id, entries: [], error: err.response?.data?.message || 'Failed to load history.' });
+                }
+            });
+
+        return () => {
+            ignore = true;
+        };
+    }, [booking._id]);
+
+    const isLoading = history.bookingId !== booking._id;
+
+    /**
+     * Formats a before/after value for display
+     */
+    const formatValue = (field, value) => {
+        if (value === null || value === undefined || value === '') return '—';
+        if (DATE_FIELDS.includes(field)) return formatDateTime(value, timezone);
+        if (field === 'status') return STATUS_DISPLAY[value]?.label || value;
+        return String(value);
+    };
+
+    return (
+        <div className="fixed inset-0 z-50">
+            {/* Semi-transparent backdrop */}
+            <div
+                className="fixed inset-0 bg-black/50 backdrop-blur-sm transition-opacity"
+                onClick={onClose}
+            />
+
+            {/* Drawer panel */}
+            <div className="fixed inset-y-0 right-0 w-full max-w-md bg-white shadow-2xl flex flex-col">
+                {/* Header */}
+                <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+                    <div>
+                        <h2 className="text-lg font-bold text-gray-900">History</h2>
+                        <p className="text-sm text-gray-500">{booking.name}</p>
+                    </div>
+                    <button
+                        onClick={onClose}
+                        className="text-gray-400 hover:text-gray-600 transition-colors"
+                        aria-label="Close"
+                    >
+                        <svg className="w-6 h-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                        </svg>
+                    </button>
+                </div>
+
+                {/* Entries */}
+                <div className="flex-1 overflow-y-auto px-6 py-4">
+                    {isLoading ? (
+                        <p className="text-sm text-gray-500">Loading history...</p>
+                    ) : history.error ? (
+                        <p className="text-sm text-red-500">{history.error}</p>
+                    ) : history.entries.length === 0 ? (
+                        <p className="text-sm text-gray-400">No recorded changes for this booking.</p>
+                    ) : (
+                        <ol className="space-y-4">
+                            {history.entries.map(entry => (
+                                <li key={entry._id} className="border-l-2 border-lime-500 pl-4">
+                                    <p className="text-sm font-semibold text-gray-800">
+                                        {ACTION_LABELS[entry.action] || entry.action}
+                                    </p>
+                                    <p className="text-xs text-gray-500 mb-2">
+                                        {formatDateTime(entry.createdAt, timezone)} &middot; {entry.actorName}
+                                        {entry.ip && <> &middot; {entry.ip}</>}
+                                    </p>
+                                    {entry.changes.length > 0 && (
+                                        <ul className="space-y-1">
+                                            {entry.changes.map(change => (
+                                                <li key={change.field} className="text-xs text-gray-600">
+                                                    <span className="font-medium text-gray-700">{FIELD_LABELS[change.field] || change.field}:</span>{' '}
+                                                    <span className="line-through text-gray-400">{formatValue(change.field, change.before)}</span>
+                                                    {' → '}
+                                                    <span>{formatValue(change.field, change.after)}</span>
+                                                </li>
+                                            ))}
+                                        </ul>
+                                    )}
+                                </li>
+                            ))}
+                        </ol>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default HistoryDrawer;
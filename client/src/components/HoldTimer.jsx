@@ -0,0 +1,49 @@
+/**
+ * ============================================
+ * HOLD TIMER COMPONENT
+ * ============================================
+ * 
+ * Counts down how long the booking form's picked slot stays held
+ * for the customer (see POST /api/holds), and turns amber in the
+ * last minute.
+ * 
+ * Props:
+ * - expiresAt: When the hold runs out (ISO timestamp)
+ * - onExpire: Function called when the time is up
+ *   (keep it stable with useCallback so the timer doesn't restart)
+ */
+
+import { useState, useEffect } from 'react';
+
+const HoldTimer = ({ expiresAt, onExpire }) => {
+    // Current time, updated once a second
+    const [now, setNow] = useState(() => Date.now());
+
+    // Tick once a second
+    useEffect(() => {
+        const interval = setInterval(() => setNow(Date.now()), 1000);
+        return () => clearInterval(interval);
+    }, []);
+
+    // Let the form know when the time is up
+    useEffect(() => {
+        const timer = setTimeout(onExpire, new Date(expiresAt).getTime() - Date.now());
+        return () => clearTimeout(timer);
+    }, [expiresAt, onExpire]);
+
+    const secondsLeft = Math.max(Math.ceil((new Date(expiresAt).getTime() - now) / 1000), 0);
+    const minutes = Math.floor(secondsLeft / 60);
+    const seconds = String(secondsLeft % 60).padStart(2, '0');
+    const isEnding = secondsLeft <= 60;
+
+    return (
+        <p className={`text-sm flex items-center rounded-xl px-4 py-2 ${isEnding ? 'bg-amber-50 text-amber-800' : 'bg-green-50 text-green-700'}`}>
+            <svg className="w-4 h-4 mr-2" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+            </svg>
+            We're holding this time for you for {minutes}:{seconds}
+        </p>
+    );
+};
+
+export default HoldTimer;
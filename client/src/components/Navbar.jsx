@@ -4,8 +4,9 @@
  * ============================================
  * 
  * A responsive navigation bar that:
- * - Shows the app logo/title
- * - Provides navigation links (Home, Admin)
+ * - Shows the app logo/title, and the business location's name
+ *   when the page is for one (/b/<slug> or its subdomain)
+ * - Provides navigation links (Home, My Bookings, Admin)
  * - Has a mobile-friendly hamburger menu
  * 
  * Used on all pages for consistent navigation.
@@ -13,19 +14,42 @@
  * Theme Colors: Earthy Green (#30cfd0, #330867)
  */
 
-import { useState } from 'react';
+import { useEffect, useState } from 'react';
 import { Link, useLocation } from 'react-router-dom';
+import api from '../api/config';
+import { TENANT_SLUG } from '../utils/tenant';
 
 const Navbar = () => {
     // Track mobile menu state
     const [isOpen, setIsOpen] = useState(false);
 
+    // Name of the business location, if the page is for one
+    const [locationName, setLocationName] = useState('');
+
     // Get current route to highlight active link
     const location = useLocation();
 
     // Check if a link is currently active
     const isActive = (path) => location.pathname === path;
 
+    // Load the location's name (the default location shows none)
+    useEffect(() => {
+        if (!TENANT_SLUG) return;
+        let ignore = false;
+
+        api.get('/api/business')
+            .then((response) => {
+                if (!ignore) setLocationName(response.data.data.name);
+            })
+            .catch(() => {
+                // Not shown - the pages report an unknown location themselves
+            });
+
+        return () => {
+            ignore = true;
+        };
+    }, []);
+
     return (
         <nav className="bg-white/95 backdrop-blur-sm shadow-lg sticky top-0 z-50">
             <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
@@ -59,6 +83,11 @@ const Navbar = () => {
                             >
                                 BookMySlot
                             </span>
+                            {locationName && (
+                                <span className="hidden sm:inline text-sm font-medium text-gray-500 border-l border-gray-200 pl-2">
+                                    {locationName}
+                                </span>
+                            )}
                         </Link>
                     </div>
 
@@ -74,6 +103,16 @@ const Navbar = () => {
                         >
                             Book Appointment
                         </Link>
+                        <Link
+                            to="/account"
+                            className={`px-3 py-2 rounded-md text-sm font-medium transition-all duration-200 ${isActive('/account')
+                                ? 'bg-green-50'
+                                : 'text-gray-600 hover:bg-green-50'
+                                }`}
+                            style={isActive('/account') ? { color: '#330867' } : {}}
+                        >
+                            My Bookings
+                        </Link>
                         <Link
                             to="/admin"
                             className={`px-3 py-2 rounded-md text-sm font-medium transition-all duration-200 ${isActive('/admin')
@@ -125,6 +164,17 @@ const Navbar = () => {
                         >
                             Book Appointment
                         </Link>
+                        <Link
+                            to="/account"
+                            onClick={() => setIsOpen(false)}
+                            className={`block px-3 py-2 rounded-md text-base font-medium ${isActive('/account')
+                                ? 'bg-green-50'
+                                : 'text-gray-600 hover:bg-green-50'
+                                }`}
+                            style={isActive('/account') ? { color: '#330867' } : {}}
+                        >
+                            My Bookings
+                        </Link>
                         <Link
                             to="/admin"
                             onClick={() => setIsOpen(false)}
@@ -0,0 +1,82 @@
+/**
+ * ============================================
+ * REPEAT PICKER COMPONENT
+ * ============================================
+ * 
+ * Lets customers book the same slot again every week, every two
+ * weeks or every month, for a number of appointments or until a date.
+ * 
+ * Features:
+ * - "Doesn't repeat" by default
+ * - Ends after a number of appointments (2 to 52) or on a date
+ * 
+ * Props:
+ * - value: { frequency, ends: 'count' | 'until', count, until }
+ * - onChange: Function called with the new value
+ * - minDate: First date the series could end on ("YYYY-MM-DD")
+ */
+
+import { FREQUENCIES, MAX_OCCURRENCES } from '../utils/recurrence';
+
+const RepeatPicker = ({ value, onChange, minDate }) => {
+    const update = (changes) => onChange({ ...value, ...changes });
+
+    return (
+        <div>
+            <label htmlFor="frequency" className="block text-sm font-medium text-gray-700 mb-2">
+                Repeat
+            </label>
+            <select
+                id="frequency"
+                value={value.frequency}
+                onChange={(e) => update({ frequency: e.target.value })}
+                className="w-full px-4 py-3 rounded-xl border-2 border-gray-200 focus:border-lime-600 bg-white outline-none form-input"
+            >
+                {FREQUENCIES.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+            </select>
+
+            {value.frequency && (
+                <div className="mt-3 flex flex-wrap items-center gap-x-4 gap-y-2 text-sm text-gray-700">
+                    <label className="flex items-center gap-2">
+                        <input
+                            type="radio"
+                            name="repeatEnds"
+                            checked={value.ends === 'count'}
+                            onChange={() => update({ ends: 'count' })}
+                        />
+                        After
+                        <input
+                            type="number"
+                            min={2}
+                            max={MAX_OCCURRENCES}
+                            value={value.count}
+                            onChange={(e) => update({ ends: 'count', count: e.target.value })}
+                            className="w-16 px-2 py-1 rounded-lg border-2 border-gray-200 focus:border-lime-600 outline-none"
+                        />
+                        appointments
+                    </label>
+                    <label className="flex items-center gap-2">
+                        <input
+                            type="radio"
+                            name="repeatEnds"
+                            checked={value.ends === 'until'}
+                            onChange={() => update({ ends: 'until' })}
+                        />
+                        Until
+                        <input
+                            type="date"
+                            min={minDate}
+                            value={value.until}
+                            onChange={(e) => update({ ends: 'until', until: e.target.value })}
+                            className="px-2 py-1 rounded-lg border-2 border-gray-200 focus:border-lime-600 outline-none"
+                        />
+                    </label>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default RepeatPicker;
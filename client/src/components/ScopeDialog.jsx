@@ -0,0 +1,68 @@
+/**
+ * ============================================
+ * SCOPE DIALOG COMPONENT
+ * ============================================
+ * 
+ * Asks whether a change to a recurring booking applies to this
+ * appointment only or to this one and the later ones, before
+ * it is made (e.g. confirming or cancelling from the table).
+ * 
+ * Props:
+ * - booking: The recurring booking being changed
+ * - title: Dialog heading, e.g. "Cancel booking"
+ * - message: What the change does
+ * - confirmLabel: Label of the confirm button
+ * - onConfirm: Function called with the chosen scope
+ * - onClose: Function to call when closing without a change
+ */
+
+import { useState } from 'react';
+import ScopePicker from './ScopePicker';
+import { describeSeries } from '../utils/recurrence';
+
+const ScopeDialog = ({ booking, title, message, confirmLabel, onConfirm, onClose }) => {
+    const [scope, setScope] = useState('this');
+
+    return (
+        // Modal overlay - covers the entire screen
+        <div className="fixed inset-0 z-50 overflow-y-auto">
+            {/* Semi-transparent backdrop */}
+            <div
+                className="fixed inset-0 bg-black/50 backdrop-blur-sm transition-opacity"
+                onClick={onClose}
+            />
+
+            {/* Modal container - centered */}
+            <div className="flex min-h-full items-center justify-center p-4">
+                <div className="relative bg-white rounded-2xl shadow-2xl max-w-md w-full p-6 md:p-8 modal-animate">
+                    <h2 className="text-xl font-bold text-gray-800 mb-1">{title}</h2>
+                    <p className="text-sm text-gray-500 mb-4">
+                        {booking.name} · {describeSeries(booking)}
+                    </p>
+                    <p className="text-gray-700 mb-5">{message}</p>
+
+                    <ScopePicker booking={booking} value={scope} onChange={setScope} name="dialogScope" />
+
+                    <div className="flex gap-3 mt-6">
+                        <button
+                            type="button"
+                            onClick={onClose}
+                            className="flex-1 py-3 px-4 rounded-xl border-2 border-gray-200 text-gray-700 font-semibold hover:bg-gray-50 transition-colors"
+                        >
+                            Back
+                        </button>
+                        <button
+                            type="button"
+                            onClick={() => onConfirm(scope)}
+                            className="flex-1 py-3 px-4 rounded-xl text-white font-semibold btn-primary"
+                        >
+                            {confirmLabel}
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ScopeDialog;
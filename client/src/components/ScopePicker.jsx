@@ -0,0 +1,52 @@
+/**
+ * ============================================
+ * SCOPE PICKER COMPONENT
+ * ============================================
+ * 
+ * For a booking in a recurring series: whether a change applies
+ * to this appointment only, or to this one and the later ones.
+ * Shows nothing for one-off bookings.
+ * 
+ * Props:
+ * - booking: The booking being changed ({ series })
+ * - value: 'this' | 'following'
+ * - onChange: Function called with the new scope
+ * - name: Radio group name (default "scope")
+ */
+
+import { SCOPES } from '../utils/recurrence';
+
+const ScopePicker = ({ booking, value, onChange, name = 'scope' }) => {
+    if (!booking?.series) return null;
+
+    return (
+        <fieldset>
+            <legend className="block text-sm font-medium text-gray-700 mb-2">
+                Apply to
+            </legend>
+            <div className="grid grid-cols-2 gap-2">
+                {SCOPES.map(scope => (
+                    <label
+                        key={scope.value}
+                        className={`flex items-center justify-center py-2 rounded-xl border-2 text-sm font-medium cursor-pointer transition-all duration-200 ${value === scope.value
+                            ? 'border-transparent text-white btn-primary'
+                            : 'border-gray-200 bg-white text-gray-700 hover:border-lime-600'
+                            }`}
+                    >
+                        <input
+                            type="radio"
+                            name={name}
+                            value={scope.value}
+                            checked={value === scope.value}
+                            onChange={() => onChange(scope.value)}
+                            className="sr-only"
+                        />
+                        {scope.label}
+                    </label>
+                ))}
+            </div>
+        </fieldset>
+    );
+};
+
+export default ScopePicker;
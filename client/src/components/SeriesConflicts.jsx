@@ -0,0 +1,43 @@
+/**
+ * ============================================
+ * SERIES CONFLICTS COMPONENT
+ * ============================================
+ * 
+ * Lists the appointments of a recurring series that can't be
+ * booked or moved, as returned with a 409 by the API
+ * ({ conflicts: [{ date, start, reason, message }] }).
+ * 
+ * Props:
+ * - conflicts: Conflicts from the API
+ * - timezone: Business timezone for the dates and times
+ * - title: Heading above the list
+ * - children: Actions shown under the list (optional)
+ */
+
+import { formatDateTime } from '../utils/dates';
+
+const SeriesConflicts = ({ conflicts, timezone, title, children }) => {
+    if (!conflicts?.length) return null;
+
+    return (
+        <div className="bg-amber-50 border border-amber-200 rounded-xl p-4">
+            <p className="text-sm font-semibold text-amber-800 mb-2">{title}</p>
+            <ul className="space-y-1 text-sm text-amber-900 max-h-40 overflow-y-auto">
+                {conflicts.map(conflict => (
+                    <li key={conflict.date} className="flex justify-between gap-3">
+                        <span>
+                            {conflict.start
+                                ? formatDateTime(conflict.start, timezone)
+                                // Dates that don't exist (e.g. 31 April) have no time
+                                : conflict.date}
+                        </span>
+                        <span className="text-amber-700">{conflict.message}</span>
+                    </li>
+                ))}
+            </ul>
+            {children && <div className="mt-3 flex flex-wrap gap-2">{children}</div>}
+        </div>
+    );
+};
+
+export default SeriesConflicts;
@@ -0,0 +1,102 @@
+/**
+ * ============================================
+ * SERVICE PICKER COMPONENT
+ * ============================================
+ * 
+ * The first step of the booking form: a list of the services
+ * the business offers, with their length and price.
+ * 
+ * Features:
+ * - Loads active services from GET /api/services
+ * - Shows each service's description, duration and price, and the
+ *   deposit paid online when booking, if it has one
+ * - Highlights the selected service
+ * 
+ * Props:
+ * - value: _id of the selected service, or empty string
+ * - onChange: Function called with the picked service and the
+ *   currency its price is in
+ */
+
+import { useState, useEffect } from 'react';
+import api from '../api/config';
+import { formatDuration, formatPrice } from '../utils/services';
+
+const ServicePicker = ({ value, onChange }) => {
+    // Services returned by the API
+    const [catalogue, setCatalogue] = useState({ services: [], currency: '', error: '' });
+    const [isLoading, setIsLoading] = useState(true);
+
+    // Load the services once
+    useEffect(() => {
+        let ignore = false;
+
+        api.get('/api/services')
+            .then((response) => {
+                if (!ignore && response.data.success) {
+                    setCatalogue({ services: response.data.data, currency: response.data.currency, error: '' });
+                }
+            })
+            .catch((error) => {
+                if (!ignore) {
+                    setCatalogue({ services: [], currency: '', error: 'Could not load services. Please try again.' });
+                }
+                console.error('Error fetching services:', error);
+            })
+            .finally(() => {
+                if (!ignore) setIsLoading(false);
+            });
+
+        return () => {
+            ignore = true;
+        };
+    }, []);
+
+    const { services, currency } = catalogue;
+
+    if (isLoading) {
+        return <p className="text-sm text-gray-500">Loading services...</p>;
+    }
+
+    if (catalogue.error) {
+        return <p className="text-sm text-red-500">{catalogue.error}</p>;
+    }
+
+    if (services.length === 0) {
+        return <p className="text-sm text-gray-400">No services are open for booking right now.</p>;
+    }
+
+    return (
+        <div className="space-y-3">
+            {services.map((service) => {
+                const isSelected = value === service._id;
+
+                return (
+                    <button
+                        key={service._id}
+                        type="button"
+                        onClick={() => onChange(service, currency)}
+                        className={`w-full px-4 py-3 rounded-xl border-2 text-left transition-all duration-200 ${isSelected
+                            ? 'border-transparent text-white btn-primary'
+                            : 'border-gray-200 bg-white text-gray-700 hover:border-lime-600'
+                            }`}
+                    >
+                        <span className="flex items-center justify-between gap-3">
+                            <span className="font-semibold">{service.name}</span>
+                            <span className="text-sm font-semibold whitespace-nowrap">
+                                {formatPrice(service.price, currency)}
+                            </span>
+                        </span>
+                        <span className={`block text-sm ${isSelected ? 'text-white/80' : 'text-gray-500'}`}>
+                            {formatDuration(service.durationMinutes)}
+                            {service.deposit > 0 && ` · ${formatPrice(service.deposit, currency)} deposit`}
+                            {service.description && ` · ${service.description}`}
+                        </span>
+                    </button>
+                );
+            })}
+        </div>
+    );
+};
+
+export default ServicePicker;
@@ -0,0 +1,337 @@
+/**
+ * ============================================
+ * SERVICES MODAL COMPONENT
+ * ============================================
+ * 
+ * Lets owners manage the services customers can book:
+ * - Lists every service with its duration, buffer, price and deposit
+ * - Shows or hides a service on the booking form
+ * - Edits or removes a service
+ * - Adds new services
+ * 
+ * A deposit is paid online when the service is booked (see
+ * utils/payments.js on the server).
+ * 
+ * Existing bookings keep the service details they were booked
+ * with. All changes go through /api/services (owner-only).
+ * 
+ * Props:
+ * - onClose: Function to call when closing the modal
+ */
+
+import { useState, useEffect } from 'react';
+import api from '../api/config';
+import { formatDuration, formatPrice } from '../utils/services';
+
+const EMPTY_SERVICE = { name: '', description: '', durationMinutes: '60', bufferMinutes: '0', price: '0', deposit: '0' };
+
+const ServicesModal = ({ onClose }) => {
+    // Every service, including hidden ones
+    const [services, setServices] = useState([]);
+    const [currency, setCurrency] = useState('');
+    const [isLoading, setIsLoading] = useState(true);
+
+    // Error message from the last action
+    const [error, setError] = useState('');
+
+    // Add / edit form - editingId is null when adding
+    const [form, setForm] = useState(EMPTY_SERVICE);
+    const [editingId, setEditingId] = useState(null);
+    const [isSaving, setIsSaving] = useState(false);
+
+    // Load services when the modal opens
+    useEffect(() => {
+        let ignore = false;
+
+        api.get('/api/services', { params: { all: true } })
+            .then((response) => {
+                if (!ignore && response.data.success) {
+                    setServices(response.data.data);
+                    setCurrency(response.data.currency);
+                }
+            })
+            .catch((err) => {
+                if (!ignore) setError(err.response?.data?.message || 'Failed to load services.');
+            })
+            .finally(() => {
+                if (!ignore) setIsLoading(false);
+            });
+
+        return () => {
+            ignore = true;
+        };
+    }, []);
+
+    /**
+     * Replaces one service in the list with the server's copy
+     */
+    const replaceService = (updated) => {
+        setServices(prev => prev.map(s => (s._id === updated._id ? updated : s)));
+    };
+
+    /**
+     * Shows or hides a service on the booking form
+     */
+    const handleToggleActive = async (service) => {
+        setError('');
+        try {
+            const response = await api.patch(`/api/services/${service._id}`, { active: !service.active });
+            replaceService(response.data.data);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to update service.');
+        }
+    };
+
+    /**
+     * Removes a service after confirmation
+     */
+    const handleDelete = async (service) => {
+        if (!window.confirm(`Remove ${service.name}? Existing bookings keep their details. To stop offering it for now, hide it instead.`)) {
+            return;
+        }
+
+        setError('');
+        try {
+            await api.delete(`/api/services/${service._id}`);
+            setServices(prev => prev.filter(s => s._id !== service._id));
+            if (editingId === service._id) {
+                setEditingId(null);
+                setForm(EMPTY_SERVICE);
+            }
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to remove service.');
+        }
+    };
+
+    /**
+     * Loads a service into the form for editing
+     */
+    const handleEdit = (service) => {
+        setError('');
+        setEditingId(service._id);
+        setForm({
+            name: service.name,
+            description: service.description || '',
+            durationMinutes: String(service.durationMinutes),
+            bufferMinutes: String(service.bufferMinutes),
+            price: String(service.price),
+            deposit: String(service.deposit || 0)
+        });
+    };
+
+    const cancelEdit = () => {
+        setEditingId(null);
+        setForm(EMPTY_SERVICE);
+    };
+
+    /**
+     * Creates a service, or saves the one being edited
+     */
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+
+        const body = {
+            ...form,
+            durationMinutes: Number(form.durationMinutes),
+            bufferMinutes: Number(form.bufferMinutes),
+            price: Number(form.price),
+            deposit: Number(form.deposit)
+        };
+
+        try {
+            setIsSaving(true);
+            if (editingId) {
+                const response = await api.patch(`/api/services/${editingId}`, body);
+                replaceService(response.data.data);
+            } else {
+                const response = await api.post('/api/services', body);
+                setServices(prev => [...prev, response.data.data]);
+            }
+            cancelEdit();
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to save service.');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const updateForm = (e) => {
+        const { name, value } = e.target;
+        setForm(prev => ({ ...prev, [name]: value }));
+    };
+
+    return (
+        // Modal overlay - covers the entire screen
+        <div className="fixed inset-0 z-50 overflow-y-auto">
+            {/* Semi-transparent backdrop */}
+            <div
+                className="fixed inset-0 bg-black/50 backdrop-blur-sm transition-opacity"
+                onClick={onClose}
+            />
+
+            {/* Modal container - centered */}
+            <div className="flex min-h-full items-center justify-center p-4">
+                <div className="relative bg-white rounded-2xl shadow-2xl max-w-2xl w-full p-6 md:p-8 modal-animate">
+                    {/* Close button */}
+                    <button
+                        onClick={onClose}
+                        className="absolute top-4 right-4 text-gray-400 hover:text-gray-600 transition-colors"
+                    >
+                        <svg className="w-6 h-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                        </svg>
+                    </button>
+
+                    <h2 className="text-2xl font-bold text-gray-800 mb-1">Services</h2>
+                    <p className="text-sm text-gray-500 mb-6">
+                        Customers pick a service first; its duration decides which times are offered,
+                        and its buffer keeps time free after each appointment.
+                    </p>
+
+                    {error && (
+                        <div className="bg-red-50 border border-red-200 rounded-xl p-3 mb-4 text-sm text-red-600">
+                            {error}
+                        </div>
+                    )}
+
+                    {/* Services List */}
+                    {isLoading ? (
+                        <p className="text-gray-500 text-sm mb-6">Loading services...</p>
+                    ) : (
+                        <div className="divide-y divide-gray-100 border border-gray-200 rounded-xl mb-6">
+                            {services.map(service => (
+                                <div key={service._id} className="flex items-center justify-between gap-3 px-4 py-3">
+                                    <div className={service.active ? '' : 'opacity-50'}>
+                                        <p className="text-sm font-medium text-gray-900">
+                                            {service.name}
+                                            {!service.active && <span className="ml-2 text-xs text-gray-400">(hidden)</span>}
+                                        </p>
+                                        <p className="text-xs text-gray-500">
+                                            {formatDuration(service.durationMinutes)}
+                                            {service.bufferMinutes > 0 && ` + ${formatDuration(service.bufferMinutes)} buffer`}
+                                            {' · '}
+                                            {formatPrice(service.price, currency)}
+                                            {service.deposit > 0 && `, ${formatPrice(service.deposit, currency)} deposit`}
+                                        </p>
+                                    </div>
+                                    <div className="flex items-center gap-3 text-sm">
+                                        <button
+                                            onClick={() => handleToggleActive(service)}
+                                            className="text-gray-600 hover:text-gray-900"
+                                        >
+                                            {service.active ? 'Hide' : 'Show'}
+                                        </button>
+                                        <button
+                                            onClick={() => handleEdit(service)}
+                                            className="hover:underline"
+                                            style={{ color: '#330867' }}
+                                        >
+                                            Edit
+                                        </button>
+                                        <button
+                                            onClick={() => handleDelete(service)}
+                                            className="text-red-500 hover:text-red-700"
+                                        >
+                                            Remove
+                                        </button>
+                                    </div>
+                                </div>
+                            ))}
+                        </div>
+                    )}
+
+                    {/* Add / Edit Service Form */}
+                    <form onSubmit={handleSubmit} className="grid grid-cols-1 sm:grid-cols-4 gap-3">
+                        <h3 className="sm:col-span-4 text-sm font-semibold text-gray-700">
+                            {editingId ? 'Edit service' : 'Add a service'}
+                        </h3>
+                        <input
+                            name="name"
+                            value={form.name}
+                            onChange={updateForm}
+                            placeholder="Name, e.g. 30-min consult"
+                            className="sm:col-span-4 px-3 py-2 rounded-lg border-2 border-gray-200 focus:border-lime-600 outline-none text-sm"
+                        />
+                        <input
+                            name="description"
+                            value={form.description}
+                            onChange={updateForm}
+                            placeholder="Short description (optional)"
+                            className="sm:col-span-4 px-3 py-2 rounded-lg border-2 border-gray-200 focus:border-lime-600 outline-none text-sm"
+                        />
+                        <label className="text-xs text-gray-500">
+                            Duration (minutes)
+                            <input
+                                type="number"
+                                name="durationMinutes"
+                                value={form.durationMinutes}
+                                onChange={updateForm}
+                                min="5"
+                                step="5"
+                                className="mt-1 w-full px-3 py-2 rounded-lg border-2 border-gray-200 focus:border-lime-600 outline-none text-sm text-gray-900"
+                            />
+                        </label>
+                        <label className="text-xs text-gray-500">
+                            Buffer after (minutes)
+                            <input
+                                type="number"
+                                name="bufferMinutes"
+                                value={form.bufferMinutes}
+                                onChange={updateForm}
+                                min="0"
+                                step="5"
+                                className="mt-1 w-full px-3 py-2 rounded-lg border-2 border-gray-200 focus:border-lime-600 outline-none text-sm text-gray-900"
+                            />
+                        </label>
+                        <label className="text-xs text-gray-500">
+                            Price ({currency || 'INR'})
+                            <input
+                                type="number"
+                                name="price"
+                                value={form.price}
+                                onChange={updateForm}
+                                min="0"
+                                step="any"
+                                className="mt-1 w-full px-3 py-2 rounded-lg border-2 border-gray-200 focus:border-lime-600 outline-none text-sm text-gray-900"
+                            />
+                        </label>
+                        <label className="text-xs text-gray-500">
+                            Deposit online ({currency || 'INR'})
+                            <input
+                                type="number"
+                                name="deposit"
+                                value={form.deposit}
+                                onChange={updateForm}
+                                min="0"
+                                max={form.price}
+                                step="any"
+                                className="mt-1 w-full px-3 py-2 rounded-lg border-2 border-gray-200 focus:border-lime-600 outline-none text-sm text-gray-900"
+                            />
+                        </label>
+                        <div className="sm:col-span-4 flex gap-3">
+                            <button
+                                type="submit"
+                                disabled={isSaving || !form.name || !form.durationMinutes}
+                                className="flex-1 py-2.5 rounded-xl text-white font-semibold btn-primary disabled:opacity-70 disabled:cursor-not-allowed"
+                            >
+                                {isSaving ? 'Saving...' : editingId ? 'Save Changes' : 'Add Service'}
+                            </button>
+                            {editingId && (
+                                <button
+                                    type="button"
+                                    onClick={cancelEdit}
+                                    className="px-4 py-2.5 rounded-xl text-sm font-medium text-gray-700 border border-gray-300 hover:bg-gray-50"
+                                >
+                                    Cancel
+                                </button>
+                            )}
+                        </div>
+                    </form>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ServicesModal;
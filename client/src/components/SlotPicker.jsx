@@ -0,0 +1,165 @@
+/**
+ * ============================================
+ * SLOT PICKER COMPONENT
+ * ============================================
+ * 
+ * A grid of time slots for one date with live availability.
+ * Used by the booking form and the manage booking page.
+ * 
+ * Features:
+ * - Loads GET /api/availability whenever the date or what is being booked changes
+ * - "2 left" badges, full slots greyed out
+ * - Slot times shown in the business timezone
+ * - Optionally marks the customer's current slot
+ * - Optionally lets full slots be picked to join their waitlist
+ * 
+ * Props:
+ * - label: Text shown above the grid
+ * - date: Selected date ("YYYY-MM-DD") or empty string
+ * - queryParams: What is being booked, as availability query parameters -
+ *   { service, staff } for a new booking, { duration, buffer, staff }
+ *   when moving an existing one (see utils/services.js)
+ * - value: Start time (ISO) of the selected slot
+ * - onChange: Function called with the picked slot's start time
+ * - error: Error message for the slot field
+ * - refreshKey: Change this to reload availability (e.g. after a 409)
+ * - currentStart: Start time of the slot the booking is already in
+ * - currentSelectable: Let the current slot be picked again (admin edit form)
+ * - onWaitlist: Function called with a full slot's start time; omit to
+ *   keep full slots disabled
+ * - waitlistValue: Start time (ISO) of the full slot picked for the waitlist
+ */
+
+import { useState, useEffect } from 'react';
+import api from '../api/config';
+import { formatTimeRange, getTimeZoneLabel } from '../utils/dates';
+
+const SlotPicker = ({ label, date, queryParams, value, onChange, error, refreshKey = 0, currentStart, currentSelectable = false, onWaitlist, waitlistValue }) => {
+    // Slots returned by the API, tagged with the request they belong to
+    const [slotData, setSlotData] = useState({ key: '', slots: [], timezone: '', error: '' });
+
+    const paramsKey = JSON.stringify(queryParams || {});
+    const requestKey = `${date}|${paramsKey}|${refreshKey}`;
+
+    // Load availability whenever the date, query (or refresh key) changes
+    useEffect(() => {
+        if (!date) return;
+
+        let ignore = false;
+
+        api.get('/api/availability', { params: { date, ...JSON.parse(paramsKey) } })
+            .then((response) => {
+                if (!ignore && response.data.success) {
+                    setSlotData({
+                        key: requestKey,
+                        slots: response.data.data,
+                        timezone: response.data.timezone,
+                        error: ''
+                    });
+                }
+            })
+            .catch((fetchError) => {
+                if (!ignore) {
+                    setSlotData({
+                        key: requestKey,
+                        slots: [],
+                        timezone: '',
+                        error: 'Could not load available slots. Please try again.'
+                    });
+                }
+                console.error('Error fetching availability:', fetchError);
+            });
+
+        return () => {
+            ignore = true;
+        };
+    }, [date, paramsKey, requestKey]);
+
+    const isLoading = Boolean(date) && slotData.key !== requestKey;
+    const { slots, timezone } = slotData;
+
+    return (
+        <div>
+            <span className="block text-sm font-medium text-gray-700 mb-2">
+                {label}
+                {!isLoading && timezone && slots.length > 0 && (
+                    <span className="ml-1 font-normal text-gray-400">
+                        ({getTimeZoneLabel(slots[0].start, timezone)})
+                    </span>
+                )}
+            </span>
+
+            {!date ? (
+                <p className="text-sm text-gray-400">
+                    Select a date to see available time slots
+                </p>
+            ) : isLoading ? (
+                <p className="text-sm text-gray-500 flex items-center">
+                    <svg className="w-4 h-4 mr-2 spinner" fill="none" viewBox="0 0 24 24">
+                        <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4" />
+                        <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z" />
+                    </svg>
+                    Checking availability...
+                </p>
+            ) : slotData.error ? (
+                <p className="text-sm text-red-500">{slotData.error}</p>
+            ) : slots.length === 0 ? (
+                <p className="text-sm text-gray-400">
+                    No time slots are offered on this date
+                </p>
+            ) : (
+                <div className="grid grid-cols-2 gap-2">
+                    {slots.map((slot) => {
+                        const isCurrent = currentStart && new Date(currentStart).getTime() === new Date(slot.start).getTime();
+                        // The current slot counts its own booking, so it may look full
+                        const isFull = isCurrent ? !currentSelectable : slot.remaining === 0;
+                        const isSelected = value === slot.start;
+                        // Full slots can be waited for, but not the booking's own
+                        const canWait = isFull && !isCurrent && Boolean(onWaitlist);
+                        const isWaiting = canWait && waitlistValue === slot.start;
+
+                        return (
+                            <button
+                                key={slot.start}
+                                type="button"
+                                disabled={isFull && !canWait}
+                                onClick={() => (canWait ? onWaitlist(slot.start) : onChange(slot.start))}
+                                className={`px-3 py-2 rounded-xl border-2 text-sm text-left transition-all duration-200 ${isWaiting
+                                    ? 'border-amber-400 bg-amber-50 text-amber-900'
+                                    : isFull
+                                        ? `border-gray-100 bg-gray-100 text-gray-400 ${canWait ? 'hover:border-amber-300' : 'cursor-not-allowed'}`
+                                        : isSelected
+                                            ? 'border-transparent text-white btn-primary'
+                                            : 'border-gray-200 bg-white text-gray-700 hover:border-lime-600'
+                                    }`}
+                            >
+                                <span className={`block font-medium ${isFull && !isCurrent ? 'line-through' : ''}`}>
+                                    {formatTimeRange(slot.start, slot.end, timezone)}
+                                </span>
+                                <span className={`text-xs ${isWaiting
+                                    ? 'text-amber-700'
+                                    : isFull
+                                        ? 'text-gray-400'
+                                        : isSelected ? 'text-white/80' : 'text-lime-700'
+                                    }`}>
+                                    {isCurrent ? 'Current' : canWait ? 'Full · Join waitlist' : isFull ? 'Full' : `${slot.remaining} left`}
+                                </span>
+                            </button>
+                        );
+                    })}
+                </div>
+            )}
+
+            {error && (
+                <p className="mt-2 text-sm text-red-500 flex items-center">
+                    <svg className="w-4 h-4 mr-1" fill="currentColor" viewBox="0 0 20 20">
+                        <path fillRule="evenodd" d="M18 10a8 8 0 11-16 0 8 8 0 0116 0zm-7 4a1 1 0 11-2 0 1 1 0 012 0zm-1-9a1 1 0 00-1 1v4a1 1 0 102 0V6a1 1 0 00-1-1z" clipRule="evenodd" />
+                    </svg>
+                    {error}
+                </p>
+            )}
+        </div>
+    );
+};
+
+export default SlotPicker;
@@ -0,0 +1,469 @@
+/**
+ * ============================================
+ * STAFF MODAL COMPONENT
+ * ============================================
+ * 
+ * Lets owners manage the staff members and resources (chairs,
+ * rooms) bookings are assigned to:
+ * - Lists everyone with their hours, services and time off
+ * - Activates or deactivates a staff member for new bookings
+ * - Edits or removes a staff member
+ * - Adds new staff
+ * 
+ * Each staff member takes one booking at a time. Working hours
+ * only narrow the business's opening hours; leaving them empty
+ * means "whenever we're open". All changes go through /api/staff
+ * (owner-only).
+ * 
+ * Props:
+ * - onClose: Function to call when closing the modal
+ */
+
+import { useState, useEffect } from 'react';
+import api from '../api/config';
+import { WEEKDAYS } from '../utils/staff';
+
+const EMPTY_STAFF = { name: '', title: '', services: [], workingHours: [], timeOff: [] };
+
+const NEW_SHIFT = { day: 1, start: '09:00', end: '17:00' };
+const NEW_TIME_OFF = { from: '', to: '', label: '' };
+
+const INPUT_CLASS = 'px-3 py-2 rounded-lg border-2 border-gray-200 focus:border-lime-600 outline-none text-sm';
+
+/**
+ * Short description of a staff member's week, e.g. "Mon 09:00-17:00, Tue 09:00-13:00"
+ * @param {Array} workingHours - Shifts from the API
+ * @returns {string}
+ */
+const describeHours = (workingHours) => {
+    if (workingHours.length === 0) return 'Opening hours';
+
+    return [...workingHours]
+        .sort((a, b) => a.day - b.day || a.start.localeCompare(b.start))
+        .map(shift => `${WEEKDAYS[shift.day].slice(0, 3)} ${shift.start}-${shift.end}`)
+        .join(', ');
+};
+
+const StaffModal = ({ onClose }) => {
+    // Every staff member, including inactive ones
+    const [staff, setStaff] = useState([]);
+
+    // Services staff can be limited to
+    const [services, setServices] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+
+    // Error or result message from the last action
+    const [error, setError] = useState('');
+    const [notice, setNotice] = useState('');
+
+    // Add / edit form - editingId is null when adding
+    const [form, setForm] = useState(EMPTY_STAFF);
+    const [editingId, setEditingId] = useState(null);
+    const [isSaving, setIsSaving] = useState(false);
+
+    // Load staff and services when the modal opens
+    useEffect(() => {
+        let ignore = false;
+
+        Promise.all([
+            api.get('/api/staff', { params: { all: true } }),
+            api.get('/api/services', { params: { all: true } })
+        ])
+            .then(([staffResponse, servicesResponse]) => {
+                if (!ignore) {
+                    setStaff(staffResponse.data.data);
+                    setServices(servicesResponse.data.data);
+                }
+            })
+            .catch((err) => {
+                if (!ignore) setError(err.response?.data?.message || 'Failed to load staff.');
+            })
+            .finally(() => {
+                if (!ignore) setIsLoading(false);
+            });
+
+        return () => {
+            ignore = true;
+        };
+    }, []);
+
+    /**
+     * Replaces one staff member in the list with the server's copy
+     */
+    const replaceStaff = (updated) => {
+        setStaff(prev => prev.map(s => (s._id === updated._id ? updated : s)));
+    };
+
+    /**
+     * Lets a staff member take new bookings, or stops them
+     */
+    const handleToggleActive = async (member) => {
+        setError('');
+        setNotice('');
+        try {
+            const response = await api.patch(`/api/staff/${member._id}`, { active: !member.active });
+            replaceStaff(response.data.data);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to update staff member.');
+        }
+    };
+
+    /**
+     * Removes a staff member after confirmation
+     */
+    const handleDelete = async (member) => {
+        if (!window.confirm(`Remove ${member.name}? Their past bookings keep their name. To stop new bookings for now, deactivate them instead.`)) {
+            return;
+        }
+
+        setError('');
+        setNotice('');
+        try {
+            await api.delete(`/api/staff/${member._id}`);
+            setStaff(prev => prev.filter(s => s._id !== member._id));
+            if (editingId === member._id) {
+                setEditingId(null);
+                setForm(EMPTY_STAFF);
+            }
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to remove staff member.');
+        }
+    };
+
+    /**
+     * Loads a staff member into the form for editing
+     */
+    const handleEdit = (member) => {
+        setError('');
+        setNotice('');
+        setEditingId(member._id);
+        setForm({
+            name: member.name,
+            title: member.title || '',
+            services: member.services,
+            workingHours: member.workingHours,
+            timeOff: member.timeOff.map(off => ({ ...off, label: off.label || '' }))
+        });
+    };
+
+    const cancelEdit = () => {
+        setEditingId(null);
+        setForm(EMPTY_STAFF);
+    };
+
+    /**
+     * Adds a staff member, or saves the one being edited
+     */
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+        setNotice('');
+
+        const body = {
+            ...form,
+            workingHours: form.workingHours.map(shift => ({ ...shift, day: Number(shift.day) }))
+        };
+
+        try {
+            setIsSaving(true);
+            if (editingId) {
+                const response = await api.patch(`/api/staff/${editingId}`, body);
+                replaceStaff(response.data.data);
+            } else {
+                const response = await api.post('/api/staff', body);
+                setStaff(prev => [...prev, response.data.data].sort((a, b) => a.name.localeCompare(b.name)));
+                setNotice(response.data.message);
+            }
+            cancelEdit();
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to save staff member.');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const updateForm = (e) => {
+        const { name, value } = e.target;
+        setForm(prev => ({ ...prev, [name]: value }));
+    };
+
+    /**
+     * Updates one row of a list field (workingHours or timeOff)
+     */
+    const updateRow = (field, index, name, value) => {
+        setForm(prev => ({
+            ...prev,
+            [field]: prev[field].map((row, i) => (i === index ? { ...row, [name]: value } : row))
+        }));
+    };
+
+    const addRow = (field, row) => {
+        setForm(prev => ({ ...prev, [field]: [...prev[field], row] }));
+    };
+
+    const removeRow = (field, index) => {
+        setForm(prev => ({ ...prev, [field]: prev[field].filter((row, i) => i !== index) }));
+    };
+
+    const toggleService = (serviceId) => {
+        setForm(prev => ({
+            ...prev,
+            services: prev.services.includes(serviceId)
+                ? prev.services.filter(id => id !== serviceId)
+                : [...prev.services, serviceId]
+        }));
+    };
+
+    return (
+        // Modal overlay - covers the entire screen
+        <div className="fixed inset-0 z-50 overflow-y-auto">
+            {/* Semi-transparent backdrop */}
+            <div
+                className="fixed inset-0 bg-black/50 backdrop-blur-sm transition-opacity"
+                onClick={onClose}
+            />
+
+            {/* Modal container - centered */}
+            <div className="flex min-h-full items-center justify-center p-4">
+                <div className="relative bg-white rounded-2xl shadow-2xl max-w-2xl w-full p-6 md:p-8 modal-animate">
+                    {/* Close button */}
+                    <button
+                        onClick={onClose}
+                        className="absolute top-4 right-4 text-gray-400 hover:text-gray-600 transition-colors"
+                    >
+                        <svg className="w-6 h-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                        </svg>
+                    </button>
+
+                    <h2 className="text-2xl font-bold text-gray-800 mb-1">Staff &amp; Resources</h2>
+                    <p className="text-sm text-gray-500 mb-6">
+                        Each person, chair or room takes one booking at a time. Customers can pick
+                        one or "any available". Once you add staff, they replace the schedule's slot capacity.
+                    </p>
+
+                    {error && (
+                        <div className="bg-red-50 border border-red-200 rounded-xl p-3 mb-4 text-sm text-red-600">
+                            {error}
+                        </div>
+                    )}
+
+                    {notice && (
+                        <div className="bg-green-50 border border-green-200 rounded-xl p-3 mb-4 text-sm text-green-700">
+                            {notice}
+                        </div>
+                    )}
+
+                    {/* Staff List */}
+                    {isLoading ? (
+                        <p className="text-gray-500 text-sm mb-6">Loading staff...</p>
+                    ) : staff.length === 0 ? (
+                        <p className="text-gray-400 text-sm mb-6">
+                            No staff yet - bookings use the schedule's slot capacity.
+                        </p>
+                    ) : (
+                        <div className="divide-y divide-gray-100 border border-gray-200 rounded-xl mb-6">
+                            {staff.map(member => (
+                                <div key={member._id} className="flex items-center justify-between gap-3 px-4 py-3">
+                                    <div className={`min-w-0 ${member.active ? '' : 'opacity-50'}`}>
+                                        <p className="text-sm font-medium text-gray-900">
+                                            {member.name}
+                                            {member.title && <span className="ml-2 text-xs text-gray-500">{member.title}</span>}
+                                            {!member.active && <span className="ml-2 text-xs text-gray-400">(inactive)</span>}
+                                        </p>
+                                        <p className="text-xs text-gray-500 truncate">
+                                            {describeHours(member.workingHours)}
+                                            {' · '}
+                                            {member.services.length === 0 ? 'All services' : `${member.services.length} services`}
+                                            {member.timeOff.length > 0 && ` · ${member.timeOff.length} time off`}
+                                        </p>
+                                    </div>
+                                    <div className="flex items-center gap-3 text-sm">
+                                        <button
+                                            onClick={() => handleToggleActive(member)}
+                                            className="text-gray-600 hover:text-gray-900"
+                                        >
+                                            {member.active ? 'Deactivate' : 'Activate'}
+                                        </button>
+                                        <button
+                                            onClick={() => handleEdit(member)}
+                                            className="hover:underline"
+                                            style={{ color: '#330867' }}
+                                        >
+                                            Edit
+                                        </button>
+                                        <button
+                                            onClick={() => handleDelete(member)}
+                                            className="text-red-500 hover:text-red-700"
+                                        >
+                                            Remove
+                                        </button>
+                                    </div>
+                                </div>
+                            ))}
+                        </div>
+                    )}
+
+                    {/* Add / Edit Staff Form */}
+                    <form onSubmit={handleSubmit} className="space-y-4">
+                        <h3 className="text-sm font-semibold text-gray-700">
+                            {editingId ? 'Edit staff member' : 'Add a staff member or resource'}
+                        </h3>
+                        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                            <input
+                                name="name"
+                                value={form.name}
+                                onChange={updateForm}
+                                placeholder="Name, e.g. Priya or Room 2"
+                                className={INPUT_CLASS}
+                            />
+                            <input
+                                name="title"
+                                value={form.title}
+                                onChange={updateForm}
+                                placeholder="Title (optional), e.g. Senior stylist"
+                                className={INPUT_CLASS}
+                            />
+                        </div>
+
+                        {/* Services */}
+                        {services.length > 0 && (
+                            <div>
+                                <p className="text-xs text-gray-500 mb-2">Services (none ticked = all)</p>
+                                <div className="flex flex-wrap gap-x-4 gap-y-2">
+                                    {services.map(service => (
+                                        <label key={service._id} className="inline-flex items-center gap-2 text-sm text-gray-700">
+                                            <input
+                                                type="checkbox"
+                                                checked={form.services.includes(service._id)}
+                                                onChange={() => toggleService(service._id)}
+                                            />
+                                            {service.name}
+                                        </label>
+                                    ))}
+                                </div>
+                            </div>
+                        )}
+
+                        {/* Working Hours */}
+                        <div>
+                            <p className="text-xs text-gray-500 mb-2">
+                                Working hours {form.workingHours.length === 0 && '(none = whenever the business is open)'}
+                            </p>
+                            {form.workingHours.map((shift, index) => (
+                                <div key={index} className="flex items-center gap-2 mb-2">
+                                    <select
+                                        value={shift.day}
+                                        onChange={(e) => updateRow('workingHours', index, 'day', Number(e.target.value))}
+                                        aria-label="Day"
+                                        className={`${INPUT_CLASS} bg-white`}
+                                    >
+                                        {WEEKDAYS.map((day, dayIndex) => (
+                                            <option key={day} value={dayIndex}>{day}</option>
+                                        ))}
+                                    </select>
+                                    <input
+                                        type="time"
+                                        value={shift.start}
+                                        onChange={(e) => updateRow('workingHours', index, 'start', e.target.value)}
+                                        aria-label="Start"
+                                        className={INPUT_CLASS}
+                                    />
+                                    <span className="text-sm text-gray-400">to</span>
+                                    <input
+                                        type="time"
+                                        value={shift.end}
+                                        onChange={(e) => updateRow('workingHours', index, 'end', e.target.value)}
+                                        aria-label="End"
+                                        className={INPUT_CLASS}
+                                    />
+                                    <button
+                                        type="button"
+                                        onClick={() => removeRow('workingHours', index)}
+                                        className="text-sm text-red-500 hover:text-red-700"
+                                    >
+                                        Remove
+                                    </button>
+                                </div>
+                            ))}
+                            <button
+                                type="button"
+                                onClick={() => addRow('workingHours', NEW_SHIFT)}
+                                className="text-sm font-medium hover:underline"
+                                style={{ color: '#330867' }}
+                            >
+                                + Add shift
+                            </button>
+                        </div>
+
+                        {/* Time Off */}
+                        <div>
+                            <p className="text-xs text-gray-500 mb-2">Time off (first and last day)</p>
+                            {form.timeOff.map((off, index) => (
+                                <div key={index} className="flex flex-wrap items-center gap-2 mb-2">
+                                    <input
+                                        type="date"
+                                        value={off.from}
+                                        onChange={(e) => updateRow('timeOff', index, 'from', e.target.value)}
+                                        aria-label="From"
+                                        className={INPUT_CLASS}
+                                    />
+                                    <span className="text-sm text-gray-400">to</span>
+                                    <input
+                                        type="date"
+                                        value={off.to}
+                                        onChange={(e) => updateRow('timeOff', index, 'to', e.target.value)}
+                                        aria-label="To"
+                                        className={INPUT_CLASS}
+                                    />
+                                    <input
+                                        value={off.label}
+                                        onChange={(e) => updateRow('timeOff', index, 'label', e.target.value)}
+                                        placeholder="Reason (optional)"
+                                        className={`${INPUT_CLASS} flex-1 min-w-0`}
+                                    />
+                                    <button
+                                        type="button"
+                                        onClick={() => removeRow('timeOff', index)}
+                                        className="text-sm text-red-500 hover:text-red-700"
+                                    >
+                                        Remove
+                                    </button>
+                                </div>
+                            ))}
+                            <button
+                                type="button"
+                                onClick={() => addRow('timeOff', NEW_TIME_OFF)}
+                                className="text-sm font-medium hover:underline"
+                                style={{ color: '#330867' }}
+                            >
+                                + Add time off
+                            </button>
+                        </div>
+
+                        <div className="flex gap-3">
+                            <button
+                                type="submit"
+                                disabled={isSaving || !form.name}
+                                className="flex-1 py-2.5 rounded-xl text-white font-semibold btn-primary disabled:opacity-70 disabled:cursor-not-allowed"
+                            >
+                                {isSaving ? 'Saving...' : editingId ? 'Save Changes' : 'Add Staff Member'}
+                            </button>
+                            {editingId && (
+                                <button
+                                    type="button"
+                                    onClick={cancelEdit}
+                                    className="px-4 py-2.5 rounded-xl text-sm font-medium text-gray-700 border border-gray-300 hover:bg-gray-50"
+                                >
+                                    Cancel
+                                </button>
+                            )}
+                        </div>
+                    </form>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default StaffModal;
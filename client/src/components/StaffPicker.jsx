@@ -0,0 +1,92 @@
+/**
+ * ============================================
+ * STAFF PICKER COMPONENT
+ * ============================================
+ * 
+ * Lets customers choose who to book with, or "Any available".
+ * Shows nothing until the business has set up staff.
+ * 
+ * Features:
+ * - Loads active staff from GET /api/staff
+ * - Only lists staff who offer the chosen service
+ * - Highlights the selected option
+ * 
+ * Props:
+ * - service: _id of the chosen service
+ * - value: Staff _id, or "any"
+ * - onChange: Function called with a staff _id or "any"
+ */
+
+import { useState, useEffect } from 'react';
+import api from '../api/config';
+import { ANY_STAFF } from '../utils/staff';
+
+const StaffPicker = ({ service, value, onChange }) => {
+    // Active staff returned by the API
+    const [staff, setStaff] = useState([]);
+
+    // Load the staff once
+    useEffect(() => {
+        let ignore = false;
+
+        api.get('/api/staff')
+            .then((response) => {
+                if (!ignore && response.data.success) {
+                    setStaff(response.data.data);
+                }
+            })
+            .catch((error) => {
+                // Customers can still book "any available"
+                console.error('Error fetching staff:', error);
+            });
+
+        return () => {
+            ignore = true;
+        };
+    }, []);
+
+    const available = staff.filter(member =>
+        member.services.length === 0 || member.services.includes(service)
+    );
+
+    if (available.length === 0) return null;
+
+    const options = [
+        { _id: ANY_STAFF, name: 'Any available', title: 'First free person' },
+        ...available
+    ];
+
+    return (
+        <div>
+            <span className="block text-sm font-medium text-gray-700 mb-2">
+                Who would you like to see?
+            </span>
+            <div className="grid grid-cols-2 sm:grid-cols-3 gap-2">
+                {options.map((option) => {
+                    const isSelected = value === option._id;
+
+                    return (
+                        <button
+                            key={option._id}
+                            type="button"
+                            onClick={() => onChange(option._id)}
+                            className={`px-3 py-2 rounded-xl border-2 text-left transition-all duration-200 ${isSelected
+                                ? 'border-transparent text-white btn-primary'
+                                : 'border-gray-200 bg-white text-gray-700 hover:border-lime-600'
+                                }`}
+                        >
+                            <span className="block text-sm font-semibold truncate">{option.name}</span>
+                            {option.title && (
+                                <span className={`block text-xs truncate ${isSelected ? 'text-white/80' : 'text-gray-500'}`}>
+                                    {option.title}
+                                </span>
+                            )}
+                        </button>
+                    );
+                })}
+            </div>
+        </div>
+    );
+};
+
+export default StaffPicker;
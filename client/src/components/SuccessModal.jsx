@@ -8,18 +8,55 @@
  * - Success icon with animation
  * - Booking confirmation message
  * - Booking details summary
+ * - "Add to calendar" download (.ics file)
+ * - Private link to view, reschedule or cancel the booking
+ * - For a recurring series: how many appointments were booked and
+ *   which dates were skipped
+ * - For a service with a deposit: a "Pay deposit" button to the
+ *   payment checkout - the booking is confirmed once it is paid
  * - Close button
  * 
  * Props:
  * - isOpen: Boolean to control modal visibility
  * - onClose: Function to call when closing modal
- * - bookingData: Object containing the booking details
+ * - bookingData: Saved booking (UTC start/end) plus the business timezone,
+ *   the currency of its price and the manageToken for the customer's manage link,
+ *   plus `series` ({ bookings, conflicts }) for a recurring booking, or
+ *   `payment` ({ checkoutUrl, amount, currency, expiresAt }) for a deposit to pay
  */
 
+import api from '../api/config';
+import { BASENAME, withTenant } from '../utils/tenant';
+import { formatDate, formatDateTime, formatTimeRange, getTimeZoneLabel } from '../utils/dates';
+import { formatPrice } from '../utils/services';
+import { describeSeries } from '../utils/recurrence';
+import SeriesConflicts from './SeriesConflicts';
+
+// Where the confirmation goes, by the booking's notification channel
+const CONFIRMATION_NOTES = {
+    email: 'A confirmation email will be sent to your email address.',
+    sms: 'A confirmation will be sent to your phone by SMS.',
+    whatsapp: 'A confirmation will be sent to your phone on WhatsApp.'
+};
+
 const SuccessModal = ({ isOpen, onClose, bookingData }) => {
     // Don't render if modal is closed
     if (!isOpen) return null;
 
+    const { _id, start, end, timezone, manageToken, notificationChannel, serviceName, price, currency, staffName, series, payment } = bookingData || {};
+
+    // Private link for the customer to reschedule or cancel later
+    const manageUrl = manageToken ? `${window.location.origin}${BASENAME}/booking/${manageToken}` : '';
+
+    // Calendar file for this booking - the manage token proves it's theirs.
+    // Only once it's confirmed, if there's a deposit to pay first.
+    const calendarUrl = manageToken && !payment
+        ? api.getUri({
+            url: withTenant(`/api/bookings/${_id}/ics`),
+            params: { token: manageToken, ...(series && { series: true }) }
+        })
+        : '';
+
     return (
         // Modal overlay - covers the entire screen
         <div className="fixed inset-0 z-50 overflow-y-auto">
@@ -54,10 +91,14 @@ const SuccessModal = ({ isOpen, onClose, bookingData }) => {
 
                     {/* Success message */}
                     <h2 className="text-2xl font-bold text-center text-gray-800 mb-2">
-                        Booking Confirmed!
+                        {payment ? 'Slot Reserved!' : 'Booking Confirmed!'}
                     </h2>
                     <p className="text-center text-gray-500 mb-6">
-                        Your appointment has been successfully scheduled.
+                        {payment
+                            ? `Pay the ${formatPrice(payment.amount, payment.currency)} deposit by ${formatDateTime(payment.expiresAt, timezone)} to confirm your appointment.`
+                            : series
+                                ? `Your ${series.bookings.length} appointments have been successfully scheduled.`
+                                : 'Your appointment has been successfully scheduled.'}
                     </p>
 
                     {/* Booking details card */}
@@ -83,12 +124,32 @@ const SuccessModal = ({ isOpen, onClose, bookingData }) => {
                                 <span className="text-gray-700">{bookingData?.email}</span>
                             </div>
 
+                            {/* Service */}
+                            {serviceName && (
+                                <div className="flex items-center">
+                                    <svg className="w-5 h-5 mr-3" style={{ color: '#330867' }} fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2" />
+                                    </svg>
+                                    <span className="text-gray-700">{serviceName} · {formatPrice(price, currency)}</span>
+                                </div>
+                            )}
+
+                            {/* Staff */}
+                            {staffName && (
+                                <div className="flex items-center">
+                                    <svg className="w-5 h-5 mr-3" style={{ color: '#330867' }} fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M16 7a4 4 0 11-8 0 4 4 0 018 0zM12 14a7 7 0 00-7 7h14a7 7 0 00-7-7z" />
+                                    </svg>
+                                    <span className="text-gray-700">With {staffName}</span>
+                                </div>
+                            )}
+
                             {/* Date */}
                             <div className="flex items-center">
                                 <svg className="w-5 h-5 mr-3" style={{ color: '#330867' }} fill="none" viewBox="0 0 24 24" stroke="currentColor">
                                     <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 7V3m8 4V3m-9 8h10M5 21h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v12a2 2 0 002 2z" />
                                 </svg>
-                                <span className="text-gray-700">{bookingData?.date}</span>
+                                <span className="text-gray-700">{start && formatDate(start, timezone)}</span>
                             </div>
 
                             {/* Time Slot */}
@@ -96,11 +157,80 @@ const SuccessModal = ({ isOpen, onClose, bookingData }) => {
                                 <svg className="w-5 h-5 mr-3" style={{ color: '#330867' }} fill="none" viewBox="0 0 24 24" stroke="currentColor">
                                     <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
                                 </svg>
-                                <span className="text-gray-700">{bookingData?.timeSlot}</span>
+                                <span className="text-gray-700">
+                                    {start && `${formatTimeRange(start, end, timezone)} (${getTimeZoneLabel(start, timezone)})`}
+                                </span>
                             </div>
+
+                            {/* Repeats */}
+                            {series && (
+                                <div className="flex items-center">
+                                    <svg className="w-5 h-5 mr-3" style={{ color: '#330867' }} fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" />
+                                    </svg>
+                                    <span className="text-gray-700">{describeSeries(bookingData)}</span>
+                                </div>
+                            )}
                         </div>
                     </div>
 
+                    {/* Dates of the series that were skipped */}
+                    {series && (
+                        <div className="mb-6">
+                            <SeriesConflicts
+                                conflicts={series.conflicts}
+                                timezone={timezone}
+                                title="Not booked:"
+                            />
+                        </div>
+                    )}
+
+                    {/* Pay the deposit */}
+                    {payment && (
+                        <a
+                            href={payment.checkoutUrl}
+                            className="flex items-center justify-center w-full py-3 mb-4 rounded-xl text-white font-semibold btn-primary"
+                        >
+                            <svg className="w-5 h-5 mr-2" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 10h18M7 15h1m4 0h1m-7 4h12a3 3 0 003-3V8a3 3 0 00-3-3H6a3 3 0 00-3 3v8a3 3 0 003 3z" />
+                            </svg>
+                            Pay {formatPrice(payment.amount, payment.currency)} deposit
+                        </a>
+                    )}
+
+                    {/* Add to calendar */}
+                    {calendarUrl && (
+                        <a
+                            href={calendarUrl}
+                            download="appointment.ics"
+                            className="flex items-center justify-center w-full py-3 mb-4 rounded-xl border-2 border-gray-200 text-gray-700 font-medium hover:border-lime-600 transition-colors"
+                        >
+                            <svg className="w-5 h-5 mr-2" style={{ color: '#330867' }} fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 7V3m8 4V3m-9 8h10M5 21h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v12a2 2 0 002 2z" />
+                            </svg>
+                            Add to calendar
+                        </a>
+                    )}
+
+                    {/* Manage link */}
+                    {manageUrl && (
+                        <div className="rounded-xl border-2 border-dashed border-gray-200 p-4 mb-6">
+                            <p className="text-sm font-medium text-gray-700 mb-1">
+                                Need to change your plans?
+                            </p>
+                            <p className="text-xs text-gray-500 mb-2">
+                                Save this private link to reschedule or cancel your booking.
+                            </p>
+                            <a
+                                href={manageUrl}
+                                className="block text-sm break-all hover:underline"
+                                style={{ color: '#330867' }}
+                            >
+                                {manageUrl}
+                            </a>
+                        </div>
+                    )}
+
                     {/* Action button */}
                     <button
                         onClick={onClose}
@@ -112,7 +242,9 @@ const SuccessModal = ({ isOpen, onClose, bookingData }) => {
 
                     {/* Additional info */}
                     <p className="text-center text-gray-400 text-sm mt-4">
-                        A confirmation email will be sent to your email address.
+                        {payment
+                            ? 'Unpaid bookings are released when the time runs out.'
+                            : CONFIRMATION_NOTES[notificationChannel] || CONFIRMATION_NOTES.email}
                     </p>
                 </div>
             </div>
@@ -0,0 +1,232 @@
+/**
+ * ============================================
+ * TRASH TABLE COMPONENT
+ * ============================================
+ * 
+ * Lists deleted bookings so they can be restored or
+ * permanently removed.
+ * 
+ * Features:
+ * - Loads GET /api/bookings/trash
+ * - Restore a booking (staff and owners) - fails if its slot is now full
+ * - Delete forever / Empty trash (owners)
+ * 
+ * Props:
+ * - admin: The signed-in admin user (decides which actions show)
+ * - timezone: Business timezone for showing appointment times
+ * - onRestored: Function called after a booking is restored
+ */
+
+import { useState, useEffect } from 'react';
+import api from '../api/config';
+import { hasRole } from '../utils/roles';
+import { formatDate, formatTimeRange } from '../utils/dates';
+
+const TrashTable = ({ admin, timezone, onRestored }) => {
+    // Trashed bookings, tagged with the load they came from
+    const [trash, setTrash] = useState({ loadKey: -1, bookings: [], error: '' });
+    const [loadKey, setLoadKey] = useState(0);
+
+    // Booking being restored or purged
+    const [busyId, setBusyId] = useState(null);
+
+    const canRestore = hasRole(admin, 'staff');
+    const canPurge = hasRole(admin, 'owner');
+
+    // Load the trash (again whenever loadKey changes)
+    useEffect(() => {
+        let ignore = false;
+
+        api.get('/api/bookings/trash')
+            .then((response) => {
+                if (!ignore && response.data.success) {
+                    setTrash({ loadKey, bookings: response.data.data, error: '' });
+                }
+            })
+            .catch((err) => {
+                if (!ignore) {
+                    setTrash({ loadKey, bookings: [], error: err.response?.data?.message || 'Failed to load the trash.' });
+                }
+            });
+
+        return () => {
+            ignore = true;
+        };
+    }, [loadKey]);
+
+    const isLoading = trash.loadKey !== loadKey;
+
+    /**
+     * Removes a booking from the list once it has left the trash
+     */
+    const removeFromList = (id) => {
+        setTrash(prev => ({ ...prev, bookings: prev.bookings.filter(booking => booking._id !== id) }));
+    };
+
+    /**
+     * Restores a booking to the dashboard
+     */
+    const handleRestore = async (booking) => {
+        try {
+            setBusyId(booking._id);
+            await api.post(`/api/bookings/${booking._id}/restore`);
+            removeFromList(booking._id);
+            onRestored();
+        } catch (err) {
+            alert(err.response?.data?.message || 'Failed to restore the booking. Please try again.');
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    /**
+     * Permanently deletes one booking (owners only)
+     */
+    const handlePurge = async (booking) => {
+        if (!window.confirm(`Permanently delete ${booking.name}'s booking? This cannot be undone!`)) {
+            return;
+        }
+
+        try {
+            setBusyId(booking._id);
+            await api.delete(`/api/bookings/${booking._id}/purge`);
+            removeFromList(booking._id);
+        } catch (err) {
+            alert(err.response?.data?.message || 'Failed to delete the booking. Please try again.');
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    /**
+     * Permanently deletes everything in the trash (owners only)
+     */
+    const handleEmptyTrash = async () => {
+        if (!window.confirm('Permanently delete ALL bookings in the trash? This cannot be undone!')) {
+            return;
+        }
+
+        try {
+            await api.delete('/api/bookings/trash');
+            setTrash(prev => ({ ...prev, bookings: [] }));
+        } catch (err) {
+            alert(err.response?.data?.message || 'Failed to empty the trash. Please try again.');
+        }
+    };
+
+    if (isLoading) {
+        return <p className="text-center text-gray-500 py-12">Loading trash...</p>;
+    }
+
+    if (trash.error) {
+        return (
+            <div className="text-center py-12">
+                <p className="text-red-500 mb-2">{trash.error}</p>
+                <button
+                    onClick={() => setLoadKey(key => key + 1)}
+                    className="text-sm text-red-600 hover:text-red-800 font-medium"
+                >
+                    Try Again
+                </button>
+            </div>
+        );
+    }
+
+    if (trash.bookings.length === 0) {
+        return (
+            <div className="text-center py-12">
+                <h3 className="text-lg font-medium text-gray-500 mb-1">Trash is empty</h3>
+                <p className="text-gray-400">Deleted bookings will appear here</p>
+            </div>
+        );
+    }
+
+    return (
+        <div>
+            {/* Summary Bar */}
+            <div className="px-4 py-3 border-b border-gray-200 flex items-center justify-between bg-gray-50">
+                <span className="text-sm text-gray-600">
+                    {trash.bookings.length} deleted record{trash.bookings.length !== 1 ? 's' : ''}
+                </span>
+                {canPurge && (
+                    <button
+                        onClick={handleEmptyTrash}
+                        className="text-sm font-medium text-red-600 hover:text-red-800"
+                    >
+                        Empty Trash
+                    </button>
+                )}
+            </div>
+
+            {/* Table */}
+            <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                    <thead className="bg-gray-50">
+                        <tr>
+                            <th className="px-4 py-3 text-left text-xs font-semibold text-gray-500 uppercase tracking-wider">
+                                Name
+                            </th>
+                            <th className="px-4 py-3 text-left text-xs font-semibold text-gray-500 uppercase tracking-wider">
+                                Appointment
+                            </th>
+                            <th className="px-4 py-3 text-left text-xs font-semibold text-gray-500 uppercase tracking-wider">
+                                Deleted
+                            </th>
+                            {(canRestore || canPurge) && (
+                                <th className="px-4 py-3 text-left text-xs font-semibold text-gray-500 uppercase tracking-wider">
+                                    Actions
+                                </th>
+                            )}
+                        </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-gray-200">
+                        {trash.bookings.map(booking => (
+                            <tr key={booking._id} className="table-row-hover transition-colors">
+                                <td className="px-4 py-4 whitespace-nowrap">
+                                    <p className="text-sm font-medium text-gray-900">{booking.name}</p>
+                                    <p className="text-xs text-gray-500">{booking.email}</p>
+                                </td>
+                                <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-600">
+                                    {formatDate(booking.start, timezone)}, {formatTimeRange(booking.start, booking.end, timezone)}
+                                </td>
+                                <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-500">
+                                    {new Date(booking.deletedAt).toLocaleString('en-IN', {
+                                        dateStyle: 'medium',
+                                        timeStyle: 'short'
+                                    })}
+                                    {booking.deletedBy && <> by {booking.deletedBy.username}</>}
+                                </td>
+                                {(canRestore || canPurge) && (
+                                    <td className="px-4 py-4 whitespace-nowrap">
+                                        <div className="flex gap-2">
+                                            {canRestore && (
+                                                <button
+                                                    onClick={() => handleRestore(booking)}
+                                                    disabled={busyId === booking._id}
+                                                    className="px-2.5 py-1 text-xs font-medium rounded-lg border border-gray-200 text-gray-700 hover:bg-gray-50 transition-colors disabled:opacity-50"
+                                                >
+                                                    Restore
+                                                </button>
+                                            )}
+                                            {canPurge && (
+                                                <button
+                                                    onClick={() => handlePurge(booking)}
+                                                    disabled={busyId === booking._id}
+                                                    className="px-2.5 py-1 text-xs font-medium rounded-lg border border-red-200 text-red-600 hover:bg-red-50 transition-colors disabled:opacity-50"
+                                                >
+                                                    Delete Forever
+                                                </button>
+                                            )}
+                                        </div>
+                                    </td>
+                                )}
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+};
+
+export default TrashTable;
@@ -0,0 +1,78 @@
+/**
+ * ============================================
+ * UNDO TOAST COMPONENT
+ * ============================================
+ * 
+ * A small notice in the corner of the screen after a deletion,
+ * with an "Undo" button that is only offered for a few seconds.
+ * 
+ * Props:
+ * - message: Text describing what just happened
+ * - onUndo: Function called when "Undo" is clicked
+ * - onClose: Function called when the toast closes or times out
+ *   (keep it stable with useCallback so the timer doesn't restart)
+ * - seconds: How long the undo is offered (default: 10)
+ */
+
+import { useState, useEffect } from 'react';
+
+const UndoToast = ({ message, onUndo, onClose, seconds = 10 }) => {
+    // Seconds left before the undo expires
+    const [secondsLeft, setSecondsLeft] = useState(seconds);
+
+    // Undo state
+    const [isUndoing, setIsUndoing] = useState(false);
+
+    // Count down once a second
+    useEffect(() => {
+        const interval = setInterval(() => {
+            setSecondsLeft(prev => Math.max(prev - 1, 0));
+        }, 1000);
+
+        return () => clearInterval(interval);
+    }, []);
+
+    // Close when the time is up
+    useEffect(() => {
+        const timer = setTimeout(onClose, seconds * 1000);
+        return () => clearTimeout(timer);
+    }, [onClose, seconds]);
+
+    /**
+     * Runs the undo, then closes the toast
+     */
+    const handleUndo = async () => {
+        setIsUndoing(true);
+        try {
+            await onUndo();
+        } finally {
+            onClose();
+        }
+    };
+
+    return (
+        <div className="fixed bottom-6 left-1/2 -translate-x-1/2 z-50 modal-animate">
+            <div className="flex items-center gap-4 bg-gray-900 text-white rounded-xl shadow-2xl px-5 py-3">
+                <p className="text-sm">{message}</p>
+                <button
+                    onClick={handleUndo}
+                    disabled={isUndoing}
+                    className="text-sm font-semibold text-lime-300 hover:text-lime-200 disabled:opacity-50"
+                >
+                    {isUndoing ? 'Undoing...' : `Undo (${secondsLeft}s)`}
+                </button>
+                <button
+                    onClick={onClose}
+                    className="text-gray-400 hover:text-gray-200"
+                    aria-label="Dismiss"
+                >
+                    <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                    </svg>
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default UndoToast;
@@ -0,0 +1,239 @@
+/**
+ * ============================================
+ * USERS MODAL COMPONENT
+ * ============================================
+ * 
+ * Lets owners manage admin accounts:
+ * - Lists every admin user with their role
+ * - Changes a user's role inline
+ * - Removes users (not yourself)
+ * - Adds new users with a starting password
+ * 
+ * All changes go through /api/users, which is owner-only.
+ * 
+ * Props:
+ * - currentAdmin: The signed-in admin (can't delete themselves)
+ * - onClose: Function to call when closing the modal
+ */
+
+import { useState, useEffect } from 'react';
+import api from '../api/config';
+import { ROLES } from '../utils/roles';
+
+const EMPTY_USER = { username: '', name: '', password: '', role: 'viewer' };
+
+const UsersModal = ({ currentAdmin, onClose }) => {
+    // Admin users list
+    const [users, setUsers] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+
+    // Error message from the last action
+    const [error, setError] = useState('');
+
+    // New user form
+    const [newUser, setNewUser] = useState(EMPTY_USER);
+    const [isSaving, setIsSaving] = useState(false);
+
+    // Load users when the modal opens
+    useEffect(() => {
+        let ignore = false;
+
+        api.get('/api/users')
+            .then((response) => {
+                if (!ignore && response.data.success) {
+                    setUsers(response.data.data);
+                }
+            })
+            .catch((err) => {
+                if (!ignore) setError(err.response?.data?.message || 'Failed to load users.');
+            })
+            .finally(() => {
+                if (!ignore) setIsLoading(false);
+            });
+
+        return () => {
+            ignore = true;
+        };
+    }, []);
+
+    /**
+     * Changes a user's role
+     */
+    const handleRoleChange = async (user, role) => {
+        setError('');
+        try {
+            const response = await api.patch(`/api/users/${user._id}`, { role });
+            setUsers(prev => prev.map(u => (u._id === user._id ? response.data.data : u)));
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to update role.');
+        }
+    };
+
+    /**
+     * Removes a user after confirmation
+     */
+    const handleDelete = async (user) => {
+        if (!window.confirm(`Remove ${user.username}? They will be signed out immediately.`)) {
+            return;
+        }
+
+        setError('');
+        try {
+            await api.delete(`/api/users/${user._id}`);
+            setUsers(prev => prev.filter(u => u._id !== user._id));
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to remove user.');
+        }
+    };
+
+    /**
+     * Creates a new user from the form
+     */
+    const handleCreate = async (e) => {
+        e.preventDefault();
+        setError('');
+
+        try {
+            setIsSaving(true);
+            const response = await api.post('/api/users', newUser);
+            setUsers(prev => [...prev, response.data.data]);
+            setNewUser(EMPTY_USER);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to create user.');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const updateNewUser = (e) => {
+        const { name, value } = e.target;
+        setNewUser(prev => ({ ...prev, [name]: value }));
+    };
+
+    return (
+        // Modal overlay - covers the entire screen
+        <div className="fixed inset-0 z-50 overflow-y-auto">
+            {/* Semi-transparent backdrop */}
+            <div
+                className="fixed inset-0 bg-black/50 backdrop-blur-sm transition-opacity"
+                onClick={onClose}
+            />
+
+            {/* Modal container - centered */}
+            <div className="flex min-h-full items-center justify-center p-4">
+                <div className="relative bg-white rounded-2xl shadow-2xl max-w-2xl w-full p-6 md:p-8 modal-animate">
+                    {/* Close button */}
+                    <button
+                        onClick={onClose}
+                        className="absolute top-4 right-4 text-gray-400 hover:text-gray-600 transition-colors"
+                    >
+                        <svg className="w-6 h-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                        </svg>
+                    </button>
+
+                    <h2 className="text-2xl font-bold text-gray-800 mb-1">Manage Users</h2>
+                    <p className="text-sm text-gray-500 mb-6">
+                        Viewers can see bookings, staff can also edit and cancel them,
+                        and owners can export, clear all bookings and manage users.
+                    </p>
+
+                    {error && (
+                        <div className="bg-red-50 border border-red-200 rounded-xl p-3 mb-4 text-sm text-red-600">
+                            {error}
+                        </div>
+                    )}
+
+                    {/* Users List */}
+                    {isLoading ? (
+                        <p className="text-gray-500 text-sm mb-6">Loading users...</p>
+                    ) : (
+                        <div className="divide-y divide-gray-100 border border-gray-200 rounded-xl mb-6">
+                            {users.map(user => {
+                                const isSelf = user._id === currentAdmin?._id;
+
+                                return (
+                                    <div key={user._id} className="flex items-center justify-between px-4 py-3">
+                                        <div>
+                                            <p className="text-sm font-medium text-gray-900">
+                                                {user.name || user.username}
+                                                {isSelf && <span className="ml-2 text-xs text-gray-400">(you)</span>}
+                                            </p>
+                                            <p className="text-xs text-gray-500">@{user.username}</p>
+                                        </div>
+                                        <div className="flex items-center gap-3">
+                                            <select
+                                                value={user.role}
+                                                onChange={(e) => handleRoleChange(user, e.target.value)}
+                                                className="text-sm border border-gray-300 rounded-lg px-2 py-1 bg-white capitalize focus:outline-none focus:ring-2 focus:ring-lime-500"
+                                            >
+                                                {ROLES.map(role => (
+                                                    <option key={role} value={role}>{role}</option>
+                                                ))}
+                                            </select>
+                                            <button
+                                                onClick={() => handleDelete(user)}
+                                                disabled={isSelf}
+                                                className="text-sm text-red-500 hover:text-red-700 disabled:text-gray-300 disabled:cursor-not-allowed"
+                                            >
+                                                Remove
+                                            </button>
+                                        </div>
+                                    </div>
+                                );
+                            })}
+                        </div>
+                    )}
+
+                    {/* Add User Form */}
+                    <form onSubmit={handleCreate} className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                        <h3 className="sm:col-span-2 text-sm font-semibold text-gray-700">Add a user</h3>
+                        <input
+                            name="username"
+                            value={newUser.username}
+                            onChange={updateNewUser}
+                            placeholder="Username"
+                            autoComplete="off"
+                            className="px-3 py-2 rounded-lg border-2 border-gray-200 focus:border-lime-600 outline-none text-sm"
+                        />
+                        <input
+                            name="name"
+                            value={newUser.name}
+                            onChange={updateNewUser}
+                            placeholder="Display name"
+                            className="px-3 py-2 rounded-lg border-2 border-gray-200 focus:border-lime-600 outline-none text-sm"
+                        />
+                        <input
+                            type="password"
+                            name="password"
+                            value={newUser.password}
+                            onChange={updateNewUser}
+                            placeholder="Password (min 8 characters)"
+                            autoComplete="new-password"
+                            className="px-3 py-2 rounded-lg border-2 border-gray-200 focus:border-lime-600 outline-none text-sm"
+                        />
+                        <select
+                            name="role"
+                            value={newUser.role}
+                            onChange={updateNewUser}
+                            className="px-3 py-2 rounded-lg border-2 border-gray-200 focus:border-lime-600 outline-none text-sm bg-white capitalize"
+                        >
+                            {ROLES.map(role => (
+                                <option key={role} value={role}>{role}</option>
+                            ))}
+                        </select>
+                        <button
+                            type="submit"
+                            disabled={isSaving || !newUser.username || !newUser.password}
+                            className="sm:col-span-2 py-2.5 rounded-xl text-white font-semibold btn-primary disabled:opacity-70 disabled:cursor-not-allowed"
+                        >
+                            {isSaving ? 'Adding...' : 'Add User'}
+                        </button>
+                    </form>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default UsersModal;
@@ -0,0 +1,258 @@
+/**
+ * ============================================
+ * ACCOUNT PAGE COMPONENT
+ * ============================================
+ * 
+ * "My bookings" for customers (/account). There are no passwords:
+ * customers enter their email and are sent a link that signs them in
+ * (AccountSignInPage). The session is kept in an httpOnly cookie.
+ * 
+ * Features:
+ * - Email form asking for a sign-in link, when signed out
+ * - Upcoming appointments (soonest first) and past ones (latest first),
+ *   in the business timezone, with their status
+ * - Each opens in ManageBookingPage to reschedule, cancel or pay
+ * - Sign out
+ * 
+ * API:
+ * - GET /api/account/me
+ * - POST /api/account/sign-in
+ * - POST /api/account/sign-out
+ * - GET /api/account/bookings
+ */
+
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import api from '../api/config';
+import { formatDate, formatTimeRange } from '../utils/dates';
+import { STATUS_DISPLAY } from '../utils/status';
+
+const AccountPage = () => {
+    // Signed-in customer (null when signed out)
+    const [account, setAccount] = useState(null);
+
+    // True until the server has told us whether a session exists
+    const [isCheckingSession, setIsCheckingSession] = useState(true);
+
+    // The account's bookings: { upcoming, past, timezone }
+    const [bookings, setBookings] = useState(null);
+
+    // Sign-in form
+    const [email, setEmail] = useState('');
+    const [sentMessage, setSentMessage] = useState('');
+
+    // Request state
+    const [isSaving, setIsSaving] = useState(false);
+    const [error, setError] = useState('');
+
+    // Check for an existing session on mount
+    useEffect(() => {
+        let ignore = false;
+
+        api.get('/api/account/me')
+            .then((response) => {
+                if (!ignore && response.data.success) {
+                    setAccount(response.data.data);
+                }
+            })
+            .catch(() => {
+                // 401 - not signed in
+            })
+            .finally(() => {
+                if (!ignore) setIsCheckingSession(false);
+            });
+
+        return () => {
+            ignore = true;
+        };
+    }, []);
+
+    // Load the bookings once signed in
+    useEffect(() => {
+        if (!account) return;
+        let ignore = false;
+
+        api.get('/api/account/bookings')
+            .then((response) => {
+                if (!ignore && response.data.success) {
+                    const { upcoming, past, timezone } = response.data;
+                    setBookings({ upcoming, past, timezone });
+                }
+            })
+            .catch((fetchError) => {
+                if (ignore) return;
+                // The session ran out - back to the sign-in form
+                if (fetchError.response?.status === 401) {
+                    setAccount(null);
+                } else {
+                    setError(fetchError.response?.data?.message || 'Could not load your bookings. Please try again.');
+                }
+            });
+
+        return () => {
+            ignore = true;
+        };
+    }, [account]);
+
+    /**
+     * Asks for a sign-in link by email
+     */
+    const handleSignIn = async (e) => {
+        e.preventDefault();
+        setIsSaving(true);
+        setError('');
+
+        try {
+            const response = await api.post('/api/account/sign-in', { email });
+
+            if (response.data.success) {
+                setSentMessage(response.data.message);
+            }
+        } catch (requestError) {
+            setError(requestError.response?.data?.message || 'Something went wrong. Please try again.');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    /**
+     * Ends the session
+     */
+    const handleSignOut = async () => {
+        try {
+            await api.post('/api/account/sign-out');
+        } catch {
+            // Signed out locally either way
+        }
+        setAccount(null);
+        setBookings(null);
+        setSentMessage('');
+        setError('');
+    };
+
+    /**
+     * One list of bookings, each linking to its manage page
+     */
+    const renderBookings = (title, list, emptyText) => (
+        <div>
+            <h3 className="text-sm font-semibold text-gray-500 uppercase tracking-wide mb-3">{title}</h3>
+            {list.length === 0 ? (
+                <p className="text-sm text-gray-500">{emptyText}</p>
+            ) : (
+                <ul className="rounded-xl border-2 border-gray-200 bg-white divide-y divide-gray-100">
+                    {list.map((booking) => {
+                        const display = STATUS_DISPLAY[booking.status] || STATUS_DISPLAY.pending;
+                        return (
+                            <li key={booking._id}>
+                                <Link
+                                    to={`/account/bookings/${booking._id}`}
+                                    className="flex items-center justify-between gap-3 px-4 py-3 hover:bg-gray-50 transition-colors"
+                                >
+                                    <div>
+                                        <p className="font-medium text-gray-800">{booking.serviceName || 'Appointment'}</p>
+                                        <p className="text-sm text-gray-500">
+                                            {formatDate(booking.start, bookings.timezone)}, {formatTimeRange(booking.start, booking.end, bookings.timezone)}
+                                            {booking.staffName && ` · ${booking.staffName}`}
+                                        </p>
+                                    </div>
+                                    <span className={`shrink-0 px-2 py-0.5 rounded-full text-xs font-medium ${display.className}`}>
+                                        {display.label}
+                                    </span>
+                                </Link>
+                            </li>
+                        );
+                    })}
+                </ul>
+            )}
+        </div>
+    );
+
+    return (
+        <div className="min-h-screen py-12 md:py-20 px-4">
+            <div className="glass-card rounded-2xl p-8 md:p-10 max-w-xl mx-auto">
+                {/* Page Header */}
+                <div className="text-center mb-8">
+                    <h2 className="text-3xl font-bold text-gray-800 mb-2">
+                        My Bookings
+                    </h2>
+                    <p className="text-gray-500">
+                        {account
+                            ? `Signed in as ${account.email}`
+                            : 'Sign in with your email to see and manage your appointments'}
+                    </p>
+                </div>
+
+                {isCheckingSession ? (
+                    <p className="text-center text-gray-500">Loading...</p>
+                ) : !account ? (
+                    sentMessage ? (
+                        <div className="bg-green-50 border border-green-200 rounded-xl p-4 text-center">
+                            <p className="text-sm text-green-800">{sentMessage}</p>
+                            <button
+                                type="button"
+                                onClick={() => setSentMessage('')}
+                                className="mt-3 text-sm font-medium hover:underline"
+                                style={{ color: '#330867' }}
+                            >
+                                Use a different email
+                            </button>
+                        </div>
+                    ) : (
+                        /* Sign-in form */
+                        <form onSubmit={handleSignIn} className="space-y-4">
+                            <div>
+                                <label htmlFor="account-email" className="block text-sm font-medium text-gray-700 mb-2">
+                                    Email Address
+                                </label>
+                                <input
+                                    type="email"
+                                    id="account-email"
+                                    value={email}
+                                    onChange={(e) => setEmail(e.target.value)}
+                                    placeholder="The email you book with"
+                                    required
+                                    className="w-full px-4 py-3 rounded-xl border-2 border-gray-200 focus:border-lime-600 bg-white transition-all duration-200 outline-none form-input"
+                                />
+                            </div>
+                            <button
+                                type="submit"
+                                disabled={isSaving}
+                                className="w-full py-3 px-4 rounded-xl text-white font-semibold btn-primary disabled:opacity-70 disabled:cursor-not-allowed"
+                            >
+                                {isSaving ? 'Sending...' : 'Email Me a Sign-in Link'}
+                            </button>
+                        </form>
+                    )
+                ) : !bookings ? (
+                    !error && <p className="text-center text-gray-500">Loading your bookings...</p>
+                ) : (
+                    <div className="space-y-6">
+                        {renderBookings('Upcoming', bookings.upcoming, 'No upcoming appointments.')}
+                        {renderBookings('Past', bookings.past, 'No past appointments yet.')}
+
+                        <div className="flex items-center justify-between">
+                            <Link to="/" className="text-sm font-medium hover:underline" style={{ color: '#330867' }}>
+                                Make a new booking
+                            </Link>
+                            <button
+                                type="button"
+                                onClick={handleSignOut}
+                                className="text-sm font-medium text-gray-500 hover:text-gray-700 hover:underline"
+                            >
+                                Sign out
+                            </button>
+                        </div>
+                    </div>
+                )}
+
+                {error && (
+                    <div className="bg-red-50 border border-red-200 rounded-xl p-4 mt-6">
+                        <p className="text-sm text-red-600">{error}</p>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default AccountPage;
@@ -0,0 +1,78 @@
+/**
+ * ============================================
+ * ACCOUNT SIGN-IN PAGE COMPONENT
+ * ============================================
+ * 
+ * Opened from the emailed sign-in link (/account/sign-in/:token).
+ * The link works once, so it is only used when the customer presses
+ * "Sign in" (email scanners that open links won't use it up), then
+ * the customer is taken to their bookings (AccountPage).
+ * 
+ * API:
+ * - POST /api/account/verify
+ */
+
+import { useState } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import api from '../api/config';
+
+const AccountSignInPage = () => {
+    const { token } = useParams();
+    const navigate = useNavigate();
+
+    // Request state
+    const [isSaving, setIsSaving] = useState(false);
+    const [error, setError] = useState('');
+
+    /**
+     * Signs in with the link's token
+     */
+    const handleSignIn = async () => {
+        setIsSaving(true);
+        setError('');
+
+        try {
+            const response = await api.post('/api/account/verify', { token });
+
+            if (response.data.success) {
+                navigate('/account', { replace: true });
+            }
+        } catch (requestError) {
+            setError(requestError.response?.data?.message || 'Something went wrong. Please try again.');
+            setIsSaving(false);
+        }
+    };
+
+    return (
+        <div className="min-h-screen py-12 md:py-20 px-4">
+            <div className="glass-card rounded-2xl p-8 md:p-10 max-w-xl mx-auto text-center">
+                <h2 className="text-3xl font-bold text-gray-800 mb-2">
+                    Sign In
+                </h2>
+                <p className="text-gray-500 mb-8">
+                    Continue to see and manage your bookings
+                </p>
+
+                {error ? (
+                    <div>
+                        <p className="text-red-500 mb-4">{error}</p>
+                        <Link to="/account" className="text-sm font-medium hover:underline" style={{ color: '#330867' }}>
+                            Get a new sign-in link
+                        </Link>
+                    </div>
+                ) : (
+                    <button
+                        type="button"
+                        onClick={handleSignIn}
+                        disabled={isSaving}
+                        className="w-full py-3 px-4 rounded-xl text-white font-semibold btn-primary disabled:opacity-70 disabled:cursor-not-allowed"
+                    >
+                        {isSaving ? 'Signing in...' : 'Sign In'}
+                    </button>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default AccountSignInPage;
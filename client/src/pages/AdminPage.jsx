@@ -11,42 +11,69 @@
  * AdminLogin and AdminDashboard components based on whether
  * the admin is authenticated.
  * 
- * Authentication is stored in sessionStorage for simplicity.
- * In production, this would use proper JWT/session auth.
+ * Authentication is checked with the server (GET /api/auth/me),
+ * which reads the httpOnly session cookie set at login.
  */
 
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback } from 'react';
+import api from '../api/config';
 import AdminLogin from '../components/AdminLogin';
 import AdminDashboard from '../components/AdminDashboard';
 
 const AdminPage = () => {
-    // Authentication state
-    const [isLoggedIn, setIsLoggedIn] = useState(false);
+    // Signed-in admin user (null when logged out)
+    const [admin, setAdmin] = useState(null);
 
-    // Check session storage on component mount
+    // True until the server has told us whether a session exists
+    const [isCheckingSession, setIsCheckingSession] = useState(true);
+
+    // Check for an existing session on component mount
     useEffect(() => {
-        const loggedIn = sessionStorage.getItem('isAdminLoggedIn') === 'true';
-        setIsLoggedIn(loggedIn);
+        let ignore = false;
+
+        api.get('/api/auth/me')
+            .then((response) => {
+                if (!ignore && response.data.success) {
+                    setAdmin(response.data.data);
+                }
+            })
+            .catch(() => {
+                // 401 - not signed in
+            })
+            .finally(() => {
+                if (!ignore) setIsCheckingSession(false);
+            });
+
+        return () => {
+            ignore = true;
+        };
     }, []);
 
     /**
      * Handles successful login
      */
-    const handleLogin = () => {
-        setIsLoggedIn(true);
+    const handleLogin = (user) => {
+        setAdmin(user);
     };
 
     /**
-     * Handles logout
+     * Handles logout (or an expired session)
      */
-    const handleLogout = () => {
-        setIsLoggedIn(false);
-    };
+    const handleLogout = useCallback(() => {
+        setAdmin(null);
+    }, []);
 
     return (
         <div className="min-h-screen bg-gray-50">
-            {isLoggedIn ? (
-                <AdminDashboard onLogout={handleLogout} />
+            {isCheckingSession ? (
+                <div className="min-h-[80vh] flex items-center justify-center">
+                    <svg className="w-10 h-10 spinner" style={{ color: '#30cfd0' }} fill="none" viewBox="0 0 24 24">
+                        <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4" />
+                        <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z" />
+                    </svg>
+                </div>
+            ) : admin ? (
+                <AdminDashboard admin={admin} onLogout={handleLogout} />
             ) : (
                 <AdminLogin onLogin={handleLogin} />
             )}
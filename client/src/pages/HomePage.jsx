@@ -8,7 +8,7 @@
  * - Booking form for users to make appointments
  * 
  * This is the main user-facing page where customers
- * can book their appointments for February 2026.
+ * can book their appointments on any date the schedule offers.
  */
 
 import BookingForm from '../components/BookingForm';
@@ -30,7 +30,7 @@ const HomePage = () => {
 
                     {/* Subheading */}
                     <p className="text-lg md:text-xl text-white/80 max-w-2xl mx-auto mb-8">
-                        Schedule your slot with just a few clicks. Choose from available dates in February 2026 and pick a time that works for you.
+                        Schedule your slot with just a few clicks. Choose from the available dates and pick a time that works for you.
                     </p>
 
                     {/* Features */}
@@ -0,0 +1,426 @@
+/**
+ * ============================================
+ * MANAGE BOOKING PAGE COMPONENT
+ * ============================================
+ * 
+ * Opened from the private link shown after booking
+ * (/booking/:token). No login is needed - the token in
+ * the URL identifies the booking. Signed-in customers also
+ * reach it from their account (/account/bookings/:id).
+ * 
+ * Features:
+ * - Booking details in the business timezone
+ * - Reschedule to another free slot (DatePicker + SlotPicker)
+ * - Cancel the booking (kept as cancelled in the admin history)
+ * - Changes are locked within the business's cutoff window
+ * - Recurring series: every appointment is listed and can be picked,
+ *   and a reschedule or cancel applies to "this appointment" or
+ *   "this and following" (ScopePicker)
+ * - Deposits: a "Pay deposit" button while the booking waits for its
+ *   payment (customers come back here from the checkout), then whether
+ *   it was paid or refunded
+ * 
+ * API:
+ * - GET /api/manage/:token
+ * - PATCH /api/manage/:token
+ * - DELETE /api/manage/:token
+ * - The same under /api/account/bookings/:id for signed-in customers
+ */
+
+import { useState, useEffect } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import api from '../api/config';
+import { formatDate, formatDateTime, formatTimeRange, getTimeZoneLabel } from '../utils/dates';
+import { formatPrice, getBookingQueryParams } from '../utils/services';
+import DatePicker from '../components/DatePicker';
+import SlotPicker from '../components/SlotPicker';
+import ScopePicker from '../components/ScopePicker';
+import SeriesConflicts from '../components/SeriesConflicts';
+import { STATUS_DISPLAY } from '../utils/status';
+import { describeSeries } from '../utils/recurrence';
+
+const ManageBookingPage = () => {
+    const { token, id } = useParams();
+
+    // Manage link, or a booking from the customer's account
+    const apiPath = token ? `/api/manage/${token}` : `/api/account/bookings/${id}`;
+
+    // Appointment of a recurring series being viewed ('' = the link's own)
+    const [occurrence, setOccurrence] = useState('');
+
+    // Booking loaded from the API, tagged with its path and occurrence
+    const [loaded, setLoaded] = useState({ apiPath: '', occurrence: '', booking: null, series: null, payment: null, timezone: '', canChange: false, changeDeadline: null, error: '' });
+
+    // Bumped to reload the booking (and its series) after a change
+    const [reloadKey, setReloadKey] = useState(0);
+
+    // Which appointments of a series a change applies to
+    const [scope, setScope] = useState('this');
+
+    // Later appointments that can't follow a reschedule
+    const [conflicts, setConflicts] = useState(null);
+
+    // Reschedule form
+    const [isRescheduling, setIsRescheduling] = useState(false);
+    const [newDate, setNewDate] = useState('');
+    const [newStart, setNewStart] = useState('');
+    const [slotRefreshKey, setSlotRefreshKey] = useState(0);
+
+    // Request state
+    const [isSaving, setIsSaving] = useState(false);
+    const [error, setError] = useState('');
+    const [notice, setNotice] = useState('');
+    const [isCancelled, setIsCancelled] = useState(false);
+
+    // Load the booking for this link
+    useEffect(() => {
+        let ignore = false;
+
+        api.get(apiPath, { params: { occurrence: occurrence || undefined } })
+            .then((response) => {
+                if (!ignore && response.data.success) {
+                    const { data, series, payment, timezone, canChange, changeDeadline } = response.data;
+                    setLoaded({ apiPath, occurrence, booking: data, series, payment, timezone, canChange, changeDeadline, error: '' });
+                }
+            })
+            .catch((fetchError) => {
+                if (!ignore) {
+                    const message = fetchError.response?.data?.message || 'Could not load your booking. Please try again.';
+                    setLoaded({ apiPath, occurrence, booking: null, series: null, payment: null, timezone: '', canChange: false, changeDeadline: null, error: message });
+                }
+            });
+
+        return () => {
+            ignore = true;
+        };
+    }, [apiPath, occurrence, reloadKey]);
+
+    const isLoading = loaded.apiPath !== apiPath || loaded.occurrence !== occurrence;
+    const { booking, series, payment, timezone, canChange, changeDeadline } = loaded;
+
+    /**
+     * Shows another appointment of the series
+     */
+    const handleSelectOccurrence = (id) => {
+        setOccurrence(id);
+        setIsRescheduling(false);
+        setNewDate('');
+        setNewStart('');
+        setScope('this');
+        setConflicts(null);
+        setError('');
+        setNotice('');
+    };
+
+    /**
+     * Moves the booking to the selected slot
+     */
+    const handleReschedule = async () => {
+        if (!newStart) {
+            setError('Please select a new time slot');
+            return;
+        }
+
+        setIsSaving(true);
+        setError('');
+        setConflicts(null);
+
+        try {
+            const response = await api.patch(apiPath, {
+                start: newStart,
+                occurrence: occurrence || undefined,
+                scope
+            });
+
+            if (response.data.success) {
+                setLoaded(prev => ({ ...prev, booking: response.data.data }));
+                setNotice(response.data.message === 'Booking rescheduled successfully'
+                    ? 'Your booking has been rescheduled.'
+                    : response.data.message);
+                setIsRescheduling(false);
+                setNewDate('');
+                setNewStart('');
+                setReloadKey(key => key + 1);
+            }
+        } catch (requestError) {
+            // Later appointments can't move with it - nothing was changed
+            if (requestError.response?.data?.conflicts) {
+                setConflicts(requestError.response.data.conflicts);
+            } else if (requestError.response?.status === 409) {
+                // Someone took the slot while the customer was choosing
+                setNewStart('');
+                setSlotRefreshKey(key => key + 1);
+            }
+            setError(requestError.response?.data?.message || 'Something went wrong. Please try again.');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    /**
+     * Cancels the booking after confirmation
+     */
+    const handleCancel = async () => {
+        const question = scope === 'following'
+            ? 'Cancel this and all following appointments? Their time slots will be released.'
+            : 'Cancel this booking? Your time slot will be released.';
+        if (!window.confirm(question)) {
+            return;
+        }
+
+        setIsSaving(true);
+        setError('');
+
+        try {
+            const response = await api.delete(apiPath, {
+                params: { occurrence: occurrence || undefined, scope }
+            });
+
+            if (response.data.success && series) {
+                // The rest of the series stays manageable
+                setNotice(response.data.message);
+                setReloadKey(key => key + 1);
+            } else if (response.data.success) {
+                setIsCancelled(true);
+                // Picks up a refunded deposit
+                setReloadKey(key => key + 1);
+            }
+        } catch (requestError) {
+            setError(requestError.response?.data?.message || 'Something went wrong. Please try again.');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    return (
+        <div className="min-h-screen py-12 md:py-20 px-4">
+            <div className="glass-card rounded-2xl p-8 md:p-10 max-w-xl mx-auto">
+                {/* Page Header */}
+                <div className="text-center mb-8">
+                    <h2 className="text-3xl font-bold text-gray-800 mb-2">
+                        Your Booking
+                    </h2>
+                    <p className="text-gray-500">
+                        Reschedule or cancel your appointment
+                    </p>
+                </div>
+
+                {isLoading ? (
+                    <p className="text-center text-gray-500">Loading your booking...</p>
+                ) : loaded.error ? (
+                    <div className="text-center">
+                        <p className="text-red-500 mb-4">{loaded.error}</p>
+                        <Link to="/" className="text-sm font-medium hover:underline" style={{ color: '#330867' }}>
+                            Make a new booking
+                        </Link>
+                    </div>
+                ) : !series && (isCancelled || booking.status === 'cancelled') ? (
+                    <div className="text-center">
+                        <p className="text-gray-700 mb-4">
+                            {payment?.status === 'expired' || payment?.status === 'failed'
+                                ? 'Your booking was released because the deposit wasn\'t paid.'
+                                : 'Your booking has been cancelled.'}
+                            {payment?.status === 'refunded' && ` Your ${formatPrice(payment.amount, payment.currency)} deposit has been refunded.`}
+                        </p>
+                        <Link to="/" className="text-sm font-medium hover:underline" style={{ color: '#330867' }}>
+                            Make a new booking
+                        </Link>
+                    </div>
+                ) : (
+                    <div className="space-y-6">
+                        {/* Booking Details */}
+                        <div className="rounded-xl p-5" style={{ background: 'linear-gradient(135deg, #F6F0D7 0%, #C5D89D 100%)' }}>
+                            <p className="font-semibold text-gray-800">{booking.name}</p>
+                            <p className="text-sm text-gray-600 mb-3">{booking.email}</p>
+                            {booking.serviceName && (
+                                <p className="font-medium text-gray-700">
+                                    {booking.serviceName}
+                                    {booking.staffName && !booking.anyStaff && ` with ${booking.staffName}`}
+                                </p>
+                            )}
+                            <p className="text-gray-700">{formatDate(booking.start, timezone)}</p>
+                            <p className="text-gray-700">
+                                {formatTimeRange(booking.start, booking.end, timezone)} ({getTimeZoneLabel(booking.start, timezone)})
+                            </p>
+                            {series && (
+                                <p className="text-sm text-gray-600 mt-2">{describeSeries(booking)}</p>
+                            )}
+                        </div>
+
+                        {/* Deposit */}
+                        {payment?.checkoutUrl ? (
+                            <div className="bg-amber-50 border border-amber-200 rounded-xl p-4">
+                                <p className="text-sm text-amber-900 mb-3">
+                                    Pay the {formatPrice(payment.amount, payment.currency)} deposit by{' '}
+                                    {formatDateTime(payment.expiresAt, timezone)} to confirm your appointment,
+                                    or the slot will be released.
+                                </p>
+                                <a
+                                    href={payment.checkoutUrl}
+                                    className="block w-full py-3 rounded-xl text-center text-white font-semibold btn-primary"
+                                >
+                                    Pay Deposit
+                                </a>
+                            </div>
+                        ) : (payment?.status === 'paid' || payment?.status === 'refunded') && (
+                            <p className="text-sm text-gray-600">
+                                {payment.status === 'paid'
+                                    ? `Deposit of ${formatPrice(payment.amount, payment.currency)} paid.`
+                                    : `Your ${formatPrice(payment.amount, payment.currency)} deposit has been refunded.`}
+                            </p>
+                        )}
+
+                        {/* Every appointment of a recurring series */}
+                        {series && (
+                            <div>
+                                <p className="text-sm font-medium text-gray-700 mb-2">Your appointments</p>
+                                <ul className="max-h-56 overflow-y-auto divide-y divide-gray-100 rounded-xl border-2 border-gray-200 bg-white">
+                                    {series.map(item => {
+                                        const isSelected = item._id === booking._id;
+                                        const display = STATUS_DISPLAY[item.status] || STATUS_DISPLAY.confirmed;
+
+                                        return (
+                                            <li key={item._id}>
+                                                <button
+                                                    type="button"
+                                                    onClick={() => handleSelectOccurrence(item._id)}
+                                                    className={`w-full flex items-center justify-between gap-3 px-4 py-2 text-left text-sm transition-colors ${isSelected ? 'bg-green-50' : 'hover:bg-gray-50'}`}
+                                                >
+                                                    <span className={isSelected ? 'font-semibold' : 'text-gray-700'} style={isSelected ? { color: '#330867' } : {}}>
+                                                        {formatDate(item.start, timezone)}, {formatTimeRange(item.start, item.end, timezone)}
+                                                    </span>
+                                                    <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${display.className}`}>
+                                                        {display.label}
+                                                    </span>
+                                                </button>
+                                            </li>
+                                        );
+                                    })}
+                                </ul>
+                            </div>
+                        )}
+
+                        {notice && (
+                            <div className="bg-green-50 border border-green-200 rounded-xl p-4">
+                                <p className="text-sm text-green-700">{notice}</p>
+                            </div>
+                        )}
+
+                        {booking.status === 'pending-payment' ? (
+                            <p className="text-sm text-gray-500 text-center">
+                                You can reschedule or cancel once the deposit is paid.
+                            </p>
+                        ) : !canChange && booking.status !== 'pending' && booking.status !== 'confirmed' ? (
+                            <p className="text-sm text-gray-500 text-center">
+                                This booking is {STATUS_DISPLAY[booking.status]?.label.toLowerCase() || booking.status} and can no longer be changed.
+                            </p>
+                        ) : !canChange ? (
+                            <p className="text-sm text-gray-500 text-center">
+                                Online changes closed on {formatDate(changeDeadline, timezone)} at{' '}
+                                {new Date(changeDeadline).toLocaleTimeString('en-US', { timeZone: timezone || undefined, hour: 'numeric', minute: '2-digit' })}.
+                                Please contact us to change this booking.
+                            </p>
+                        ) : isRescheduling ? (
+                            <div className="space-y-6">
+                                <div>
+                                    <span className="block text-sm font-medium text-gray-700 mb-2">
+                                        New Date
+                                    </span>
+                                    <DatePicker
+                                        value={newDate}
+                                        queryParams={getBookingQueryParams(booking)}
+                                        onChange={(date) => {
+                                            setNewDate(date);
+                                            setNewStart('');
+                                        }}
+                                    />
+                                </div>
+
+                                <SlotPicker
+                                    label="New Time Slot"
+                                    date={newDate}
+                                    queryParams={getBookingQueryParams(booking)}
+                                    value={newStart}
+                                    onChange={setNewStart}
+                                    refreshKey={slotRefreshKey}
+                                    currentStart={booking.start}
+                                />
+
+                                <ScopePicker booking={booking} value={scope} onChange={setScope} />
+
+                                <SeriesConflicts
+                                    conflicts={conflicts}
+                                    timezone={timezone}
+                                    title="These appointments can't move to that time - nothing was changed:"
+                                />
+
+                                <div className="flex gap-3">
+                                    <button
+                                        type="button"
+                                        onClick={() => {
+                                            setIsRescheduling(false);
+                                            setConflicts(null);
+                                            setError('');
+                                        }}
+                                        className="flex-1 py-3 px-4 rounded-xl border-2 border-gray-200 text-gray-700 font-semibold hover:bg-gray-50 transition-colors"
+                                    >
+                                        Back
+                                    </button>
+                                    <button
+                                        type="button"
+                                        onClick={handleReschedule}
+                                        disabled={isSaving}
+                                        className="flex-1 py-3 px-4 rounded-xl text-white font-semibold btn-primary disabled:opacity-70 disabled:cursor-not-allowed"
+                                    >
+                                        {isSaving ? 'Saving...' : 'Confirm New Time'}
+                                    </button>
+                                </div>
+                            </div>
+                        ) : (
+                            <div className="space-y-4">
+                                <ScopePicker booking={booking} value={scope} onChange={setScope} name="cancelScope" />
+                                <div className="flex gap-3">
+                                    <button
+                                        type="button"
+                                        onClick={() => {
+                                            setIsRescheduling(true);
+                                            setNotice('');
+                                        }}
+                                        className="flex-1 py-3 px-4 rounded-xl text-white font-semibold btn-primary"
+                                    >
+                                        Reschedule
+                                    </button>
+                                    <button
+                                        type="button"
+                                        onClick={handleCancel}
+                                        disabled={isSaving}
+                                        className="flex-1 py-3 px-4 rounded-xl border-2 border-red-200 text-red-600 font-semibold hover:bg-red-50 transition-colors disabled:opacity-70 disabled:cursor-not-allowed"
+                                    >
+                                        Cancel Booking
+                                    </button>
+                                </div>
+                            </div>
+                        )}
+
+                        {error && (
+                            <div className="bg-red-50 border border-red-200 rounded-xl p-4">
+                                <p className="text-sm text-red-600">{error}</p>
+                            </div>
+                        )}
+                    </div>
+                )}
+
+                {/* Back to the customer's account */}
+                {id && (
+                    <div className="text-center mt-6">
+                        <Link to="/account" className="text-sm font-medium hover:underline" style={{ color: '#330867' }}>
+                            &larr; Back to my bookings
+                        </Link>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default ManageBookingPage;
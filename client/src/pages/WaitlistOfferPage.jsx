@@ -0,0 +1,219 @@
+/**
+ * ============================================
+ * WAITLIST OFFER PAGE COMPONENT
+ * ============================================
+ * 
+ * Opened from the link sent when a slot the customer was waiting
+ * for frees up (/waitlist/:token). No login is needed - the token in
+ * the URL identifies the waitlist entry.
+ * 
+ * Features:
+ * - The offered slot in the business timezone, and when the offer runs out
+ * - Claim it: books the slot with the details given when joining, then
+ *   opens the new booking's manage page (or, for a service with a
+ *   deposit, the payment checkout first)
+ * - Decline it, passing the slot on to the next person waiting
+ * - Explains offers that are over (claimed, declined, expired, or
+ *   no longer bookable)
+ * 
+ * API:
+ * - GET /api/waitlist/:token
+ * - POST /api/waitlist/:token/claim
+ * - POST /api/waitlist/:token/decline
+ */
+
+import { useState, useEffect } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import api from '../api/config';
+import { formatDate, formatDateTime, formatTimeRange, getTimeZoneLabel } from '../utils/dates';
+
+const WaitlistOfferPage = () => {
+    const { token } = useParams();
+    const navigate = useNavigate();
+
+    // Offer loaded from the link, tagged with its token
+    const [loaded, setLoaded] = useState({ token: '', entry: null, timezone: '', isOpen: false, message: '', error: '' });
+
+    // Request state
+    const [isSaving, setIsSaving] = useState(false);
+    const [error, setError] = useState('');
+
+    // Set once the offer is declined or can no longer be claimed
+    const [closedMessage, setClosedMessage] = useState('');
+
+    // Load the offer for this link
+    useEffect(() => {
+        let ignore = false;
+
+        api.get(`/api/waitlist/${token}`)
+            .then((response) => {
+                if (!ignore && response.data.success) {
+                    const { data, timezone, isOpen, message } = response.data;
+                    setLoaded({ token, entry: data, timezone, isOpen, message: message || '', error: '' });
+                }
+            })
+            .catch((fetchError) => {
+                if (!ignore) {
+                    const message = fetchError.response?.data?.message || 'Could not load your offer. Please try again.';
+                    setLoaded({ token, entry: null, timezone: '', isOpen: false, message: '', error: message });
+                }
+            });
+
+        return () => {
+            ignore = true;
+        };
+    }, [token]);
+
+    const isLoading = loaded.token !== token;
+    const { entry, timezone } = loaded;
+    const message = closedMessage || (!loaded.isOpen && loaded.message);
+
+    /**
+     * Books the offered slot and opens the new booking (or its
+     * deposit checkout)
+     */
+    const handleClaim = async () => {
+        setIsSaving(true);
+        setError('');
+
+        try {
+            const response = await api.post(`/api/waitlist/${token}/claim`);
+
+            if (!response.data.success) return;
+
+            // Services with a deposit are paid for first; the gateway
+            // brings the customer back to the booking afterwards
+            if (response.data.payment) {
+                window.location.assign(response.data.payment.checkoutUrl);
+            } else {
+                navigate(`/booking/${response.data.manageToken}`);
+            }
+        } catch (requestError) {
+            const requestMessage = requestError.response?.data?.message || 'Something went wrong. Please try again.';
+            // The offer is over - nothing left to claim
+            if (requestError.response?.status === 409) {
+                setClosedMessage(requestMessage);
+            } else {
+                setError(requestMessage);
+            }
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    /**
+     * Turns the offer down after confirmation
+     */
+    const handleDecline = async () => {
+        if (!window.confirm('Turn this slot down? It will be offered to the next person waiting.')) {
+            return;
+        }
+
+        setIsSaving(true);
+        setError('');
+
+        try {
+            const response = await api.post(`/api/waitlist/${token}/decline`);
+
+            if (response.data.success) {
+                setClosedMessage(response.data.message);
+            }
+        } catch (requestError) {
+            const requestMessage = requestError.response?.data?.message || 'Something went wrong. Please try again.';
+            if (requestError.response?.status === 409) {
+                setClosedMessage(requestMessage);
+            } else {
+                setError(requestMessage);
+            }
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    return (
+        <div className="min-h-screen py-12 md:py-20 px-4">
+            <div className="glass-card rounded-2xl p-8 md:p-10 max-w-xl mx-auto">
+                {/* Page Header */}
+                <div className="text-center mb-8">
+                    <h2 className="text-3xl font-bold text-gray-800 mb-2">
+                        A Slot Opened Up
+                    </h2>
+                    <p className="text-gray-500">
+                        Claim the time you were waiting for
+                    </p>
+                </div>
+
+                {isLoading ? (
+                    <p className="text-center text-gray-500">Loading your offer...</p>
+                ) : loaded.error ? (
+                    <div className="text-center">
+                        <p className="text-red-500 mb-4">{loaded.error}</p>
+                        <Link to="/" className="text-sm font-medium hover:underline" style={{ color: '#330867' }}>
+                            Make a new booking
+                        </Link>
+                    </div>
+                ) : (
+                    <div className="space-y-6">
+                        {/* Offered Slot */}
+                        <div className="rounded-xl p-5" style={{ background: 'linear-gradient(135deg, #F6F0D7 0%, #C5D89D 100%)' }}>
+                            <p className="font-semibold text-gray-800">{entry.name}</p>
+                            <p className="text-sm text-gray-600 mb-3">{entry.email}</p>
+                            {entry.serviceName && (
+                                <p className="font-medium text-gray-700">
+                                    {entry.serviceName}
+                                    {entry.staffName && ` with ${entry.staffName}`}
+                                </p>
+                            )}
+                            <p className="text-gray-700">{formatDate(entry.start, timezone)}</p>
+                            <p className="text-gray-700">
+                                {formatTimeRange(entry.start, entry.end, timezone)} ({getTimeZoneLabel(entry.start, timezone)})
+                            </p>
+                        </div>
+
+                        {message ? (
+                            <div className="text-center">
+                                <p className="text-gray-700 mb-4">{message}</p>
+                                <Link to="/" className="text-sm font-medium hover:underline" style={{ color: '#330867' }}>
+                                    Make a new booking
+                                </Link>
+                            </div>
+                        ) : (
+                            <div className="space-y-4">
+                                <p className="text-sm text-gray-600 text-center">
+                                    Claim by {formatDateTime(entry.offerExpiresAt, timezone)} - after that
+                                    it goes to the next person waiting.
+                                </p>
+                                <div className="flex gap-3">
+                                    <button
+                                        type="button"
+                                        onClick={handleClaim}
+                                        disabled={isSaving}
+                                        className="flex-1 py-3 px-4 rounded-xl text-white font-semibold btn-primary disabled:opacity-70 disabled:cursor-not-allowed"
+                                    >
+                                        {isSaving ? 'Saving...' : 'Claim This Slot'}
+                                    </button>
+                                    <button
+                                        type="button"
+                                        onClick={handleDecline}
+                                        disabled={isSaving}
+                                        className="flex-1 py-3 px-4 rounded-xl border-2 border-red-200 text-red-600 font-semibold hover:bg-red-50 transition-colors disabled:opacity-70 disabled:cursor-not-allowed"
+                                    >
+                                        No Thanks
+                                    </button>
+                                </div>
+                            </div>
+                        )}
+
+                        {error && (
+                            <div className="bg-red-50 border border-red-200 rounded-xl p-4">
+                                <p className="text-sm text-red-600">{error}</p>
+                            </div>
+                        )}
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default WaitlistOfferPage;
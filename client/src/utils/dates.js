@@ -0,0 +1,141 @@
+/**
+ * ============================================
+ * DATE UTILITIES
+ * ============================================
+ * 
+ * Small helpers for working with calendar months and
+ * appointment times. Months are passed around as "YYYY-MM"
+ * keys and dates as "YYYY-MM-DD" strings, matching the server
+ * API. Appointments arrive as UTC timestamps and are shown in
+ * the business timezone the API returns.
+ */
+
+/**
+ * Returns the "YYYY-MM" key for a date's month
+ * @param {Date} date - Any date in the month
+ * @returns {string} - Month key, e.g. "2026-02"
+ */
+export const getMonthKey = (date) => {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+};
+
+/**
+ * Moves a "YYYY-MM" month key forwards or backwards
+ * @param {string} month - Month key, e.g. "2026-02"
+ * @param {number} offset - Number of months to move (negative = back)
+ * @returns {string} - Shifted month key
+ */
+export const shiftMonth = (month, offset) => {
+    const [year, monthNumber] = month.split('-').map(Number);
+    return getMonthKey(new Date(year, monthNumber - 1 + offset, 1));
+};
+
+/**
+ * Formats a "YYYY-MM" month key for display
+ * @param {string} month - Month key, e.g. "2026-02"
+ * @returns {string} - Display label, e.g. "February 2026"
+ */
+export const formatMonthLabel = (month) => {
+    const [year, monthNumber] = month.split('-').map(Number);
+    return new Date(year, monthNumber - 1, 1).toLocaleDateString('en-US', {
+        month: 'long',
+        year: 'numeric'
+    });
+};
+
+/**
+ * Calendar date of a timestamp in the business timezone
+ * @param {string|Date} value - ISO timestamp or Date
+ * @param {string} timeZone - IANA timezone
+ * @returns {string} - Date as "YYYY-MM-DD"
+ */
+export const getDateKey = (value, timeZone) => {
+    // en-CA formats dates as YYYY-MM-DD
+    return new Date(value).toLocaleDateString('en-CA', { timeZone: timeZone || undefined });
+};
+
+/**
+ * Moves a "YYYY-MM-DD" date forwards or backwards
+ * @param {string} date - Date key, e.g. "2026-02-05"
+ * @param {number} days - Number of days to move (negative = back)
+ * @returns {string} - Shifted date key
+ */
+export const shiftDate = (date, days) => {
+    const shifted = new Date(`${date}T00:00:00Z`);
+    shifted.setUTCDate(shifted.getUTCDate() + days);
+    return shifted.toISOString().slice(0, 10);
+};
+
+/**
+ * Clock time of a timestamp in the business timezone
+ * @param {string|Date} value - ISO timestamp or Date
+ * @param {string} timeZone - IANA timezone
+ * @returns {string} - 24-hour time as "HH:mm"
+ */
+export const getTimeKey = (value, timeZone) => {
+    return new Date(value).toLocaleTimeString('en-GB', {
+        timeZone: timeZone || undefined,
+        hourCycle: 'h23',
+        hour: '2-digit',
+        minute: '2-digit'
+    });
+};
+
+/**
+ * Formats an appointment time as a date in the business timezone
+ * @param {string|Date} value - ISO timestamp or Date
+ * @param {string} timeZone - IANA timezone, e.g. "Asia/Kolkata"
+ * @returns {string} - Formatted date, e.g. "Thu, 5 Feb 2026"
+ */
+export const formatDate = (value, timeZone) => {
+    return new Date(value).toLocaleDateString('en-IN', {
+        timeZone: timeZone || undefined,
+        weekday: 'short',
+        day: 'numeric',
+        month: 'short',
+        year: 'numeric'
+    });
+};
+
+/**
+ * Formats an appointment start/end in the business timezone
+ * @param {string|Date} start - ISO start timestamp
+ * @param {string|Date} end - ISO end timestamp
+ * @param {string} timeZone - IANA timezone
+ * @returns {string} - Formatted range, e.g. "10:00 AM - 11:00 AM"
+ */
+export const formatTimeRange = (start, end, timeZone) => {
+    const format = (value) => new Date(value).toLocaleTimeString('en-US', {
+        timeZone: timeZone || undefined,
+        hour: 'numeric',
+        minute: '2-digit'
+    });
+    return `${format(start)} - ${format(end)}`;
+};
+
+/**
+ * Formats a timestamp as date and time in the business timezone
+ * @param {string|Date} value - ISO timestamp or Date
+ * @param {string} timeZone - IANA timezone
+ * @returns {string} - Formatted date and time, e.g. "Thu, 5 Feb 2026, 10:00 AM"
+ */
+export const formatDateTime = (value, timeZone) => {
+    const time = new Date(value).toLocaleTimeString('en-US', {
+        timeZone: timeZone || undefined,
+        hour: 'numeric',
+        minute: '2-digit'
+    });
+    return `${formatDate(value, timeZone)}, ${time}`;
+};
+
+/**
+ * Short name of a timezone at a given time, e.g. "IST" or "GMT+5:30"
+ * @param {string|Date} value - ISO timestamp or Date
+ * @param {string} timeZone - IANA timezone
+ * @returns {string} - Timezone abbreviation
+ */
+export const getTimeZoneLabel = (value, timeZone) => {
+    const parts = new Intl.DateTimeFormat('en-IN', { timeZone: timeZone || undefined, timeZoneName: 'short' })
+        .formatToParts(new Date(value));
+    return parts.find(part => part.type === 'timeZoneName')?.value || timeZone || '';
+};
@@ -0,0 +1,56 @@
+/**
+ * ============================================
+ * RECURRENCE UTILITIES
+ * ============================================
+ * 
+ * Mirrors the server's recurring bookings (utils/recurrence.js):
+ * how often a series can repeat, how long it can run, and the
+ * "this occurrence" / "this and following" choice for changes.
+ */
+
+export const MAX_OCCURRENCES = 52;
+
+// Repeat choices on the booking form ('' = a one-off booking)
+export const FREQUENCIES = [
+    { value: '', label: "Doesn't repeat" },
+    { value: 'weekly', label: 'Every week' },
+    { value: 'biweekly', label: 'Every 2 weeks' },
+    { value: 'monthly', label: 'Every month' }
+];
+
+// Which occurrences of a series a change applies to
+export const SCOPES = [
+    { value: 'this', label: 'This appointment' },
+    { value: 'following', label: 'This and following' }
+];
+
+// Repeat choice before the customer picks one
+export const EMPTY_REPEAT = { frequency: '', ends: 'count', count: 4, until: '' };
+
+/**
+ * Builds the request's recurrence rule from the repeat choice
+ * @param {Object} repeat - { frequency, ends: 'count' | 'until', count, until }
+ * @returns {Object|undefined} - { frequency, count } or { frequency, until },
+ *   or undefined for a one-off booking
+ */
+export const toRecurrence = (repeat) => {
+    if (!repeat.frequency) return undefined;
+    return repeat.ends === 'until'
+        ? { frequency: repeat.frequency, until: repeat.until }
+        : { frequency: repeat.frequency, count: Number(repeat.count) };
+};
+
+/**
+ * Describes a booking's series, e.g. "Every week · 3 of 10"
+ * @param {Object} booking - Booking ({ recurrence, occurrence })
+ * @returns {string} - Empty for one-off bookings
+ */
+export const describeSeries = (booking) => {
+    if (!booking?.series || !booking.recurrence) return '';
+
+    const frequency = FREQUENCIES.find(option => option.value === booking.recurrence.frequency)?.label || 'Repeats';
+    const position = booking.recurrence.count
+        ? `${booking.occurrence} of ${booking.recurrence.count}`
+        : `#${booking.occurrence}`;
+    return `${frequency} · ${position}`;
+};
@@ -0,0 +1,26 @@
+/**
+ * ============================================
+ * ROLE UTILITIES
+ * ============================================
+ * 
+ * Mirrors the server's admin roles so the dashboard can hide
+ * actions the signed-in admin is not allowed to use. The server
+ * still enforces every permission - this only tidies the UI.
+ * 
+ * Roles (each includes the ones before it):
+ * - viewer: See bookings
+ * - staff:  Also edit and cancel bookings
+ * - owner:  Also export, clear all bookings and manage users
+ */
+
+export const ROLES = ['viewer', 'staff', 'owner'];
+
+/**
+ * Checks whether an admin has at least the given role
+ * @param {Object} admin - Signed-in admin user ({ role })
+ * @param {string} role - Minimum role, e.g. "staff"
+ * @returns {boolean} - True if allowed
+ */
+export const hasRole = (admin, role) => {
+    return ROLES.indexOf(admin?.role) >= ROLES.indexOf(role);
+};
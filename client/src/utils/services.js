@@ -0,0 +1,53 @@
+/**
+ * ============================================
+ * SERVICE UTILITIES
+ * ============================================
+ * 
+ * Display helpers for the services customers can book
+ * (see GET /api/services).
+ */
+
+import { ANY_STAFF } from './staff';
+
+/**
+ * Formats a length in minutes, e.g. "30 min", "1 hr" or "1 hr 30 min"
+ * @param {number} minutes - Length in minutes
+ * @returns {string} - Display label
+ */
+export const formatDuration = (minutes) => {
+    const hours = Math.floor(minutes / 60);
+    const rest = minutes % 60;
+
+    if (hours === 0) return `${rest} min`;
+    return rest === 0 ? `${hours} hr` : `${hours} hr ${rest} min`;
+};
+
+/**
+ * Formats a service price, e.g. "₹500" or "Free"
+ * @param {number} price - Price in the currency's main unit
+ * @param {string} currency - ISO 4217 code from the API, e.g. "INR"
+ * @returns {string} - Display label
+ */
+export const formatPrice = (price, currency) => {
+    if (!price) return 'Free';
+
+    return new Intl.NumberFormat('en-IN', {
+        style: 'currency',
+        currency: currency || 'INR',
+        maximumFractionDigits: Number.isInteger(price) ? 0 : 2
+    }).format(price);
+};
+
+/**
+ * Availability query parameters for moving an existing booking:
+ * its own length and buffer, which stay the same when it moves, and
+ * its staff member - or anyone, if the customer had no preference
+ * @param {Object} booking - Booking ({ start, end, bufferMinutes, staff, anyStaff })
+ * @param {string} [staff] - Staff id to check instead (when reassigning it)
+ * @returns {Object} - { duration, buffer } in minutes, and staff
+ */
+export const getBookingQueryParams = (booking, staff) => ({
+    duration: Math.round((new Date(booking.end) - new Date(booking.start)) / 60000),
+    buffer: booking.bufferMinutes || 0,
+    staff: staff || (booking.staff && !booking.anyStaff ? booking.staff : ANY_STAFF)
+});
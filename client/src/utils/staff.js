@@ -0,0 +1,14 @@
+/**
+ * ============================================
+ * STAFF UTILITIES
+ * ============================================
+ * 
+ * Shared values for the staff members and resources bookings are
+ * assigned to (see GET /api/staff).
+ */
+
+// Staff choice for "whoever is free" (the API's default)
+export const ANY_STAFF = 'any';
+
+// Day numbers used by staff working hours (0 = Sunday)
+export const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
@@ -0,0 +1,49 @@
+/**
+ * ============================================
+ * BOOKING STATUS UTILITIES
+ * ============================================
+ * 
+ * Mirrors the server's booking lifecycle so the dashboard only
+ * offers status changes the API will accept.
+ * 
+ * Lifecycle:
+ * - pending   -> confirmed, cancelled
+ * - pending-payment -> confirmed, cancelled (waiting for its deposit -
+ *   confirmed by itself once paid, or cancelled if it isn't paid in time)
+ * - confirmed -> cancelled, completed, no-show
+ * - completed <-> no-show (to correct a mistake)
+ * - cancelled is final (its slot has been released)
+ */
+
+export const STATUS_TRANSITIONS = {
+    pending: ['confirmed', 'cancelled'],
+    'pending-payment': ['confirmed', 'cancelled'],
+    confirmed: ['cancelled', 'completed', 'no-show'],
+    cancelled: [],
+    completed: ['no-show'],
+    'no-show': ['completed']
+};
+
+// Display label and badge colours for each status
+export const STATUS_DISPLAY = {
+    pending: { label: 'Pending', className: 'bg-yellow-100 text-yellow-800' },
+    'pending-payment': { label: 'Awaiting payment', className: 'bg-orange-100 text-orange-800' },
+    confirmed: { label: 'Confirmed', className: 'bg-green-100 text-green-800' },
+    cancelled: { label: 'Cancelled', className: 'bg-gray-100 text-gray-600' },
+    completed: { label: 'Completed', className: 'bg-blue-100 text-blue-800' },
+    'no-show': { label: 'No-show', className: 'bg-red-100 text-red-700' }
+};
+
+/**
+ * Lists the statuses a booking can move to right now
+ * Completed and no-show are only offered once the appointment has started.
+ * @param {Object} booking - Booking ({ status, start })
+ * @returns {string[]} - Allowed next statuses
+ */
+export const getNextStatuses = (booking) => {
+    const hasStarted = new Date(booking.start) <= new Date();
+
+    return (STATUS_TRANSITIONS[booking.status] || []).filter(status =>
+        hasStarted || (status !== 'completed' && status !== 'no-show')
+    );
+};
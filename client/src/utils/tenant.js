@@ -0,0 +1,62 @@
+/**
+ * ============================================
+ * TENANT (BUSINESS LOCATION) UTILITIES
+ * ============================================
+ * 
+ * Works out which business location the page is for, mirroring
+ * the server's middleware/tenant.js:
+ * 
+ * - /b/<slug>/...            - The location is in the path
+ * - <slug>.VITE_TENANT_DOMAIN - The location is the subdomain
+ * - Anything else            - The default location (no slug)
+ * 
+ * The router is mounted under BASENAME so every link stays at the
+ * location, and API requests always name the location in the path
+ * (/api/b/<slug>/...), as the API may be on a host without the
+ * subdomain (see api/config.js).
+ */
+
+const TENANT_DOMAIN = (import.meta.env.VITE_TENANT_DOMAIN || '').toLowerCase().replace(/^\.+/, '');
+
+// Subdomains that are part of the site itself rather than a location
+const IGNORED_SUBDOMAINS = ['www', 'api'];
+
+/**
+ * Location slug from the page's path, e.g. "/b/koramangala/admin"
+ * @returns {string|null} - Slug, or null if the path names none
+ */
+const getPathSlug = () => {
+    const match = window.location.pathname.match(/^\/b\/([^/]+)/);
+    return match ? decodeURIComponent(match[1]).toLowerCase() : null;
+};
+
+/**
+ * Location slug from the page's host name
+ * @returns {string|null} - Slug, or null for the bare domain / other hosts
+ */
+const getSubdomainSlug = () => {
+    const host = window.location.hostname.toLowerCase();
+    if (!TENANT_DOMAIN || !host.endsWith(`.${TENANT_DOMAIN}`)) return null;
+
+    const subdomain = host.slice(0, -(TENANT_DOMAIN.length + 1));
+    return IGNORED_SUBDOMAINS.includes(subdomain) ? null : subdomain;
+};
+
+// Slug named in the path, if any
+export const PATH_SLUG = getPathSlug();
+
+// Location of this page, or null for the default one
+export const TENANT_SLUG = PATH_SLUG || getSubdomainSlug();
+
+// Router basename: "/b/<slug>" when the location is in the path
+export const BASENAME = PATH_SLUG ? `/b/${encodeURIComponent(PATH_SLUG)}` : '';
+
+/**
+ * Adds the location to an API path: "/api/x" -> "/api/b/<slug>/x"
+ * @param {string} url - Request path starting with /api/
+ * @returns {string} - Path for this location's API
+ */
+export const withTenant = (url) => {
+    if (!TENANT_SLUG || !url?.startsWith('/api/')) return url;
+    return `/api/b/${encodeURIComponent(TENANT_SLUG)}${url.slice(4)}`;
+};
@@ -5,7 +5,8 @@
  * 
  * This file contains helper functions for form validation.
  * These are used by the BookingForm component to validate
- * user input in real-time before submission.
+ * user input in real-time before submission, and by the
+ * admin EditBookingModal so edits follow the same rules.
  * 
  * Why separate validation file?
  * - Keeps form components clean and focused
@@ -80,40 +81,10 @@ export const validateBookingForm = (formData) => {
         errors.date = 'Please select a date';
     }
 
-    // Validate Time Slot
-    if (!validateRequired(formData.timeSlot)) {
-        errors.timeSlot = 'Please select a time slot';
+    // Validate Time Slot (its ISO start time)
+    if (!validateRequired(formData.start)) {
+        errors.start = 'Please select a time slot';
     }
 
     return errors;
 };
-
-/**
- * Generates available dates for February 2026
- * @returns {Array} - Array of date strings formatted as "February X, 2026"
- */
-export const getFebruaryDates = () => {
-    const dates = [];
-    // February 2026 has 28 days (not a leap year)
-    for (let day = 1; day <= 28; day++) {
-        dates.push(`February ${day}, 2026`);
-    }
-    return dates;
-};
-
-/**
- * Generates available 1-hour time slots (BookMyShow style)
- * @returns {Array} - Array of time slot strings
- */
-export const getTimeSlots = () => {
-    return [
-        '10:00 AM - 11:00 AM',
-        '11:00 AM - 12:00 PM',
-        '12:00 PM - 1:00 PM',
-        '1:00 PM - 2:00 PM',
-        '2:00 PM - 3:00 PM',
-        '3:00 PM - 4:00 PM',
-        '4:00 PM - 5:00 PM',
-        '5:00 PM - 6:00 PM'
-    ];
-};
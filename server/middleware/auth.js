@@ -0,0 +1,163 @@
+/**
+ * ============================================
+ * ADMIN AUTHENTICATION MIDDLEWARE
+ * ============================================
+ * 
+ * Cookie-based sessions for the admin dashboard.
+ * 
+ * How it works:
+ * - POST /api/auth/login creates an AdminSession and sets a random
+ *   token in an httpOnly cookie (JavaScript in the page cannot read it)
+ * - requireAdmin looks the token up on every protected request and
+ *   attaches the signed-in user as req.admin
+ * - POST /api/auth/logout deletes the session
+ * - requireRole('staff') / requireRole('owner') additionally check the
+ *   admin's role (viewer < staff < owner)
+ * - loadAdmin does the same lookup as requireAdmin but lets signed-out
+ *   requests through, for endpoints that also accept another credential
+ * - Admins belong to one business location: a session only counts at
+ *   that location (req.business, see middleware/tenant.js)
+ * 
+ * In production the frontend (Vercel) and API (Render) are on different
+ * sites, so the cookie is sent with SameSite=None; Secure.
+ * 
+ * Environment Variables:
+ * - SESSION_TTL_HOURS: How long a login lasts (default: 8)
+ * - NODE_ENV: "production" enables Secure / SameSite=None cookies
+ */
+
+const AdminSession = require('../models/AdminSession');
+const { generateToken, hashToken } = require('../utils/tokens');
+
+const SESSION_COOKIE = 'bms_admin_session';
+const SESSION_TTL_MS = (parseFloat(process.env.SESSION_TTL_HOURS) || 8) * 60 * 60 * 1000;
+const IS_PRODUCTION = process.env.NODE_ENV === 'production';
+
+// Cookie flags shared by login (set) and logout (clear)
+const cookieOptions = {
+    httpOnly: true,
+    secure: IS_PRODUCTION,
+    sameSite: IS_PRODUCTION ? 'none' : 'lax',
+    path: '/'
+};
+
+/**
+ * Starts a session for a user and sets the session cookie
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} user - AdminUser document
+ */
+const startSession = async (req, res, user) => {
+    const token = generateToken();
+    const expiresAt = new Date(Date.now() + SESSION_TTL_MS);
+
+    await AdminSession.create({
+        user: user._id,
+        tokenHash: hashToken(token),
+        expiresAt,
+        userAgent: req.get('user-agent'),
+        ip: req.ip
+    });
+
+    res.cookie(SESSION_COOKIE, token, { ...cookieOptions, expires: expiresAt });
+};
+
+/**
+ * Ends the current session (if any) and clears the cookie
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+const endSession = async (req, res) => {
+    const token = req.cookies?.[SESSION_COOKIE];
+    if (token) {
+        await AdminSession.deleteOne({ tokenHash: hashToken(token) });
+    }
+    res.clearCookie(SESSION_COOKIE, cookieOptions);
+};
+
+/**
+ * Finds the admin signed in with the request's session cookie, if
+ * they belong to the request's location
+ * @param {Object} req - Express request
+ * @returns {Promise<Object|null>} - AdminUser document, or null
+ */
+const findSessionAdmin = async (req) => {
+    const token = req.cookies?.[SESSION_COOKIE];
+
+    const session = token && await AdminSession.findOne({
+        tokenHash: hashToken(token),
+        expiresAt: { $gt: new Date() }
+    }).populate('user');
+
+    const admin = session?.user;
+    return admin && admin.business.equals(req.business._id) ? admin : null;
+};
+
+/**
+ * Middleware: only lets signed-in admins through
+ * Sets req.admin to the AdminUser document.
+ */
+const requireAdmin = async (req, res, next) => {
+    try {
+        const admin = await findSessionAdmin(req);
+
+        if (!admin) {
+            return res.status(401).json({
+                success: false,
+                message: 'Please log in to continue'
+            });
+        }
+
+        req.admin = admin;
+        next();
+
+    } catch (error) {
+        console.error('Error checking admin session:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error. Please try again later.'
+        });
+    }
+};
+
+/**
+ * Middleware: sets req.admin if an admin is signed in, without
+ * rejecting anyone
+ */
+const loadAdmin = async (req, res, next) => {
+    try {
+        req.admin = await findSessionAdmin(req);
+        next();
+
+    } catch (error) {
+        console.error('Error checking admin session:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error. Please try again later.'
+        });
+    }
+};
+
+/**
+ * Middleware factory: only lets admins with at least the given role through
+ * Use after requireAdmin.
+ * @param {string} role - Minimum role: "viewer", "staff" or "owner"
+ * @returns {Function} - Express middleware
+ */
+const requireRole = (role) => (req, res, next) => {
+    if (!req.admin || !req.admin.hasRole(role)) {
+        return res.status(403).json({
+            success: false,
+            message: 'You do not have permission to perform this action'
+        });
+    }
+    next();
+};
+
+module.exports = {
+    startSession,
+    endSession,
+    requireAdmin,
+    loadAdmin,
+    requireRole
+};
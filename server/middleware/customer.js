@@ -0,0 +1,143 @@
+/**
+ * ============================================
+ * CUSTOMER AUTHENTICATION MIDDLEWARE
+ * ============================================
+ * 
+ * Cookie-based sessions for customer accounts, the same way as
+ * admin sessions (see middleware/auth.js) but with their own cookie,
+ * so a browser can be signed in as both.
+ * 
+ * How it works:
+ * - POST /api/account/verify checks the emailed sign-in link, creates
+ *   a CustomerSession and sets a random token in an httpOnly cookie
+ * - requireCustomer looks the token up and attaches the signed-in
+ *   account as req.customer
+ * - loadCustomer does the same lookup but lets signed-out requests
+ *   through, for endpoints that don't need an account
+ * - POST /api/account/sign-out deletes the session
+ * - Accounts belong to one business location: a session only counts
+ *   at that location (req.business, see middleware/tenant.js)
+ * 
+ * Environment Variables:
+ * - CUSTOMER_SESSION_DAYS: How long a customer stays signed in (default: 30)
+ * - NODE_ENV: "production" enables Secure / SameSite=None cookies
+ */
+
+const CustomerSession = require('../models/CustomerSession');
+const { generateToken, hashToken } = require('../utils/tokens');
+
+const SESSION_COOKIE = 'bms_customer_session';
+const SESSION_TTL_MS = (parseFloat(process.env.CUSTOMER_SESSION_DAYS) || 30) * 24 * 60 * 60 * 1000;
+const IS_PRODUCTION = process.env.NODE_ENV === 'production';
+
+// Cookie flags shared by sign-in (set) and sign-out (clear)
+const cookieOptions = {
+    httpOnly: true,
+    secure: IS_PRODUCTION,
+    sameSite: IS_PRODUCTION ? 'none' : 'lax',
+    path: '/'
+};
+
+/**
+ * Starts a session for an account and sets the session cookie
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} account - CustomerAccount document
+ */
+const startCustomerSession = async (req, res, account) => {
+    const token = generateToken();
+    const expiresAt = new Date(Date.now() + SESSION_TTL_MS);
+
+    await CustomerSession.create({
+        account: account._id,
+        tokenHash: hashToken(token),
+        expiresAt,
+        userAgent: req.get('user-agent'),
+        ip: req.ip
+    });
+
+    res.cookie(SESSION_COOKIE, token, { ...cookieOptions, expires: expiresAt });
+};
+
+/**
+ * Ends the current session (if any) and clears the cookie
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+const endCustomerSession = async (req, res) => {
+    const token = req.cookies?.[SESSION_COOKIE];
+    if (token) {
+        await CustomerSession.deleteOne({ tokenHash: hashToken(token) });
+    }
+    res.clearCookie(SESSION_COOKIE, cookieOptions);
+};
+
+/**
+ * Finds the account signed in with the request's session cookie, if
+ * it belongs to the request's location
+ * @param {Object} req - Express request
+ * @returns {Promise<Object|null>} - CustomerAccount document, or null
+ */
+const findSessionCustomer = async (req) => {
+    const token = req.cookies?.[SESSION_COOKIE];
+
+    const session = token && await CustomerSession.findOne({
+        tokenHash: hashToken(token),
+        expiresAt: { $gt: new Date() }
+    }).populate('account');
+
+    const account = session?.account;
+    return account && account.business.equals(req.business._id) ? account : null;
+};
+
+/**
+ * Middleware: only lets signed-in customers through
+ * Sets req.customer to the CustomerAccount document.
+ */
+const requireCustomer = async (req, res, next) => {
+    try {
+        const customer = await findSessionCustomer(req);
+
+        if (!customer) {
+            return res.status(401).json({
+                success: false,
+                message: 'Please sign in to continue'
+            });
+        }
+
+        req.customer = customer;
+        next();
+
+    } catch (error) {
+        console.error('Error checking customer session:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error. Please try again later.'
+        });
+    }
+};
+
+/**
+ * Middleware: sets req.customer if a customer is signed in, without
+ * rejecting anyone
+ */
+const loadCustomer = async (req, res, next) => {
+    try {
+        req.customer = await findSessionCustomer(req);
+        next();
+
+    } catch (error) {
+        console.error('Error checking customer session:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error. Please try again later.'
+        });
+    }
+};
+
+module.exports = {
+    startCustomerSession,
+    endCustomerSession,
+    requireCustomer,
+    loadCustomer
+};
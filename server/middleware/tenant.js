@@ -0,0 +1,74 @@
+/**
+ * ============================================
+ * TENANT (BUSINESS LOCATION) MIDDLEWARE
+ * ============================================
+ *
+ * Works out which business location a request is for and sets
+ * req.business. Every route is mounted twice (see server.js):
+ *
+ * - /api/b/:business/...  - The location is in the path
+ * - /api/...              - The location is the subdomain of the
+ *                           host (koramangala.<TENANT_DOMAIN>), or
+ *                           the default location if there is none
+ *
+ * Routes then scope every query to req.business, and admins are
+ * only signed in at their own location (see middleware/auth.js).
+ *
+ * Environment Variables:
+ * - TENANT_DOMAIN: Domain whose subdomains are location slugs,
+ *   e.g. "bookmyslot.com" (optional - path slugs always work)
+ */
+
+const Business = require('../models/Business');
+
+const TENANT_DOMAIN = (process.env.TENANT_DOMAIN || '').toLowerCase().replace(/^\.+/, '');
+
+// Subdomains that are part of the site itself rather than a location
+const IGNORED_SUBDOMAINS = ['www', 'api'];
+
+/**
+ * Location slug from the request's host name, if it has one
+ * @param {string} hostname - req.hostname, e.g. "koramangala.bookmyslot.com"
+ * @returns {string|null} - Slug, or null for the bare domain / other hosts
+ */
+const getSubdomainSlug = (hostname) => {
+    const host = String(hostname || '').toLowerCase();
+    if (!TENANT_DOMAIN || !host.endsWith(`.${TENANT_DOMAIN}`)) return null;
+
+    const subdomain = host.slice(0, -(TENANT_DOMAIN.length + 1));
+    return IGNORED_SUBDOMAINS.includes(subdomain) ? null : subdomain;
+};
+
+/**
+ * Middleware: sets req.business from the path or subdomain
+ * Answers 404 for a slug that isn't a location.
+ */
+const resolveBusiness = async (req, res, next) => {
+    try {
+        const slug = req.params.business || getSubdomainSlug(req.hostname);
+        const business = slug ? await Business.findBySlug(slug) : await Business.getDefault();
+
+        if (!business) {
+            return res.status(404).json({
+                success: false,
+                message: 'Business location not found'
+            });
+        }
+
+        req.business = business;
+        next();
+
+    } catch (error) {
+        console.error('Error resolving business location:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error. Please try again later.'
+        });
+    }
+};
+
+module.exports = {
+    TENANT_DOMAIN,
+    getSubdomainSlug,
+    resolveBusiness
+};
@@ -0,0 +1,49 @@
+/**
+ * ============================================
+ * ADMIN SESSION MODEL - MongoDB Schema Definition
+ * ============================================
+ * 
+ * One document per signed-in browser. The browser holds a
+ * random session token in an httpOnly cookie; only a SHA-256
+ * hash of it is stored here, so a database leak does not
+ * expose usable sessions.
+ * 
+ * Schema Fields:
+ * - user: The AdminUser this session belongs to
+ * - tokenHash: SHA-256 hash of the cookie token
+ * - expiresAt: When the session ends (MongoDB removes it via TTL index)
+ * 
+ * @see https://mongoosejs.com/docs/guide.html
+ */
+
+const mongoose = require('mongoose');
+
+const adminSessionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AdminUser',
+        required: true,
+        index: true
+    },
+
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+
+    // Request details for the admin's own reference
+    userAgent: String,
+    ip: String
+}, { timestamps: true });
+
+// Let MongoDB delete sessions once they expire
+adminSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Create and export the AdminSession model
+module.exports = mongoose.model('AdminSession', adminSessionSchema);
@@ -0,0 +1,193 @@
+/**
+ * ============================================
+ * ADMIN USER MODEL - MongoDB Schema Definition
+ * ============================================
+ * 
+ * This file defines the accounts that can sign in to the
+ * admin dashboard. Passwords are never stored - only a
+ * bcrypt hash of them.
+ * 
+ * Schema Fields:
+ * - business: The location they can sign in to and manage
+ * - username: Login name (lowercase), unique within the location
+ * - name: Display name shown in the dashboard
+ * - role: "viewer" (read only), "staff" (can edit/cancel) or
+ *   "owner" (can also export, clear all bookings and manage users)
+ * - passwordHash: bcrypt hash of the password (never returned by queries)
+ * - failedLoginAttempts / lockUntil: Temporary lockout after repeated failures
+ * - lastLoginAt: Timestamp of the last successful login
+ * - calendarTokenHash / calendarTokenCreatedAt: Secret for the user's
+ *   calendar feed link (GET /api/calendar.ics), stored hashed
+ * 
+ * Create the first admin with: npm run create-admin -- <username> <password>
+ * (add --business=<slug> for another location)
+ * 
+ * @see https://mongoosejs.com/docs/guide.html
+ */
+
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+
+// Roles from least to most privileged - each includes the ones before it
+const ROLES = ['viewer', 'staff', 'owner'];
+
+// bcrypt cost factor - higher is slower to brute force
+const SALT_ROUNDS = 12;
+
+// Lock the account for 15 minutes after 5 failed logins in a row
+const MAX_FAILED_LOGINS = 5;
+const LOCK_DURATION_MS = 15 * 60 * 1000;
+
+// Define the admin user schema with validation rules
+const adminUserSchema = new mongoose.Schema({
+    // Location this admin belongs to - they only see its data
+    business: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Business',
+        required: true
+    },
+
+    // Login name - unique per location, case-insensitive
+    username: {
+        type: String,
+        required: [true, 'Username is required'],
+        trim: true,
+        lowercase: true,
+        minlength: [3, 'Username must be at least 3 characters'],
+        maxlength: [50, 'Username cannot exceed 50 characters'],
+        match: [/^[a-z0-9._-]+$/, 'Username may only contain letters, numbers, dots, dashes and underscores']
+    },
+
+    // Display name
+    name: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Name cannot exceed 100 characters']
+    },
+
+    // What this admin is allowed to do (see ROLES)
+    role: {
+        type: String,
+        enum: {
+            values: ROLES,
+            message: 'Role must be one of: viewer, staff, owner'
+        },
+        default: 'viewer'
+    },
+
+    // bcrypt hash - excluded from queries unless explicitly selected
+    passwordHash: {
+        type: String,
+        required: true,
+        select: false
+    },
+
+    failedLoginAttempts: {
+        type: Number,
+        default: 0,
+        select: false
+    },
+
+    lockUntil: {
+        type: Date,
+        select: false
+    },
+
+    lastLoginAt: {
+        type: Date
+    },
+
+    // SHA-256 hash of the calendar feed token - the raw token is only
+    // shown once, when the link is created
+    calendarTokenHash: {
+        type: String,
+        select: false
+    },
+
+    calendarTokenCreatedAt: {
+        type: Date
+    }
+}, { timestamps: true });
+
+// Each location has its own usernames
+adminUserSchema.index({ business: 1, username: 1 }, { unique: true });
+
+// Look up users from a calendar feed link
+adminUserSchema.index(
+    { calendarTokenHash: 1 },
+    { unique: true, partialFilterExpression: { calendarTokenHash: { $exists: true } } }
+);
+
+/**
+ * Hashes and stores a new password
+ * @param {string} password - Plain-text password (min 8 characters)
+ */
+adminUserSchema.methods.setPassword = async function (password) {
+    if (!password || password.length < 8) {
+        throw new Error('Password must be at least 8 characters');
+    }
+    this.passwordHash = await bcrypt.hash(password, SALT_ROUNDS);
+};
+
+/**
+ * Checks a password against the stored hash
+ * @param {string} password - Plain-text password
+ * @returns {Promise<boolean>} - True if it matches
+ */
+adminUserSchema.methods.checkPassword = function (password) {
+    return bcrypt.compare(password || '', this.passwordHash);
+};
+
+/**
+ * Checks whether this admin has at least the given role
+ * @param {string} role - Minimum role, e.g. "staff"
+ * @returns {boolean} - True if allowed
+ */
+adminUserSchema.methods.hasRole = function (role) {
+    return ROLES.indexOf(this.role) >= ROLES.indexOf(role);
+};
+
+/**
+ * True while the account is locked after too many failed logins
+ */
+adminUserSchema.methods.isLocked = function () {
+    return Boolean(this.lockUntil && this.lockUntil > Date.now());
+};
+
+/**
+ * Records a failed login, locking the account once the limit is hit
+ */
+adminUserSchema.methods.registerFailedLogin = function () {
+    this.failedLoginAttempts = (this.failedLoginAttempts || 0) + 1;
+    if (this.failedLoginAttempts >= MAX_FAILED_LOGINS) {
+        this.lockUntil = new Date(Date.now() + LOCK_DURATION_MS);
+        this.failedLoginAttempts = 0;
+    }
+    return this.save();
+};
+
+/**
+ * Records a successful login and clears any lockout
+ */
+adminUserSchema.methods.registerLogin = function () {
+    this.failedLoginAttempts = 0;
+    this.lockUntil = undefined;
+    this.lastLoginAt = new Date();
+    return this.save();
+};
+
+// Never send the hash or lockout counters to the client
+adminUserSchema.set('toJSON', {
+    transform: (doc, ret) => {
+        delete ret.passwordHash;
+        delete ret.failedLoginAttempts;
+        delete ret.lockUntil;
+        delete ret.calendarTokenHash;
+        delete ret.__v;
+        return ret;
+    }
+});
+
+// Create and export the AdminUser model
+module.exports = mongoose.model('AdminUser', adminUserSchema);
+module.exports.ROLES = ROLES;
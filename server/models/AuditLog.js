@@ -0,0 +1,119 @@
+/**
+ * ============================================
+ * AUDIT LOG MODEL - MongoDB Schema Definition
+ * ============================================
+ * 
+ * One document per change to a booking, written by the booking
+ * routes through utils/audit.js. Entries are append-only: the
+ * model refuses to update or delete them.
+ * 
+ * Schema Fields:
+ * - business: The booking's location
+ * - action: What happened (see ACTIONS)
+ * - booking: The booking that changed
+ * - actorType: "admin", "customer" or "system"
+ * - actor / actorName: The admin user (and their username), or
+ *   "customer" for the public booking form and manage link, or the
+ *   part of the app that made the change (e.g. "payments")
+ * - ip / userAgent: Where the request came from
+ * - changes: Field-by-field before/after values
+ * - createdAt: When it happened
+ * 
+ * @see https://mongoosejs.com/docs/guide.html
+ */
+
+const mongoose = require('mongoose');
+
+// Every kind of booking change that is recorded
+const ACTIONS = [
+    'create',       // New booking from the booking form
+    'reschedule',   // Moved to another slot by the customer
+    'update',       // Edited by an admin (details and/or slot)
+    'status',       // Status changed (confirm, cancel, complete, no-show)
+    'delete',       // Moved to the trash
+    'restore',      // Taken back out of the trash
+    'purge'         // Permanently deleted from the trash
+];
+
+// One changed field
+const changeSchema = new mongoose.Schema({
+    field: {
+        type: String,
+        required: true
+    },
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+const auditLogSchema = new mongoose.Schema({
+    business: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Business',
+        required: true
+    },
+
+    action: {
+        type: String,
+        enum: ACTIONS,
+        required: true
+    },
+
+    // Not a strict reference - purged bookings keep their history
+    booking: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking',
+        required: true
+    },
+
+    actorType: {
+        type: String,
+        enum: ['admin', 'customer', 'system'],
+        required: true
+    },
+
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AdminUser'
+    },
+
+    actorName: {
+        type: String,
+        trim: true
+    },
+
+    ip: String,
+    userAgent: String,
+
+    changes: {
+        type: [changeSchema],
+        default: []
+    }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+// History of one booking, and the newest-first log view
+auditLogSchema.index({ business: 1, booking: 1, createdAt: -1 });
+auditLogSchema.index({ business: 1, createdAt: -1 });
+
+// Append-only: existing entries can never be changed or removed
+const refuseChange = function () {
+    throw new Error('Audit log entries cannot be changed or deleted');
+};
+
+auditLogSchema.pre('save', function () {
+    if (!this.isNew) refuseChange();
+});
+
+auditLogSchema.pre([
+    'updateOne',
+    'updateMany',
+    'findOneAndUpdate',
+    'replaceOne',
+    'findOneAndReplace',
+    'deleteOne',
+    'deleteMany',
+    'findOneAndDelete'
+], refuseChange);
+
+// Create and export the AuditLog model
+module.exports = mongoose.model('AuditLog', auditLogSchema);
+module.exports.ACTIONS = ACTIONS;
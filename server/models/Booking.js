@@ -7,20 +7,114 @@
  * It uses Mongoose ODM to interact with MongoDB Atlas.
  * 
  * Schema Fields:
+ * - business: The location it was booked at (see models/Business.js)
  * - name: Customer's full name
  * - email: Customer's email address (for confirmation)
  * - phone: Contact phone number
- * - date: Selected appointment date (February 2026)
- * - timeSlot: Selected 1-hour time slot
+ * - notificationChannel: How the customer wants updates (email, sms or whatsapp)
+ * - customer: Who booked it, in the admin area's customer directory
+ *   (see models/Customer.js)
+ * - service: The booked service, with its name, price and buffer copied
+ *   (serviceName, price, bufferMinutes) so later edits don't change the booking
+ * - deposit: Amount paid online when booking (see models/Payment.js), if
+ *   the service asks for one
+ * - staff: The staff member or resource taking the appointment, with their
+ *   name copied (staffName); anyStaff is set when the customer had no preference
+ * - start: Appointment start time (UTC)
+ * - end: Appointment end time (UTC)
+ * - seat: Which parallel place it holds - its staff member's seat, or
+ *   0 .. capacity - 1 when no staff are set up
+ * - blocks: 5-minute blocks the booking keeps its seat for (appointment + buffer)
+ * - manageTokenHash: Hash of the secret token in the customer's manage link
+ *   (for a recurring series, only its first booking has one - the link
+ *   manages every occurrence)
+ * - series / occurrence / recurrence: Set on recurring bookings - the id
+ *   shared by every occurrence, this one's position in the series (from 1)
+ *   and the rule it was booked with (see utils/recurrence.js)
+ * - status: pending, pending-payment, confirmed, cancelled, completed or no-show
+ * - statusHistory: Every status change, with who made it and when
+ * - deletedAt / deletedBy: Set when an admin moves the booking to the trash
+ * - sequence: Revision number for calendar (.ics) updates
  * - createdAt: Timestamp when booking was created
  * 
  * @see https://mongoosejs.com/docs/guide.html
  */
 
 const mongoose = require('mongoose');
+const { CHANNELS: NOTIFICATION_CHANNELS } = require('./Notification');
+
+// Booking lifecycle. Bookings of services with a deposit wait in
+// pending-payment (keeping their seat) until the deposit is paid.
+const STATUSES = ['pending', 'pending-payment', 'confirmed', 'cancelled', 'completed', 'no-show'];
+
+// Statuses each status may move to. Cancelled is final because the
+// slot may already have been given to someone else; completed and
+// no-show can be swapped to correct a mistake.
+const STATUS_TRANSITIONS = {
+    pending: ['confirmed', 'cancelled'],
+    'pending-payment': ['confirmed', 'cancelled'],
+    confirmed: ['cancelled', 'completed', 'no-show'],
+    cancelled: [],
+    completed: ['no-show'],
+    'no-show': ['completed']
+};
+
+// Upcoming bookings the customer can still change
+const ACTIVE_STATUSES = ['pending', 'confirmed'];
+
+// How often a recurring series repeats
+const FREQUENCIES = ['weekly', 'biweekly', 'monthly'];
+
+// One entry per status change
+const statusChangeSchema = new mongoose.Schema({
+    status: {
+        type: String,
+        enum: STATUSES,
+        required: true
+    },
+    changedAt: {
+        type: Date,
+        default: Date.now
+    },
+    // Admin who made the change (empty when the customer did)
+    changedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AdminUser'
+    },
+    // Username at the time, or 'customer'
+    changedByName: {
+        type: String,
+        trim: true
+    }
+}, { _id: false });
+
+// Rule a recurring series was booked with - count or until is set
+const recurrenceSchema = new mongoose.Schema({
+    frequency: {
+        type: String,
+        enum: FREQUENCIES,
+        required: true
+    },
+    // Number of occurrences asked for
+    count: {
+        type: Number,
+        min: 2
+    },
+    // ...or the last local date ("YYYY-MM-DD") one may fall on
+    until: {
+        type: String
+    }
+}, { _id: false });
 
 // Define the booking schema with validation rules
 const bookingSchema = new mongoose.Schema({
+    // Location the booking belongs to - every query is scoped to it
+    business: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Business',
+        required: true
+    },
+
     // Customer's full name - required field
     name: {
         type: String,
@@ -50,16 +144,154 @@ const bookingSchema = new mongoose.Schema({
         minlength: [10, 'Phone number must be at least 10 digits']
     },
 
-    // Appointment date - formatted as "February X, 2026"
-    date: {
+    // Where confirmations and reminders are sent
+    notificationChannel: {
+        type: String,
+        enum: {
+            values: NOTIFICATION_CHANNELS,
+            message: 'Please choose email, SMS or WhatsApp for notifications'
+        },
+        default: 'email'
+    },
+
+    // Directory entry of the customer who booked it (see utils/customers.js)
+    customer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Customer'
+    },
+
+    // Booked service - missing on bookings made before services existed
+    service: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Service'
+    },
+
+    serviceName: {
+        type: String,
+        trim: true
+    },
+
+    // Price when booked, in the service's currency
+    price: {
+        type: Number,
+        min: 0
+    },
+
+    // Time kept free after the appointment
+    bufferMinutes: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+
+    // Deposit due online when booked, in the service's currency
+    deposit: {
+        type: Number,
+        min: 0
+    },
+
+    // Assigned staff member - missing on bookings made before staff existed
+    staff: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Staff'
+    },
+
+    staffName: {
+        type: String,
+        trim: true
+    },
+
+    // The customer picked "any available", so a move may change the staff member
+    anyStaff: {
+        type: Boolean,
+        default: false
+    },
+
+    // Appointment start - stored in UTC, shown in the business timezone
+    start: {
+        type: Date,
+        required: [true, 'Appointment start time is required']
+    },
+
+    // Appointment end - stored in UTC
+    end: {
+        type: Date,
+        required: [true, 'Appointment end time is required']
+    },
+
+    // Seat number - unique per time block, so no moment of the day
+    // can hold more bookings than the slot capacity (or staff member)
+    seat: {
+        type: Number,
+        min: 0
+    },
+
+    // Start of every 5-minute block from the appointment's start to
+    // the end of its buffer (see utils/slots.js)
+    blocks: {
+        type: [Date],
+        default: undefined
+    },
+
+    // SHA-256 hash of the customer's manage link token.
+    // The raw token is only returned once, when the booking is created.
+    manageTokenHash: {
         type: String,
-        required: [true, 'Appointment date is required']
+        select: false
+    },
+
+    // Recurring series this booking belongs to - the same id on every
+    // occurrence (not a document of its own)
+    series: {
+        type: mongoose.Schema.Types.ObjectId
+    },
+
+    // Position in the series, from 1 (dates that couldn't be booked
+    // leave gaps)
+    occurrence: {
+        type: Number,
+        min: 1
     },
 
-    // Time slot - formatted as "10:00 AM - 11:00 AM"
-    timeSlot: {
+    recurrence: {
+        type: recurrenceSchema,
+        default: undefined
+    },
+
+    // Where the booking is in its lifecycle
+    status: {
         type: String,
-        required: [true, 'Time slot is required']
+        enum: {
+            values: STATUSES,
+            message: 'Invalid booking status'
+        },
+        default: 'confirmed'
+    },
+
+    // Audit trail of status changes (oldest first)
+    statusHistory: {
+        type: [statusChangeSchema],
+        default: []
+    },
+
+    // Soft delete marker - trashed bookings are hidden from the dashboard
+    // and give up their seat, but can be restored until purged
+    deletedAt: {
+        type: Date,
+        default: null
+    },
+
+    // Admin who moved the booking to the trash
+    deletedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AdminUser'
+    },
+
+    // Calendar revision - bumped whenever the time, details or status
+    // change, so calendar apps replace the old event
+    sequence: {
+        type: Number,
+        default: 0
     },
 
     // Auto-generated timestamp for when booking was created
@@ -69,6 +301,154 @@ const bookingSchema = new mongoose.Schema({
     }
 });
 
+// An appointment must end after it starts
+bookingSchema.pre('validate', function () {
+    if (this.start && this.end && this.end <= this.start) {
+        this.invalidate('end', 'Appointment end time must be after its start time');
+    }
+});
+
+// One booking per seat per time block at each location. Enforced by
+// MongoDB itself, which keeps concurrent requests from double-booking,
+// even when appointments of different lengths overlap. Only documents
+// that hold a seat are indexed, so records without one never block a slot.
+bookingSchema.index(
+    { business: 1, blocks: 1, seat: 1 },
+    {
+        unique: true,
+        partialFilterExpression: { seat: { $exists: true }, blocks: { $exists: true } }
+    }
+);
+
+/**
+ * Whether the booking may move to a status from its current one
+ * @param {string} status - Requested status
+ * @returns {boolean}
+ */
+bookingSchema.methods.canChangeStatusTo = function (status) {
+    return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+/**
+ * Whether the booking is still upcoming business (pending or confirmed)
+ * @returns {boolean}
+ */
+bookingSchema.methods.isActive = function () {
+    return ACTIVE_STATUSES.includes(this.status);
+};
+
+/**
+ * Changes a booking's status the way setStatus() does, in one atomic
+ * update that only applies while the booking still matches the
+ * filter (e.g. is still pending-payment). Of two processes changing
+ * the same booking, only one can succeed.
+ * @param {Object} filter - MongoDB filter the booking must match
+ * @param {string} status - New status
+ * @param {Object} [admin] - As for setStatus()
+ * @returns {Promise<Object|null>} - { before, after } documents, or null if
+ *   no booking matched
+ */
+bookingSchema.statics.changeStatusWhere = async function (filter, status, admin) {
+    // Returns the booking as it was before the update
+    const before = await this.findOneAndUpdate(filter, {
+        $set: { status },
+        $push: {
+            statusHistory: {
+                status,
+                changedAt: new Date(),
+                changedBy: admin?._id,
+                changedByName: admin ? admin.username : 'customer'
+            }
+        },
+        $inc: { sequence: 1 },
+        ...(status === 'cancelled' && { $unset: { seat: 1 } })
+    });
+    if (!before) return null;
+
+    return { before, after: await this.findById(before._id) };
+};
+
+/**
+ * Whether the booking holds a seat in its slot (cancelled, trashed
+ * and released bookings have given theirs up)
+ * @returns {boolean}
+ */
+bookingSchema.methods.hasSeat = function () {
+    return this.seat !== undefined && this.seat !== null;
+};
+
+/**
+ * Changes the status and records who did it (call save() afterwards).
+ * Cancelling gives up the seat so the slot can be booked again,
+ * while the booking itself stays for reporting.
+ * @param {string} status - New status
+ * @param {Object} [admin] - Admin user making the change (omit for the customer),
+ *   or { username } alone for a change the system made (e.g. "payments")
+ */
+bookingSchema.methods.setStatus = function (status, admin) {
+    this.status = status;
+    this.statusHistory.push({
+        status,
+        changedAt: new Date(),
+        changedBy: admin?._id,
+        changedByName: admin ? admin.username : 'customer'
+    });
+
+    // The calendar event's status changes too
+    this.sequence += 1;
+
+    if (status === 'cancelled') {
+        this.seat = undefined;
+    }
+};
+
+// Dashboard list (GET /api/bookings): every query is for one location
+// and excludes the trash, then filters or sorts by one of these fields.
+// The business + deletedAt prefix also serves the trash view.
+bookingSchema.index({ business: 1, deletedAt: 1, createdAt: -1 });
+bookingSchema.index({ business: 1, deletedAt: 1, start: 1 });
+bookingSchema.index({ business: 1, deletedAt: 1, status: 1, start: 1 });
+bookingSchema.index({ business: 1, deletedAt: 1, staff: 1, start: 1 });
+bookingSchema.index(
+    { business: 1, deletedAt: 1, name: 1 },
+    { collation: { locale: 'en', strength: 2 } }
+);
+
+// A customer's bookings, for their account (see routes/account.js)
+bookingSchema.index({ business: 1, email: 1, start: -1 });
+
+// A directory customer's bookings, and their counts (see utils/customers.js)
+bookingSchema.index(
+    { business: 1, customer: 1, start: -1 },
+    { partialFilterExpression: { customer: { $exists: true } } }
+);
+
+// Occurrences of a recurring series, in date order
+bookingSchema.index(
+    { business: 1, series: 1, start: 1 },
+    { partialFilterExpression: { series: { $exists: true } } }
+);
+
+// Never send the manage token hash to the client
+bookingSchema.set('toJSON', {
+    transform: (doc, ret) => {
+        delete ret.manageTokenHash;
+        delete ret.blocks;
+        return ret;
+    }
+});
+
+// Look up bookings from a manage link
+bookingSchema.index(
+    { manageTokenHash: 1 },
+    { unique: true, partialFilterExpression: { manageTokenHash: { $exists: true } } }
+);
+
 // Create and export the Booking model
 // MongoDB will create a 'bookings' collection automatically
 module.exports = mongoose.model('Booking', bookingSchema);
+module.exports.STATUSES = STATUSES;
+module.exports.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+module.exports.ACTIVE_STATUSES = ACTIVE_STATUSES;
+module.exports.FREQUENCIES = FREQUENCIES;
+module.exports.NOTIFICATION_CHANNELS = NOTIFICATION_CHANNELS;
@@ -0,0 +1,87 @@
+/**
+ * ============================================
+ * BUSINESS MODEL - MongoDB Schema Definition
+ * ============================================
+ *
+ * A business location (branch). Bookings, the schedule, services,
+ * staff and admin users all belong to one, and every query is
+ * scoped to the location the request was made for (see
+ * middleware/tenant.js), so one branch never sees another's data.
+ *
+ * Schema Fields:
+ * - name: Shown in emails, calendar invites and the site header
+ * - slug: URL name, e.g. "koramangala" in /b/koramangala or
+ *   koramangala.<TENANT_DOMAIN>
+ *
+ * The default location (DEFAULT_BUSINESS, "main" unless set) is
+ * served when the URL names none, so a single-location install
+ * keeps working without slugs. It is created on first use.
+ *
+ * Add another location with: npm run create-business -- <slug> "Name"
+ *
+ * @see https://mongoosejs.com/docs/guide.html
+ */
+
+const mongoose = require('mongoose');
+
+const DEFAULT_SLUG = (process.env.DEFAULT_BUSINESS || 'main').toLowerCase();
+const DEFAULT_NAME = process.env.BUSINESS_NAME || 'BookMySlot';
+
+// Lowercase letters, numbers and single dashes, e.g. "indiranagar-2"
+const SLUG_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+const businessSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Business name is required'],
+        trim: true,
+        maxlength: [100, 'Business name cannot exceed 100 characters']
+    },
+
+    slug: {
+        type: String,
+        required: [true, 'Slug is required'],
+        unique: true,
+        trim: true,
+        lowercase: true,
+        minlength: [2, 'Slug must be at least 2 characters'],
+        maxlength: [50, 'Slug cannot exceed 50 characters'],
+        match: [SLUG_PATTERN, 'Slug may only contain letters, numbers and dashes']
+    }
+}, { timestamps: true });
+
+/**
+ * Returns the default location, creating it if none exists yet
+ * @returns {Promise<Document>} - The business document
+ */
+businessSchema.statics.getDefault = function () {
+    return this.findOneAndUpdate(
+        { slug: DEFAULT_SLUG },
+        { $setOnInsert: { name: DEFAULT_NAME } },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+};
+
+/**
+ * Finds a location by the slug in a URL
+ * @param {string} slug - Slug from the path or subdomain
+ * @returns {Promise<Document|null>} - The business, or null
+ */
+businessSchema.statics.findBySlug = function (slug) {
+    const value = String(slug || '').toLowerCase();
+    if (value === DEFAULT_SLUG) return this.getDefault();
+    if (!SLUG_PATTERN.test(value)) return Promise.resolve(null);
+    return this.findOne({ slug: value });
+};
+
+/**
+ * Path prefix of this location's pages and API, e.g. "/b/koramangala"
+ * ("" for the default location, whose links have no slug)
+ * @returns {string}
+ */
+businessSchema.methods.getPathPrefix = function () {
+    return this.slug === DEFAULT_SLUG ? '' : `/b/${this.slug}`;
+};
+
+module.exports = mongoose.model('Business', businessSchema);
+module.exports.DEFAULT_SLUG = DEFAULT_SLUG;
@@ -0,0 +1,114 @@
+/**
+ * ============================================
+ * CUSTOMER MODEL - MongoDB Schema Definition
+ * ============================================
+ * 
+ * The admin area's customer directory: one record per person who
+ * has booked at a location, however many bookings they made. New
+ * bookings are filed under the customer with the same email, or
+ * failing that the same phone number, and a customer is created
+ * for anyone new (see utils/customers.js).
+ * 
+ * The counts are worked out from the customer's bookings (those not
+ * in the trash) and refreshed whenever one is made, changes status,
+ * or is deleted or restored.
+ * 
+ * Schema Fields:
+ * - business: The location the customer booked at
+ * - name: Name from their latest booking
+ * - email: Email address (lowercase), unique within the location
+ * - phone: Phone number, digits only
+ * - notes: Admins' notes about the customer
+ * - bookingCount: Bookings made, whatever their status
+ * - visitCount / lastVisitAt: Appointments marked completed, and the latest one
+ * - noShowCount: Appointments marked as a no-show
+ * - lastBookedAt: When they last made a booking
+ * 
+ * Customers are separate from customer accounts (models/CustomerAccount.js),
+ * which are only made by customers who sign in.
+ * 
+ * @see https://mongoosejs.com/docs/guide.html
+ */
+
+const mongoose = require('mongoose');
+
+const customerSchema = new mongoose.Schema({
+    // Location the customer booked at - every query is scoped to it
+    business: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Business',
+        required: true
+    },
+
+    name: {
+        type: String,
+        required: [true, 'Name is required'],
+        trim: true,
+        maxlength: [100, 'Name cannot exceed 100 characters']
+    },
+
+    email: {
+        type: String,
+        required: [true, 'Email is required'],
+        trim: true,
+        lowercase: true
+    },
+
+    // Digits only, so "+91 98765 43210" and "9876543210" don't both match
+    phone: {
+        type: String,
+        trim: true
+    },
+
+    notes: {
+        type: String,
+        trim: true,
+        maxlength: [2000, 'Notes cannot exceed 2000 characters'],
+        default: ''
+    },
+
+    bookingCount: {
+        type: Number,
+        default: 0
+    },
+
+    visitCount: {
+        type: Number,
+        default: 0
+    },
+
+    lastVisitAt: {
+        type: Date,
+        default: null
+    },
+
+    noShowCount: {
+        type: Number,
+        default: 0
+    },
+
+    lastBookedAt: {
+        type: Date,
+        default: null
+    }
+}, { timestamps: true });
+
+// One customer per email address at each location - new bookings are
+// matched to it
+customerSchema.index({ business: 1, email: 1 }, { unique: true });
+
+// ...or to their phone number
+customerSchema.index({ business: 1, phone: 1 });
+
+// Directory list (GET /api/customers), sorted by one of these
+customerSchema.index(
+    { business: 1, name: 1 },
+    { collation: { locale: 'en', strength: 2 } }
+);
+customerSchema.index({ business: 1, lastVisitAt: -1 });
+customerSchema.index({ business: 1, lastBookedAt: -1 });
+customerSchema.index({ business: 1, visitCount: -1 });
+customerSchema.index({ business: 1, noShowCount: -1 });
+
+// Create and export the Customer model
+module.exports = mongoose.model('Customer', customerSchema);
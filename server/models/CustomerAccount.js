@@ -0,0 +1,176 @@
+/**
+ * ============================================
+ * CUSTOMER ACCOUNT MODEL - MongoDB Schema Definition
+ * ============================================
+ * 
+ * Optional accounts for customers, signed in with a link emailed
+ * to them - there are no passwords (see routes/account.js). An
+ * account is made the first time someone asks for a sign-in link,
+ * and its email address is proven when the link is used.
+ * 
+ * A customer's bookings are the ones made with their email address
+ * at the account's location, including those made before the
+ * account existed.
+ * 
+ * Schema Fields:
+ * - business: The location the account is at
+ * - email: Email address (lowercase), unique within the location
+ * - name / phone / notificationChannel: Details the booking form is
+ *   filled in with, remembered from their last booking
+ * - signInTokenHash / signInExpiresAt: The emailed link's token, stored
+ *   hashed, until it is used or runs out
+ * - signInSentAt: When the last link was sent (to limit resends)
+ * - verifiedAt: When a link was first used
+ * - lastSignInAt: When a link was last used
+ * 
+ * @see https://mongoosejs.com/docs/guide.html
+ */
+
+const mongoose = require('mongoose');
+const { CHANNELS: NOTIFICATION_CHANNELS } = require('./Notification');
+const { generateToken, hashToken } = require('../utils/tokens');
+
+// How long a sign-in link works
+const SIGN_IN_LINK_MINUTES = 15;
+
+// Shortest time between two sign-in emails to one address
+const RESEND_INTERVAL_MS = 60 * 1000;
+
+const customerAccountSchema = new mongoose.Schema({
+    // Location the account is at - every query is scoped to it
+    business: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Business',
+        required: true
+    },
+
+    email: {
+        type: String,
+        required: [true, 'Email is required'],
+        trim: true,
+        lowercase: true,
+        match: [
+            /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+            'Please provide a valid email address'
+        ]
+    },
+
+    name: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Name cannot exceed 100 characters']
+    },
+
+    phone: {
+        type: String,
+        trim: true
+    },
+
+    notificationChannel: {
+        type: String,
+        enum: NOTIFICATION_CHANNELS,
+        default: 'email'
+    },
+
+    // SHA-256 hash of the sign-in link's token - the raw token is
+    // only ever in the email
+    signInTokenHash: {
+        type: String,
+        select: false
+    },
+
+    signInExpiresAt: {
+        type: Date,
+        select: false
+    },
+
+    signInSentAt: {
+        type: Date,
+        select: false
+    },
+
+    verifiedAt: Date,
+
+    lastSignInAt: Date
+}, { timestamps: true });
+
+// One account per email address at each location
+customerAccountSchema.index({ business: 1, email: 1 }, { unique: true });
+
+// Look up accounts from a sign-in link
+customerAccountSchema.index(
+    { signInTokenHash: 1 },
+    { unique: true, partialFilterExpression: { signInTokenHash: { $exists: true } } }
+);
+
+/**
+ * Whether a sign-in link was sent too recently to send another
+ * @returns {boolean}
+ */
+customerAccountSchema.methods.isSignInThrottled = function () {
+    return Boolean(this.signInSentAt && Date.now() - this.signInSentAt.getTime() < RESEND_INTERVAL_MS);
+};
+
+/**
+ * Starts a new sign-in link, replacing any earlier one (call save() afterwards)
+ * @returns {string} - Raw token for the link
+ */
+customerAccountSchema.methods.createSignInToken = function () {
+    const token = generateToken();
+    this.signInTokenHash = hashToken(token);
+    this.signInExpiresAt = new Date(Date.now() + SIGN_IN_LINK_MINUTES * 60 * 1000);
+    this.signInSentAt = new Date();
+    return token;
+};
+
+/**
+ * Uses up the sign-in link and records the sign-in
+ */
+customerAccountSchema.methods.registerSignIn = function () {
+    this.signInTokenHash = undefined;
+    this.signInExpiresAt = undefined;
+    this.verifiedAt = this.verifiedAt || new Date();
+    this.lastSignInAt = new Date();
+    return this.save();
+};
+
+/**
+ * Remembers the contact details of a booking, to fill in the next one
+ * @param {Object} booking - Booking made while signed in
+ */
+customerAccountSchema.methods.rememberDetails = function (booking) {
+    this.name = booking.name;
+    this.phone = booking.phone;
+    this.notificationChannel = booking.notificationChannel;
+    return this.save();
+};
+
+/**
+ * Finds the account a sign-in link is for, if the link still works
+ * @param {string} token - Raw token from the link
+ * @param {ObjectId} business - Location the account must be at
+ * @returns {Promise<Document|null>}
+ */
+customerAccountSchema.statics.findBySignInToken = function (token, business) {
+    if (!token) return Promise.resolve(null);
+    return this.findOne({
+        business,
+        signInTokenHash: hashToken(token),
+        signInExpiresAt: { $gt: new Date() }
+    });
+};
+
+// Never send the sign-in link's details to the client
+customerAccountSchema.set('toJSON', {
+    transform: (doc, ret) => {
+        delete ret.signInTokenHash;
+        delete ret.signInExpiresAt;
+        delete ret.signInSentAt;
+        delete ret.__v;
+        return ret;
+    }
+});
+
+// Create and export the CustomerAccount model
+module.exports = mongoose.model('CustomerAccount', customerAccountSchema);
+module.exports.SIGN_IN_LINK_MINUTES = SIGN_IN_LINK_MINUTES;
@@ -0,0 +1,48 @@
+/**
+ * ============================================
+ * CUSTOMER SESSION MODEL - MongoDB Schema Definition
+ * ============================================
+ * 
+ * One document per browser a customer is signed in on, like
+ * AdminSession. The browser holds a random session token in an
+ * httpOnly cookie; only a SHA-256 hash of it is stored here.
+ * 
+ * Schema Fields:
+ * - account: The CustomerAccount this session belongs to
+ * - tokenHash: SHA-256 hash of the cookie token
+ * - expiresAt: When the session ends (MongoDB removes it via TTL index)
+ * 
+ * @see https://mongoosejs.com/docs/guide.html
+ */
+
+const mongoose = require('mongoose');
+
+const customerSessionSchema = new mongoose.Schema({
+    account: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CustomerAccount',
+        required: true,
+        index: true
+    },
+
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+
+    // Request details for the customer's own reference
+    userAgent: String,
+    ip: String
+}, { timestamps: true });
+
+// Let MongoDB delete sessions once they expire
+customerSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Create and export the CustomerSession model
+module.exports = mongoose.model('CustomerSession', customerSessionSchema);
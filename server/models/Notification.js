@@ -0,0 +1,118 @@
+/**
+ * ============================================
+ * NOTIFICATION MODEL - MongoDB Schema Definition
+ * ============================================
+ * 
+ * The outgoing message queue. The booking routes add a document
+ * for every message to send (utils/notifications.js), and the
+ * notification worker sends them when they're due, retrying
+ * failed sends with a growing delay. Keeping the queue in the
+ * database means nothing is lost when the server restarts.
+ * 
+ * Schema Fields:
+ * - type: Which message (see TYPES)
+ * - channel: How it's delivered (email, sms or whatsapp)
+ * - booking: The booking it's about
+ * - waitlistEntry: The waitlist entry it's about, instead of a booking
+ *   (waitlist offers)
+ * - to: Recipient email address or phone number
+ * - startAt: The booking start time the message was written for -
+ *   reminders are skipped if the booking has moved since
+ * - data: Extra template values, e.g. the manage or offer link (removed once sent)
+ * - status: pending, sent, failed or skipped - or held, for a new booking's
+ *   confirmation waiting until the booking is confirmed
+ * - attempts: How many sends have been tried
+ * - nextAttemptAt: When the worker should next try to send it
+ * - lastError: Why the last attempt failed
+ * - sentAt: When it was delivered
+ * 
+ * @see https://mongoosejs.com/docs/guide.html
+ */
+
+const mongoose = require('mongoose');
+
+// Every message the app sends
+const TYPES = [
+    'confirmation',     // Booking confirmed
+    'reschedule',       // Booking moved to another slot
+    'cancellation',     // Booking cancelled
+    'reminder_24h',     // 24 hours before the appointment
+    'reminder_1h',      // 1 hour before the appointment
+    'waitlist_offer'    // A waitlisted slot opened up and can be claimed
+];
+
+const CHANNELS = ['email', 'sms', 'whatsapp'];
+
+const STATUSES = ['held', 'pending', 'sent', 'failed', 'skipped'];
+
+const notificationSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: TYPES,
+        required: true
+    },
+
+    channel: {
+        type: String,
+        enum: CHANNELS,
+        default: 'email'
+    },
+
+    booking: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking',
+        required: function () {
+            return !this.waitlistEntry;
+        }
+    },
+
+    waitlistEntry: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'WaitlistEntry'
+    },
+
+    to: {
+        type: String,
+        required: true,
+        trim: true
+    },
+
+    startAt: {
+        type: Date,
+        required: true
+    },
+
+    data: {
+        type: mongoose.Schema.Types.Mixed
+    },
+
+    status: {
+        type: String,
+        enum: STATUSES,
+        default: 'pending'
+    },
+
+    attempts: {
+        type: Number,
+        default: 0
+    },
+
+    nextAttemptAt: {
+        type: Date,
+        default: Date.now
+    },
+
+    lastError: String,
+
+    sentAt: Date
+}, { timestamps: true });
+
+// The worker's "what's due?" query
+notificationSchema.index({ status: 1, nextAttemptAt: 1 });
+notificationSchema.index({ booking: 1, createdAt: -1 });
+
+// Create and export the Notification model
+module.exports = mongoose.model('Notification', notificationSchema);
+module.exports.TYPES = TYPES;
+module.exports.CHANNELS = CHANNELS;
+module.exports.STATUSES = STATUSES;
@@ -0,0 +1,102 @@
+/**
+ * ============================================
+ * PAYMENT MODEL - MongoDB Schema Definition
+ * ============================================
+ * 
+ * One online payment for a booking's deposit, taken through the
+ * payment gateway (see utils/paymentGateways.js). The booking stays
+ * pending-payment until the gateway's webhook says it was paid, and
+ * is released if that doesn't happen in time (see utils/payments.js).
+ * 
+ * Schema Fields:
+ * - business: The booking's location
+ * - booking: The booking the deposit is for
+ * - amount / currency: What is charged, in currency units (e.g. 500 INR)
+ * - gateway: Name of the gateway it went through (PAYMENT_GATEWAY)
+ * - gatewayPaymentId: The gateway's id for the checkout, used by its webhooks
+ * - checkoutUrl: Where the customer pays
+ * - status: pending, paid, failed, expired or refunded
+ * - expiresAt: When an unpaid booking is released
+ * - paidAt: When the webhook confirmed it
+ * - refundId / refundedAt: The gateway's refund, once issued
+ * 
+ * @see https://mongoosejs.com/docs/guide.html
+ */
+
+const mongoose = require('mongoose');
+
+// Where a payment is in its lifecycle
+const STATUSES = ['pending', 'paid', 'failed', 'expired', 'refunded'];
+
+const paymentSchema = new mongoose.Schema({
+    // Location the booking is at - every query is scoped to it
+    business: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Business',
+        required: true
+    },
+
+    booking: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking',
+        required: true
+    },
+
+    amount: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+
+    // ISO 4217 code
+    currency: {
+        type: String,
+        required: true
+    },
+
+    gateway: {
+        type: String,
+        required: true
+    },
+
+    gatewayPaymentId: {
+        type: String
+    },
+
+    checkoutUrl: {
+        type: String
+    },
+
+    status: {
+        type: String,
+        enum: STATUSES,
+        default: 'pending'
+    },
+
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+
+    paidAt: Date,
+
+    refundId: String,
+
+    refundedAt: Date
+}, { timestamps: true });
+
+// Webhooks find their payment by the gateway's id
+paymentSchema.index(
+    { gatewayPaymentId: 1 },
+    { unique: true, partialFilterExpression: { gatewayPaymentId: { $exists: true } } }
+);
+
+// The worker's "which unpaid bookings have run out?" query
+paymentSchema.index({ status: 1, expiresAt: 1 });
+
+// A booking's payments, newest first
+paymentSchema.index({ booking: 1, createdAt: -1 });
+
+// Create and export the Payment model
+module.exports = mongoose.model('Payment', paymentSchema);
+module.exports.STATUSES = STATUSES;
@@ -0,0 +1,190 @@
+/**
+ * ============================================
+ * SCHEDULE MODEL - MongoDB Schema Definition
+ * ============================================
+ * 
+ * This file defines the business schedule used to generate
+ * bookable dates and time slots. Each business location has one
+ * schedule document; Schedule.getCurrent() creates it with
+ * defaults on first use.
+ * 
+ * Schema Fields:
+ * - business: The location it belongs to
+ * - timezone: IANA timezone of the business, e.g. "Asia/Kolkata"
+ * - workingDays: Days of the week that are open (0 = Sunday ... 6 = Saturday)
+ * - openTime / closeTime: Local opening hours as "HH:mm" (24-hour)
+ * - slotMinutes: How often start times are offered (and the slot length
+ *   when no service is chosen)
+ * - slotCapacity: Bookings allowed at the same time (until staff are set up;
+ *   then each staff member takes one at a time - see models/Staff.js)
+ * - breaks: Daily breaks (e.g. lunch) during which no slot starts
+ * - holidays: Specific dates ("YYYY-MM-DD") that are closed
+ * - bookingWindowDays: How many days ahead customers can book
+ * - changeCutoffHours: Customers can't reschedule/cancel online this close to the appointment
+ * 
+ * @see https://mongoosejs.com/docs/guide.html
+ */
+
+const mongoose = require('mongoose');
+const Service = require('./Service');
+const { isValidTimeZone } = require('../utils/time');
+
+// "HH:mm" in 24-hour format, e.g. "09:30" or "18:00"
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// "YYYY-MM-DD", e.g. "2026-02-15"
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Daily break - no slot may overlap it
+const breakSchema = new mongoose.Schema({
+    start: {
+        type: String,
+        required: [true, 'Break start time is required'],
+        match: [TIME_PATTERN, 'Break times must be in HH:mm format']
+    },
+    end: {
+        type: String,
+        required: [true, 'Break end time is required'],
+        match: [TIME_PATTERN, 'Break times must be in HH:mm format']
+    },
+    label: {
+        type: String,
+        trim: true,
+        maxlength: [50, 'Break label cannot exceed 50 characters']
+    }
+}, { _id: false });
+
+// Closed date - no slots are offered on it
+const holidaySchema = new mongoose.Schema({
+    date: {
+        type: String,
+        required: [true, 'Holiday date is required'],
+        match: [DATE_PATTERN, 'Holiday dates must be in YYYY-MM-DD format']
+    },
+    label: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Holiday label cannot exceed 100 characters']
+    }
+}, { _id: false });
+
+// Define the schedule schema with validation rules
+const scheduleSchema = new mongoose.Schema({
+    // Location this is the schedule of - one each
+    business: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Business',
+        required: true,
+        unique: true
+    },
+
+    // Business timezone - all times below are local to it
+    timezone: {
+        type: String,
+        default: () => process.env.BUSINESS_TIMEZONE || 'Asia/Kolkata',
+        validate: {
+            validator: isValidTimeZone,
+            message: 'Please provide a valid IANA timezone, e.g. "Asia/Kolkata"'
+        }
+    },
+
+    // Open days of the week - Monday to Saturday by default
+    workingDays: {
+        type: [{ type: Number, min: 0, max: 6 }],
+        default: [1, 2, 3, 4, 5, 6]
+    },
+
+    // Opening time - first slot starts here
+    openTime: {
+        type: String,
+        default: '10:00',
+        match: [TIME_PATTERN, 'Opening time must be in HH:mm format']
+    },
+
+    // Closing time - last slot must end by here
+    closeTime: {
+        type: String,
+        default: '18:00',
+        match: [TIME_PATTERN, 'Closing time must be in HH:mm format']
+    },
+
+    // Minutes between offered start times; services set their own length
+    slotMinutes: {
+        type: Number,
+        default: 60,
+        min: [5, 'Slots must be at least 5 minutes'],
+        max: [480, 'Slots cannot exceed 8 hours']
+    },
+
+    // Bookings allowed in a single slot while there are no staff
+    slotCapacity: {
+        type: Number,
+        default: () => Math.max(parseInt(process.env.SLOT_CAPACITY, 10) || 1, 1),
+        min: [1, 'Slot capacity must be at least 1']
+    },
+
+    breaks: {
+        type: [breakSchema],
+        default: []
+    },
+
+    holidays: {
+        type: [holidaySchema],
+        default: []
+    },
+
+    // How far ahead (in days) customers may book
+    bookingWindowDays: {
+        type: Number,
+        default: 60,
+        min: [1, 'Booking window must be at least 1 day'],
+        max: [365, 'Booking window cannot exceed 365 days']
+    },
+
+    // Hours before the appointment after which customers can no longer
+    // reschedule or cancel through their manage link
+    changeCutoffHours: {
+        type: Number,
+        default: 24,
+        min: [0, 'Change cutoff cannot be negative'],
+        max: [720, 'Change cutoff cannot exceed 30 days']
+    }
+}, { timestamps: true });
+
+// Opening hours and breaks must be in the right order
+scheduleSchema.pre('validate', function () {
+    if (this.openTime >= this.closeTime) {
+        this.invalidate('closeTime', 'Closing time must be after opening time');
+    }
+
+    this.breaks.forEach((brk, index) => {
+        if (brk.start >= brk.end) {
+            this.invalidate(`breaks.${index}.end`, 'Break end time must be after its start time');
+        }
+    });
+});
+
+/**
+ * Returns a location's schedule, creating it with defaults if none
+ * exists yet - along with the location's first service, so a new
+ * location can take bookings straight away
+ * @param {ObjectId} business - Business location id
+ * @returns {Promise<Document>} - The schedule document
+ */
+scheduleSchema.statics.getCurrent = async function (business) {
+    const { value: schedule, lastErrorObject } = await this.findOneAndUpdate(
+        { business },
+        {},
+        { upsert: true, new: true, setDefaultsOnInsert: true, includeResultMetadata: true }
+    );
+
+    // Only the request that created the schedule adds the service, so
+    // one the owner deletes later never comes back
+    if (!lastErrorObject?.updatedExisting) {
+        await Service.ensureDefault(schedule);
+    }
+    return schedule;
+};
+
+// Create and export the Schedule model
+module.exports = mongoose.model('Schedule', scheduleSchema);
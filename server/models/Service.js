@@ -0,0 +1,144 @@
+/**
+ * ============================================
+ * SERVICE MODEL - MongoDB Schema Definition
+ * ============================================
+ * 
+ * A service the business offers, such as a 30-minute consult or
+ * a 90-minute session. Customers pick one first; its duration
+ * decides which start times are offered and how long the
+ * booking holds its seat.
+ * 
+ * Schema Fields:
+ * - business: The location offering it
+ * - name: Shown on the booking form and in messages
+ * - description: Optional short description
+ * - durationMinutes: Length of the appointment
+ * - bufferMinutes: Time kept free after it (cleanup, notes, travel)
+ * - price: Price in CURRENCY (0 = free)
+ * - deposit: Part of the price paid online when booking (0 = none);
+ *   the booking waits for it in pending-payment (see utils/payments.js)
+ * - active: Inactive services are hidden from customers
+ * - sortOrder: Position on the booking form (lowest first)
+ * 
+ * @see https://mongoosejs.com/docs/guide.html
+ */
+
+const mongoose = require('mongoose');
+
+// Currency prices are shown in (ISO 4217 code)
+const CURRENCY = process.env.CURRENCY || 'INR';
+
+// Durations and buffers go in steps of this many minutes, matching
+// the blocks bookings reserve (see utils/slots.js)
+const MINUTE_STEP = 5;
+
+const isMinuteStep = (value) => value % MINUTE_STEP === 0;
+
+// Define the service schema with validation rules
+const serviceSchema = new mongoose.Schema({
+    // Location it belongs to
+    business: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Business',
+        required: true
+    },
+
+    name: {
+        type: String,
+        required: [true, 'Service name is required'],
+        trim: true,
+        maxlength: [100, 'Service name cannot exceed 100 characters']
+    },
+
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [300, 'Description cannot exceed 300 characters']
+    },
+
+    durationMinutes: {
+        type: Number,
+        required: [true, 'Duration is required'],
+        min: [MINUTE_STEP, `Duration must be at least ${MINUTE_STEP} minutes`],
+        max: [480, 'Duration cannot exceed 8 hours'],
+        validate: {
+            validator: isMinuteStep,
+            message: `Duration must be a multiple of ${MINUTE_STEP} minutes`
+        }
+    },
+
+    bufferMinutes: {
+        type: Number,
+        default: 0,
+        min: [0, 'Buffer time cannot be negative'],
+        max: [240, 'Buffer time cannot exceed 4 hours'],
+        validate: {
+            validator: isMinuteStep,
+            message: `Buffer time must be a multiple of ${MINUTE_STEP} minutes`
+        }
+    },
+
+    price: {
+        type: Number,
+        default: 0,
+        min: [0, 'Price cannot be negative']
+    },
+
+    deposit: {
+        type: Number,
+        default: 0,
+        min: [0, 'Deposit cannot be negative'],
+        validate: {
+            validator: function (value) {
+                return value <= this.price;
+            },
+            message: 'Deposit cannot be more than the price'
+        }
+    },
+
+    active: {
+        type: Boolean,
+        default: true
+    },
+
+    sortOrder: {
+        type: Number,
+        default: 0
+    }
+}, { timestamps: true });
+
+serviceSchema.index({ business: 1, active: 1, sortOrder: 1, name: 1 });
+
+/**
+ * Creates a first service from the schedule's slot length when its
+ * location has none yet, so a new location can take bookings.
+ * Called when the location's schedule is created (see
+ * models/Schedule.js), and by the businesses migration for installs
+ * from before services.
+ * @param {Object} schedule - Schedule document
+ * @returns {Promise<void>}
+ */
+serviceSchema.statics.ensureDefault = async function (schedule) {
+    if (await this.exists({ business: schedule.business })) return;
+
+    await this.create({
+        business: schedule.business,
+        name: 'Appointment',
+        durationMinutes: Math.min(Math.ceil(schedule.slotMinutes / MINUTE_STEP) * MINUTE_STEP, 480)
+    });
+};
+
+/**
+ * Finds a service customers can book at a location
+ * @param {string} id - Service id from the request
+ * @param {ObjectId} business - Location being booked
+ * @returns {Promise<Document|null>} - The active service, or null
+ */
+serviceSchema.statics.findBookable = function (id, business) {
+    if (!mongoose.isValidObjectId(id)) return Promise.resolve(null);
+    return this.findOne({ _id: id, business, active: true });
+};
+
+// Create and export the Service model
+module.exports = mongoose.model('Service', serviceSchema);
+module.exports.CURRENCY = CURRENCY;
@@ -0,0 +1,112 @@
+/**
+ * ============================================
+ * SLOT HOLD MODEL - MongoDB Schema Definition
+ * ============================================
+ * 
+ * A seat kept for a few minutes while a customer fills in the
+ * booking form, so nobody else can take it in the meantime (see
+ * routes/holds.js). Holds take a seat for the same 5-minute blocks
+ * a booking would, and are checked alongside bookings wherever free
+ * seats are counted (see utils/slots.js).
+ * 
+ * Schema Fields:
+ * - business: The location the slot is at
+ * - service: The service being booked
+ * - staff: The staff member whose seat is held, if staff are set up
+ * - seat: The seat held (see models/Booking.js)
+ * - start / end: The slot (UTC)
+ * - blocks: 5-minute blocks the seat is held for (appointment + buffer)
+ * - tokenHash: SHA-256 hash of the token the booking form holds it with
+ * - ip: Address of the client that placed it (see routes/holds.js)
+ * - expiresAt: When the hold runs out (MongoDB removes it via TTL index)
+ * 
+ * @see https://mongoosejs.com/docs/guide.html
+ */
+
+const mongoose = require('mongoose');
+const { hashToken } = require('../utils/tokens');
+
+const slotHoldSchema = new mongoose.Schema({
+    // Location the slot is at - every query is scoped to it
+    business: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Business',
+        required: true
+    },
+
+    service: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Service',
+        required: true
+    },
+
+    staff: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Staff'
+    },
+
+    seat: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+
+    // The slot held - stored in UTC
+    start: {
+        type: Date,
+        required: true
+    },
+
+    end: {
+        type: Date,
+        required: true
+    },
+
+    // Start of every 5-minute block the seat is held for (see utils/slots.js)
+    blocks: {
+        type: [Date],
+        required: true
+    },
+
+    // SHA-256 hash of the hold token. The raw token is only
+    // returned once, when the hold is made.
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true,
+        select: false
+    },
+
+    // Each client may only hold a few seats at once
+    ip: String,
+
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, { timestamps: true });
+
+// One hold per seat per time block at each location, like bookings.
+// Holds that have run out are cleared before a new one is placed,
+// as MongoDB's TTL monitor only removes them about once a minute.
+slotHoldSchema.index({ business: 1, blocks: 1, seat: 1 }, { unique: true });
+
+// A client's holds, newest first (see routes/holds.js)
+slotHoldSchema.index({ business: 1, ip: 1, createdAt: -1 });
+
+// Let MongoDB delete holds once they expire
+slotHoldSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Finds a hold that hasn't run out yet from its token
+ * @param {string} token - Raw hold token from the request
+ * @param {ObjectId} business - Location the hold must be at
+ * @returns {Promise<Document|null>}
+ */
+slotHoldSchema.statics.findActive = function (token, business) {
+    if (!token) return Promise.resolve(null);
+    return this.findOne({ business, tokenHash: hashToken(token), expiresAt: { $gt: new Date() } });
+};
+
+// Create and export the SlotHold model
+module.exports = mongoose.model('SlotHold', slotHoldSchema);
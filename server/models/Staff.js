@@ -0,0 +1,161 @@
+/**
+ * ============================================
+ * STAFF MODEL - MongoDB Schema Definition
+ * ============================================
+ * 
+ * A staff member or resource (a chair, a room) that takes one
+ * appointment at a time. Once any exist, every booking is assigned
+ * to one of them and the schedule's slot capacity no longer applies:
+ * each staff member is one parallel place.
+ * 
+ * Schema Fields:
+ * - business: The location they work at
+ * - name: Shown to customers when they pick who to book with
+ * - title: Optional role, e.g. "Senior stylist" or "Room 2"
+ * - seat: The seat number their bookings hold (see utils/slots.js),
+ *   assigned automatically and unique within the location
+ * - services: Services they offer (empty = all of them)
+ * - workingHours: Weekly shifts; days without one are days off.
+ *   Empty = the business's opening hours every working day
+ * - timeOff: Date ranges ("YYYY-MM-DD", inclusive) they're away
+ * - active: Inactive staff keep their bookings but can't be booked
+ * 
+ * Working hours only narrow the business schedule: slots still have
+ * to fall inside opening hours, outside breaks and on open days.
+ * 
+ * @see https://mongoosejs.com/docs/guide.html
+ */
+
+const mongoose = require('mongoose');
+
+// "HH:mm" in 24-hour format, e.g. "09:30" or "18:00"
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// "YYYY-MM-DD", e.g. "2026-02-15"
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// One shift on a day of the week
+const shiftSchema = new mongoose.Schema({
+    day: {
+        type: Number,
+        required: [true, 'Shift day is required'],
+        min: [0, 'Shift days must be 0 (Sunday) to 6 (Saturday)'],
+        max: [6, 'Shift days must be 0 (Sunday) to 6 (Saturday)']
+    },
+    start: {
+        type: String,
+        required: [true, 'Shift start time is required'],
+        match: [TIME_PATTERN, 'Shift times must be in HH:mm format']
+    },
+    end: {
+        type: String,
+        required: [true, 'Shift end time is required'],
+        match: [TIME_PATTERN, 'Shift times must be in HH:mm format']
+    }
+}, { _id: false });
+
+// Days away, e.g. leave or maintenance
+const timeOffSchema = new mongoose.Schema({
+    from: {
+        type: String,
+        required: [true, 'Time off start date is required'],
+        match: [DATE_PATTERN, 'Time off dates must be in YYYY-MM-DD format']
+    },
+    to: {
+        type: String,
+        required: [true, 'Time off end date is required'],
+        match: [DATE_PATTERN, 'Time off dates must be in YYYY-MM-DD format']
+    },
+    label: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Time off label cannot exceed 100 characters']
+    }
+}, { _id: false });
+
+// Define the staff schema with validation rules
+const staffSchema = new mongoose.Schema({
+    // Location it belongs to
+    business: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Business',
+        required: true
+    },
+
+    name: {
+        type: String,
+        required: [true, 'Name is required'],
+        trim: true,
+        maxlength: [100, 'Name cannot exceed 100 characters']
+    },
+
+    title: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Title cannot exceed 100 characters']
+    },
+
+    seat: {
+        type: Number,
+        min: 0
+    },
+
+    services: {
+        type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Service' }],
+        default: []
+    },
+
+    workingHours: {
+        type: [shiftSchema],
+        default: []
+    },
+
+    timeOff: {
+        type: [timeOffSchema],
+        default: []
+    },
+
+    active: {
+        type: Boolean,
+        default: true
+    }
+}, { timestamps: true });
+
+// Each staff member owns one seat number at their location
+staffSchema.index({ business: 1, seat: 1 }, { unique: true });
+
+// Shifts and time off must be in the right order; new staff get
+// the lowest seat number nobody else has
+staffSchema.pre('validate', async function () {
+    this.workingHours.forEach((shift, index) => {
+        if (shift.start >= shift.end) {
+            this.invalidate(`workingHours.${index}.end`, 'Shift end time must be after its start time');
+        }
+    });
+
+    this.timeOff.forEach((off, index) => {
+        if (off.from > off.to) {
+            this.invalidate(`timeOff.${index}.to`, 'Time off must end on or after its first day');
+        }
+    });
+
+    if (this.seat === undefined) {
+        const taken = await this.constructor.distinct('seat', { business: this.business });
+        let seat = 0;
+        while (taken.includes(seat)) seat++;
+        this.seat = seat;
+    }
+});
+
+/**
+ * Whether the staff member offers a service
+ * @param {string|ObjectId} [serviceId] - Service being booked (omit for any)
+ * @returns {boolean}
+ */
+staffSchema.methods.offers = function (serviceId) {
+    if (!serviceId || this.services.length === 0) return true;
+    return this.services.some(id => id.equals(serviceId));
+};
+
+// Create and export the Staff model
+module.exports = mongoose.model('Staff', staffSchema);
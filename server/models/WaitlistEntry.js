@@ -0,0 +1,179 @@
+/**
+ * ============================================
+ * WAITLIST ENTRY MODEL - MongoDB Schema Definition
+ * ============================================
+ * 
+ * A customer waiting for a fully booked slot. When a booking in
+ * that slot is cancelled or deleted, the first waiting entry gets
+ * a time-limited offer to claim it; an offer that expires or is
+ * declined passes to the next one (see utils/waitlist.js).
+ * 
+ * Schema Fields:
+ * - business: The location the slot is at
+ * - name / email / phone / notificationChannel: Customer contact details,
+ *   used for the booking when the offer is claimed
+ * - service: The service wanted, with its name, price, deposit and buffer
+ *   copied (serviceName, price, deposit, bufferMinutes)
+ * - staff: The staff member asked for, with their name (staffName) -
+ *   empty for "any available"
+ * - start / end: The slot (UTC)
+ * - status: waiting, offered, claimed, declined or expired
+ * - offerTokenHash: Hash of the token in the latest offer link (kept after
+ *   the offer ends, so the link can say what happened)
+ * - offeredAt / offerExpiresAt: When the current offer was made and runs out
+ * - booking: The booking made when the offer was claimed
+ * - createdAt: When the customer joined - the waitlist is first come,
+ *   first served
+ * 
+ * @see https://mongoosejs.com/docs/guide.html
+ */
+
+const mongoose = require('mongoose');
+const { CHANNELS: NOTIFICATION_CHANNELS } = require('./Notification');
+
+// Where an entry is in the waitlist
+const STATUSES = ['waiting', 'offered', 'claimed', 'declined', 'expired'];
+
+// Entries still in the queue for their slot
+const OPEN_STATUSES = ['waiting', 'offered'];
+
+const waitlistEntrySchema = new mongoose.Schema({
+    // Location the slot is at - every query is scoped to it
+    business: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Business',
+        required: true
+    },
+
+    name: {
+        type: String,
+        required: [true, 'Name is required'],
+        trim: true,
+        minlength: [2, 'Name must be at least 2 characters'],
+        maxlength: [100, 'Name cannot exceed 100 characters']
+    },
+
+    email: {
+        type: String,
+        required: [true, 'Email is required'],
+        trim: true,
+        lowercase: true,
+        match: [
+            /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+            'Please provide a valid email address'
+        ]
+    },
+
+    phone: {
+        type: String,
+        required: [true, 'Phone number is required'],
+        trim: true,
+        minlength: [10, 'Phone number must be at least 10 digits']
+    },
+
+    // Where the offer is sent
+    notificationChannel: {
+        type: String,
+        enum: {
+            values: NOTIFICATION_CHANNELS,
+            message: 'Please choose email, SMS or WhatsApp for notifications'
+        },
+        default: 'email'
+    },
+
+    service: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Service',
+        required: true
+    },
+
+    serviceName: {
+        type: String,
+        trim: true
+    },
+
+    // Price when joined, in the service's currency
+    price: {
+        type: Number,
+        min: 0
+    },
+
+    // Deposit to pay online when the offer is claimed
+    deposit: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+
+    // Time kept free after the appointment
+    bufferMinutes: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+
+    // Staff member asked for - empty for "any available"
+    staff: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Staff'
+    },
+
+    staffName: {
+        type: String,
+        trim: true
+    },
+
+    // The slot waited for - stored in UTC
+    start: {
+        type: Date,
+        required: true
+    },
+
+    end: {
+        type: Date,
+        required: true
+    },
+
+    status: {
+        type: String,
+        enum: STATUSES,
+        default: 'waiting'
+    },
+
+    // SHA-256 hash of the offer link's token. The raw token only goes
+    // out in the offer message.
+    offerTokenHash: {
+        type: String,
+        select: false
+    },
+
+    offeredAt: Date,
+
+    offerExpiresAt: Date,
+
+    // Booking made from the offer
+    booking: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking'
+    }
+}, { timestamps: true });
+
+// The queue for a slot, first come first served
+waitlistEntrySchema.index({ business: 1, start: 1, status: 1, createdAt: 1 });
+
+// One open offer per slot, enforced by MongoDB itself, so two
+// cancellations at once can't offer the slot to two people
+waitlistEntrySchema.index(
+    { business: 1, start: 1 },
+    { unique: true, partialFilterExpression: { status: 'offered' } }
+);
+
+// The worker's "which offers have run out?" query
+waitlistEntrySchema.index({ status: 1, offerExpiresAt: 1 });
+
+waitlistEntrySchema.index({ offerTokenHash: 1 }, { sparse: true });
+
+// Create and export the WaitlistEntry model
+module.exports = mongoose.model('WaitlistEntry', waitlistEntrySchema);
+module.exports.STATUSES = STATUSES;
+module.exports.OPEN_STATUSES = OPEN_STATUSES;
@@ -0,0 +1,250 @@
+/**
+ * ============================================
+ * CUSTOMER ACCOUNT ROUTES - API Endpoints
+ * ============================================
+ * 
+ * Optional accounts for customers, so they don't have to type their
+ * details for every booking and can find all their appointments in
+ * one place. There are no passwords: customers ask for a sign-in
+ * link by email, and the link starts a session (see
+ * middleware/customer.js). Accounts are per business location.
+ * 
+ * An account's bookings are the ones made with its email address at
+ * the location. Signed-in customers can view, reschedule and cancel
+ * them under /bookings/:id with the same rules and responses as a
+ * manage link (see routes/manage.js).
+ * 
+ * Endpoints:
+ * - POST /api/account/sign-in  - Email a sign-in link
+ * - POST /api/account/verify   - Sign in with the link's token
+ * - POST /api/account/sign-out - End the current session
+ * - GET /api/account/me        - Current signed-in customer (401 if none)
+ * - GET /api/account/bookings  - Upcoming and past bookings
+ * - GET/PATCH/DELETE /api/account/bookings/:id - Same as /api/manage/:token
+ * 
+ * @see https://expressjs.com/en/guide/routing.html
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Booking = require('../models/Booking');
+const { ACTIVE_STATUSES } = require('../models/Booking');
+const CustomerAccount = require('../models/CustomerAccount');
+const { SIGN_IN_LINK_MINUTES } = require('../models/CustomerAccount');
+const Schedule = require('../models/Schedule');
+const { startCustomerSession, endCustomerSession, requireCustomer } = require('../middleware/customer');
+const { bookingRoutes, loadBookingWith } = require('./manage');
+const { getFrontendUrl } = require('../utils/notifications');
+const { renderSignInEmail } = require('../utils/messageTemplates');
+const { sendEmail } = require('../utils/email');
+
+// Upcoming bookings are listed in full; past ones only this many
+const MAX_PAST_BOOKINGS = 100;
+
+/**
+ * POST /api/account/sign-in
+ * Emails a sign-in link, making the account if it's new. Answers the
+ * same whether or not the address has an account, and sends at most
+ * one email a minute to each address.
+ * 
+ * Request Body:
+ * {
+ *   email: string
+ * }
+ */
+router.post('/sign-in', async (req, res) => {
+    try {
+        const email = String(req.body.email || '').toLowerCase().trim();
+
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide a valid email address'
+            });
+        }
+
+        const account = await CustomerAccount.findOneAndUpdate(
+            { business: req.business._id, email },
+            { $setOnInsert: { business: req.business._id, email } },
+            { upsert: true, new: true }
+        ).select('+signInSentAt');
+
+        if (!account.isSignInThrottled()) {
+            const token = account.createSignInToken();
+            await account.save();
+
+            const message = renderSignInEmail({
+                account,
+                businessName: req.business.name,
+                signInUrl: getFrontendUrl(`/account/sign-in/${token}`, req.business),
+                minutes: SIGN_IN_LINK_MINUTES
+            });
+            await sendEmail({ to: account.email, ...message });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: `We've emailed a sign-in link to ${email}. It works for ${SIGN_IN_LINK_MINUTES} minutes.`
+        });
+
+    } catch (error) {
+        console.error('Error sending sign-in link:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error. Please try again later.'
+        });
+    }
+});
+
+/**
+ * POST /api/account/verify
+ * Signs in with the token from an emailed link and sets the httpOnly
+ * session cookie. The link works once. A new account takes its
+ * details from the customer's latest booking, if they have one.
+ * 
+ * Request Body:
+ * {
+ *   token: string
+ * }
+ * 
+ * Response: The signed-in account
+ * 400 Bad Request: The link has run out or was already used
+ */
+router.post('/verify', async (req, res) => {
+    try {
+        const account = await CustomerAccount.findBySignInToken(req.body.token, req.business._id);
+
+        if (!account) {
+            return res.status(400).json({
+                success: false,
+                message: 'This sign-in link has expired or was already used. Please ask for a new one.'
+            });
+        }
+
+        if (!account.name) {
+            const latest = await Booking.findOne({ business: req.business._id, email: account.email, deletedAt: null })
+                .sort({ createdAt: -1 });
+            if (latest) {
+                account.name = latest.name;
+                account.phone = latest.phone;
+                account.notificationChannel = latest.notificationChannel;
+            }
+        }
+
+        await account.registerSignIn();
+        await startCustomerSession(req, res, account);
+
+        res.status(200).json({
+            success: true,
+            message: 'Signed in successfully',
+            data: account
+        });
+
+    } catch (error) {
+        console.error('Error signing in customer:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error. Please try again later.'
+        });
+    }
+});
+
+/**
+ * POST /api/account/sign-out
+ * Ends the current session and clears the cookie
+ */
+router.post('/sign-out', async (req, res) => {
+    try {
+        await endCustomerSession(req, res);
+
+        res.status(200).json({
+            success: true,
+            message: 'Signed out successfully'
+        });
+
+    } catch (error) {
+        console.error('Error signing out customer:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error. Please try again later.'
+        });
+    }
+});
+
+/**
+ * GET /api/account/me
+ * Returns the signed-in customer's account, or 401 if the session is
+ * missing/expired
+ */
+router.get('/me', requireCustomer, (req, res) => {
+    res.status(200).json({
+        success: true,
+        data: req.customer
+    });
+});
+
+/**
+ * GET /api/account/bookings
+ * Lists the signed-in customer's bookings at this location
+ * 
+ * Response:
+ * {
+ *   timezone: string,
+ *   upcoming: [booking],  // still to come and not cancelled, soonest first
+ *   past: [booking]       // the rest, latest first (up to MAX_PAST_BOOKINGS)
+ * }
+ */
+router.get('/bookings', requireCustomer, async (req, res) => {
+    try {
+        const schedule = await Schedule.getCurrent(req.business._id);
+        const filter = { business: req.business._id, email: req.customer.email, deletedAt: null };
+        const isUpcoming = {
+            start: { $gt: new Date() },
+            // Unpaid ones too - they can still be paid
+            status: { $in: [...ACTIVE_STATUSES, 'pending-payment'] }
+        };
+
+        const [upcoming, past] = await Promise.all([
+            Booking.find({ ...filter, ...isUpcoming }).sort({ start: 1 }),
+            Booking.find({ ...filter, $nor: [isUpcoming] })
+                .sort({ start: -1 })
+                .limit(MAX_PAST_BOOKINGS)
+        ]);
+
+        res.status(200).json({
+            success: true,
+            timezone: schedule.timezone,
+            upcoming,
+            past
+        });
+
+    } catch (error) {
+        console.error('Error fetching customer bookings:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error. Please try again later.'
+        });
+    }
+});
+
+/**
+ * Finds one of the signed-in customer's bookings by its :id
+ * @param {Object} req - Express request
+ * @returns {Promise<Document|null>}
+ */
+const findAccountBooking = (req) => {
+    if (!mongoose.isValidObjectId(req.params.id)) return Promise.resolve(null);
+
+    return Booking.findOne({
+        _id: req.params.id,
+        business: req.business._id,
+        email: req.customer.email,
+        deletedAt: null
+    });
+};
+
+// View, reschedule and cancel, as with a manage link
+router.use('/bookings/:id', requireCustomer, loadBookingWith(findAccountBooking), bookingRoutes);
+
+module.exports = router;
@@ -0,0 +1,122 @@
+/**
+ * ============================================
+ * AUDIT ROUTES - API Endpoints
+ * ============================================
+ * 
+ * Read-only access to the booking audit log. Entries are
+ * written by the booking routes (see utils/audit.js).
+ * 
+ * Endpoints:
+ * - GET /api/audit - List audit entries, newest first (viewer+)
+ * 
+ * @see https://expressjs.com/en/guide/routing.html
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const AuditLog = require('../models/AuditLog');
+const { ACTIONS } = require('../models/AuditLog');
+const { requireAdmin } = require('../middleware/auth');
+
+// Page size limits
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+/**
+ * GET /api/audit
+ * Lists the location's audit entries, newest first
+ * 
+ * Query (all optional):
+ * - booking: Booking _id - only that booking's history
+ * - action: create | reschedule | update | status | delete | restore | purge
+ * - actor: Admin username, "customer", or "payments" for changes the app made itself
+ * - from / to: ISO date-times bounding createdAt
+ * - page: Page number (default 1)
+ * - limit: Entries per page (default 50, max 200)
+ * 
+ * Response:
+ * {
+ *   count: number,   // entries on this page
+ *   total: number,   // entries matching the filters
+ *   page: number,
+ *   pages: number,
+ *   data: [...]
+ * }
+ */
+router.get('/', requireAdmin, async (req, res) => {
+    try {
+        const { booking, action, actor, from, to } = req.query;
+        const filter = { business: req.business._id };
+
+        if (booking) {
+            if (!mongoose.isValidObjectId(booking)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid booking id'
+                });
+            }
+            filter.booking = booking;
+        }
+
+        if (action) {
+            if (!ACTIONS.includes(action)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Action must be one of: ${ACTIONS.join(', ')}`
+                });
+            }
+            filter.action = action;
+        }
+
+        if (actor) {
+            filter.actorName = String(actor).toLowerCase().trim();
+        }
+
+        if (from || to) {
+            const fromDate = from && new Date(from);
+            const toDate = to && new Date(to);
+
+            if ((fromDate && isNaN(fromDate.getTime())) || (toDate && isNaN(toDate.getTime()))) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'from and to must be valid dates'
+                });
+            }
+
+            filter.createdAt = {
+                ...(fromDate && { $gte: fromDate }),
+                ...(toDate && { $lte: toDate })
+            };
+        }
+
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+        const [entries, total] = await Promise.all([
+            AuditLog.find(filter)
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit),
+            AuditLog.countDocuments(filter)
+        ]);
+
+        res.status(200).json({
+            success: true,
+            count: entries.length,
+            total,
+            page,
+            pages: Math.ceil(total / limit),
+            data: entries
+        });
+
+    } catch (error) {
+        console.error('Error fetching audit log:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error. Please try again later.'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,130 @@
+/**
+ * ============================================
+ * AUTH ROUTES - API Endpoints
+ * ============================================
+ * 
+ * Sign-in and sign-out for the admin dashboard. Admins sign in
+ * at their own business location; usernames are per location.
+ * 
+ * Endpoints:
+ * - POST /api/auth/login  - Check credentials and start a session
+ * - POST /api/auth/logout - End the current session
+ * - GET /api/auth/me      - Current signed-in admin (401 if none)
+ * 
+ * @see https://expressjs.com/en/guide/routing.html
+ */
+
+const express = require('express');
+const router = express.Router();
+const bcrypt = require('bcryptjs');
+const AdminUser = require('../models/AdminUser');
+const { startSession, endSession, requireAdmin } = require('../middleware/auth');
+
+// Compared against when the username does not exist, so the response
+// takes as long as a real password check and does not reveal usernames
+const DUMMY_HASH = bcrypt.hashSync('not-a-real-password', 12);
+
+/**
+ * POST /api/auth/login
+ * Checks credentials and sets the httpOnly session cookie
+ * 
+ * Request Body:
+ * {
+ *   username: string,
+ *   password: string
+ * }
+ * 
+ * Response: The signed-in admin user
+ */
+router.post('/login', async (req, res) => {
+    try {
+        const { username, password } = req.body;
+
+        if (!username || !password) {
+            return res.status(400).json({
+                success: false,
+                message: 'Username and password are required'
+            });
+        }
+
+        const user = await AdminUser.findOne({
+            business: req.business._id,
+            username: String(username).toLowerCase().trim()
+        })
+            .select('+passwordHash +failedLoginAttempts +lockUntil');
+
+        if (!user) {
+            await bcrypt.compare(String(password), DUMMY_HASH);
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid username or password'
+            });
+        }
+
+        if (user.isLocked()) {
+            return res.status(429).json({
+                success: false,
+                message: 'Too many failed attempts. Please try again later.'
+            });
+        }
+
+        if (!(await user.checkPassword(String(password)))) {
+            await user.registerFailedLogin();
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid username or password'
+            });
+        }
+
+        await user.registerLogin();
+        await startSession(req, res, user);
+
+        res.status(200).json({
+            success: true,
+            message: 'Logged in successfully',
+            data: user
+        });
+
+    } catch (error) {
+        console.error('Error logging in:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error. Please try again later.'
+        });
+    }
+});
+
+/**
+ * POST /api/auth/logout
+ * Ends the current session and clears the cookie
+ */
+router.post('/logout', async (req, res) => {
+    try {
+        await endSession(req, res);
+
+        res.status(200).json({
+            success: true,
+            message: 'Logged out successfully'
+        });
+
+    } catch (error) {
+        console.error('Error logging out:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error. Please try again later.'
+        });
+    }
+});
+
+/**
+ * GET /api/auth/me
+ * Returns the signed-in admin, or 401 if the session is missing/expired
+ */
+router.get('/me', requireAdmin, (req, res) => {
+    res.status(200).json({
+        success: true,
+        data: req.admin
+    });
+});
+
+module.exports = router;
@@ -0,0 +1,90 @@
+/**
+ * ============================================
+ * AVAILABILITY ROUTES - API Endpoints
+ * ============================================
+ * 
+ * Public endpoint used by the booking form to show which
+ * time slots still have room on a given date.
+ * 
+ * Endpoints:
+ * - GET /api/availability?date=YYYY-MM-DD&service=<id> - Remaining capacity per slot
+ *   (or &duration=<minutes>&buffer=<minutes> when moving an existing booking;
+ *   add &staff=<id> for one staff member's free slots)
+ * 
+ * @see https://expressjs.com/en/guide/routing.html
+ */
+
+const express = require('express');
+const router = express.Router();
+const Schedule = require('../models/Schedule');
+const { getSlotAvailability, getLanes, parseAppointmentLength } = require('../utils/slots');
+const { InvalidRequestError } = require('../utils/errors');
+const { isValidDate, getDateStatus } = require('../utils/schedule');
+
+/**
+ * GET /api/availability?date=YYYY-MM-DD&service=<id>
+ * Returns every time slot the schedule offers on the date for the
+ * service's duration, with its remaining capacity. Reschedule
+ * forms pass the booking's own duration and buffer instead, as its
+ * service may have changed since. With neither, slots last the
+ * schedule's slot length. Closed dates return no slots.
+ * 
+ * Once staff are set up, capacity is the number of staff who offer
+ * the service and work during the slot, or 1 for a chosen staff
+ * member (?staff=<id>; "any" or omitted means anyone). Slots nobody
+ * works are left out. Seats other customers are holding while they
+ * book count as taken (`held`).
+ * 
+ * Response:
+ * {
+ *   date: string,
+ *   timezone: string,  // business timezone the date is in
+ *   open: boolean,
+ *   reason?: string,   // why the date is closed, e.g. "holiday"
+ *   data: [{ start, end, label, capacity, booked, held, remaining }]
+ * }
+ */
+router.get('/', async (req, res) => {
+    try {
+        const { date } = req.query;
+
+        // Dates come from the form's date picker as YYYY-MM-DD
+        if (!isValidDate(date)) {
+            return res.status(400).json({
+                success: false,
+                message: 'A date in YYYY-MM-DD format is required'
+            });
+        }
+
+        const length = await parseAppointmentLength(req.query, req.business._id);
+        const schedule = await Schedule.getCurrent(req.business._id);
+        const status = getDateStatus(schedule, date);
+        const lanes = await getLanes(schedule, { service: length?._id, staff: req.query.staff });
+        const slots = await getSlotAvailability(schedule, date, length, lanes);
+
+        res.status(200).json({
+            success: true,
+            date,
+            timezone: schedule.timezone,
+            open: slots.length > 0,
+            reason: status.reason,
+            data: slots
+        });
+
+    } catch (error) {
+        if (error instanceof InvalidRequestError) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Error fetching availability:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error. Please try again later.'
+        });
+    }
+});
+
+module.exports = router;
@@ -7,17 +7,126 @@
  * It handles CRUD operations and Excel export functionality.
  * 
  * Endpoints:
- * - POST /api/bookings     - Create a new booking
- * - GET /api/bookings      - Fetch all bookings (admin)
- * - GET /api/bookings/export - Export bookings to Excel
+ * - POST /api/bookings     - Create a new booking, or a recurring series
+ * - GET /api/bookings      - Fetch a page of bookings with filters (viewer+)
+ * - GET /api/bookings/calendar - Slots and bookings for a date range (viewer+)
+ * - GET /api/bookings/export - Export bookings to Excel, with the list's filters (owner)
+ * - GET /api/bookings/:id/ics - Download a booking as a calendar event
+ *   (viewer+, or the customer with ?token=<manage token>)
+ * - PUT/PATCH /api/bookings/:id - Edit a booking's details or slot (staff+)
+ * - PATCH /api/bookings/:id/status - Change a booking's status (staff+)
+ * - GET /api/bookings/trash - List deleted bookings (viewer+)
+ * - DELETE /api/bookings/trash - Empty the trash permanently (owner)
+ * - POST /api/bookings/restore - Undo a "Clear All" (owner)
+ * - POST /api/bookings/:id/restore - Restore a deleted booking (staff+)
+ * - DELETE /api/bookings/:id/purge - Permanently delete a trashed booking (owner)
+ * - DELETE /api/bookings/:id - Move a booking to the trash (staff+)
+ * - DELETE /api/bookings   - Move all bookings to the trash (owner)
+ * 
+ * Deletes are soft: bookings get a deletedAt marker and free their
+ * seat, and stay restorable until purged from the trash.
+ * 
+ * Slots freed by cancelling or deleting a booking are offered to the
+ * waitlist (see utils/waitlist.js).
+ * 
+ * Seats customers are holding while they fill in the booking form
+ * can only be booked with their hold's token (see routes/holds.js).
+ * 
+ * Services with a deposit are paid for online when booking (see
+ * utils/payments.js); cancelled deposits are refunded if eligible.
+ * 
+ * Bookings are filed under their customer in the admin area's
+ * customer directory, whose counts follow status changes, deletes
+ * and restores (see utils/customers.js).
+ * 
+ * Every change is written to the audit log (see utils/audit.js).
+ * Customers are emailed when their booking is created, confirmed,
+ * moved or cancelled (see utils/notifications.js).
+ * 
+ * Admin endpoints require a signed-in session with the listed role
+ * (see middleware/auth.js).
+ * 
+ * Every query is limited to the request's business location (see
+ * forBusiness below and middleware/tenant.js).
  * 
  * @see https://expressjs.com/en/guide/routing.html
  */
 
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const Booking = require('../models/Booking');
+const { STATUSES, ACTIVE_STATUSES } = require('../models/Booking');
+const Schedule = require('../models/Schedule');
+const Service = require('../models/Service');
+const { CURRENCY } = require('../models/Service');
+const SlotHold = require('../models/SlotHold');
 const ExcelJS = require('exceljs');
+const {
+    ANY_STAFF,
+    createBookingInSlot,
+    moveBookingToSlot,
+    getLanes,
+    getLanesForSlot,
+    getUnheldLanes,
+    getStaffChoice,
+    SlotUnavailableError
+} = require('../utils/slots');
+const {
+    findSlot,
+    isValidDate,
+    addDays,
+    getOpeningStatus,
+    getDailySlots,
+    getSlotsForDate,
+    getBookingLength
+} = require('../utils/schedule');
+const { formatDate, formatTimeRange, zonedTimeToUtc } = require('../utils/time');
+const { requireAdmin, loadAdmin, requireRole } = require('../middleware/auth');
+const { loadCustomer } = require('../middleware/customer');
+const { generateToken, hashToken } = require('../utils/tokens');
+const { recordAudit, recordAuditMany } = require('../utils/audit');
+const { parseBookingQuery } = require('../utils/bookingQuery');
+const { InvalidRequestError } = require('../utils/errors');
+const { getFrontendUrl, notifyBooking, scheduleReminders } = require('../utils/notifications');
+const { startDepositPayment, refundDeposit, PaymentUnavailableError } = require('../utils/payments');
+const { offerFreedSlots } = require('../utils/waitlist');
+const { normalizeEmail, normalizePhone, recordCustomer, updateCustomerStats } = require('../utils/customers');
+const {
+    parseRecurrence,
+    planSeries,
+    getFollowingOccurrences,
+    planSeriesMove,
+    getConflicts
+} = require('../utils/recurrence');
+const { buildCustomerEvent, buildStaffEvent, buildCalendar } = require('../utils/ics');
+
+/**
+ * Limits a bookings query to the request's business location. Every
+ * Booking query in this file goes through it, so one location's
+ * admins can never see or change another's bookings.
+ * @param {Object} req - Express request (req.business is set by middleware/tenant.js)
+ * @param {Object} [filter] - MongoDB filter
+ * @returns {Object} - The filter, for req.business only
+ */
+const forBusiness = (req, filter = {}) => ({ ...filter, business: req.business._id });
+
+/**
+ * Remembers a signed-in customer's details from a booking they made
+ * with their account's email, to fill in the booking form next time
+ * (see models/CustomerAccount.js). Never fails the booking.
+ * @param {Object} req - Express request (req.customer is set by loadCustomer)
+ * @param {Object} booking - The new booking
+ */
+const rememberCustomerDetails = async (req, booking) => {
+    try {
+        if (req.customer && req.customer.email === booking.email) {
+            await req.customer.rememberDetails(booking);
+        }
+    } catch (error) {
+        console.error('Error saving customer details:', error);
+    }
+};
 
 /**
  * POST /api/bookings
@@ -28,45 +137,194 @@ const ExcelJS = require('exceljs');
  *   name: string,
  *   email: string,
  *   phone: string,
- *   date: string,
- *   timeSlot: string
+ *   service: string,   // service _id from GET /api/services
+ *   staff: string,     // optional: staff _id from GET /api/staff, or "any" (default)
+ *   start: string,     // ISO start time of a slot from GET /api/availability
+ *   notificationChannel: string,  // optional: "email" (default), "sms" or "whatsapp"
+ *   holdToken: string, // optional: token from POST /api/holds for this slot
+ *   recurrence: {      // optional: repeat the appointment (see utils/recurrence.js)
+ *     frequency: "weekly" | "biweekly" | "monthly",
+ *     count: number,   // number of appointments, 2-52
+ *     until: string    // ...or the last date, "YYYY-MM-DD"
+ *   },
+ *   skipConflicts: boolean  // optional: book a series without the dates that can't be
  * }
  * 
- * Response: Created booking object with _id
+ * Once staff are set up the booking is assigned to the chosen staff
+ * member, or to whoever offering the service is free.
+ * 
+ * A signed-in customer's account remembers the details they booked
+ * with (see routes/account.js). The booking is filed under the
+ * directory customer with the same email or phone number, who is
+ * created if new (see routes/customers.js).
+ * 
+ * Seats other customers are holding don't count as free. If they are
+ * all that is left, the slot can only be booked with a hold on it; the
+ * hold is used up once the booking is saved.
+ * 
+ * Services with a deposit are booked as pending-payment, keeping the
+ * seat while the customer pays at `payment.checkoutUrl` (by
+ * `payment.expiresAt`, or the booking is released). They can't be
+ * booked as a series.
+ * 
+ * A series is checked in full first: if any occurrence can't be booked,
+ * nothing is saved and the 409 lists them as `conflicts` ([{ date,
+ * start, reason, message }]) out of `total`, unless skipConflicts is set. Its
+ * occurrences share a `series` id; the first one's confirmation and
+ * manage link cover them all, and each gets its own reminders.
+ * 
+ * Response: Created booking object with _id, plus a one-time
+ * manageToken for the customer's /booking/:token link. For a series,
+ * data is the first occurrence and `series` is
+ * { id, bookings, conflicts } (the dates that were skipped).
+ * 409 Conflict: The selected slot is already fully booked (or held by
+ * others), or occurrences of a series can't be booked
+ * 502 Bad Gateway: The deposit payment couldn't be started
  */
-router.post('/', async (req, res) => {
+router.post('/', loadCustomer, async (req, res) => {
     try {
         // Extract booking data from request body
-        const { name, email, phone, date, timeSlot } = req.body;
+        const { name, email, phone, start, notificationChannel, staff } = req.body;
 
         // Validate required fields (additional server-side validation)
-        if (!name || !email || !phone || !date || !timeSlot) {
+        if (!name || !email || !phone || !start || !req.body.service) {
             return res.status(400).json({
                 success: false,
                 message: 'All fields are required'
             });
         }
 
-        // Create new booking document
-        const newBooking = new Booking({
+        const service = await Service.findBookable(req.body.service, req.business._id);
+        if (!service) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please choose an available service'
+            });
+        }
+
+        // Only accept slots the schedule offers for this service
+        const schedule = await Schedule.getCurrent(req.business._id);
+        const slot = findSlot(schedule, start, service);
+        const lanes = slot && getLanesForSlot(
+            await getLanes(schedule, { service: service._id, staff }),
+            schedule,
+            slot
+        );
+        if (!slot || lanes.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please select an available date and time slot'
+            });
+        }
+
+        // The customer's hold on this slot, if they have one
+        const hold = await SlotHold.findActive(req.body.holdToken, req.business._id);
+        const ownHold = hold && hold.start.getTime() === slot.start.getTime() ? hold : null;
+
+        // Secret for the customer's manage link - only its hash is stored
+        const manageToken = generateToken();
+
+        const data = {
+            business: req.business._id,
             name,
             email,
             phone,
-            date,
-            timeSlot
-        });
+            notificationChannel,
+            service: service._id,
+            serviceName: service.name,
+            price: service.price,
+            bufferMinutes: service.bufferMinutes,
+            anyStaff: !staff || staff === ANY_STAFF,
+            // Confirmed once the deposit is paid
+            ...(service.deposit > 0 && { status: 'pending-payment', deposit: service.deposit })
+        };
+
+        const recurrence = parseRecurrence(req.body.recurrence);
+        if (recurrence && service.deposit > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Services with a deposit can\'t be booked as a recurring series'
+            });
+        }
+        if (recurrence) {
+            return await createSeries(req, res, { data, schedule, slot, recurrence, service, staff, manageToken, hold: ownHold });
+        }
+
+        // Seats others are holding are off limits; the customer's own comes first
+        const unheld = await getUnheldLanes(schedule, slot, lanes, { bufferMinutes: service.bufferMinutes, hold: ownHold?._id });
+        if (unheld.length === 0) {
+            throw new SlotUnavailableError(req.body.holdToken
+                ? 'Your hold on this time slot ran out and someone else is booking it now. Please pick another slot.'
+                : 'Someone else is booking this time slot right now. Please pick another slot or try again in a few minutes.');
+        }
+
+        // Save to MongoDB in a free seat of the selected slot
+        const savedBooking = await createBookingInSlot({
+            ...data,
+            start: slot.start,
+            end: slot.end,
+            manageTokenHash: hashToken(manageToken)
+        }, ownHold
+            ? [...unheld.filter(lane => lane.seat === ownHold.seat), ...unheld.filter(lane => lane.seat !== ownHold.seat)]
+            : unheld);
+
+        if (ownHold) {
+            await SlotHold.deleteOne({ _id: ownHold._id });
+        }
 
-        // Save to MongoDB
-        const savedBooking = await newBooking.save();
+        // The customer comes back to their manage page after paying
+        let payment;
+        if (savedBooking.deposit > 0) {
+            try {
+                payment = await startDepositPayment(savedBooking, {
+                    returnUrl: getFrontendUrl(`/booking/${manageToken}`, req.business)
+                });
+            } catch (error) {
+                // Don't keep a seat nobody can pay for
+                await Booking.deleteOne({ _id: savedBooking._id });
+                throw error;
+            }
+        }
+
+        await recordAudit(req, 'create', null, savedBooking);
+        await notifyBooking('created', savedBooking, { manageToken, business: req.business });
+        await rememberCustomerDetails(req, savedBooking);
+        await recordCustomer([savedBooking]);
 
         // Return success response with created booking
         res.status(201).json({
             success: true,
-            message: 'Booking created successfully',
-            data: savedBooking
+            message: payment ? 'Booking reserved - please pay the deposit to confirm it' : 'Booking created successfully',
+            timezone: schedule.timezone,
+            manageToken,
+            data: savedBooking,
+            ...(payment && {
+                payment: {
+                    checkoutUrl: payment.checkoutUrl,
+                    amount: payment.amount,
+                    currency: payment.currency,
+                    expiresAt: payment.expiresAt
+                }
+            })
         });
 
     } catch (error) {
+        // Slot was taken (possibly by a concurrent request)
+        if (error instanceof SlotUnavailableError) {
+            return res.status(409).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        // Chosen staff member can't be booked, or the gateway is down
+        if (error instanceof InvalidRequestError || error instanceof PaymentUnavailableError) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
         // Handle validation errors from Mongoose
         if (error.name === 'ValidationError') {
             const messages = Object.values(error.errors).map(err => err.message);
@@ -85,24 +343,157 @@ router.post('/', async (req, res) => {
     }
 });
 
+/**
+ * Books every occurrence of a recurring series for POST /api/bookings.
+ * Stops before saving anything if an occurrence can't be booked (unless
+ * the customer chose to skip those), and undoes the series if a date
+ * is taken by someone else while it is being saved.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} params - { data, schedule, slot, recurrence, service, staff, manageToken, hold }
+ *   (hold: the customer's hold on the first slot, used up once the series is saved)
+ */
+const createSeries = async (req, res, { data, schedule, slot, recurrence, service, staff, manageToken, hold }) => {
+    const allLanes = await getLanes(schedule, { service: service._id, staff });
+    const plan = await planSeries(schedule, slot, recurrence, service, allLanes, hold?._id);
+    const conflicts = getConflicts(plan);
+
+    if (conflicts.length === plan.length || (conflicts.length > 0 && !req.body.skipConflicts)) {
+        return res.status(409).json({
+            success: false,
+            message: conflicts.length === plan.length
+                ? 'None of the appointments in this series can be booked'
+                : `${conflicts.length} of the ${plan.length} appointments in this series can't be booked`,
+            timezone: schedule.timezone,
+            total: plan.length,
+            conflicts
+        });
+    }
+
+    const series = new mongoose.Types.ObjectId();
+    const bookings = [];
+
+    for (const item of plan.filter(item => !item.conflict)) {
+        try {
+            bookings.push(await createBookingInSlot({
+                ...data,
+                series,
+                occurrence: item.occurrence,
+                recurrence,
+                start: item.slot.start,
+                end: item.slot.end,
+                // The first booking's link manages the whole series
+                ...(bookings.length === 0 && { manageTokenHash: hashToken(manageToken) })
+            }, item.lanes));
+        } catch (error) {
+            if (!(error instanceof SlotUnavailableError)) throw error;
+
+            const conflict = { date: item.date, start: item.start, reason: 'full', message: 'Already fully booked' };
+            if (req.body.skipConflicts) {
+                conflicts.push(conflict);
+                continue;
+            }
+
+            // Taken since the check - don't leave half a series behind
+            await Booking.deleteMany(forBusiness(req, { _id: { $in: bookings.map(booking => booking._id) } }));
+            return res.status(409).json({
+                success: false,
+                message: '1 of the appointments in this series was just booked by someone else',
+                timezone: schedule.timezone,
+                conflicts: [conflict]
+            });
+        }
+    }
+
+    if (bookings.length === 0) {
+        throw new SlotUnavailableError();
+    }
+
+    if (hold) {
+        await SlotHold.deleteOne({ _id: hold._id });
+    }
+
+    await recordAuditMany(req, 'create', bookings.map(booking => ({ before: null, after: booking })));
+    await notifyBooking('created', bookings[0], { manageToken, business: req.business });
+    for (const booking of bookings.slice(1)) {
+        await scheduleReminders(booking);
+    }
+    await rememberCustomerDetails(req, bookings[0]);
+    await recordCustomer(bookings);
+
+    res.status(201).json({
+        success: true,
+        message: `${bookings.length} appointments booked successfully`,
+        timezone: schedule.timezone,
+        manageToken,
+        data: bookings[0],
+        series: {
+            id: series,
+            bookings,
+            conflicts: conflicts.sort((a, b) => a.date.localeCompare(b.date))
+        }
+    });
+};
+
 /**
  * GET /api/bookings
- * Fetches all bookings for admin dashboard
+ * Fetches one page of bookings for the admin dashboard
+ * 
+ * Query (all optional, see utils/bookingQuery.js):
+ * - page, limit: Page number and size (default 1 and 25, max 100)
+ * - search: Matches name, email or phone
+ * - from, to: Appointment date range, "YYYY-MM-DD" (business timezone)
+ * - slot: Appointment start time, "HH:mm" (business timezone)
+ * - status: One status or a comma-separated list
+ * - staff: A staff member's id, or "none" for unassigned bookings
+ * - series: A recurring series id, for all of its occurrences
+ * - sort: createdAt (default) | start | name | status
+ * - order: desc (default) | asc
  * 
- * Response: Array of all booking objects, sorted by creation date (newest first)
+ * Response:
+ * {
+ *   count: number,     // bookings on this page
+ *   total: number,     // bookings matching the filters
+ *   page, limit, pages,
+ *   timezone: string,  // for displaying appointment times
+ *   data: [...]
+ * }
  */
-router.get('/', async (req, res) => {
+router.get('/', requireAdmin, async (req, res) => {
     try {
-        // Fetch all bookings, sorted by newest first
-        const bookings = await Booking.find().sort({ createdAt: -1 });
+        const schedule = await Schedule.getCurrent(req.business._id);
+        const { filter, sort, collation, page, limit } = parseBookingQuery(req.query, schedule.timezone);
+
+        const bookingsQuery = Booking.find(forBusiness(req, filter))
+            .sort(sort)
+            .skip((page - 1) * limit)
+            .limit(limit);
+        if (collation) bookingsQuery.collation(collation);
+
+        const [bookings, total] = await Promise.all([
+            bookingsQuery,
+            Booking.countDocuments(forBusiness(req, filter))
+        ]);
 
         res.status(200).json({
             success: true,
             count: bookings.length,
+            total,
+            page,
+            limit,
+            pages: Math.ceil(total / limit),
+            timezone: schedule.timezone,
             data: bookings
         });
 
     } catch (error) {
+        if (error instanceof InvalidRequestError) {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+
         console.error('Error fetching bookings:', error);
         res.status(500).json({
             success: false,
@@ -111,17 +502,128 @@ router.get('/', async (req, res) => {
     }
 });
 
+// Longest range the calendar endpoint returns (six weeks covers a month view)
+const MAX_CALENDAR_DAYS = 42;
+
+/**
+ * GET /api/bookings/calendar?from=YYYY-MM-DD&to=YYYY-MM-DD
+ * Returns the slot grid and the bookings for a range of dates
+ * (business timezone), for the dashboard's calendar view
+ * 
+ * Past dates keep their slots so earlier bookings can be shown in
+ * place; `bookable` says whether a slot can still be booked or
+ * moved into. Cancelled bookings are included, trashed ones aren't.
+ * 
+ * Query:
+ * - staff: One staff member's calendar, or "none" for unassigned
+ *   bookings (optional)
+ * 
+ * Response:
+ * {
+ *   timezone: string,
+ *   capacity: number,  // most bookings any slot allows
+ *   days: [{ date, open, reason?, label?, slots: [{ start, end, label, bookable, capacity }] }],
+ *   data: [booking]    // sorted by start
+ * }
+ */
+router.get('/calendar', requireAdmin, async (req, res) => {
+    try {
+        const { from, to, staff } = req.query;
+
+        if (!isValidDate(from) || !isValidDate(to) || from > to) {
+            return res.status(400).json({
+                success: false,
+                message: 'from and to dates in YYYY-MM-DD format are required'
+            });
+        }
+
+        if (staff && staff !== 'none' && !mongoose.isValidObjectId(staff)) {
+            return res.status(400).json({
+                success: false,
+                message: 'staff must be a staff member id or "none"'
+            });
+        }
+
+        const schedule = await Schedule.getCurrent(req.business._id);
+        const dates = [];
+        for (let date = from; date <= to; date = addDays(date, 1)) {
+            if (dates.length === MAX_CALENDAR_DAYS) {
+                return res.status(400).json({
+                    success: false,
+                    message: `The calendar can show at most ${MAX_CALENDAR_DAYS} days at a time`
+                });
+            }
+            dates.push(date);
+        }
+
+        // Places that count towards free space: the chosen staff member's
+        // (none for unassigned bookings once staff are set up)
+        const lanes = (await getLanes(schedule)).filter((lane) => {
+            if (!staff) return true;
+            if (staff === 'none') return !lane.staff;
+            return Boolean(lane.staff?._id.equals(staff));
+        });
+
+        const days = dates.map((date) => {
+            const opening = getOpeningStatus(schedule, date);
+            const bookable = new Set(getSlotsForDate(schedule, date).map(slot => slot.start.getTime()));
+            const slots = opening.open ? getDailySlots(schedule, date) : [];
+
+            return {
+                date,
+                ...opening,
+                slots: slots.map(slot => ({
+                    ...slot,
+                    bookable: bookable.has(slot.start.getTime()),
+                    capacity: getLanesForSlot(lanes, schedule, slot).length
+                }))
+            };
+        });
+
+        const bookings = await Booking.find(forBusiness(req, {
+            deletedAt: null,
+            start: {
+                $gte: zonedTimeToUtc(from, 0, schedule.timezone),
+                $lt: zonedTimeToUtc(addDays(to, 1), 0, schedule.timezone)
+            },
+            ...(staff && { staff: staff === 'none' ? null : staff })
+        })).sort({ start: 1, createdAt: 1 });
+
+        res.status(200).json({
+            success: true,
+            timezone: schedule.timezone,
+            capacity: lanes.length,
+            days,
+            data: bookings
+        });
+
+    } catch (error) {
+        console.error('Error fetching booking calendar:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error. Please try again later.'
+        });
+    }
+});
+
 /**
  * GET /api/bookings/export
- * Exports all bookings to an Excel (.xlsx) file
+ * Exports bookings to an Excel (.xlsx) file
  * 
  * Uses ExcelJS library to create a professionally formatted spreadsheet
- * with all booking data for download.
+ * with all booking data for download. Takes the same search, filter
+ * and sort parameters as GET /api/bookings (e.g. ?staff=<id> for one
+ * staff member's bookings); without them, every booking is exported.
  */
-router.get('/export', async (req, res) => {
+router.get('/export', requireAdmin, requireRole('owner'), async (req, res) => {
     try {
-        // Fetch all bookings
-        const bookings = await Booking.find().sort({ createdAt: -1 });
+        const { timezone } = await Schedule.getCurrent(req.business._id);
+        const { filter, sort, collation } = parseBookingQuery(req.query, timezone);
+
+        // Fetch every matching booking outside the trash
+        const bookingsQuery = Booking.find(forBusiness(req, filter)).sort(sort);
+        if (collation) bookingsQuery.collation(collation);
+        const bookings = await bookingsQuery;
 
         // Create a new Excel workbook
         const workbook = new ExcelJS.Workbook();
@@ -141,8 +643,12 @@ router.get('/export', async (req, res) => {
             { header: 'Name', key: 'name', width: 25 },
             { header: 'Email', key: 'email', width: 30 },
             { header: 'Phone', key: 'phone', width: 15 },
+            { header: 'Service', key: 'service', width: 24 },
+            { header: 'Staff', key: 'staff', width: 20 },
+            { header: `Price (${CURRENCY})`, key: 'price', width: 12 },
             { header: 'Date', key: 'date', width: 20 },
-            { header: 'Time Slot', key: 'timeSlot', width: 20 },
+            { header: `Time Slot (${timezone})`, key: 'timeSlot', width: 24 },
+            { header: 'Status', key: 'status', width: 14 },
             { header: 'Booked On', key: 'createdAt', width: 22 }
         ];
 
@@ -163,8 +669,12 @@ router.get('/export', async (req, res) => {
                 name: booking.name,
                 email: booking.email,
                 phone: booking.phone,
-                date: booking.date,
-                timeSlot: booking.timeSlot,
+                service: booking.serviceName || '',
+                staff: booking.staffName || '',
+                price: booking.price ?? '',
+                date: formatDate(booking.start, timezone),
+                timeSlot: formatTimeRange(booking.start, booking.end, timezone),
+                status: booking.status,
                 createdAt: new Date(booking.createdAt).toLocaleString('en-IN', {
                     dateStyle: 'medium',
                     timeStyle: 'short'
@@ -210,6 +720,13 @@ router.get('/export', async (req, res) => {
         res.end();
 
     } catch (error) {
+        if (error instanceof InvalidRequestError) {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+
         console.error('Error exporting bookings:', error);
         res.status(500).json({
             success: false,
@@ -218,15 +735,637 @@ router.get('/export', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/bookings/:id/ics
+ * Downloads one booking as an .ics file ("Add to calendar")
+ * 
+ * Signed-in admins get the staff view of the event (customer name
+ * and contact details). Customers pass their manage token instead:
+ * ?token=<manageToken>
+ * 
+ * With ?series=true, a recurring booking's file has every pending or
+ * confirmed occurrence of its series.
+ * 
+ * The event keeps the booking's UID, so importing it again after a
+ * change updates the existing calendar entry.
+ */
+router.get('/:id/ics', loadAdmin, async (req, res) => {
+    try {
+        const booking = await Booking.findOne(forBusiness(req, { _id: req.params.id, deletedAt: null }))
+            .select('+manageTokenHash')
+            .populate('business', 'name');
+
+        // Same answer for a missing booking and a wrong token
+        const isCustomer = Boolean(booking && req.query.token &&
+            booking.manageTokenHash === hashToken(String(req.query.token)));
+
+        if (!booking || !(req.admin || isCustomer)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Booking not found'
+            });
+        }
+
+        const bookings = req.query.series === 'true' && booking.series
+            ? await Booking.find(forBusiness(req, {
+                series: booking.series,
+                deletedAt: null,
+                status: { $in: ACTIVE_STATUSES }
+            })).sort({ start: 1 }).populate('business', 'name')
+            : [booking];
+        const events = bookings.map(item => (req.admin ? buildStaffEvent(item) : buildCustomerEvent(item)));
+
+        res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+        res.setHeader('Content-Disposition', 'attachment; filename=appointment.ics');
+        res.send(buildCalendar(events, { method: 'PUBLISH' }));
+
+    } catch (error) {
+        if (error.name === 'CastError') {
+            return res.status(404).json({ success: false, message: 'Booking not found' });
+        }
+
+        console.error('Error building calendar file:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error. Please try again later.'
+        });
+    }
+});
+
+/**
+ * PATCH /api/bookings/:id/status
+ * Moves a booking to another status in its lifecycle
+ * 
+ * Request Body:
+ * {
+ *   status: 'pending' | 'confirmed' | 'cancelled' | 'completed' | 'no-show',
+ *   scope: 'this' | 'following'   // optional: for a recurring booking, also
+ *                                 // change its later pending/confirmed occurrences
+ * }
+ * 
+ * Allowed changes:
+ * - pending   -> confirmed, cancelled
+ * - pending-payment -> confirmed (e.g. paid in person), cancelled
+ * - confirmed -> cancelled, completed, no-show
+ * - completed <-> no-show (to correct a mistake)
+ * 
+ * Cancelling frees the slot; the booking stays in the list. A paid
+ * deposit is refunded if the booking is cancelled before the
+ * schedule's change cutoff (see utils/payments.js).
+ * Completed and no-show are only allowed once the appointment has started.
+ * 409 Conflict: Confirming a booking that no longer has a seat
+ * 
+ * Response: The updated booking, including its statusHistory,
+ * `updated` - how many bookings changed, and `refunded` - how many
+ * deposits were refunded
+ */
+router.patch('/:id/status', requireAdmin, requireRole('staff'), async (req, res) => {
+    try {
+        const { status, scope } = req.body;
+
+        if (!STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Status must be one of: ${STATUSES.join(', ')}`
+            });
+        }
+
+        const booking = await Booking.findOne(forBusiness(req, { _id: req.params.id, deletedAt: null }));
+
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                message: 'Booking not found'
+            });
+        }
+
+        if (!booking.canChangeStatusTo(status)) {
+            return res.status(409).json({
+                success: false,
+                message: `A ${booking.status} booking can't be marked as ${status}`
+            });
+        }
+
+        // Confirming keeps the seat the booking already has - one that
+        // gave it up can't be confirmed without overbooking the slot
+        if (status === 'confirmed' && !booking.hasSeat()) {
+            return res.status(409).json({
+                success: false,
+                message: 'This booking no longer has a place in its slot, so it can\'t be confirmed'
+            });
+        }
+
+        if ((status === 'completed' || status === 'no-show') && booking.start > new Date()) {
+            return res.status(400).json({
+                success: false,
+                message: `Only appointments that have started can be marked as ${status}`
+            });
+        }
+
+        // Later occurrences haven't started, so can't be completed or no-shows
+        const following = scope === 'following' && (status === 'confirmed' || status === 'cancelled')
+            ? (await getFollowingOccurrences(booking)).filter(occurrence => occurrence.canChangeStatusTo(status)
+                && (status !== 'confirmed' || occurrence.hasSeat()))
+            : [];
+
+        const changes = [];
+        for (const occurrence of [booking, ...following]) {
+            const before = occurrence.toObject();
+            occurrence.setStatus(status, req.admin);
+            changes.push({ before, after: await occurrence.save() });
+        }
+
+        await recordAuditMany(req, 'status', changes);
+        await updateCustomerStats(changes.map(({ after }) => after));
+
+        if (status === 'confirmed' || status === 'cancelled') {
+            for (const { after } of changes) {
+                await notifyBooking(status, after);
+            }
+        }
+
+        let refunded = 0;
+        if (status === 'cancelled') {
+            const schedule = await Schedule.getCurrent(req.business._id);
+            for (const { after } of changes) {
+                if (await refundDeposit(after, schedule)) refunded++;
+            }
+
+            await offerFreedSlots(changes.map(({ after }) => after));
+        }
+
+        res.status(200).json({
+            success: true,
+            message: (changes.length > 1
+                ? `${changes.length} bookings marked as ${status}`
+                : `Booking marked as ${status}`) + (refunded > 0 ? ' and the deposit refunded' : ''),
+            updated: changes.length,
+            refunded,
+            data: changes[0].after
+        });
+
+    } catch (error) {
+        console.error('Error updating booking status:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error. Please try again later.'
+        });
+    }
+});
+
+/**
+ * PUT /api/bookings/:id and PATCH /api/bookings/:id
+ * Edits a booking's details and/or moves it to another slot
+ * 
+ * Request Body (PUT needs every field, PATCH any of them):
+ * {
+ *   name: string,
+ *   email: string,
+ *   phone: string,
+ *   start: string,     // ISO start time of a slot from GET /api/availability
+ *   staff?: string,    // staff _id to reassign it to (optional, also for PUT)
+ *   scope?: 'this' | 'following'  // for a recurring booking, also change its
+ *                      // later pending/confirmed occurrences (default: this)
+ * }
+ * 
+ * Uses the same rules as POST /api/bookings: the booking schema's
+ * validation, and the new slot must be one the schedule offers for
+ * the booking's length. Only pending or confirmed bookings can be moved
+ * or reassigned. A move keeps the booking's staff member, unless the
+ * customer booked "any available" and they're busy then.
+ * 
+ * With scope "following", the later occurrences get the same details
+ * and staff member, and move the same number of days to the same new
+ * time. They are all checked first; if any can't move, nothing changes
+ * and the 409 lists them as `conflicts`.
+ * 
+ * 409 Conflict: The new slot is already fully booked
+ */
+const updateBooking = async (req, res) => {
+    try {
+        const { name, email, phone, start, staff, scope } = req.body;
+
+        if (req.method === 'PUT' && (!name || !email || !phone || !start)) {
+            return res.status(400).json({
+                success: false,
+                message: 'All fields are required'
+            });
+        }
+
+        const booking = await Booking.findOne(forBusiness(req, { _id: req.params.id, deletedAt: null }));
+
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                message: 'Booking not found'
+            });
+        }
+
+        const before = booking.toObject();
+        const schedule = await Schedule.getCurrent(req.business._id);
+
+        // Work out the new slot, if the time is changing
+        let slot = null;
+        if (start !== undefined && new Date(start).getTime() !== booking.start.getTime()) {
+            slot = findSlot(schedule, start, getBookingLength(booking));
+
+            if (!slot) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Please select an available date and time slot'
+                });
+            }
+        }
+
+        // ...and the staff member, if they're changing
+        const isReassigned = Boolean(staff) && staff !== String(booking.staff || '');
+
+        if ((slot || isReassigned) && !booking.isActive()) {
+            return res.status(409).json({
+                success: false,
+                message: `A ${booking.status} booking can't be moved to another slot`
+            });
+        }
+
+        // Who can take it at its (new) time
+        let lanes = null;
+        if (slot || isReassigned) {
+            const target = slot || booking;
+            lanes = getLanesForSlot(
+                await getLanes(schedule, {
+                    service: booking.service,
+                    staff: isReassigned ? staff : getStaffChoice(booking)
+                }),
+                schedule,
+                target
+            );
+
+            if (lanes.length === 0) {
+                return res.status(409).json({
+                    success: false,
+                    message: isReassigned
+                        ? 'That staff member is not working at this time'
+                        : 'Nobody who can take this booking works at that time'
+                });
+            }
+        }
+
+        // Validate the new details before touching the slot
+        const details = {};
+        if (name !== undefined) details.name = name;
+        if (email !== undefined) details.email = email;
+        if (phone !== undefined) details.phone = phone;
+
+        booking.set(details);
+        const detailsChanged = booking.isModified();
+        await booking.validate();
+
+        // Check the later occurrences can follow before changing anything
+        const following = scope === 'following' ? await getFollowingOccurrences(booking) : [];
+        let followingPlan = following.map(occurrence => ({ booking: occurrence }));
+
+        if (following.length > 0 && lanes) {
+            followingPlan = await planSeriesMove(
+                schedule,
+                following,
+                { from: booking.start, to: (slot || booking).start },
+                isReassigned ? staff : undefined
+            );
+
+            const conflicts = getConflicts(followingPlan);
+            if (conflicts.length > 0) {
+                return res.status(409).json({
+                    success: false,
+                    message: `${conflicts.length} of the following appointments can't be moved`,
+                    timezone: schedule.timezone,
+                    conflicts
+                });
+            }
+        }
+
+        const changes = [];
+        const moved = [];
+        for (const item of [{ booking, slot: slot || booking, lanes }, ...followingPlan]) {
+            const occurrenceBefore = item.booking === booking ? before : item.booking.toObject();
+            const occurrenceChanged = item.booking === booking
+                ? detailsChanged
+                : item.booking.set(details).isModified();
+
+            if (item.lanes) {
+                await moveBookingToSlot(item.booking, item.slot, item.lanes);
+                moved.push(occurrenceBefore);
+            }
+
+            const updatedBooking = await Booking.findOneAndUpdate(
+                forBusiness(req, { _id: item.booking._id }),
+                // A new sequence makes calendar apps pick up the new details
+                { $set: details, ...(occurrenceChanged && { $inc: { sequence: 1 } }) },
+                { new: true, runValidators: true }
+            );
+            changes.push({ before: occurrenceBefore, after: updatedBooking });
+        }
+
+        await recordAuditMany(req, 'update', changes);
+
+        // New contact details may belong to another customer in the directory
+        const isRefiled = normalizeEmail(booking.email) !== normalizeEmail(before.email)
+            || normalizePhone(booking.phone) !== normalizePhone(before.phone);
+        if (isRefiled) {
+            await recordCustomer(changes.map(({ after }) => after));
+            await updateCustomerStats(changes.map(({ before: occurrenceBefore }) => occurrenceBefore));
+        }
+
+        for (const { before: occurrenceBefore, after } of changes) {
+            if (after.start.getTime() !== occurrenceBefore.start.getTime()) {
+                await notifyBooking('rescheduled', after);
+            }
+        }
+        // The seats they left are free for the waitlist now
+        await offerFreedSlots(moved);
+
+        res.status(200).json({
+            success: true,
+            message: changes.length > 1
+                ? `${changes.length} bookings updated successfully`
+                : 'Booking updated successfully',
+            updated: changes.length,
+            data: changes[0].after
+        });
+
+    } catch (error) {
+        if (error instanceof SlotUnavailableError) {
+            return res.status(409).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        if (error instanceof InvalidRequestError) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(err => err.message);
+            return res.status(400).json({
+                success: false,
+                message: messages.join(', ')
+            });
+        }
+
+        console.error('Error updating booking:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error. Please try again later.'
+        });
+    }
+};
+
+router.put('/:id', requireAdmin, requireRole('staff'), updateBooking);
+router.patch('/:id', requireAdmin, requireRole('staff'), updateBooking);
+
+/**
+ * Takes a booking out of the trash. Upcoming pending/confirmed bookings
+ * need their seat back, which fails if the slot has filled up since
+ * (or their staff member can no longer take it). Bookings still
+ * waiting for their deposit come back cancelled: the time to pay ran
+ * out while they were in the trash, with nothing left to release them.
+ * @param {Object} booking - Trashed booking document
+ * @param {Object} schedule - Schedule document
+ * @param {Object} admin - Admin user restoring it
+ * @returns {Promise<Document>} - The restored booking
+ * @throws {SlotUnavailableError} - If the slot no longer has room
+ */
+const restoreBooking = async (booking, schedule, admin) => {
+    if (booking.status === 'pending-payment') {
+        booking.setStatus('cancelled', admin);
+        await booking.save();
+    } else if (booking.isActive() && booking.end > new Date()) {
+        const lanes = await getLanes(schedule, { service: booking.service, staff: getStaffChoice(booking) })
+            .catch((error) => {
+                if (error instanceof InvalidRequestError) return [];
+                throw error;
+            });
+
+        // Hours changed since don't matter - it was booked in them
+        await moveBookingToSlot(booking, booking, lanes);
+    }
+
+    return Booking.findOneAndUpdate(
+        { _id: booking._id, business: schedule.business },
+        { $set: { deletedAt: null }, $unset: { deletedBy: 1 } },
+        { new: true }
+    );
+};
+
+/**
+ * GET /api/bookings/trash
+ * Lists bookings in the trash, most recently deleted first
+ */
+router.get('/trash', requireAdmin, async (req, res) => {
+    try {
+        const bookings = await Booking.find(forBusiness(req, { deletedAt: { $ne: null } }))
+            .sort({ deletedAt: -1 })
+            .populate('deletedBy', 'username name');
+
+        res.status(200).json({
+            success: true,
+            count: bookings.length,
+            data: bookings
+        });
+
+    } catch (error) {
+        console.error('Error fetching trash:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error. Please try again later.'
+        });
+    }
+});
+
+/**
+ * DELETE /api/bookings/trash
+ * Permanently deletes everything in the trash
+ */
+router.delete('/trash', requireAdmin, requireRole('owner'), async (req, res) => {
+    try {
+        const trashed = await Booking.find(forBusiness(req, { deletedAt: { $ne: null } }));
+        const result = await Booking.deleteMany(forBusiness(req, { _id: { $in: trashed.map(booking => booking._id) } }));
+
+        await recordAuditMany(req, 'purge', trashed.map(booking => ({ before: booking, after: null })));
+
+        res.status(200).json({
+            success: true,
+            message: `${result.deletedCount} bookings permanently deleted`
+        });
+
+    } catch (error) {
+        console.error('Error emptying trash:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error. Please try again later.'
+        });
+    }
+});
+
+/**
+ * POST /api/bookings/restore
+ * Restores every booking removed by one "Clear All" (its Undo)
+ * 
+ * Request Body:
+ * {
+ *   deletedAt: string   // deletedAt returned by DELETE /api/bookings
+ * }
+ * 
+ * Bookings whose slot has filled up in the meantime stay in the trash
+ * and are counted in `skipped`.
+ */
+router.post('/restore', requireAdmin, requireRole('owner'), async (req, res) => {
+    try {
+        const deletedAt = new Date(req.body.deletedAt);
+
+        if (!req.body.deletedAt || isNaN(deletedAt.getTime())) {
+            return res.status(400).json({
+                success: false,
+                message: 'deletedAt is required'
+            });
+        }
+
+        const bookings = await Booking.find(forBusiness(req, { deletedAt }));
+        const schedule = await Schedule.getCurrent(req.business._id);
+
+        let restored = 0;
+        let skipped = 0;
+        const restoredBookings = [];
+        for (const booking of bookings) {
+            try {
+                const restoredBooking = await restoreBooking(booking, schedule, req.admin);
+
+                await recordAudit(req, 'restore', booking, restoredBooking);
+                restoredBookings.push(restoredBooking);
+                restored++;
+            } catch (error) {
+                if (!(error instanceof SlotUnavailableError)) throw error;
+                skipped++;
+            }
+        }
+        await updateCustomerStats(restoredBookings);
+
+        res.status(200).json({
+            success: true,
+            message: skipped
+                ? `${restored} bookings restored, ${skipped} left in the trash because their slot is now full`
+                : `${restored} bookings restored`,
+            restored,
+            skipped
+        });
+
+    } catch (error) {
+        console.error('Error restoring bookings:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error. Please try again later.'
+        });
+    }
+});
+
+/**
+ * POST /api/bookings/:id/restore
+ * Moves a single booking out of the trash
+ * 
+ * 409 Conflict: The booking's slot has filled up since it was deleted
+ */
+router.post('/:id/restore', requireAdmin, requireRole('staff'), async (req, res) => {
+    try {
+        const booking = await Booking.findOne(forBusiness(req, { _id: req.params.id, deletedAt: { $ne: null } }));
+
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                message: 'Booking not found in the trash'
+            });
+        }
+
+        const schedule = await Schedule.getCurrent(req.business._id);
+        const restoredBooking = await restoreBooking(booking, schedule, req.admin);
+
+        await recordAudit(req, 'restore', booking, restoredBooking);
+        await updateCustomerStats([restoredBooking]);
+
+        res.status(200).json({
+            success: true,
+            message: 'Booking restored successfully',
+            data: restoredBooking
+        });
+
+    } catch (error) {
+        if (error instanceof SlotUnavailableError) {
+            return res.status(409).json({
+                success: false,
+                message: 'This time slot has been booked since. The booking cannot be restored.'
+            });
+        }
+
+        console.error('Error restoring booking:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error. Please try again later.'
+        });
+    }
+});
+
+/**
+ * DELETE /api/bookings/:id/purge
+ * Permanently deletes a booking that is already in the trash
+ */
+router.delete('/:id/purge', requireAdmin, requireRole('owner'), async (req, res) => {
+    try {
+        const purgedBooking = await Booking.findOneAndDelete(forBusiness(req, {
+            _id: req.params.id,
+            deletedAt: { $ne: null }
+        }));
+
+        if (!purgedBooking) {
+            return res.status(404).json({
+                success: false,
+                message: 'Booking not found in the trash'
+            });
+        }
+
+        await recordAudit(req, 'purge', purgedBooking, null);
+
+        res.status(200).json({
+            success: true,
+            message: 'Booking permanently deleted'
+        });
+
+    } catch (error) {
+        console.error('Error purging booking:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error. Please try again later.'
+        });
+    }
+});
+
 /**
  * DELETE /api/bookings/:id
- * Deletes a single booking by ID
+ * Moves a single booking to the trash and frees its seat
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requireAdmin, requireRole('staff'), async (req, res) => {
     try {
         const { id } = req.params;
 
-        const deletedBooking = await Booking.findByIdAndDelete(id);
+        const deletedBooking = await Booking.findOneAndUpdate(
+            forBusiness(req, { _id: id, deletedAt: null }),
+            {
+                $set: { deletedAt: new Date(), deletedBy: req.admin._id },
+                $unset: { seat: 1 }
+            },
+            { new: true }
+        );
 
         if (!deletedBooking) {
             return res.status(404).json({
@@ -235,9 +1374,14 @@ router.delete('/:id', async (req, res) => {
             });
         }
 
+        await recordAudit(req, 'delete', { ...deletedBooking.toObject(), deletedAt: null }, deletedBooking);
+        await offerFreedSlots([deletedBooking]);
+        await updateCustomerStats([deletedBooking]);
+
         res.status(200).json({
             success: true,
-            message: 'Booking deleted successfully'
+            message: 'Booking moved to the trash',
+            data: deletedBooking
         });
 
     } catch (error) {
@@ -251,15 +1395,41 @@ router.delete('/:id', async (req, res) => {
 
 /**
  * DELETE /api/bookings
- * Deletes all bookings (Clear All functionality)
+ * Moves all bookings to the trash (Clear All functionality)
+ * 
+ * Response includes the shared deletedAt, which POST /api/bookings/restore
+ * accepts to undo this clear.
  */
-router.delete('/', async (req, res) => {
+router.delete('/', requireAdmin, requireRole('owner'), async (req, res) => {
     try {
-        const result = await Booking.deleteMany({});
+        const deletedAt = new Date();
+
+        // Collect the ids first so each booking gets its own audit entry
+        const bookings = await Booking.find(forBusiness(req, { deletedAt: null }))
+            .select('_id business customer start end bufferMinutes')
+            .lean();
+        const ids = bookings.map(booking => booking._id);
+
+        const result = await Booking.updateMany(
+            forBusiness(req, { _id: { $in: ids }, deletedAt: null }),
+            {
+                $set: { deletedAt, deletedBy: req.admin._id },
+                $unset: { seat: 1 }
+            }
+        );
+
+        await recordAuditMany(req, 'delete', ids.map(_id => ({
+            before: { _id, deletedAt: null },
+            after: { _id, deletedAt }
+        })));
+        await offerFreedSlots(bookings);
+        await updateCustomerStats(bookings);
 
         res.status(200).json({
             success: true,
-            message: `${result.deletedCount} bookings deleted successfully`
+            message: `${result.modifiedCount} bookings moved to the trash`,
+            count: result.modifiedCount,
+            deletedAt
         });
 
     } catch (error) {
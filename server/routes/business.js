@@ -0,0 +1,38 @@
+/**
+ * ============================================
+ * BUSINESS ROUTES - API Endpoints
+ * ============================================
+ *
+ * Details of the business location the request is for (see
+ * middleware/tenant.js), shown in the site header.
+ *
+ * Endpoints:
+ * - GET /api/business - The current location's name and slug
+ *
+ * @see https://expressjs.com/en/guide/routing.html
+ */
+
+const express = require('express');
+const router = express.Router();
+
+/**
+ * GET /api/business
+ * Returns the location the URL resolved to
+ *
+ * Response:
+ * {
+ *   data: { name, slug, pathPrefix }   // pathPrefix: "/b/<slug>", or "" for the default
+ * }
+ */
+router.get('/', (req, res) => {
+    res.status(200).json({
+        success: true,
+        data: {
+            name: req.business.name,
+            slug: req.business.slug,
+            pathPrefix: req.business.getPathPrefix()
+        }
+    });
+});
+
+module.exports = router;
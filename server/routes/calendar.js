@@ -0,0 +1,189 @@
+/**
+ * ============================================
+ * CALENDAR FEED ROUTES - API Endpoints
+ * ============================================
+ * 
+ * Lets admins subscribe to bookings from Google Calendar, Outlook
+ * or Apple Calendar. Each admin creates their own secret feed link;
+ * calendar apps can't sign in, so the token in the link is the
+ * credential. Only its hash is stored, and creating a new link
+ * revokes the old one.
+ * 
+ * The feed lists upcoming bookings (and those from the past day)
+ * at the admin's business location; its URL carries the location's
+ * /b/<slug> path.
+ * Every booking keeps the same UID, and its SEQUENCE goes up when
+ * it is moved, edited or changes status, so subscribed calendars
+ * update events in place. Cancelled bookings stay in the feed,
+ * marked cancelled; deleted ones drop out of it. Adding &staff=<id>
+ * to the link narrows it to one staff member's bookings.
+ * 
+ * Endpoints:
+ * - GET /api/calendar.ics?token=...[&staff=<id>] - The feed (token-protected)
+ * - GET /api/calendar/feed    - Whether you have a feed link (viewer+)
+ * - POST /api/calendar/feed   - Create a new feed link (viewer+)
+ * - DELETE /api/calendar/feed - Revoke your feed link (viewer+)
+ * 
+ * @see https://datatracker.ietf.org/doc/html/rfc5545
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const AdminUser = require('../models/AdminUser');
+const Booking = require('../models/Booking');
+const { requireAdmin } = require('../middleware/auth');
+const { generateToken, hashToken } = require('../utils/tokens');
+const { buildStaffEvent, buildCalendar } = require('../utils/ics');
+
+// How far back the feed reaches, so today's earlier appointments stay visible
+const FEED_LOOKBACK_MS = 24 * 60 * 60 * 1000;
+
+// Most events in one feed
+const FEED_LIMIT = 1000;
+
+/**
+ * Public URL of the feed for a token, at the request's location
+ * @param {Object} req - Express request (for the API's own host)
+ * @param {string} token - Raw feed token
+ * @returns {string}
+ */
+const getFeedUrl = (req, token) => {
+    return `${req.protocol}://${req.get('host')}/api${req.business.getPathPrefix()}/calendar.ics?token=${token}`;
+};
+
+/**
+ * GET /api/calendar.ics?token=<feed token>
+ * Returns upcoming bookings as an iCalendar feed
+ * 
+ * Query:
+ * - staff: Only this staff member's bookings (optional)
+ * 
+ * 404 Not Found: Unknown or revoked token, or unknown staff id
+ */
+router.get('/calendar.ics', async (req, res) => {
+    try {
+        const admin = req.query.token && await AdminUser.findOne({
+            business: req.business._id,
+            calendarTokenHash: hashToken(String(req.query.token))
+        });
+
+        const { staff } = req.query;
+        if (!admin || (staff !== undefined && !mongoose.isValidObjectId(staff))) {
+            return res.status(404).json({
+                success: false,
+                message: 'Calendar feed not found'
+            });
+        }
+
+        const bookings = await Booking.find({
+            business: req.business._id,
+            deletedAt: null,
+            start: { $gte: new Date(Date.now() - FEED_LOOKBACK_MS) },
+            ...(staff && { staff })
+        })
+            .sort({ start: 1 })
+            .limit(FEED_LIMIT);
+
+        res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+        res.setHeader('Cache-Control', 'no-store');
+        res.send(buildCalendar(bookings.map(buildStaffEvent), {
+            method: 'PUBLISH',
+            name: `${req.business.name} bookings`
+        }));
+
+    } catch (error) {
+        console.error('Error building calendar feed:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error. Please try again later.'
+        });
+    }
+});
+
+/**
+ * GET /api/calendar/feed
+ * Whether the signed-in admin has a feed link (the link itself
+ * can't be shown again)
+ * 
+ * Response:
+ * {
+ *   data: { active: boolean, createdAt: Date | null }
+ * }
+ */
+router.get('/calendar/feed', requireAdmin, (req, res) => {
+    res.status(200).json({
+        success: true,
+        data: {
+            active: Boolean(req.admin.calendarTokenCreatedAt),
+            createdAt: req.admin.calendarTokenCreatedAt || null
+        }
+    });
+});
+
+/**
+ * POST /api/calendar/feed
+ * Creates a new feed link for the signed-in admin, revoking any
+ * previous one
+ * 
+ * Response:
+ * {
+ *   data: { active: true, createdAt: Date, url: string }
+ * }
+ */
+router.post('/calendar/feed', requireAdmin, async (req, res) => {
+    try {
+        const token = generateToken();
+        const createdAt = new Date();
+
+        await AdminUser.updateOne(
+            { _id: req.admin._id },
+            { $set: { calendarTokenHash: hashToken(token), calendarTokenCreatedAt: createdAt } }
+        );
+
+        res.status(201).json({
+            success: true,
+            message: 'Calendar feed link created',
+            data: {
+                active: true,
+                createdAt,
+                url: getFeedUrl(req, token)
+            }
+        });
+
+    } catch (error) {
+        console.error('Error creating calendar feed link:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error. Please try again later.'
+        });
+    }
+});
+
+/**
+ * DELETE /api/calendar/feed
+ * Revokes the signed-in admin's feed link
+ */
+router.delete('/calendar/feed', requireAdmin, async (req, res) => {
+    try {
+        await AdminUser.updateOne(
+            { _id: req.admin._id },
+            { $unset: { calendarTokenHash: 1, calendarTokenCreatedAt: 1 } }
+        );
+
+        res.status(200).json({
+            success: true,
+            message: 'Calendar feed link revoked',
+            data: { active: false, createdAt: null }
+        });
+
+    } catch (error) {
+        console.error('Error revoking calendar feed link:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error. Please try again later.'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,213 @@
+/**
+ * ============================================
+ * CUSTOMER DIRECTORY ROUTES - API Endpoints
+ * ============================================
+ * 
+ * The admin area's customer directory: each person who has booked,
+ * once, with their visit and no-show counts and the admins' notes.
+ * Customers are created and kept up to date by the booking routes
+ * (see utils/customers.js); admins can only change the notes.
+ * 
+ * Endpoints:
+ * - GET /api/customers       - Page of customers (viewer+)
+ * - GET /api/customers/:id   - A customer with their bookings (viewer+)
+ * - PATCH /api/customers/:id - Change a customer's notes (staff+)
+ * 
+ * @see https://expressjs.com/en/guide/routing.html
+ */
+
+const express = require('express');
+const router = express.Router();
+const Booking = require('../models/Booking');
+const Customer = require('../models/Customer');
+const Schedule = require('../models/Schedule');
+const { requireAdmin, requireRole } = require('../middleware/auth');
+const { escapeRegex } = require('../utils/bookingQuery');
+
+// Page size limits
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 100;
+
+// Fields the list can be sorted by
+const SORT_FIELDS = ['name', 'lastBookedAt', 'lastVisitAt', 'visitCount', 'noShowCount'];
+
+// Bookings shown with a customer, latest first
+const MAX_CUSTOMER_BOOKINGS = 200;
+
+/**
+ * GET /api/customers
+ * Lists the location's customers
+ * 
+ * Query (all optional):
+ * - search: Text matched against name, email and phone
+ * - sort: name | lastBookedAt (default) | lastVisitAt | visitCount | noShowCount
+ * - order: asc | desc (default)
+ * - page: Page number (default 1)
+ * - limit: Customers per page (default 25, max 100)
+ * 
+ * Response:
+ * {
+ *   count: number,   // customers on this page
+ *   total: number,   // customers matching the search
+ *   page: number,
+ *   pages: number,
+ *   data: [{ _id, name, email, phone, notes, bookingCount, visitCount,
+ *            lastVisitAt, noShowCount, lastBookedAt }]
+ * }
+ */
+router.get('/', requireAdmin, async (req, res) => {
+    try {
+        const filter = { business: req.business._id };
+
+        if (req.query.search) {
+            const pattern = new RegExp(escapeRegex(String(req.query.search).trim()), 'i');
+            filter.$or = [{ name: pattern }, { email: pattern }, { phone: pattern }];
+        }
+
+        const sortField = req.query.sort || 'lastBookedAt';
+        if (!SORT_FIELDS.includes(sortField)) {
+            return res.status(400).json({
+                success: false,
+                message: `sort must be one of: ${SORT_FIELDS.join(', ')}`
+            });
+        }
+        const direction = req.query.order === 'asc' ? 1 : -1;
+
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+        const customersQuery = Customer.find(filter)
+            // _id as a tie-breaker keeps pages stable when values repeat
+            .sort({ [sortField]: direction, _id: direction })
+            .skip((page - 1) * limit)
+            .limit(limit);
+        // Case-insensitive ordering for names
+        if (sortField === 'name') customersQuery.collation({ locale: 'en', strength: 2 });
+
+        const [customers, total] = await Promise.all([
+            customersQuery,
+            Customer.countDocuments(filter)
+        ]);
+
+        res.status(200).json({
+            success: true,
+            count: customers.length,
+            total,
+            page,
+            pages: Math.ceil(total / limit),
+            data: customers
+        });
+
+    } catch (error) {
+        console.error('Error fetching customers:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error. Please try again later.'
+        });
+    }
+});
+
+/**
+ * GET /api/customers/:id
+ * Returns a customer with their bookings (not those in the trash),
+ * latest appointment first
+ * 
+ * Response:
+ * {
+ *   timezone: string,
+ *   data: customer,
+ *   bookings: [booking]   // up to MAX_CUSTOMER_BOOKINGS
+ * }
+ */
+router.get('/:id', requireAdmin, async (req, res) => {
+    try {
+        const customer = await Customer.findOne({ _id: req.params.id, business: req.business._id });
+
+        if (!customer) {
+            return res.status(404).json({
+                success: false,
+                message: 'Customer not found'
+            });
+        }
+
+        const [bookings, schedule] = await Promise.all([
+            Booking.find({ business: req.business._id, customer: customer._id, deletedAt: null })
+                .sort({ start: -1 })
+                .limit(MAX_CUSTOMER_BOOKINGS),
+            Schedule.getCurrent(req.business._id)
+        ]);
+
+        res.status(200).json({
+            success: true,
+            timezone: schedule.timezone,
+            data: customer,
+            bookings
+        });
+
+    } catch (error) {
+        if (error.name === 'CastError') {
+            return res.status(404).json({ success: false, message: 'Customer not found' });
+        }
+
+        console.error('Error fetching customer:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error. Please try again later.'
+        });
+    }
+});
+
+/**
+ * PATCH /api/customers/:id
+ * Changes the admins' notes about a customer
+ * 
+ * Request Body:
+ * {
+ *   notes: string   // up to 2000 characters, "" to clear
+ * }
+ */
+router.patch('/:id', requireAdmin, requireRole('staff'), async (req, res) => {
+    try {
+        if (typeof req.body.notes !== 'string') {
+            return res.status(400).json({
+                success: false,
+                message: 'notes must be text'
+            });
+        }
+
+        const customer = await Customer.findOne({ _id: req.params.id, business: req.business._id });
+
+        if (!customer) {
+            return res.status(404).json({
+                success: false,
+                message: 'Customer not found'
+            });
+        }
+
+        customer.notes = req.body.notes;
+        await customer.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Notes saved',
+            data: customer
+        });
+
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(err => err.message);
+            return res.status(400).json({ success: false, message: messages.join(', ') });
+        }
+        if (error.name === 'CastError') {
+            return res.status(404).json({ success: false, message: 'Customer not found' });
+        }
+
+        console.error('Error updating customer:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error. Please try again later.'
+        });
+    }
+});
+
+module.exports = router;
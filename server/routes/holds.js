@@ -0,0 +1,202 @@
+/**
+ * ============================================
+ * SLOT HOLD ROUTES - API Endpoints
+ * ============================================
+ * 
+ * The booking form holds the slot a customer picks for a few
+ * minutes (SLOT_HOLD_MINUTES), so nobody else can book it while
+ * they fill in their details. A held seat counts as taken for
+ * everyone else; POST /api/bookings accepts the hold's token and
+ * uses up the hold.
+ * 
+ * Holds run out on their own - MongoDB removes them via a TTL
+ * index, and slot checks ignore any that have expired but are not
+ * removed yet. The token is the credential: no login is needed.
+ * 
+ * A seat let go early is offered to the waitlist straight away; one
+ * whose hold runs out is offered by the waitlist worker (see
+ * utils/waitlist.js).
+ * 
+ * So that nobody can hold every seat (and keep renewing the holds),
+ * each client - by IP address - holds at most MAX_HOLDS_PER_CLIENT
+ * seats at a location; a new hold lets their oldest ones go.
+ * 
+ * Endpoints:
+ * - POST /api/holds          - Hold a seat in a slot
+ * - DELETE /api/holds/:token - Let a hold go early
+ * 
+ * @see https://expressjs.com/en/guide/routing.html
+ */
+
+const express = require('express');
+const router = express.Router();
+const SlotHold = require('../models/SlotHold');
+const Schedule = require('../models/Schedule');
+const Service = require('../models/Service');
+const { createHoldInSlot, getLanes, getLanesForSlot, SlotUnavailableError } = require('../utils/slots');
+const { findSlot } = require('../utils/schedule');
+const { InvalidRequestError } = require('../utils/errors');
+const { generateToken, hashToken } = require('../utils/tokens');
+const { offerFreedSlots } = require('../utils/waitlist');
+
+// How long a slot is held while the customer books
+const HOLD_MINUTES = Number(process.env.SLOT_HOLD_MINUTES) || 5;
+
+// Seats one client can hold at once (a few, for people sharing an address)
+const MAX_HOLDS_PER_CLIENT = Number(process.env.SLOT_HOLDS_PER_CLIENT) || 3;
+
+/**
+ * Lets a client's oldest holds go, keeping their newest MAX_HOLDS_PER_CLIENT.
+ * Run after each new hold, so even holds placed at the same moment
+ * end up within the limit.
+ * @param {ObjectId} business - Location id
+ * @param {string} ip - Client address
+ */
+const releaseExtraHolds = async (business, ip) => {
+    const extra = await SlotHold.find({ business, ip })
+        .sort({ createdAt: -1, _id: -1 })
+        .skip(MAX_HOLDS_PER_CLIENT)
+        .select('business start end');
+
+    if (extra.length > 0) {
+        await SlotHold.deleteMany({ _id: { $in: extra.map(hold => hold._id) } });
+        await offerFreedSlots(extra);
+    }
+};
+
+/**
+ * POST /api/holds
+ * Holds a free seat in a slot for HOLD_MINUTES. Lets the client's
+ * oldest hold go if they already hold MAX_HOLDS_PER_CLIENT seats.
+ * 
+ * Request Body:
+ * {
+ *   service: string,   // service _id from GET /api/services
+ *   staff: string,     // optional: staff _id from GET /api/staff, or "any" (default)
+ *   start: string,     // ISO start time of a slot from GET /api/availability
+ *   replace: string    // optional: token of the customer's previous hold, let go first
+ * }
+ * 
+ * Response:
+ * {
+ *   holdToken: string,  // pass to POST /api/bookings as holdToken
+ *   holdMinutes: number,
+ *   data: { start, end, expiresAt }
+ * }
+ * 409 Conflict: Every seat in the slot is booked or held
+ */
+router.post('/', async (req, res) => {
+    try {
+        const { start, staff, replace } = req.body;
+
+        if (!start || !req.body.service) {
+            return res.status(400).json({
+                success: false,
+                message: 'A service and a time slot are required'
+            });
+        }
+
+        const service = await Service.findBookable(req.body.service, req.business._id);
+        if (!service) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please choose an available service'
+            });
+        }
+
+        // Only slots the schedule offers, and that haven't started
+        const schedule = await Schedule.getCurrent(req.business._id);
+        const slot = findSlot(schedule, start, service);
+        const lanes = slot && getLanesForSlot(
+            await getLanes(schedule, { service: service._id, staff }),
+            schedule,
+            slot
+        );
+        if (!slot || lanes.length === 0 || slot.start <= new Date()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please select an available date and time slot'
+            });
+        }
+
+        // The customer picked another slot - free the old one first
+        if (replace) {
+            const replaced = await SlotHold.findOneAndDelete({ business: req.business._id, tokenHash: hashToken(replace) });
+            if (replaced) await offerFreedSlots([replaced]);
+        }
+
+        const holdToken = generateToken();
+        const hold = await createHoldInSlot(schedule, {
+            service: service._id,
+            start: slot.start,
+            end: slot.end,
+            tokenHash: hashToken(holdToken),
+            ip: req.ip,
+            expiresAt: new Date(Date.now() + HOLD_MINUTES * 60 * 1000)
+        }, lanes, { bufferMinutes: service.bufferMinutes });
+
+        await releaseExtraHolds(req.business._id, req.ip);
+
+        res.status(201).json({
+            success: true,
+            message: 'Slot held',
+            holdToken,
+            holdMinutes: HOLD_MINUTES,
+            data: {
+                start: hold.start,
+                end: hold.end,
+                expiresAt: hold.expiresAt
+            }
+        });
+
+    } catch (error) {
+        // Every seat was booked or held first
+        if (error instanceof SlotUnavailableError) {
+            return res.status(409).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        // Chosen staff member can't be booked
+        if (error instanceof InvalidRequestError) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Error holding slot:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error. Please try again later.'
+        });
+    }
+});
+
+/**
+ * DELETE /api/holds/:token
+ * Lets a hold go before it runs out (e.g. the customer changed
+ * the date or service). Succeeds even if it has already gone.
+ */
+router.delete('/:token', async (req, res) => {
+    try {
+        const hold = await SlotHold.findOneAndDelete({ business: req.business._id, tokenHash: hashToken(req.params.token) });
+        // Someone may be waiting for the seat
+        if (hold) await offerFreedSlots([hold]);
+
+        res.status(200).json({
+            success: true,
+            message: 'Hold released'
+        });
+
+    } catch (error) {
+        console.error('Error releasing slot hold:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error. Please try again later.'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,370 @@
+/**
+ * ============================================
+ * MANAGE BOOKING ROUTES - API Endpoints
+ * ============================================
+ * 
+ * Customer self-service through the secret link returned when
+ * a booking is created (/booking/:token in the frontend, under the
+ * location's /b/<slug> path). The token itself is the credential -
+ * no login is needed - and only finds bookings at that location.
+ * 
+ * Changes are blocked within the schedule's changeCutoffHours
+ * before the appointment, and once the booking is no longer
+ * pending or confirmed. They are audited with the customer as actor,
+ * and the customer is emailed about them. A cancelled slot is offered
+ * to the waitlist (see utils/waitlist.js), and a paid deposit is
+ * refunded (see utils/payments.js).
+ * 
+ * Bookings waiting for their deposit can't be changed; the customer
+ * lands here after paying, and can pay from here until it runs out.
+ * 
+ * The link of a recurring series manages every occurrence: pass
+ * `occurrence` (a booking id from the series list) to change another
+ * one, and scope "following" to change it and the later ones too.
+ * 
+ * Endpoints:
+ * - GET /api/manage/:token    - View the booking (and its series)
+ * - PATCH /api/manage/:token  - Reschedule to another free slot
+ * - DELETE /api/manage/:token - Cancel the booking (kept as 'cancelled')
+ * 
+ * Signed-in customers get the same endpoints for their own bookings
+ * at /api/account/bookings/:id (see routes/account.js), which mounts
+ * bookingRoutes with its own loader.
+ * 
+ * @see https://expressjs.com/en/guide/routing.html
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Booking = require('../models/Booking');
+const Schedule = require('../models/Schedule');
+const { findSlot, getBookingLength } = require('../utils/schedule');
+const {
+    moveBookingToSlot,
+    getLanes,
+    getLanesForSlot,
+    getUnheldLanes,
+    getStaffChoice,
+    SlotUnavailableError
+} = require('../utils/slots');
+const { InvalidRequestError } = require('../utils/errors');
+const { hashToken } = require('../utils/tokens');
+const { recordAuditMany } = require('../utils/audit');
+const { notifyBooking } = require('../utils/notifications');
+const { offerFreedSlots } = require('../utils/waitlist');
+const { getPaymentSummary, refundDeposit } = require('../utils/payments');
+const { getFollowingOccurrences, planSeriesMove, getConflicts } = require('../utils/recurrence');
+
+/**
+ * Latest time the customer may still change the booking
+ * @param {Object} booking - Booking document
+ * @param {Object} schedule - Schedule document
+ * @returns {Date} - Change deadline
+ */
+const getChangeDeadline = (booking, schedule) => {
+    return new Date(booking.start.getTime() - schedule.changeCutoffHours * 60 * 60 * 1000);
+};
+
+/**
+ * Finds the booking of the manage link's :token
+ * @param {Object} req - Express request
+ * @returns {Promise<Document|null>}
+ */
+const findLinkBooking = (req) => {
+    return Booking.findOne({
+        business: req.business._id,
+        manageTokenHash: hashToken(req.params.token),
+        deletedAt: null
+    });
+};
+
+/**
+ * Middleware factory: loads the booking found by `findBooking` - or,
+ * for a series, the occurrence named by `occurrence` (query or body)
+ * Sets req.booking and req.schedule, or answers 404.
+ * @param {Function} findBooking - (req) => Promise<booking|null>
+ * @returns {Function} - Express middleware
+ */
+const loadBookingWith = (findBooking) => async (req, res, next) => {
+    try {
+        let booking = await findBooking(req);
+
+        const occurrence = req.query.occurrence || req.body?.occurrence;
+        if (booking && occurrence && String(booking._id) !== String(occurrence)) {
+            booking = booking.series && mongoose.isValidObjectId(occurrence)
+                ? await Booking.findOne({
+                    _id: occurrence,
+                    business: req.business._id,
+                    series: booking.series,
+                    deletedAt: null
+                })
+                : null;
+        }
+
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                message: 'Booking not found. Please check the link and try again.'
+            });
+        }
+
+        req.booking = booking;
+        req.schedule = await Schedule.getCurrent(req.business._id);
+        next();
+
+    } catch (error) {
+        console.error('Error loading booking from manage link:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error. Please try again later.'
+        });
+    }
+};
+
+/**
+ * Whether the customer may still reschedule or cancel
+ * @param {Object} booking - Booking document
+ * @param {Object} schedule - Schedule document
+ * @returns {boolean}
+ */
+const canCustomerChange = (booking, schedule) => {
+    return booking.isActive() && Date.now() <= getChangeDeadline(booking, schedule).getTime();
+};
+
+/**
+ * Middleware: rejects changes to closed bookings or once the cutoff has passed
+ */
+const requireChangeable = (req, res, next) => {
+    if (!req.booking.isActive()) {
+        return res.status(409).json({
+            success: false,
+            message: `This booking is ${req.booking.status} and can no longer be changed`
+        });
+    }
+
+    if (Date.now() > getChangeDeadline(req.booking, req.schedule).getTime()) {
+        return res.status(403).json({
+            success: false,
+            message: `Bookings can't be changed online within ${req.schedule.changeCutoffHours} hours of the appointment. Please contact us instead.`
+        });
+    }
+    next();
+};
+
+/**
+ * GET /api/manage/:token
+ * Returns the booking and whether it can still be changed
+ * 
+ * Query: occurrence - another booking of the link's series (optional)
+ * 
+ * Response:
+ * {
+ *   timezone: string,
+ *   changeDeadline: Date,
+ *   canChange: boolean,
+ *   data: booking,
+ *   series: [{ _id, occurrence, start, end, status, staffName, canChange }]
+ *     // every occurrence in date order (recurring bookings only)
+ *   payment: { status, amount, currency, checkoutUrl?, expiresAt, paidAt, refundedAt }
+ *     // the deposit (bookings with one only); checkoutUrl while it can still be paid
+ * }
+ */
+// The endpoints for one booking, once it is loaded into req.booking
+const bookingRoutes = express.Router();
+
+bookingRoutes.get('/', async (req, res) => {
+    try {
+        const { booking, schedule } = req;
+        const occurrences = booking.series
+            ? await Booking.find({ business: req.business._id, series: booking.series, deletedAt: null })
+                .sort({ start: 1 })
+            : [];
+        const payment = await getPaymentSummary(booking);
+
+        res.status(200).json({
+            success: true,
+            timezone: schedule.timezone,
+            changeDeadline: getChangeDeadline(booking, schedule),
+            canChange: canCustomerChange(booking, schedule),
+            data: booking,
+            series: booking.series
+                ? occurrences.map(occurrence => ({
+                    _id: occurrence._id,
+                    occurrence: occurrence.occurrence,
+                    start: occurrence.start,
+                    end: occurrence.end,
+                    status: occurrence.status,
+                    staffName: occurrence.staffName,
+                    canChange: canCustomerChange(occurrence, schedule)
+                }))
+                : undefined,
+            payment
+        });
+
+    } catch (error) {
+        console.error('Error loading booking series:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error. Please try again later.'
+        });
+    }
+});
+
+/**
+ * PATCH /api/manage/:token
+ * Moves the booking to another free slot, with the same staff member
+ * (or anyone free, if the customer booked "any available")
+ * 
+ * Request Body:
+ * {
+ *   start: string,       // ISO start time of a slot from GET /api/availability
+ *   occurrence?: string, // another booking of the link's series
+ *   scope?: 'this' | 'following'  // also move the later occurrences the
+ *                        // same number of days, to the same new time
+ * }
+ * 
+ * 409 Conflict: The new slot is already fully booked, or some of the
+ * following occurrences can't move (listed as `conflicts`; nothing moves)
+ */
+bookingRoutes.patch('/', requireChangeable, async (req, res) => {
+    try {
+        const { booking, schedule } = req;
+        const slot = req.body.start && findSlot(schedule, req.body.start, getBookingLength(booking));
+
+        if (!slot) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please select an available date and time slot'
+            });
+        }
+
+        if (slot.start.getTime() === booking.start.getTime()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Your booking is already in this slot'
+            });
+        }
+
+        // Seats other customers are holding while they book are off limits
+        const lanes = await getUnheldLanes(schedule, slot, getLanesForSlot(
+            await getLanes(schedule, { service: booking.service, staff: getStaffChoice(booking) }),
+            schedule,
+            slot
+        ), { bufferMinutes: booking.bufferMinutes });
+
+        // Check the later occurrences can follow before moving any
+        const plan = req.body.scope === 'following'
+            ? await planSeriesMove(schedule, await getFollowingOccurrences(booking), { from: booking.start, to: slot.start })
+            : [];
+        const conflicts = getConflicts(plan);
+
+        if (conflicts.length > 0) {
+            return res.status(409).json({
+                success: false,
+                message: `${conflicts.length} of your following appointments can't be moved to that time`,
+                timezone: schedule.timezone,
+                conflicts
+            });
+        }
+
+        const changes = [];
+        for (const item of [{ booking, slot, lanes }, ...plan]) {
+            changes.push({ before: item.booking, after: await moveBookingToSlot(item.booking, item.slot, item.lanes) });
+        }
+
+        await recordAuditMany(req, 'reschedule', changes);
+        for (const { after } of changes) {
+            await notifyBooking('rescheduled', after);
+        }
+        // The old times are free for the waitlist now
+        await offerFreedSlots(changes.map(({ before }) => before));
+
+        res.status(200).json({
+            success: true,
+            message: changes.length > 1
+                ? `${changes.length} appointments rescheduled successfully`
+                : 'Booking rescheduled successfully',
+            timezone: schedule.timezone,
+            data: changes[0].after
+        });
+
+    } catch (error) {
+        if (error instanceof SlotUnavailableError) {
+            return res.status(409).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        // Their staff member can no longer be booked
+        if (error instanceof InvalidRequestError) {
+            return res.status(409).json({
+                success: false,
+                message: 'Your booking can no longer be moved online. Please contact us to reschedule.'
+            });
+        }
+
+        console.error('Error rescheduling booking:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error. Please try again later.'
+        });
+    }
+});
+
+/**
+ * DELETE /api/manage/:token
+ * Cancels the booking and frees its slot. The booking is kept
+ * with status 'cancelled' for reporting. A paid deposit is refunded
+ * (`refunded` in the response).
+ * 
+ * Query (optional):
+ * - occurrence: Another booking of the link's series
+ * - scope: "following" to also cancel the later occurrences
+ */
+bookingRoutes.delete('/', requireChangeable, async (req, res) => {
+    try {
+        const following = req.query.scope === 'following' ? await getFollowingOccurrences(req.booking) : [];
+
+        const changes = [];
+        for (const booking of [req.booking, ...following]) {
+            const before = booking.toObject();
+            booking.setStatus('cancelled');
+            changes.push({ before, after: await booking.save() });
+        }
+
+        await recordAuditMany(req, 'status', changes);
+        for (const { after } of changes) {
+            await notifyBooking('cancelled', after);
+        }
+        await offerFreedSlots(changes.map(({ after }) => after));
+
+        // Always before the cutoff here, so a paid deposit goes back
+        let refunded = false;
+        for (const { after } of changes) {
+            if (await refundDeposit(after, req.schedule)) refunded = true;
+        }
+
+        res.status(200).json({
+            success: true,
+            message: (changes.length > 1
+                ? `${changes.length} appointments cancelled successfully`
+                : 'Booking cancelled successfully') + (refunded ? '. Your deposit will be refunded.' : ''),
+            refunded
+        });
+
+    } catch (error) {
+        console.error('Error cancelling booking:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error. Please try again later.'
+        });
+    }
+});
+
+router.use('/:token', loadBookingWith(findLinkBooking), bookingRoutes);
+
+module.exports = router;
+module.exports.bookingRoutes = bookingRoutes;
+module.exports.loadBookingWith = loadBookingWith;
@@ -0,0 +1,74 @@
+/**
+ * ============================================
+ * PAYMENT ROUTES - API Endpoints
+ * ============================================
+ * 
+ * Where the payment gateway reports back (see utils/payments.js).
+ * These are mounted once at /api/payments, not per location, and
+ * before the JSON and CORS middleware: the webhook's signature is
+ * checked against the raw body, and gateways call it from their own
+ * servers. The webhook's signature is the credential.
+ * 
+ * Endpoints:
+ * - POST /api/payments/webhook - Payment events from the gateway
+ * - /api/payments/gateway/...  - The gateway's own pages, for gateways
+ *                                that run inside the app (the fake one)
+ * 
+ * @see https://expressjs.com/en/guide/routing.html
+ */
+
+const express = require('express');
+const router = express.Router();
+const { getGateway, WebhookSignatureError } = require('../utils/paymentGateways');
+const { handlePaymentEvent } = require('../utils/payments');
+
+/**
+ * POST /api/payments/webhook
+ * Applies a signed payment event: a paid deposit confirms its
+ * booking, a failed one releases it. Events the app doesn't use are
+ * acknowledged and ignored, so the gateway stops retrying them.
+ * 
+ * 400 Bad Request: The request isn't signed by the gateway
+ */
+router.post('/webhook', express.raw({ type: '*/*' }), async (req, res) => {
+    try {
+        const event = getGateway().verifyWebhook(req.body, req.headers);
+        if (event) {
+            await handlePaymentEvent(event);
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Event received'
+        });
+
+    } catch (error) {
+        if (error instanceof WebhookSignatureError) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        // A 500 makes the gateway retry later
+        console.error('Error handling payment webhook:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error. Please try again later.'
+        });
+    }
+});
+
+// The gateway's own routes, if it has any (none if it isn't set up)
+router.use('/gateway', (req, res, next) => {
+    let routes;
+    try {
+        ({ routes } = getGateway());
+    } catch {
+        return next();
+    }
+    if (!routes) return next();
+    routes(req, res, next);
+});
+
+module.exports = router;
@@ -0,0 +1,174 @@
+/**
+ * ============================================
+ * SCHEDULE ROUTES - API Endpoints
+ * ============================================
+ * 
+ * This file exposes the business schedule (working days,
+ * opening hours, slot length, breaks and holidays) and the
+ * bookable dates it produces, for the request's business location.
+ * 
+ * Endpoints:
+ * - GET /api/schedule                     - Current schedule settings
+ * - PUT /api/schedule                     - Update schedule settings (owner)
+ * - GET /api/schedule/dates?month=YYYY-MM - Bookable dates in a month
+ *   (add &service=<id>, or &duration=&buffer=, to check them for that length,
+ *   and &staff=<id> to check them for one staff member)
+ * 
+ * @see https://expressjs.com/en/guide/routing.html
+ */
+
+const express = require('express');
+const router = express.Router();
+const Schedule = require('../models/Schedule');
+const { requireAdmin, requireRole } = require('../middleware/auth');
+const { MONTH_PATTERN, getDatesForMonth } = require('../utils/schedule');
+const { getLanes, parseAppointmentLength } = require('../utils/slots');
+const { InvalidRequestError } = require('../utils/errors');
+
+// Fields an admin may change through PUT /api/schedule
+const EDITABLE_FIELDS = [
+    'timezone',
+    'workingDays',
+    'openTime',
+    'closeTime',
+    'slotMinutes',
+    'slotCapacity',
+    'breaks',
+    'holidays',
+    'bookingWindowDays',
+    'changeCutoffHours'
+];
+
+/**
+ * GET /api/schedule
+ * Returns the current schedule settings
+ */
+router.get('/', async (req, res) => {
+    try {
+        const schedule = await Schedule.getCurrent(req.business._id);
+
+        res.status(200).json({
+            success: true,
+            data: schedule
+        });
+
+    } catch (error) {
+        console.error('Error fetching schedule:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error. Please try again later.'
+        });
+    }
+});
+
+/**
+ * PUT /api/schedule
+ * Updates the schedule settings
+ * 
+ * Request Body (all optional):
+ * {
+ *   timezone: string,               // IANA timezone, e.g. "Asia/Kolkata"
+ *   workingDays: number[],          // 0 = Sunday ... 6 = Saturday
+ *   openTime: string,               // "HH:mm"
+ *   closeTime: string,              // "HH:mm"
+ *   slotMinutes: number,            // how often start times are offered
+ *   slotCapacity: number,
+ *   breaks: [{ start, end, label }],
+ *   holidays: [{ date, label }],    // date as "YYYY-MM-DD"
+ *   bookingWindowDays: number,
+ *   changeCutoffHours: number       // no customer changes this close to the appointment
+ * }
+ */
+router.put('/', requireAdmin, requireRole('owner'), async (req, res) => {
+    try {
+        const schedule = await Schedule.getCurrent(req.business._id);
+
+        EDITABLE_FIELDS.forEach((field) => {
+            if (req.body[field] !== undefined) {
+                schedule[field] = req.body[field];
+            }
+        });
+
+        const savedSchedule = await schedule.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Schedule updated successfully',
+            data: savedSchedule
+        });
+
+    } catch (error) {
+        // Handle validation errors from Mongoose
+        if (error.name === 'ValidationError' || error.name === 'CastError') {
+            const messages = error.errors
+                ? Object.values(error.errors).map(err => err.message)
+                : [error.message];
+            return res.status(400).json({
+                success: false,
+                message: messages.join(', ')
+            });
+        }
+
+        console.error('Error updating schedule:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error. Please try again later.'
+        });
+    }
+});
+
+/**
+ * GET /api/schedule/dates?month=YYYY-MM&service=<id>
+ * Lists every date in the month and whether it can be booked
+ * (for the service's duration, if one is given - see
+ * parseAppointmentLength in utils/slots.js). Once staff are set up,
+ * a date also needs a slot that the chosen staff member, or anyone
+ * offering the service, works.
+ * 
+ * Response:
+ * {
+ *   month: string,
+ *   data: [{ date, available, reason? }]
+ * }
+ */
+router.get('/dates', async (req, res) => {
+    try {
+        const { month } = req.query;
+
+        if (!month || !MONTH_PATTERN.test(month)) {
+            return res.status(400).json({
+                success: false,
+                message: 'A month in YYYY-MM format is required'
+            });
+        }
+
+        const length = await parseAppointmentLength(req.query, req.business._id);
+        const schedule = await Schedule.getCurrent(req.business._id);
+
+        // Dates need a slot someone works, once staff are set up
+        const lanes = await getLanes(schedule, { service: length?._id, staff: req.query.staff });
+        const staff = lanes.every(lane => lane.staff) ? lanes.map(lane => lane.staff) : undefined;
+
+        res.status(200).json({
+            success: true,
+            month,
+            data: getDatesForMonth(schedule, month, length, staff)
+        });
+
+    } catch (error) {
+        if (error instanceof InvalidRequestError) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Error fetching schedule dates:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error. Please try again later.'
+        });
+    }
+});
+
+module.exports = router;
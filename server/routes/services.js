@@ -0,0 +1,211 @@
+/**
+ * ============================================
+ * SERVICES ROUTES - API Endpoints
+ * ============================================
+ * 
+ * The services customers can book, each with its own duration,
+ * buffer time and price. Owners manage the list; customers
+ * see the active services on the booking form. Each business
+ * location has its own list.
+ * 
+ * Endpoints:
+ * - GET /api/services        - Active services (add ?all=true as an admin
+ *                              to include inactive ones)
+ * - POST /api/services       - Create a service (owner)
+ * - PATCH /api/services/:id  - Change a service (owner)
+ * - DELETE /api/services/:id - Remove a service (owner)
+ * 
+ * Existing bookings keep the name, price and buffer they were
+ * booked with, so editing or removing a service never changes them.
+ * 
+ * @see https://expressjs.com/en/guide/routing.html
+ */
+
+const express = require('express');
+const router = express.Router();
+const Service = require('../models/Service');
+const { CURRENCY } = require('../models/Service');
+const { loadAdmin, requireAdmin, requireRole } = require('../middleware/auth');
+
+// Fields an owner may set through POST/PATCH
+const EDITABLE_FIELDS = [
+    'name',
+    'description',
+    'durationMinutes',
+    'bufferMinutes',
+    'price',
+    'deposit',
+    'active',
+    'sortOrder'
+];
+
+/**
+ * Sends a 400 response for Mongoose validation errors
+ * @returns {boolean} - True if the error was handled
+ */
+const handleValidationError = (error, res) => {
+    if (error.name === 'ValidationError') {
+        const messages = Object.values(error.errors).map(err => err.message);
+        res.status(400).json({ success: false, message: messages.join(', ') });
+        return true;
+    }
+    return false;
+};
+
+/**
+ * GET /api/services
+ * Lists the services on the booking form, in display order
+ * 
+ * Query:
+ * - all: "true" to include inactive services (admins only)
+ * 
+ * Response:
+ * {
+ *   count: number,
+ *   currency: string,  // ISO 4217 code prices are in, e.g. "INR"
+ *   data: [{ _id, name, description, durationMinutes, bufferMinutes, price, active }]
+ * }
+ */
+router.get('/', loadAdmin, async (req, res) => {
+    try {
+        const filter = { business: req.business._id };
+        if (!(req.query.all === 'true' && req.admin)) filter.active = true;
+        const services = await Service.find(filter).sort({ sortOrder: 1, name: 1 });
+
+        res.status(200).json({
+            success: true,
+            count: services.length,
+            currency: CURRENCY,
+            data: services
+        });
+
+    } catch (error) {
+        console.error('Error fetching services:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error. Please try again later.'
+        });
+    }
+});
+
+/**
+ * POST /api/services
+ * Creates a service
+ * 
+ * Request Body:
+ * {
+ *   name: string,
+ *   description?: string,
+ *   durationMinutes: number,   // multiple of 5
+ *   bufferMinutes?: number,    // multiple of 5, default 0
+ *   price?: number,            // default 0
+ *   deposit?: number,          // paid online when booking, up to the price; default 0
+ *   active?: boolean,          // default true
+ *   sortOrder?: number
+ * }
+ */
+router.post('/', requireAdmin, requireRole('owner'), async (req, res) => {
+    try {
+        const service = new Service({ business: req.business._id });
+        EDITABLE_FIELDS.forEach((field) => {
+            if (req.body[field] !== undefined) {
+                service[field] = req.body[field];
+            }
+        });
+        await service.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Service created successfully',
+            data: service
+        });
+
+    } catch (error) {
+        if (handleValidationError(error, res)) return;
+
+        console.error('Error creating service:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error. Please try again later.'
+        });
+    }
+});
+
+/**
+ * PATCH /api/services/:id
+ * Updates any of the fields accepted by POST /api/services.
+ * New durations and buffers apply to new bookings only.
+ */
+router.patch('/:id', requireAdmin, requireRole('owner'), async (req, res) => {
+    try {
+        const service = await Service.findOne({ _id: req.params.id, business: req.business._id });
+
+        if (!service) {
+            return res.status(404).json({
+                success: false,
+                message: 'Service not found'
+            });
+        }
+
+        EDITABLE_FIELDS.forEach((field) => {
+            if (req.body[field] !== undefined) {
+                service[field] = req.body[field];
+            }
+        });
+        await service.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Service updated successfully',
+            data: service
+        });
+
+    } catch (error) {
+        if (handleValidationError(error, res)) return;
+        if (error.name === 'CastError') {
+            return res.status(404).json({ success: false, message: 'Service not found' });
+        }
+
+        console.error('Error updating service:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error. Please try again later.'
+        });
+    }
+});
+
+/**
+ * DELETE /api/services/:id
+ * Removes a service. Its bookings keep their copy of its name and price;
+ * to just stop offering it, set active to false instead.
+ */
+router.delete('/:id', requireAdmin, requireRole('owner'), async (req, res) => {
+    try {
+        const service = await Service.findOneAndDelete({ _id: req.params.id, business: req.business._id });
+
+        if (!service) {
+            return res.status(404).json({
+                success: false,
+                message: 'Service not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Service deleted successfully'
+        });
+
+    } catch (error) {
+        if (error.name === 'CastError') {
+            return res.status(404).json({ success: false, message: 'Service not found' });
+        }
+
+        console.error('Error deleting service:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error. Please try again later.'
+        });
+    }
+});
+
+module.exports = router;
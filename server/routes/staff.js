@@ -0,0 +1,259 @@
+/**
+ * ============================================
+ * STAFF ROUTES - API Endpoints
+ * ============================================
+ * 
+ * The staff members and resources (chairs, rooms) bookings are
+ * assigned to, each with their own working hours and time off.
+ * Owners manage the list; customers pick one of the active staff,
+ * or "any available", on the booking form. Each business location
+ * has its own staff.
+ * 
+ * Endpoints:
+ * - GET /api/staff        - Active staff (add ?all=true as an admin to
+ *                           include inactive ones, hours and time off)
+ * - POST /api/staff       - Add a staff member (owner)
+ * - PATCH /api/staff/:id  - Change a staff member (owner)
+ * - DELETE /api/staff/:id - Remove a staff member (owner)
+ * 
+ * Changing someone's hours or time off never moves bookings they
+ * already have; reassign or reschedule those from the dashboard.
+ * 
+ * @see https://expressjs.com/en/guide/routing.html
+ */
+
+const express = require('express');
+const router = express.Router();
+const Staff = require('../models/Staff');
+const Booking = require('../models/Booking');
+const { loadAdmin, requireAdmin, requireRole } = require('../middleware/auth');
+const { recordAuditMany } = require('../utils/audit');
+
+// Fields an owner may set through POST/PATCH
+const EDITABLE_FIELDS = [
+    'name',
+    'title',
+    'services',
+    'workingHours',
+    'timeOff',
+    'active'
+];
+
+// What customers see of a staff member
+const PUBLIC_FIELDS = 'name title services';
+
+/**
+ * Sends a 400 response for Mongoose validation errors
+ * @returns {boolean} - True if the error was handled
+ */
+const handleValidationError = (error, res) => {
+    if (error.name === 'ValidationError') {
+        const messages = Object.values(error.errors).map(err => err.message);
+        res.status(400).json({ success: false, message: messages.join(', ') });
+        return true;
+    }
+    return false;
+};
+
+/**
+ * Upcoming bookings still holding a staff member's seat
+ * @param {Object} filter - Extra conditions
+ * @returns {Object} - MongoDB filter
+ */
+const upcomingInSeat = (filter) => ({
+    ...filter,
+    deletedAt: null,
+    seat: { $exists: true },
+    end: { $gt: new Date() }
+});
+
+/**
+ * GET /api/staff
+ * Lists the staff customers can book, by name
+ * 
+ * Query:
+ * - all: "true" to include inactive staff (admins only)
+ * 
+ * Response:
+ * {
+ *   count: number,
+ *   data: [{ _id, name, title, services }]   // admins also get seat,
+ *                                            // workingHours, timeOff, active
+ * }
+ */
+router.get('/', loadAdmin, async (req, res) => {
+    try {
+        const showAll = req.query.all === 'true' && req.admin;
+        const filter = { business: req.business._id };
+        if (!showAll) filter.active = true;
+        const staff = await Staff.find(filter)
+            .select(showAll ? '' : PUBLIC_FIELDS)
+            .sort({ name: 1 });
+
+        res.status(200).json({
+            success: true,
+            count: staff.length,
+            data: staff
+        });
+
+    } catch (error) {
+        console.error('Error fetching staff:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error. Please try again later.'
+        });
+    }
+});
+
+/**
+ * POST /api/staff
+ * Adds a staff member
+ * 
+ * Request Body:
+ * {
+ *   name: string,
+ *   title?: string,
+ *   services?: [string],                           // service ids, empty = all
+ *   workingHours?: [{ day, start: "HH:mm", end: "HH:mm" }],  // empty = opening hours
+ *   timeOff?: [{ from: "YYYY-MM-DD", to: "YYYY-MM-DD", label? }],
+ *   active?: boolean
+ * }
+ * 
+ * Upcoming bookings made before any staff existed hold numbered
+ * seats; the new staff member takes over the ones in their seat.
+ */
+router.post('/', requireAdmin, requireRole('owner'), async (req, res) => {
+    try {
+        const staff = new Staff({ business: req.business._id });
+        EDITABLE_FIELDS.forEach((field) => {
+            if (req.body[field] !== undefined) {
+                staff[field] = req.body[field];
+            }
+        });
+        await staff.save();
+
+        const unassigned = await Booking.find(upcomingInSeat({
+            business: staff.business,
+            seat: staff.seat,
+            staff: null
+        }));
+        if (unassigned.length > 0) {
+            await Booking.updateMany(
+                { _id: { $in: unassigned.map(booking => booking._id) } },
+                { $set: { staff: staff._id, staffName: staff.name, anyStaff: true } }
+            );
+            await recordAuditMany(req, 'update', unassigned.map(booking => ({
+                before: booking,
+                after: { ...booking.toObject(), staffName: staff.name }
+            })));
+        }
+
+        res.status(201).json({
+            success: true,
+            message: unassigned.length > 0
+                ? `Staff member added and given ${unassigned.length} existing bookings`
+                : 'Staff member added successfully',
+            data: staff
+        });
+
+    } catch (error) {
+        if (handleValidationError(error, res)) return;
+
+        console.error('Error creating staff member:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error. Please try again later.'
+        });
+    }
+});
+
+/**
+ * PATCH /api/staff/:id
+ * Updates any of the fields accepted by POST /api/staff.
+ * A new name shows on their bookings from the next change on.
+ */
+router.patch('/:id', requireAdmin, requireRole('owner'), async (req, res) => {
+    try {
+        const staff = await Staff.findOne({ _id: req.params.id, business: req.business._id });
+
+        if (!staff) {
+            return res.status(404).json({
+                success: false,
+                message: 'Staff member not found'
+            });
+        }
+
+        EDITABLE_FIELDS.forEach((field) => {
+            if (req.body[field] !== undefined) {
+                staff[field] = req.body[field];
+            }
+        });
+        await staff.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Staff member updated successfully',
+            data: staff
+        });
+
+    } catch (error) {
+        if (handleValidationError(error, res)) return;
+        if (error.name === 'CastError') {
+            return res.status(404).json({ success: false, message: 'Staff member not found' });
+        }
+
+        console.error('Error updating staff member:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error. Please try again later.'
+        });
+    }
+});
+
+/**
+ * DELETE /api/staff/:id
+ * Removes a staff member. Their past bookings keep their name.
+ * 
+ * 409 Conflict: They still have upcoming bookings - reassign or
+ * cancel those first, or set active to false instead
+ */
+router.delete('/:id', requireAdmin, requireRole('owner'), async (req, res) => {
+    try {
+        const staff = await Staff.findOne({ _id: req.params.id, business: req.business._id });
+
+        if (!staff) {
+            return res.status(404).json({
+                success: false,
+                message: 'Staff member not found'
+            });
+        }
+
+        const upcoming = await Booking.countDocuments(upcomingInSeat({ business: staff.business, staff: staff._id }));
+        if (upcoming > 0) {
+            return res.status(409).json({
+                success: false,
+                message: `${staff.name} still has ${upcoming} upcoming bookings. Reassign or cancel them first, or make them inactive instead.`
+            });
+        }
+
+        await staff.deleteOne();
+
+        res.status(200).json({
+            success: true,
+            message: 'Staff member deleted successfully'
+        });
+
+    } catch (error) {
+        if (error.name === 'CastError') {
+            return res.status(404).json({ success: false, message: 'Staff member not found' });
+        }
+
+        console.error('Error deleting staff member:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error. Please try again later.'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,227 @@
+/**
+ * ============================================
+ * ADMIN USERS ROUTES - API Endpoints
+ * ============================================
+ * 
+ * Lets owners manage who can sign in to the dashboard and
+ * with which role. Every endpoint here requires the "owner" role,
+ * and only sees the admins of the owner's own business location.
+ * 
+ * Endpoints:
+ * - GET /api/users        - List admin users
+ * - POST /api/users       - Create an admin user
+ * - PATCH /api/users/:id  - Change name, role or password
+ * - DELETE /api/users/:id - Remove an admin user
+ * 
+ * @see https://expressjs.com/en/guide/routing.html
+ */
+
+const express = require('express');
+const router = express.Router();
+const AdminUser = require('../models/AdminUser');
+const AdminSession = require('../models/AdminSession');
+const { requireAdmin, requireRole } = require('../middleware/auth');
+
+// Every route below is owner-only
+router.use(requireAdmin, requireRole('owner'));
+
+/**
+ * Sends a 400 response for Mongoose validation / password errors
+ * @returns {boolean} - True if the error was handled
+ */
+const handleValidationError = (error, res) => {
+    if (error.name === 'ValidationError') {
+        const messages = Object.values(error.errors).map(err => err.message);
+        res.status(400).json({ success: false, message: messages.join(', ') });
+        return true;
+    }
+    if (error.code === 11000) {
+        res.status(409).json({ success: false, message: 'That username is already taken' });
+        return true;
+    }
+    if (error.message === 'Password must be at least 8 characters') {
+        res.status(400).json({ success: false, message: error.message });
+        return true;
+    }
+    return false;
+};
+
+/**
+ * True if removing owner rights from this user would leave no owners
+ */
+const isLastOwner = async (user) => {
+    if (user.role !== 'owner') return false;
+    return (await AdminUser.countDocuments({ business: user.business, role: 'owner' })) <= 1;
+};
+
+/**
+ * GET /api/users
+ * Lists the location's admin users (without password hashes)
+ */
+router.get('/', async (req, res) => {
+    try {
+        const users = await AdminUser.find({ business: req.business._id }).sort({ createdAt: 1 });
+
+        res.status(200).json({
+            success: true,
+            count: users.length,
+            data: users
+        });
+
+    } catch (error) {
+        console.error('Error fetching users:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error. Please try again later.'
+        });
+    }
+});
+
+/**
+ * POST /api/users
+ * Creates an admin user
+ * 
+ * Request Body:
+ * {
+ *   username: string,
+ *   name?: string,
+ *   password: string,   // min 8 characters
+ *   role: "viewer" | "staff" | "owner"
+ * }
+ */
+router.post('/', async (req, res) => {
+    try {
+        const { username, name, password, role } = req.body;
+
+        const user = new AdminUser({ business: req.business._id, username, name: name || username, role });
+        await user.setPassword(password);
+        await user.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'User created successfully',
+            data: user
+        });
+
+    } catch (error) {
+        if (handleValidationError(error, res)) return;
+
+        console.error('Error creating user:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error. Please try again later.'
+        });
+    }
+});
+
+/**
+ * PATCH /api/users/:id
+ * Updates an admin user's name, role and/or password.
+ * Changing the password signs the user out everywhere.
+ * 
+ * Request Body (all optional):
+ * {
+ *   name: string,
+ *   role: "viewer" | "staff" | "owner",
+ *   password: string
+ * }
+ */
+router.patch('/:id', async (req, res) => {
+    try {
+        const { name, role, password } = req.body;
+        const user = await AdminUser.findOne({ _id: req.params.id, business: req.business._id });
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        if (role && role !== 'owner' && await isLastOwner(user)) {
+            return res.status(400).json({
+                success: false,
+                message: 'There must always be at least one owner'
+            });
+        }
+
+        if (name !== undefined) user.name = name;
+        if (role !== undefined) user.role = role;
+        if (password) await user.setPassword(password);
+        await user.save();
+
+        if (password) {
+            await AdminSession.deleteMany({ user: user._id });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'User updated successfully',
+            data: user
+        });
+
+    } catch (error) {
+        if (handleValidationError(error, res)) return;
+        if (error.name === 'CastError') {
+            return res.status(404).json({ success: false, message: 'User not found' });
+        }
+
+        console.error('Error updating user:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error. Please try again later.'
+        });
+    }
+});
+
+/**
+ * DELETE /api/users/:id
+ * Removes an admin user and ends their sessions
+ */
+router.delete('/:id', async (req, res) => {
+    try {
+        const user = await AdminUser.findOne({ _id: req.params.id, business: req.business._id });
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        if (user._id.equals(req.admin._id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'You cannot delete your own account'
+            });
+        }
+
+        if (await isLastOwner(user)) {
+            return res.status(400).json({
+                success: false,
+                message: 'There must always be at least one owner'
+            });
+        }
+
+        await user.deleteOne();
+        await AdminSession.deleteMany({ user: user._id });
+
+        res.status(200).json({
+            success: true,
+            message: 'User deleted successfully'
+        });
+
+    } catch (error) {
+        if (error.name === 'CastError') {
+            return res.status(404).json({ success: false, message: 'User not found' });
+        }
+
+        console.error('Error deleting user:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error. Please try again later.'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,468 @@
+/**
+ * ============================================
+ * WAITLIST ROUTES - API Endpoints
+ * ============================================
+ * 
+ * Customers join the waitlist for a fully booked slot from the
+ * booking form. When a booking in that slot is cancelled, deleted
+ * or moved, the first person waiting is sent a link
+ * (/waitlist/:token in the frontend) to claim it before the offer
+ * runs out, with a seat held for them meanwhile; otherwise it
+ * passes to the next person (see utils/waitlist.js). The token is
+ * the credential - no login is needed - and only finds offers at
+ * the request's location.
+ * 
+ * Endpoints:
+ * - POST /api/waitlist                - Join the waitlist for a full slot
+ * - GET /api/waitlist/:token          - View an offer
+ * - POST /api/waitlist/:token/claim   - Book the offered slot
+ * - POST /api/waitlist/:token/decline - Turn the offer down
+ * 
+ * @see https://expressjs.com/en/guide/routing.html
+ */
+
+const express = require('express');
+const router = express.Router();
+const Booking = require('../models/Booking');
+const SlotHold = require('../models/SlotHold');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const { OPEN_STATUSES } = require('../models/WaitlistEntry');
+const Schedule = require('../models/Schedule');
+const Service = require('../models/Service');
+const { ANY_STAFF, createBookingInSlot, getLanes, getLanesForSlot, SlotUnavailableError } = require('../utils/slots');
+const { findSlot } = require('../utils/schedule');
+const { InvalidRequestError } = require('../utils/errors');
+const { generateToken, hashToken } = require('../utils/tokens');
+const { recordAudit } = require('../utils/audit');
+const { getFrontendUrl, notifyBooking } = require('../utils/notifications');
+const { startDepositPayment, PaymentUnavailableError } = require('../utils/payments');
+const { OFFER_MINUTES, getWaitlistLanes, passOnOffer } = require('../utils/waitlist');
+const { recordCustomer } = require('../utils/customers');
+
+// Why an offer can no longer be claimed, by entry status
+const CLOSED_MESSAGES = {
+    claimed: 'You have already booked this slot',
+    declined: 'You turned this offer down',
+    expired: 'Sorry, this offer has expired',
+    waiting: 'This offer is no longer open. You are still on the waitlist.'
+};
+
+/**
+ * Whether an entry's offer can still be claimed
+ * @param {Object} entry - Waitlist entry
+ * @returns {boolean}
+ */
+const isOfferOpen = (entry) => entry.status === 'offered' && entry.offerExpiresAt > new Date();
+
+/**
+ * POST /api/waitlist
+ * Adds the customer to the waitlist for a fully booked slot
+ * 
+ * Request Body:
+ * {
+ *   name: string,
+ *   email: string,
+ *   phone: string,
+ *   service: string,   // service _id from GET /api/services
+ *   staff: string,     // optional: staff _id from GET /api/staff, or "any" (default)
+ *   start: string,     // ISO start time of a full slot from GET /api/availability
+ *   notificationChannel: string  // optional: where to send the offer
+ * }
+ * 
+ * Response: The entry, the customer's `position` in the queue, and
+ * `offerMinutes` - how long they will have to claim an offer.
+ * 409 Conflict: The slot still has room (book it instead), or the
+ * customer is already waiting for it
+ */
+router.post('/', async (req, res) => {
+    try {
+        const { name, email, phone, start, notificationChannel, staff } = req.body;
+
+        if (!name || !email || !phone || !start || !req.body.service) {
+            return res.status(400).json({
+                success: false,
+                message: 'All fields are required'
+            });
+        }
+
+        const service = await Service.findBookable(req.body.service, req.business._id);
+        if (!service) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please choose an available service'
+            });
+        }
+
+        // Only slots the schedule offers, and that haven't started
+        const schedule = await Schedule.getCurrent(req.business._id);
+        const slot = findSlot(schedule, start, service);
+        const lanes = slot && getLanesForSlot(
+            await getLanes(schedule, { service: service._id, staff }),
+            schedule,
+            slot
+        );
+        if (!slot || lanes.length === 0 || slot.start <= new Date()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please select an available date and time slot'
+            });
+        }
+
+        const isSpecific = Boolean(staff) && staff !== ANY_STAFF;
+        const entry = new WaitlistEntry({
+            business: req.business._id,
+            name,
+            email,
+            phone,
+            notificationChannel,
+            service: service._id,
+            serviceName: service.name,
+            price: service.price,
+            deposit: service.deposit,
+            bufferMinutes: service.bufferMinutes,
+            ...(isSpecific && { staff: lanes[0].staff._id, staffName: lanes[0].staff.name }),
+            start: slot.start,
+            end: slot.end
+        });
+
+        const isWaiting = await WaitlistEntry.exists({
+            business: req.business._id,
+            email: entry.email,
+            start: entry.start,
+            status: { $in: OPEN_STATUSES }
+        });
+        if (isWaiting) {
+            return res.status(409).json({
+                success: false,
+                message: 'You are already on the waitlist for this slot'
+            });
+        }
+
+        if ((await getWaitlistLanes(schedule, entry)).length > 0) {
+            return res.status(409).json({
+                success: false,
+                message: 'This slot has just become free - you can book it now'
+            });
+        }
+
+        await entry.save();
+
+        const position = await WaitlistEntry.countDocuments({
+            business: req.business._id,
+            start: entry.start,
+            status: { $in: OPEN_STATUSES },
+            createdAt: { $lte: entry.createdAt }
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'You are on the waitlist',
+            timezone: schedule.timezone,
+            position,
+            offerMinutes: OFFER_MINUTES,
+            data: entry
+        });
+
+    } catch (error) {
+        // Chosen staff member can't be booked
+        if (error instanceof InvalidRequestError) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(err => err.message);
+            return res.status(400).json({
+                success: false,
+                message: messages.join(', ')
+            });
+        }
+
+        console.error('Error joining waitlist:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error. Please try again later.'
+        });
+    }
+});
+
+/**
+ * Middleware: loads the waitlist entry for the :token in the URL
+ * Sets req.entry, or answers 404.
+ */
+const loadEntry = async (req, res, next) => {
+    try {
+        const entry = await WaitlistEntry.findOne({
+            business: req.business._id,
+            offerTokenHash: hashToken(req.params.token)
+        });
+
+        if (!entry) {
+            return res.status(404).json({
+                success: false,
+                message: 'Offer not found. Please check the link and try again.'
+            });
+        }
+
+        req.entry = entry;
+        next();
+
+    } catch (error) {
+        console.error('Error loading waitlist offer:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error. Please try again later.'
+        });
+    }
+};
+
+/**
+ * Middleware: rejects offers that can no longer be claimed or declined
+ */
+const requireOpenOffer = (req, res, next) => {
+    if (!isOfferOpen(req.entry)) {
+        return res.status(409).json({
+            success: false,
+            message: CLOSED_MESSAGES[req.entry.status] || CLOSED_MESSAGES.expired
+        });
+    }
+    next();
+};
+
+/**
+ * Takes an entry's offer out of "offered" in one step, so only one
+ * claim or decline of it goes ahead (e.g. on a double-click or retry)
+ * @param {Object} entry - Waitlist entry
+ * @param {string} status - "claimed" or "declined"
+ * @returns {Promise<Document|null>} - The entry, or null if the offer was
+ *   no longer open
+ */
+const takeOffer = (entry, status) => {
+    return WaitlistEntry.findOneAndUpdate(
+        { _id: entry._id, status: 'offered', offerExpiresAt: { $gt: new Date() } },
+        { $set: { status } },
+        { new: true }
+    );
+};
+
+/**
+ * Answers 409 for an offer another request closed first
+ * @param {Object} res - Express response
+ * @param {Object} entry - Waitlist entry
+ */
+const sendOfferClosed = async (res, entry) => {
+    const current = await WaitlistEntry.findById(entry._id);
+    res.status(409).json({
+        success: false,
+        message: CLOSED_MESSAGES[current?.status] || CLOSED_MESSAGES.expired
+    });
+};
+
+/**
+ * Lets go of the seat held for an offer
+ * @param {Object} req - Express request for the offer's :token
+ */
+const releaseOfferHold = (req) => {
+    return SlotHold.deleteOne({ business: req.business._id, tokenHash: hashToken(req.params.token) });
+};
+
+/**
+ * Opens the offer again after a claim that didn't go through, so the
+ * customer can try again. If the slot was offered to someone else in
+ * the meantime, they go back to waiting instead.
+ * @param {Object} entry - Waitlist entry taken by takeOffer()
+ */
+const reopenOffer = async (entry) => {
+    try {
+        await WaitlistEntry.updateOne({ _id: entry._id, status: 'claimed' }, { $set: { status: 'offered' } });
+    } catch (error) {
+        if (error.code !== 11000) throw error;
+        await WaitlistEntry.updateOne(
+            { _id: entry._id, status: 'claimed' },
+            { $set: { status: 'waiting' }, $unset: { offerExpiresAt: 1 } }
+        );
+    }
+};
+
+/**
+ * GET /api/waitlist/:token
+ * Returns the offered slot and whether it can still be claimed
+ * 
+ * Response:
+ * {
+ *   timezone: string,
+ *   isOpen: boolean,
+ *   message: string,   // why it can't be claimed (when closed)
+ *   data: entry        // with status and offerExpiresAt
+ * }
+ */
+router.get('/:token', loadEntry, async (req, res) => {
+    try {
+        const { entry } = req;
+        const schedule = await Schedule.getCurrent(req.business._id);
+        const isOpen = isOfferOpen(entry);
+
+        res.status(200).json({
+            success: true,
+            timezone: schedule.timezone,
+            isOpen,
+            message: isOpen ? undefined : CLOSED_MESSAGES[entry.status] || CLOSED_MESSAGES.expired,
+            data: entry
+        });
+
+    } catch (error) {
+        console.error('Error loading waitlist offer:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error. Please try again later.'
+        });
+    }
+});
+
+/**
+ * POST /api/waitlist/:token/claim
+ * Books the offered slot with the details given when joining
+ * 
+ * Response: Same as POST /api/bookings - the booking and a one-time
+ * manageToken for the customer's /booking/:token link, and `payment`
+ * if the service has a deposit to pay.
+ * 409 Conflict: The offer is over, or the slot can no longer be
+ * booked (the customer goes back to waiting, keeping their place)
+ */
+router.post('/:token/claim', loadEntry, requireOpenOffer, async (req, res) => {
+    try {
+        const schedule = await Schedule.getCurrent(req.business._id);
+
+        const entry = await takeOffer(req.entry, 'claimed');
+        if (!entry) {
+            return await sendOfferClosed(res, req.entry);
+        }
+
+        // The seat held for the offer (see utils/waitlist.js) goes to the booking
+        const hold = await SlotHold.findActive(req.params.token, req.business._id);
+
+        const manageToken = generateToken();
+        let booking;
+        try {
+            booking = await createBookingInSlot({
+                business: req.business._id,
+                name: entry.name,
+                email: entry.email,
+                phone: entry.phone,
+                notificationChannel: entry.notificationChannel,
+                service: entry.service,
+                serviceName: entry.serviceName,
+                price: entry.price,
+                bufferMinutes: entry.bufferMinutes,
+                anyStaff: !entry.staff,
+                start: entry.start,
+                end: entry.end,
+                manageTokenHash: hashToken(manageToken),
+                ...(entry.deposit > 0 && { status: 'pending-payment', deposit: entry.deposit })
+            }, await getWaitlistLanes(schedule, entry, { hold }));
+        } catch (error) {
+            if (!(error instanceof SlotUnavailableError)) {
+                await reopenOffer(entry);
+                throw error;
+            }
+
+            // Its hold ran out or its staff member can't take it any more -
+            // wait for the next opening
+            await releaseOfferHold(req);
+            entry.status = 'waiting';
+            entry.offerExpiresAt = undefined;
+            await entry.save();
+
+            return res.status(409).json({
+                success: false,
+                message: 'Sorry, this slot can no longer be booked. You are still on the waitlist.'
+            });
+        }
+
+        let payment;
+        if (booking.deposit > 0) {
+            try {
+                payment = await startDepositPayment(booking, {
+                    returnUrl: getFrontendUrl(`/booking/${manageToken}`, req.business)
+                });
+            } catch (error) {
+                // The offer stays open - the customer can try again
+                await Booking.deleteOne({ _id: booking._id });
+                await reopenOffer(entry);
+                throw error;
+            }
+        }
+
+        await releaseOfferHold(req);
+        entry.booking = booking._id;
+        await entry.save();
+
+        await recordAudit(req, 'create', null, booking);
+        await notifyBooking('created', booking, { manageToken, business: req.business });
+        await recordCustomer([booking]);
+        // The slot may have room for the next person too
+        await passOnOffer(entry);
+
+        res.status(201).json({
+            success: true,
+            message: payment ? 'Booking reserved - please pay the deposit to confirm it' : 'Booking created successfully',
+            timezone: schedule.timezone,
+            manageToken,
+            data: booking,
+            ...(payment && {
+                payment: {
+                    checkoutUrl: payment.checkoutUrl,
+                    amount: payment.amount,
+                    currency: payment.currency,
+                    expiresAt: payment.expiresAt
+                }
+            })
+        });
+
+    } catch (error) {
+        if (error instanceof PaymentUnavailableError) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Error claiming waitlist offer:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error. Please try again later.'
+        });
+    }
+});
+
+/**
+ * POST /api/waitlist/:token/decline
+ * Turns the offer down and passes the slot to the next person
+ */
+router.post('/:token/decline', loadEntry, requireOpenOffer, async (req, res) => {
+    try {
+        const entry = await takeOffer(req.entry, 'declined');
+        if (!entry) {
+            return await sendOfferClosed(res, req.entry);
+        }
+
+        await releaseOfferHold(req);
+        await passOnOffer(entry);
+
+        res.status(200).json({
+            success: true,
+            message: 'Thanks for letting us know. We will offer the slot to the next person.'
+        });
+
+    } catch (error) {
+        console.error('Error declining waitlist offer:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error. Please try again later.'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,67 @@
+/**
+ * ============================================
+ * SCRIPT - Create or reset an admin user
+ * ============================================
+ * 
+ * Creates an admin account for the dashboard, or resets the
+ * password if the username already exists.
+ * 
+ * New accounts are owners unless --role is given; existing
+ * accounts keep their role unless --role is given.
+ * 
+ * Admins belong to one business location: the default one, or
+ * the one named by --business (see npm run create-business).
+ * 
+ * Usage:
+ *   npm run create-admin -- <username> <password> ["Display Name"] [--role=viewer|staff|owner] [--business=<slug>]
+ * 
+ * Environment Variables:
+ * - MONGODB_URI: MongoDB connection string
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const AdminUser = require('../models/AdminUser');
+const Business = require('../models/Business');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/appointment-booking';
+
+const args = process.argv.slice(2);
+const getOption = (name) => args.find(arg => arg.startsWith(`--${name}=`))?.split('=')[1];
+const role = getOption('role');
+const businessSlug = getOption('business');
+const [username, password, name] = args.filter(arg => !arg.startsWith('--'));
+
+const createAdmin = async () => {
+    if (!username || !password) {
+        throw new Error('Usage: npm run create-admin -- <username> <password> ["Display Name"] [--role=viewer|staff|owner] [--business=<slug>]');
+    }
+    if (role && !AdminUser.ROLES.includes(role)) {
+        throw new Error(`Role must be one of: ${AdminUser.ROLES.join(', ')}`);
+    }
+
+    await mongoose.connect(MONGODB_URI);
+
+    const business = businessSlug ? await Business.findBySlug(businessSlug) : await Business.getDefault();
+    if (!business) {
+        throw new Error(`No business location "${businessSlug}" - create it with npm run create-business`);
+    }
+
+    const existing = await AdminUser.findOne({ business: business._id, username: username.toLowerCase() });
+    const user = existing || new AdminUser({ business: business._id, username, name: name || username, role: 'owner' });
+
+    if (existing && name) user.name = name;
+    if (role) user.role = role;
+    await user.setPassword(password);
+    await user.save();
+
+    console.log(`✅ Admin "${user.username}" (${user.role}) at ${business.name} ${existing ? 'password reset' : 'created'}`);
+};
+
+createAdmin()
+    .catch((err) => {
+        console.error('❌ Could not create admin:', err.message);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
@@ -0,0 +1,55 @@
+/**
+ * ============================================
+ * SCRIPT - Create or rename a business location
+ * ============================================
+ *
+ * Adds a branch with its own bookings, schedule, services, staff
+ * and admins, or renames an existing one. Its pages are served at
+ * /b/<slug> (or <slug>.TENANT_DOMAIN). A new location gets a
+ * default schedule and a first service, to change in the admin area.
+ *
+ * Then create its first owner with:
+ *   npm run create-admin -- <username> <password> --business=<slug>
+ *
+ * Usage:
+ *   npm run create-business -- <slug> "Display Name"
+ *
+ * Environment Variables:
+ * - MONGODB_URI: MongoDB connection string
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Business = require('../models/Business');
+const Schedule = require('../models/Schedule');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/appointment-booking';
+
+const [slug, name] = process.argv.slice(2);
+
+const createBusiness = async () => {
+    if (!slug || !name) {
+        throw new Error('Usage: npm run create-business -- <slug> "Display Name"');
+    }
+
+    await mongoose.connect(MONGODB_URI);
+
+    const existing = await Business.findOne({ slug: slug.toLowerCase() });
+    const business = existing || new Business({ slug });
+
+    business.name = name;
+    await business.save();
+    // Creates its first service too
+    await Schedule.getCurrent(business._id);
+
+    const path = business.getPathPrefix() || '/';
+    console.log(`✅ Business "${business.name}" ${existing ? 'renamed' : 'created'} - served at ${path}`);
+};
+
+createBusiness()
+    .catch((err) => {
+        console.error('❌ Could not create business:', err.message);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
@@ -0,0 +1,155 @@
+/**
+ * ============================================
+ * MIGRATION - Booking date/timeSlot strings to UTC timestamps
+ * ============================================
+ * 
+ * Older bookings stored their appointment as two display strings:
+ * - date: "February 5, 2026" (or "2026-02-05" from the date picker)
+ * - timeSlot: "10:00 AM - 11:00 AM"
+ * 
+ * This script converts them to UTC `start` / `end` Date values,
+ * interpreting the strings in the business timezone, then removes
+ * the old fields. Records it cannot parse are left untouched and
+ * listed at the end.
+ * 
+ * It also drops the old (date, timeSlot, seat) unique index. The
+ * (start, seat) index that replaced it is dropped in turn by
+ * migrate-businesses.js; Mongoose creates the current
+ * (business, blocks, seat) index on server start, which also fills
+ * in the seat blocks of upcoming bookings.
+ * 
+ * Usage:
+ *   npm run migrate:booking-times              # convert records
+ *   npm run migrate:booking-times -- --dry-run # only report
+ * 
+ * Environment Variables:
+ * - MONGODB_URI: MongoDB connection string
+ * - BUSINESS_TIMEZONE: Used if no schedule has been saved yet (default: Asia/Kolkata)
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const { zonedTimeToUtc, isValidTimeZone } = require('../utils/time');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/appointment-booking';
+const DRY_RUN = process.argv.includes('--dry-run');
+
+const MONTHS = [
+    'january', 'february', 'march', 'april', 'may', 'june',
+    'july', 'august', 'september', 'october', 'november', 'december'
+];
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Parses "February 5, 2026" or "2026-02-05" into "YYYY-MM-DD"
+ * @param {string} value - Stored date string
+ * @returns {string|null} - Normalized date or null if unrecognised
+ */
+const parseDate = (value) => {
+    const text = String(value || '').trim();
+
+    if (/^\d{4}-\d{2}-\d{2}$/.test(text)) return text;
+
+    const match = text.match(/^([A-Za-z]+)\s+(\d{1,2}),?\s+(\d{4})$/);
+    if (!match) return null;
+
+    const monthIndex = MONTHS.indexOf(match[1].toLowerCase());
+    if (monthIndex === -1) return null;
+
+    return `${match[3]}-${pad(monthIndex + 1)}-${pad(match[2])}`;
+};
+
+/**
+ * Parses "10:00 AM" into minutes since midnight
+ * @param {string} value - 12-hour time
+ * @returns {number|null} - Minutes or null if unrecognised
+ */
+const parseTime = (value) => {
+    const match = String(value || '').trim().match(/^(\d{1,2}):(\d{2})\s*(AM|PM)$/i);
+    if (!match) return null;
+
+    const hours = Number(match[1]) % 12 + (match[3].toUpperCase() === 'PM' ? 12 : 0);
+    return hours * 60 + Number(match[2]);
+};
+
+/**
+ * Parses "10:00 AM - 11:00 AM" into start/end minutes
+ * @param {string} value - Stored time slot string
+ * @returns {Object|null} - { start, end } minutes or null if unrecognised
+ */
+const parseTimeSlot = (value) => {
+    const [startText, endText] = String(value || '').split('-');
+    const start = parseTime(startText);
+    const end = parseTime(endText);
+
+    if (start === null || end === null || end <= start) return null;
+    return { start, end };
+};
+
+const migrate = async () => {
+    await mongoose.connect(MONGODB_URI);
+    const db = mongoose.connection.db;
+
+    // Business timezone from the saved schedule, else the environment
+    const schedule = await db.collection('schedules').findOne();
+    const timezone = schedule?.timezone || process.env.BUSINESS_TIMEZONE || 'Asia/Kolkata';
+    if (!isValidTimeZone(timezone)) {
+        throw new Error(`Invalid timezone "${timezone}"`);
+    }
+
+    console.log(`🕒 Converting bookings using timezone ${timezone}${DRY_RUN ? ' (dry run)' : ''}`);
+
+    const bookings = db.collection('bookings');
+    const cursor = bookings.find({ date: { $exists: true }, start: { $exists: false } });
+
+    let converted = 0;
+    const skipped = [];
+
+    for await (const booking of cursor) {
+        const date = parseDate(booking.date);
+        const slot = parseTimeSlot(booking.timeSlot);
+
+        if (!date || !slot) {
+            skipped.push(booking);
+            continue;
+        }
+
+        const start = zonedTimeToUtc(date, slot.start, timezone);
+        const end = zonedTimeToUtc(date, slot.end, timezone);
+
+        if (!DRY_RUN) {
+            await bookings.updateOne(
+                { _id: booking._id },
+                { $set: { start, end }, $unset: { date: '', timeSlot: '' } }
+            );
+        }
+        converted++;
+    }
+
+    // The old index referenced the removed date/timeSlot fields
+    if (!DRY_RUN) {
+        const indexes = await bookings.indexes();
+        if (indexes.some(index => index.name === 'date_1_timeSlot_1_seat_1')) {
+            await bookings.dropIndex('date_1_timeSlot_1_seat_1');
+            console.log('🗑️  Dropped old date_1_timeSlot_1_seat_1 index');
+        }
+    }
+
+    console.log(`✅ Converted ${converted} booking(s)`);
+
+    if (skipped.length > 0) {
+        console.log(`⚠️ Skipped ${skipped.length} booking(s) with unrecognised date/time:`);
+        skipped.forEach((booking) => {
+            console.log(`   - ${booking._id}: "${booking.date}" / "${booking.timeSlot}"`);
+        });
+    }
+};
+
+migrate()
+    .catch((err) => {
+        console.error('❌ Migration failed:', err.message);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
@@ -0,0 +1,98 @@
+/**
+ * ============================================
+ * MIGRATION - Assign existing data to the default business location
+ * ============================================
+ *
+ * Before business locations existed, bookings, the schedule,
+ * services, staff, admin users and audit entries belonged to the
+ * one business. This script creates the default location
+ * (DEFAULT_BUSINESS, "main" unless set) and assigns it everything
+ * that has no location yet.
+ *
+ * It also drops the old indexes that didn't include the location.
+ * The unique ones (booking seats, from both the (start, seat) and
+ * (blocks, seat) versions, staff seats, usernames) would otherwise
+ * stop one location from using a seat number or username another
+ * has; the rest are list indexes the per-location ones replace.
+ * Mongoose creates the new per-location indexes on server start.
+ *
+ * An install from before services gets its first service here too
+ * (the booking form needs one), unless it has any already.
+ *
+ * Run it once after upgrading, before adding a second location.
+ *
+ * Usage:
+ *   npm run migrate:businesses              # assign records
+ *   npm run migrate:businesses -- --dry-run # only report
+ *
+ * Environment Variables:
+ * - MONGODB_URI: MongoDB connection string
+ * - DEFAULT_BUSINESS / BUSINESS_NAME: Slug and name of the default location
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Business = require('../models/Business');
+const Schedule = require('../models/Schedule');
+const Service = require('../models/Service');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/appointment-booking';
+const DRY_RUN = process.argv.includes('--dry-run');
+
+// Collections scoped by location, and their indexes that weren't
+const COLLECTIONS = {
+    bookings: [
+        'start_1_seat_1',
+        'blocks_1_seat_1',
+        'deletedAt_1',
+        'deletedAt_1_createdAt_-1',
+        'deletedAt_1_start_1',
+        'deletedAt_1_status_1_start_1',
+        'deletedAt_1_staff_1_start_1',
+        'deletedAt_1_name_1'
+    ],
+    schedules: [],
+    services: ['active_1_sortOrder_1_name_1'],
+    staffs: ['seat_1'],
+    adminusers: ['username_1'],
+    auditlogs: ['booking_1_createdAt_-1', 'createdAt_-1']
+};
+
+const migrate = async () => {
+    await mongoose.connect(MONGODB_URI);
+    const db = mongoose.connection.db;
+
+    const business = await Business.getDefault();
+    console.log(`🏢 Assigning records to "${business.name}" (${business.slug})${DRY_RUN ? ' (dry run)' : ''}`);
+
+    for (const [name, oldIndexes] of Object.entries(COLLECTIONS)) {
+        const collection = db.collection(name);
+        const filter = { business: { $exists: false } };
+
+        const count = DRY_RUN
+            ? await collection.countDocuments(filter)
+            : (await collection.updateMany(filter, { $set: { business: business._id } })).modifiedCount;
+        console.log(`✅ ${name}: ${count} record(s)`);
+
+        if (DRY_RUN || oldIndexes.length === 0) continue;
+
+        const indexes = await collection.indexes().catch(() => []);
+        for (const index of indexes.filter(index => oldIndexes.includes(index.name))) {
+            await collection.dropIndex(index.name);
+            console.log(`🗑️  Dropped old ${name}.${index.name} index`);
+        }
+    }
+
+    if (!DRY_RUN && !(await Service.exists({ business: business._id }))) {
+        await Service.ensureDefault(await Schedule.getCurrent(business._id));
+        console.log('✅ services: created a first "Appointment" service');
+    }
+};
+
+migrate()
+    .catch((err) => {
+        console.error('❌ Migration failed:', err.message);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
@@ -0,0 +1,66 @@
+/**
+ * ============================================
+ * MIGRATION - Build the customer directory from existing bookings
+ * ============================================
+ *
+ * Bookings made before the customer directory existed aren't filed
+ * under a customer. This script goes through them, oldest first, and
+ * files each one the way new bookings are (same email, or failing
+ * that the same phone number - see utils/customers.js), then works
+ * out every customer's visit and no-show counts.
+ *
+ * Trashed bookings are filed too, so they count again if restored.
+ * Running it again only picks up bookings that still have no customer.
+ *
+ * Usage:
+ *   npm run migrate:customers              # file bookings
+ *   npm run migrate:customers -- --dry-run # only report
+ *
+ * Environment Variables:
+ * - MONGODB_URI: MongoDB connection string
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Booking = require('../models/Booking');
+const Customer = require('../models/Customer');
+const { findOrCreateCustomer, refreshCustomerStats } = require('../utils/customers');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/appointment-booking';
+const DRY_RUN = process.argv.includes('--dry-run');
+
+const migrate = async () => {
+    await mongoose.connect(MONGODB_URI);
+
+    const filter = { customer: { $exists: false }, business: { $exists: true } };
+    const total = await Booking.countDocuments(filter);
+    console.log(`👥 ${total} booking(s) without a customer${DRY_RUN ? ' (dry run)' : ''}`);
+    if (DRY_RUN || total === 0) return;
+
+    // Customers touched, by location, for their counts afterwards
+    const touched = new Map();
+
+    const cursor = Booking.find(filter).sort({ createdAt: 1 }).cursor();
+    for await (const booking of cursor) {
+        const customer = await findOrCreateCustomer(booking.business, booking);
+        await Booking.updateOne({ _id: booking._id }, { $set: { customer: customer._id } });
+
+        const key = String(booking.business);
+        if (!touched.has(key)) touched.set(key, { business: booking.business, ids: new Set() });
+        touched.get(key).ids.add(String(customer._id));
+    }
+
+    for (const { business, ids } of touched.values()) {
+        await refreshCustomerStats(business, [...ids]);
+        console.log(`✅ ${business}: ${ids.size} customer(s)`);
+    }
+    console.log(`✅ ${await Customer.countDocuments()} customer(s) in the directory`);
+};
+
+migrate()
+    .catch((err) => {
+        console.error('❌ Migration failed:', err.message);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
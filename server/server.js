@@ -5,8 +5,8 @@
  * 
  * This is the main server file that:
  * 1. Connects to MongoDB Atlas database
- * 2. Sets up Express middleware (CORS, JSON parsing)
- * 3. Mounts API routes
+ * 2. Sets up Express middleware (CORS, JSON parsing, cookies)
+ * 3. Mounts API routes, once per business location (see middleware/tenant.js)
  * 4. Starts the HTTP server
  * 
  * Environment Variables Required:
@@ -20,10 +20,31 @@
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
+const cookieParser = require('cookie-parser');
 require('dotenv').config();
 
 // Import routes
 const bookingsRoutes = require('./routes/bookings');
+const availabilityRoutes = require('./routes/availability');
+const scheduleRoutes = require('./routes/schedule');
+const authRoutes = require('./routes/auth');
+const usersRoutes = require('./routes/users');
+const manageRoutes = require('./routes/manage');
+const accountRoutes = require('./routes/account');
+const auditRoutes = require('./routes/audit');
+const customersRoutes = require('./routes/customers');
+const calendarRoutes = require('./routes/calendar');
+const servicesRoutes = require('./routes/services');
+const staffRoutes = require('./routes/staff');
+const businessRoutes = require('./routes/business');
+const waitlistRoutes = require('./routes/waitlist');
+const holdsRoutes = require('./routes/holds');
+const paymentsRoutes = require('./routes/payments');
+const { TENANT_DOMAIN, resolveBusiness } = require('./middleware/tenant');
+const { startNotificationWorker } = require('./utils/notifications');
+const { startWaitlistWorker } = require('./utils/waitlist');
+const { startPaymentWorker } = require('./utils/payments');
+const { backfillBookingBlocks } = require('./utils/slots');
 
 // Initialize Express app
 const app = express();
@@ -32,6 +53,11 @@ const app = express();
 // MIDDLEWARE CONFIGURATION
 // ============================================
 
+// Payment gateway webhooks and pages - before CORS and JSON parsing,
+// as webhooks come from the gateway's servers and are verified
+// against their raw body (see routes/payments.js)
+app.use('/api/payments', paymentsRoutes);
+
 // Enable CORS for frontend communication
 // This allows the React app to make requests to this server
 const allowedOrigins = [
@@ -40,17 +66,27 @@ const allowedOrigins = [
     process.env.FRONTEND_URL // Add your Vercel URL in environment variables
 ].filter(Boolean);
 
+// Location subdomains (https://<slug>.TENANT_DOMAIN) are allowed too
+const isLocationOrigin = (origin) => {
+    if (!TENANT_DOMAIN) return false;
+    try {
+        return new URL(origin).hostname.endsWith(`.${TENANT_DOMAIN}`);
+    } catch {
+        return false;
+    }
+};
+
 app.use(cors({
     origin: function (origin, callback) {
         // Allow requests with no origin (like mobile apps or curl requests)
         if (!origin) return callback(null, true);
-        if (allowedOrigins.indexOf(origin) !== -1) {
+        if (allowedOrigins.indexOf(origin) !== -1 || isLocationOrigin(origin)) {
             callback(null, true);
         } else {
             callback(new Error('Not allowed by CORS'));
         }
     },
-    methods: ['GET', 'POST', 'PUT', 'DELETE'],
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
     credentials: true
 }));
 
@@ -61,6 +97,12 @@ app.use(express.json());
 // Parse URL-encoded bodies (for form submissions)
 app.use(express.urlencoded({ extended: true }));
 
+// Parse cookies - the admin session token lives in an httpOnly cookie
+app.use(cookieParser());
+
+// Render/Vercel sit behind a proxy - use X-Forwarded-For for req.ip
+app.set('trust proxy', 1);
+
 // ============================================
 // DATABASE CONNECTION
 // ============================================
@@ -72,6 +114,20 @@ const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/appoin
 mongoose.connect(MONGODB_URI)
     .then(() => {
         console.log('✅ MongoDB connected successfully');
+
+        // Older bookings need their seat blocks before services of other lengths are booked
+        backfillBookingBlocks()
+            .then(count => count > 0 && console.log(`✅ Recorded seat blocks for ${count} upcoming bookings`))
+            .catch(err => console.error('❌ Could not record seat blocks for existing bookings:', err.message));
+
+        // Send queued booking emails and reminders in the background
+        startNotificationWorker();
+
+        // Pass expired waitlist offers on to the next person
+        startWaitlistWorker();
+
+        // Release bookings whose deposit wasn't paid in time
+        startPaymentWorker();
     })
     .catch((err) => {
         console.error('❌ MongoDB connection error:', err.message);
@@ -91,9 +147,6 @@ mongoose.connection.on('error', (err) => {
 // API ROUTES
 // ============================================
 
-// Mount bookings routes at /api/bookings
-app.use('/api/bookings', bookingsRoutes);
-
 // Health check endpoint
 app.get('/api/health', (req, res) => {
     res.json({
@@ -103,6 +156,58 @@ app.get('/api/health', (req, res) => {
     });
 });
 
+// Every API route, mounted below for each business location
+const api = express.Router();
+
+// Mount the current location's details at /business
+api.use('/business', businessRoutes);
+
+// Mount admin sign-in routes at /auth
+api.use('/auth', authRoutes);
+
+// Mount admin user management routes at /users
+api.use('/users', usersRoutes);
+
+// Mount bookings routes at /bookings
+api.use('/bookings', bookingsRoutes);
+
+// Mount booking audit log routes at /audit
+api.use('/audit', auditRoutes);
+
+// Mount customer directory routes at /customers
+api.use('/customers', customersRoutes);
+
+// Mount customer self-service routes at /manage
+api.use('/manage', manageRoutes);
+
+// Mount customer account routes at /account
+api.use('/account', accountRoutes);
+
+// Mount calendar feed routes at / (/calendar.ics and /calendar/feed)
+api.use('/', calendarRoutes);
+
+// Mount slot availability routes at /availability
+api.use('/availability', availabilityRoutes);
+
+// Mount slot hold routes at /holds
+api.use('/holds', holdsRoutes);
+
+// Mount service catalogue routes at /services
+api.use('/services', servicesRoutes);
+
+// Mount staff and resource routes at /staff
+api.use('/staff', staffRoutes);
+
+// Mount waitlist routes at /waitlist
+api.use('/waitlist', waitlistRoutes);
+
+// Mount schedule routes at /schedule
+api.use('/schedule', scheduleRoutes);
+
+// The location comes from /api/b/<slug>/..., else the subdomain, else the default
+app.use('/api/b/:business', resolveBusiness, api);
+app.use('/api', resolveBusiness, api);
+
 // ============================================
 // ERROR HANDLING
 // ============================================
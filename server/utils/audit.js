@@ -0,0 +1,127 @@
+/**
+ * ============================================
+ * AUDIT UTILITIES
+ * ============================================
+ * 
+ * Writes AuditLog entries for booking changes. Routes pass the
+ * booking as it was before and after the change; only the fields
+ * that actually changed are stored.
+ * 
+ * Audit writes never fail the request that triggered them -
+ * errors are logged instead, because the booking change itself
+ * has already been made.
+ */
+
+const AuditLog = require('../models/AuditLog');
+
+// Booking fields worth recording (seat and token hash are internal)
+const AUDITED_FIELDS = ['name', 'email', 'phone', 'staffName', 'start', 'end', 'status', 'deletedAt'];
+
+/**
+ * Compares two field values (Dates by time)
+ * @returns {boolean} - True if they are the same
+ */
+const isSameValue = (a, b) => {
+    if (a instanceof Date && b instanceof Date) return a.getTime() === b.getTime();
+    return a === b;
+};
+
+/**
+ * Lists the audited fields that differ between two versions of a booking
+ * @param {Object|null} before - Booking before the change (null when created)
+ * @param {Object|null} after - Booking after the change (null when purged)
+ * @returns {Array<{field, before, after}>} - Changed fields
+ */
+const diffBookings = (before, after) => {
+    return AUDITED_FIELDS
+        .map(field => ({
+            field,
+            before: before?.[field] ?? null,
+            after: after?.[field] ?? null
+        }))
+        .filter(change => !isSameValue(change.before, change.after));
+};
+
+/**
+ * Builds an audit entry for one booking change
+ * @param {Object} req - Express request (actor and IP come from here)
+ * @param {string} action - One of AuditLog.ACTIONS
+ * @param {Object|null} before - Booking before the change
+ * @param {Object|null} after - Booking after the change
+ * @returns {Object} - AuditLog document data
+ */
+const buildEntry = (req, action, before, after) => ({
+    business: req.business._id,
+    action,
+    booking: (after || before)._id,
+    actorType: req.admin ? 'admin' : 'customer',
+    actor: req.admin?._id,
+    actorName: req.admin ? req.admin.username : 'customer',
+    ip: req.ip,
+    userAgent: req.get('user-agent'),
+    changes: diffBookings(before, after)
+});
+
+/**
+ * Records one booking change
+ * @param {Object} req - Express request
+ * @param {string} action - One of AuditLog.ACTIONS
+ * @param {Object|null} before - Booking before the change
+ * @param {Object|null} after - Booking after the change
+ */
+const recordAudit = async (req, action, before, after) => {
+    try {
+        await AuditLog.create(buildEntry(req, action, before, after));
+    } catch (error) {
+        console.error('Error writing audit log:', error);
+    }
+};
+
+/**
+ * Records the same action for many bookings (bulk deletes, empty trash)
+ * @param {Object} req - Express request
+ * @param {string} action - One of AuditLog.ACTIONS
+ * @param {Array<{before, after}>} changes - One item per booking
+ */
+const recordAuditMany = async (req, action, changes) => {
+    if (changes.length === 0) return;
+
+    try {
+        await AuditLog.insertMany(
+            changes.map(({ before, after }) => buildEntry(req, action, before, after))
+        );
+    } catch (error) {
+        console.error('Error writing audit log:', error);
+    }
+};
+
+/**
+ * Records a booking change the app made on its own, outside any
+ * request (e.g. a payment webhook or an unpaid booking released)
+ * @param {string} actorName - What made the change, e.g. "payments"
+ * @param {string} action - One of AuditLog.ACTIONS
+ * @param {Object|null} before - Booking before the change
+ * @param {Object|null} after - Booking after the change
+ */
+const recordSystemAudit = async (actorName, action, before, after) => {
+    try {
+        await AuditLog.create({
+            business: (after || before).business,
+            action,
+            booking: (after || before)._id,
+            actorType: 'system',
+            actorName,
+            changes: diffBookings(before, after)
+        });
+    } catch (error) {
+        console.error('Error writing audit log:', error);
+    }
+};
+
+module.exports = {
+    AUDITED_FIELDS,
+    diffBookings,
+    recordAudit,
+    recordAuditMany,
+    recordSystemAudit
+};
@@ -0,0 +1,133 @@
+/**
+ * ============================================
+ * BOOKING QUERY UTILITIES
+ * ============================================
+ * 
+ * Turns the query string of GET /api/bookings into a MongoDB
+ * filter, sort and page. Kept separate from the route so the
+ * rules for each parameter live in one place.
+ * 
+ * Supported parameters (all optional):
+ * - page, limit: Page number (from 1) and page size (max 100)
+ * - search: Text matched against name, email and phone
+ * - from, to: Appointment dates "YYYY-MM-DD" in the business timezone (inclusive)
+ * - slot: Appointment start time "HH:mm" in the business timezone
+ * - status: One status or a comma-separated list
+ * - staff: A staff member's id, or "none" for unassigned bookings
+ * - series: A recurring series id, for all of its occurrences
+ * - sort, order: createdAt | start | name | status, asc | desc
+ */
+
+const mongoose = require('mongoose');
+const { STATUSES } = require('../models/Booking');
+const { isValidDate, addDays } = require('./schedule');
+const { zonedTimeToUtc } = require('./time');
+const { InvalidRequestError } = require('./errors');
+
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 100;
+const SORT_FIELDS = ['createdAt', 'start', 'name', 'status'];
+const SLOT_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Escapes text for use inside a regular expression
+ * @param {string} text - User input
+ * @returns {string} - Escaped text
+ */
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Builds the MongoDB query for a page of bookings
+ * @param {Object} query - req.query
+ * @param {string} timezone - Business timezone for dates and slots
+ * @returns {{ filter, sort, collation, page, limit }}
+ * @throws {InvalidRequestError} - If a parameter is invalid
+ */
+const parseBookingQuery = (query, timezone) => {
+    const { search, from, to, slot, status, staff, series } = query;
+
+    // The trash is never part of the bookings list
+    const filter = { deletedAt: null };
+
+    if (search) {
+        const pattern = new RegExp(escapeRegex(String(search).trim()), 'i');
+        filter.$or = [{ name: pattern }, { email: pattern }, { phone: pattern }];
+    }
+
+    if (from || to) {
+        if ((from && !isValidDate(from)) || (to && !isValidDate(to))) {
+            throw new InvalidRequestError('from and to must be dates in YYYY-MM-DD format');
+        }
+
+        // Midnight-to-midnight in the business timezone
+        filter.start = {
+            ...(from && { $gte: zonedTimeToUtc(from, 0, timezone) }),
+            ...(to && { $lt: zonedTimeToUtc(addDays(to, 1), 0, timezone) })
+        };
+    }
+
+    if (slot) {
+        if (!SLOT_PATTERN.test(slot)) {
+            throw new InvalidRequestError('slot must be a time in HH:mm format');
+        }
+
+        // Compare the local start time (DST-aware, done by MongoDB)
+        filter.$expr = {
+            $eq: [{ $dateToString: { format: '%H:%M', date: '$start', timezone } }, slot]
+        };
+    }
+
+    if (status) {
+        const statuses = String(status).split(',').map(value => value.trim());
+        const invalid = statuses.find(value => !STATUSES.includes(value));
+
+        if (invalid) {
+            throw new InvalidRequestError(`Status must be one of: ${STATUSES.join(', ')}`);
+        }
+
+        // Bookings saved before statuses existed have none and count as confirmed
+        filter.status = { $in: statuses.includes('confirmed') ? [...statuses, null] : statuses };
+    }
+
+    if (staff) {
+        if (staff !== 'none' && !mongoose.isValidObjectId(staff)) {
+            throw new InvalidRequestError('staff must be a staff member id or "none"');
+        }
+
+        filter.staff = staff === 'none' ? null : staff;
+    }
+
+    if (series) {
+        if (!mongoose.isValidObjectId(series)) {
+            throw new InvalidRequestError('series must be a recurring series id');
+        }
+        filter.series = series;
+    }
+
+    const sortField = query.sort || 'createdAt';
+    if (!SORT_FIELDS.includes(sortField)) {
+        throw new InvalidRequestError(`sort must be one of: ${SORT_FIELDS.join(', ')}`);
+    }
+
+    const direction = query.order === 'asc' ? 1 : -1;
+
+    // _id as a tie-breaker keeps pages stable when values repeat
+    const sort = { [sortField]: direction, _id: direction };
+
+    const page = Math.max(parseInt(query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+    return {
+        filter,
+        sort,
+        // Case-insensitive ordering for names
+        collation: sortField === 'name' ? { locale: 'en', strength: 2 } : undefined,
+        page,
+        limit
+    };
+};
+
+module.exports = {
+    escapeRegex,
+    parseBookingQuery
+};
@@ -0,0 +1,168 @@
+/**
+ * ============================================
+ * CUSTOMER DIRECTORY UTILITIES
+ * ============================================
+ * 
+ * Keeps the admin area's customer directory (models/Customer.js)
+ * in step with the bookings.
+ * 
+ * - recordCustomer() is called with every new booking (or the
+ *   bookings of a new series). It files them under the customer
+ *   with the same email, or failing that the same phone number,
+ *   creating the customer if there is none. It is called again when
+ *   a booking's email or phone number is changed.
+ * - updateCustomerStats() is called after bookings change status or
+ *   are deleted or restored, and works out their customers' booking,
+ *   visit and no-show counts again.
+ * 
+ * Neither throws: a directory problem is logged and must not fail
+ * the booking change that caused it.
+ */
+
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const Customer = require('../models/Customer');
+
+/**
+ * Email address as customers are matched on it
+ * @param {string} email
+ * @returns {string}
+ */
+const normalizeEmail = (email) => String(email || '').toLowerCase().trim();
+
+/**
+ * Phone number as customers are matched on it (digits only)
+ * @param {string} phone
+ * @returns {string}
+ */
+const normalizePhone = (phone) => String(phone || '').replace(/\D/g, '');
+
+/**
+ * Finds the customer a booking's details belong to, or creates one.
+ * The details they booked with become the customer's.
+ * @param {ObjectId} business - Location the booking is at
+ * @param {Object} details - { name, email, phone } from the booking
+ * @returns {Promise<Document>} - The customer
+ */
+const findOrCreateCustomer = async (business, { name, email, phone }) => {
+    const normalized = { email: normalizeEmail(email), phone: normalizePhone(phone) };
+
+    let customer = await Customer.findOne({ business, email: normalized.email });
+    if (!customer && normalized.phone) {
+        customer = await Customer.findOne({ business, phone: normalized.phone }).sort({ lastBookedAt: -1 });
+    }
+
+    if (!customer) {
+        try {
+            return await Customer.create({ business, name, ...normalized });
+        } catch (error) {
+            // Created by another booking made at the same moment
+            if (error.code !== 11000) throw error;
+            customer = await Customer.findOne({ business, email: normalized.email });
+        }
+    }
+
+    customer.name = name;
+    // Matched on the phone number: the customer keeps their email
+    if (customer.email === normalized.email) {
+        customer.phone = normalized.phone;
+    }
+    return customer.save();
+};
+
+/**
+ * Works out customers' counts again from their bookings
+ * @param {ObjectId} business - Location the customers are at
+ * @param {Array<ObjectId|string>} customerIds - Customers to update
+ */
+const refreshCustomerStats = async (business, customerIds) => {
+    const ids = customerIds.map(id => new mongoose.Types.ObjectId(String(id)));
+    const isStatus = (status) => ({ $eq: ['$status', status] });
+
+    const stats = await Booking.aggregate([
+        { $match: { business: new mongoose.Types.ObjectId(String(business)), customer: { $in: ids }, deletedAt: null } },
+        {
+            $group: {
+                _id: '$customer',
+                bookingCount: { $sum: 1 },
+                visitCount: { $sum: { $cond: [isStatus('completed'), 1, 0] } },
+                lastVisitAt: { $max: { $cond: [isStatus('completed'), '$start', null] } },
+                noShowCount: { $sum: { $cond: [isStatus('no-show'), 1, 0] } },
+                lastBookedAt: { $max: '$createdAt' }
+            }
+        }
+    ]);
+    const statsById = new Map(stats.map(stat => [String(stat._id), stat]));
+
+    // Customers whose bookings are all in the trash go back to zero
+    await Customer.bulkWrite(ids.map((id) => {
+        const stat = statsById.get(String(id));
+        return {
+            updateOne: {
+                filter: { _id: id, business },
+                update: {
+                    $set: {
+                        bookingCount: stat?.bookingCount || 0,
+                        visitCount: stat?.visitCount || 0,
+                        lastVisitAt: stat?.lastVisitAt || null,
+                        noShowCount: stat?.noShowCount || 0,
+                        lastBookedAt: stat?.lastBookedAt || null
+                    }
+                }
+            }
+        };
+    }));
+};
+
+/**
+ * Files new bookings under their customer (the first booking's
+ * details decide who that is), or bookings whose contact details
+ * changed under their new one
+ * @param {Array<Object>} bookings - A new booking, or every booking of a new series
+ * @returns {Promise<Document|null>} - The customer, or null if it failed
+ */
+const recordCustomer = async (bookings) => {
+    try {
+        const [first] = bookings;
+        const customer = await findOrCreateCustomer(first.business, first);
+
+        await Booking.updateMany(
+            { _id: { $in: bookings.map(booking => booking._id) }, business: first.business },
+            { $set: { customer: customer._id } }
+        );
+        bookings.forEach((booking) => {
+            booking.customer = customer._id;
+        });
+
+        await refreshCustomerStats(first.business, [customer._id]);
+        return customer;
+    } catch (error) {
+        console.error('Error recording customer:', error);
+        return null;
+    }
+};
+
+/**
+ * Refreshes the counts of the customers some bookings belong to,
+ * after they changed status or were deleted or restored
+ * @param {Array<Object>} bookings - The changed bookings (with `business` and `customer`)
+ */
+const updateCustomerStats = async (bookings) => {
+    try {
+        const ids = [...new Set(bookings.filter(booking => booking.customer).map(booking => String(booking.customer)))];
+        if (ids.length === 0) return;
+
+        await refreshCustomerStats(bookings[0].business, ids);
+    } catch (error) {
+        console.error('Error updating customer stats:', error);
+    }
+};
+
+module.exports = {
+    normalizeEmail,
+    normalizePhone,
+    findOrCreateCustomer,
+    refreshCustomerStats,
+    recordCustomer,
+    updateCustomerStats
+};
@@ -0,0 +1,120 @@
+/**
+ * ============================================
+ * EMAIL TRANSPORTS
+ * ============================================
+ * 
+ * Sends email through the transport named by EMAIL_TRANSPORT:
+ * - smtp: A real mail server (SMTP_HOST, SMTP_PORT, ...)
+ * - file: Writes each message as an .eml file to EMAIL_OUTBOX_DIR,
+ *   handy for development - open them in any mail client
+ * - console: Prints a summary of each message (the default, except
+ *   with NODE_ENV=production, where it is smtp)
+ * 
+ * Messages carry manage and sign-in links that work for whoever
+ * holds them, so in production the console transport leaves the
+ * links out of what it prints - server logs are read by more people
+ * than the customers' inboxes are.
+ * 
+ * More transports can be added with registerTransport().
+ * 
+ * @see https://nodemailer.com/
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+const EMAIL_FROM = process.env.EMAIL_FROM || 'BookMySlot <no-reply@bookmyslot.local>';
+
+const IS_PRODUCTION = process.env.NODE_ENV === 'production';
+
+/**
+ * Transport factories by name. Each returns an object with an
+ * async sendMail(message) method, like a nodemailer transport.
+ */
+const transportFactories = {
+    smtp: () => nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: Number(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+            ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+            : undefined
+    }),
+
+    file: () => {
+        const outboxDir = path.resolve(process.env.EMAIL_OUTBOX_DIR || 'outbox');
+        // Builds the raw message without sending it anywhere
+        const builder = nodemailer.createTransport({ streamTransport: true, buffer: true });
+
+        return {
+            sendMail: async (message) => {
+                const info = await builder.sendMail(message);
+                const fileName = `${Date.now()}-${info.messageId.replace(/[^\w.-]/g, '')}.eml`;
+
+                await fs.mkdir(outboxDir, { recursive: true });
+                await fs.writeFile(path.join(outboxDir, fileName), info.message);
+                return info;
+            }
+        };
+    },
+
+    console: () => ({
+        sendMail: async (message) => {
+            const attachments = (message.attachments || []).map(file => file.filename).join(', ');
+            const text = IS_PRODUCTION
+                ? String(message.text || '').replace(/https?:\/\/\S+/g, '[link hidden]')
+                : message.text;
+            console.log([
+                `📧 Email to ${message.to}: ${message.subject}`,
+                text,
+                attachments && `(attachments: ${attachments})`
+            ].filter(Boolean).join('\n'));
+            return { messageId: `console-${Date.now()}` };
+        }
+    })
+};
+
+// Created on first use, so a bad SMTP setup doesn't stop the server starting
+let transport = null;
+
+/**
+ * Adds (or replaces) a named transport
+ * @param {string} name - Value of EMAIL_TRANSPORT that selects it
+ * @param {Function} factory - Returns an object with sendMail(message)
+ */
+const registerTransport = (name, factory) => {
+    transportFactories[name] = factory;
+    transport = null;
+};
+
+/**
+ * The transport chosen by EMAIL_TRANSPORT
+ * @returns {Object} - Transport with sendMail(message)
+ */
+const getTransport = () => {
+    if (!transport) {
+        const name = process.env.EMAIL_TRANSPORT || (IS_PRODUCTION ? 'smtp' : 'console');
+        const factory = transportFactories[name];
+
+        if (!factory) {
+            throw new Error(`Unknown EMAIL_TRANSPORT "${name}"`);
+        }
+        transport = factory();
+    }
+    return transport;
+};
+
+/**
+ * Sends one email
+ * @param {Object} message - { to, subject, text, html, attachments }
+ * @returns {Promise<Object>} - Transport result (includes messageId)
+ */
+const sendEmail = (message) => {
+    return getTransport().sendMail({ from: EMAIL_FROM, ...message });
+};
+
+module.exports = {
+    registerTransport,
+    sendEmail
+};
@@ -0,0 +1,25 @@
+/**
+ * ============================================
+ * REQUEST ERRORS
+ * ============================================
+ * 
+ * Errors the helpers throw for input the routes pass on from the
+ * request (query string or body). Routes answer them with their
+ * status and message, as the customer or admin can fix them.
+ */
+
+/**
+ * Thrown for request values that can't be understood or used, e.g.
+ * a bad query parameter or a staff member who can't be booked
+ */
+class InvalidRequestError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'InvalidRequestError';
+        this.status = 400;
+    }
+}
+
+module.exports = {
+    InvalidRequestError
+};
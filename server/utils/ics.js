@@ -0,0 +1,169 @@
+/**
+ * ============================================
+ * ICS CALENDAR UTILITIES
+ * ============================================
+ * 
+ * Builds iCalendar (RFC 5545) text for bookings, used for
+ * email attachments, "Add to calendar" downloads and the staff
+ * calendar feed. Times are written in UTC, so no timezone
+ * definitions are needed.
+ * 
+ * Each booking keeps the same UID for its whole life, and its
+ * `sequence` goes up on every reschedule or cancellation, so
+ * calendar apps update the existing event instead of adding
+ * a new one.
+ * 
+ * @see https://datatracker.ietf.org/doc/html/rfc5545
+ */
+
+const { getBusinessName } = require('./messageTemplates');
+
+// Identifies this app in PRODID and event UIDs
+const PRODUCT_ID = '-//BookMySlot//Appointment Booking//EN';
+const UID_DOMAIN = 'bookmyslot';
+
+/**
+ * Formats a Date as an iCalendar UTC date-time, e.g. "20260216T043000Z"
+ * @param {Date|string} value - Point in time
+ * @returns {string}
+ */
+const formatIcsDate = (value) => {
+    return new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+};
+
+/**
+ * Escapes text values (commas, semicolons, backslashes, newlines)
+ * @param {string} text - Raw text
+ * @returns {string}
+ */
+const escapeText = (text) => {
+    return String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+};
+
+/**
+ * Folds a content line to at most 75 octets per line
+ * @param {string} line - Unfolded line
+ * @returns {string}
+ */
+const foldLine = (line) => {
+    const parts = [];
+    let current = '';
+    let currentBytes = 0;
+
+    for (const char of line) {
+        const charBytes = Buffer.byteLength(char);
+        // Continuation lines start with a space, which counts towards the limit
+        const limit = parts.length === 0 ? 75 : 74;
+
+        if (currentBytes + charBytes > limit) {
+            parts.push(current);
+            current = '';
+            currentBytes = 0;
+        }
+        current += char;
+        currentBytes += charBytes;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+};
+
+/**
+ * Stable event UID for a booking
+ * @param {Object} booking - Booking document
+ * @returns {string}
+ */
+const getBookingUid = (booking) => `booking-${booking._id}@${UID_DOMAIN}`;
+
+/**
+ * Builds the VEVENT lines for a booking
+ * @param {Object} booking - Booking document
+ * @param {Object} details - { summary, description, location }
+ * @returns {string[]} - Unfolded content lines
+ */
+const buildBookingEvent = (booking, { summary, description, location } = {}) => {
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:${getBookingUid(booking)}`,
+        `SEQUENCE:${booking.sequence || 0}`,
+        `DTSTAMP:${formatIcsDate(new Date())}`,
+        `DTSTART:${formatIcsDate(booking.start)}`,
+        `DTEND:${formatIcsDate(booking.end)}`,
+        `STATUS:${booking.status === 'cancelled' ? 'CANCELLED' : ['pending', 'pending-payment'].includes(booking.status) ? 'TENTATIVE' : 'CONFIRMED'}`
+    ];
+
+    if (summary) lines.push(`SUMMARY:${escapeText(summary)}`);
+    if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+    if (location) lines.push(`LOCATION:${escapeText(location)}`);
+
+    lines.push('END:VEVENT');
+    return lines;
+};
+
+/**
+ * The event as the customer sees it in their calendar
+ * @param {Object} booking - Booking document, with `business` populated
+ * @returns {string[]} - Unfolded content lines
+ */
+const buildCustomerEvent = (booking) => {
+    const businessName = getBusinessName(booking);
+
+    return buildBookingEvent(booking, {
+        summary: `${booking.serviceName || 'Appointment'} with ${businessName}`,
+        description: `Booked for ${booking.name}${booking.staffName ? ` with ${booking.staffName}` : ''}`,
+        location: businessName
+    });
+};
+
+/**
+ * The event as staff see it in their calendar feed
+ * @param {Object} booking - Booking document
+ * @returns {string[]} - Unfolded content lines
+ */
+const buildStaffEvent = (booking) => {
+    return buildBookingEvent(booking, {
+        summary: booking.status === 'cancelled' ? `Cancelled: ${booking.name}` : booking.name,
+        description: [
+            booking.serviceName && `Service: ${booking.serviceName}`,
+            booking.staffName && `Staff: ${booking.staffName}`,
+            `Email: ${booking.email}`,
+            `Phone: ${booking.phone}`,
+            `Status: ${booking.status}`
+        ].filter(Boolean).join('\n')
+    });
+};
+
+/**
+ * Wraps events in a VCALENDAR
+ * @param {string[][]} events - Results of buildBookingEvent
+ * @param {Object} [options] - { method: 'REQUEST' | 'CANCEL' | 'PUBLISH', name }
+ * @returns {string} - Complete .ics file contents (CRLF line endings)
+ */
+const buildCalendar = (events, { method, name } = {}) => {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN'
+    ];
+
+    if (method) lines.push(`METHOD:${method}`);
+    if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+
+    events.forEach(event => lines.push(...event));
+    lines.push('END:VCALENDAR');
+
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+    getBookingUid,
+    buildBookingEvent,
+    buildCustomerEvent,
+    buildStaffEvent,
+    buildCalendar
+};
@@ -0,0 +1,243 @@
+/**
+ * ============================================
+ * MESSAGE TEMPLATES
+ * ============================================
+ * 
+ * Wording for each notification type: a full email (subject,
+ * plain text and HTML), and a short text for SMS and WhatsApp.
+ * Appointment times are written in the business timezone, and
+ * messages are signed with the booking's location name.
+ * Confirmations of a recurring series say how often it repeats.
+ * Waitlist offers carry the claim link and when the offer runs out.
+ * Customers signing in to their account get an email with their link.
+ */
+
+const { formatDate, formatTime, formatTimeRange } = require('./time');
+const { describeRecurrence } = require('./recurrence');
+
+// Used when a booking's location hasn't been loaded
+const BUSINESS_NAME = process.env.BUSINESS_NAME || 'BookMySlot';
+
+// Heading and opening line for each message type
+const TEMPLATES = {
+    confirmation: {
+        subject: 'Your appointment is confirmed',
+        intro: 'Your appointment is confirmed. We look forward to seeing you!'
+    },
+    reschedule: {
+        subject: 'Your appointment has been moved',
+        intro: 'Your appointment has been moved to a new time.'
+    },
+    cancellation: {
+        subject: 'Your appointment has been cancelled',
+        intro: 'Your appointment has been cancelled. Book again any time.'
+    },
+    reminder_24h: {
+        subject: 'Reminder: your appointment is tomorrow',
+        intro: 'Just a reminder that your appointment is in 24 hours.'
+    },
+    reminder_1h: {
+        subject: 'Reminder: your appointment is in 1 hour',
+        intro: 'Just a reminder that your appointment starts in an hour.'
+    },
+    waitlist_offer: {
+        subject: 'A slot you were waiting for is free',
+        intro: 'Good news - a place has opened up at the time you were waiting for. It is yours if you claim it before the offer runs out.'
+    }
+};
+
+// Wording of the link in each message: after the text email's
+// details, as the HTML email's link, and in a short text
+const MANAGE_LINK = { text: 'Need to change it?', html: 'Reschedule or cancel', short: 'Change it:' };
+const OFFER_LINK = { text: 'Claim it here:', html: 'Claim this slot', short: 'Claim it:' };
+
+/**
+ * Appointment date and time in the business timezone
+ * @param {Object} booking - Booking document
+ * @param {string} timezone - IANA timezone
+ * @returns {string} - e.g. "5 Feb 2026, 10:00 AM - 11:00 AM (Asia/Kolkata)"
+ */
+const formatWhen = (booking, timezone) => {
+    return `${formatDate(booking.start, timezone)}, ${formatTimeRange(booking.start, booking.end, timezone)} (${timezone})`;
+};
+
+/**
+ * Name of the location a booking is at
+ * @param {Object} booking - Booking document, with `business` populated
+ * @returns {string}
+ */
+const getBusinessName = (booking) => booking.business?.name || BUSINESS_NAME;
+
+/**
+ * How often a confirmed series repeats, e.g. "Every week, 10 appointments"
+ * @param {string} type - Notification type
+ * @param {Object} booking - Booking document
+ * @param {string} timezone - IANA timezone
+ * @returns {string|null} - Null for one-off bookings and other messages
+ */
+const getRepeats = (type, booking, timezone) => {
+    if (type !== 'confirmation' || !booking.recurrence?.frequency) return null;
+    const description = describeRecurrence(booking.recurrence, timezone);
+    return description.charAt(0).toUpperCase() + description.slice(1);
+};
+
+/**
+ * When a waitlist offer runs out, e.g. "10:30 AM, 5 Feb 2026"
+ * @param {string} type - Notification type
+ * @param {Object} entry - Waitlist entry (the message's booking)
+ * @param {string} timezone - IANA timezone
+ * @returns {string|null} - Null for other messages
+ */
+const getClaimBy = (type, entry, timezone) => {
+    if (type !== 'waitlist_offer' || !entry.offerExpiresAt) return null;
+    return `${formatTime(entry.offerExpiresAt, timezone)}, ${formatDate(entry.offerExpiresAt, timezone)}`;
+};
+
+/**
+ * The link a message carries and its wording
+ * @param {string} type - Notification type
+ * @param {Object} urls - { manageUrl, offerUrl }
+ * @returns {Object|null} - { url, text, html, short }, or null for none
+ */
+const getLink = (type, { manageUrl, offerUrl }) => {
+    if (type === 'waitlist_offer') return offerUrl ? { url: offerUrl, ...OFFER_LINK } : null;
+    // Only upcoming bookings can still be changed
+    if (!manageUrl || type === 'cancellation') return null;
+    return { url: manageUrl, ...MANAGE_LINK };
+};
+
+/**
+ * Escapes text for use in HTML
+ * @param {string} text - Plain text
+ * @returns {string}
+ */
+const escapeHtml = (text) => {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+};
+
+/**
+ * Builds an email for a booking (or a waitlist entry, for offers)
+ * @param {string} type - Notification type (see Notification.TYPES)
+ * @param {Object} params - { booking, timezone, manageUrl, offerUrl }
+ * @returns {Object} - { subject, text, html }
+ */
+const renderEmail = (type, { booking, timezone, manageUrl, offerUrl }) => {
+    const template = TEMPLATES[type];
+    const when = formatWhen(booking, timezone);
+    const businessName = getBusinessName(booking);
+    const repeats = getRepeats(type, booking, timezone);
+    const claimBy = getClaimBy(type, booking, timezone);
+    const link = getLink(type, { manageUrl, offerUrl });
+
+    const text = [
+        `Hi ${booking.name},`,
+        '',
+        template.intro,
+        '',
+        ...(booking.serviceName ? [`Service: ${booking.serviceName}`] : []),
+        ...(booking.staffName ? [`With: ${booking.staffName}`] : []),
+        `When: ${when}`,
+        ...(repeats ? [`Repeats: ${repeats}`] : []),
+        ...(claimBy ? [`Claim by: ${claimBy}`] : []),
+        ...(link ? ['', `${link.text} ${link.url}`] : []),
+        '',
+        `- ${businessName}`
+    ].join('\n');
+
+    const html = `
+        <div style="font-family: Arial, sans-serif; color: #1f2937; max-width: 480px;">
+            <h2 style="color: #330867;">${escapeHtml(template.subject)}</h2>
+            <p>Hi ${escapeHtml(booking.name)},</p>
+            <p>${escapeHtml(template.intro)}</p>
+            ${booking.serviceName ? `<p><strong>Service:</strong> ${escapeHtml(booking.serviceName)}</p>` : ''}
+            ${booking.staffName ? `<p><strong>With:</strong> ${escapeHtml(booking.staffName)}</p>` : ''}
+            <p><strong>When:</strong> ${escapeHtml(when)}</p>
+            ${repeats ? `<p><strong>Repeats:</strong> ${escapeHtml(repeats)}</p>` : ''}
+            ${claimBy ? `<p><strong>Claim by:</strong> ${escapeHtml(claimBy)}</p>` : ''}
+            ${link ? `<p><a href="${escapeHtml(link.url)}" style="color: #30cfd0;">${escapeHtml(link.html)}</a></p>` : ''}
+            <p style="color: #6b7280;">${escapeHtml(businessName)}</p>
+        </div>`;
+
+    return {
+        subject: `${template.subject} - ${businessName}`,
+        text,
+        html
+    };
+};
+
+/**
+ * Builds a short text message (SMS or WhatsApp) for a booking
+ * (or a waitlist entry, for offers)
+ * @param {string} type - Notification type (see Notification.TYPES)
+ * @param {Object} params - { booking, timezone, manageUrl, offerUrl }
+ * @returns {string} - Message body
+ */
+const renderTextMessage = (type, { booking, timezone, manageUrl, offerUrl }) => {
+    const template = TEMPLATES[type];
+    const claimBy = getClaimBy(type, booking, timezone);
+    const link = getLink(type, { manageUrl, offerUrl });
+
+    return [
+        `${getBusinessName(booking)}: ${template.intro}`,
+        booking.serviceName,
+        booking.staffName && `With ${booking.staffName}`,
+        formatWhen(booking, timezone),
+        getRepeats(type, booking, timezone),
+        claimBy && `Claim by ${claimBy}`,
+        link && `${link.short} ${link.url}`
+    ].filter(Boolean).join('\n');
+};
+
+/**
+ * Builds the email with a customer's sign-in link
+ * @param {Object} params - { account, businessName, signInUrl, minutes }
+ *   (minutes: how long the link works)
+ * @returns {Object} - { subject, text, html }
+ */
+const renderSignInEmail = ({ account, businessName, signInUrl, minutes }) => {
+    const subject = 'Your sign-in link';
+    const greeting = account.name ? `Hi ${account.name},` : 'Hi,';
+    const intro = `Use this link to sign in and see your bookings. It works once, for the next ${minutes} minutes.`;
+    const ignore = 'If you didn\'t ask to sign in, you can ignore this email.';
+
+    const text = [
+        greeting,
+        '',
+        intro,
+        '',
+        signInUrl,
+        '',
+        ignore,
+        '',
+        `- ${businessName}`
+    ].join('\n');
+
+    const html = `
+        <div style="font-family: Arial, sans-serif; color: #1f2937; max-width: 480px;">
+            <h2 style="color: #330867;">${escapeHtml(subject)}</h2>
+            <p>${escapeHtml(greeting)}</p>
+            <p>${escapeHtml(intro)}</p>
+            <p><a href="${escapeHtml(signInUrl)}" style="color: #30cfd0;">Sign in</a></p>
+            <p style="color: #6b7280;">${escapeHtml(ignore)}</p>
+            <p style="color: #6b7280;">${escapeHtml(businessName)}</p>
+        </div>`;
+
+    return {
+        subject: `${subject} - ${businessName}`,
+        text,
+        html
+    };
+};
+
+module.exports = {
+    BUSINESS_NAME,
+    getBusinessName,
+    escapeHtml,
+    renderEmail,
+    renderTextMessage,
+    renderSignInEmail
+};
@@ -0,0 +1,110 @@
+/**
+ * ============================================
+ * SMS & WHATSAPP PROVIDERS
+ * ============================================
+ * 
+ * Sends text messages through the provider named by
+ * MESSAGING_PROVIDER. Only a mock provider ships with the app:
+ * it writes each message as a JSON file to MESSAGE_OUTBOX_DIR
+ * instead of sending it, which is enough for development. With
+ * NODE_ENV=production it is refused (customers would never get
+ * their messages), so MESSAGING_PROVIDER must name a real one there.
+ * 
+ * To use a real gateway (Twilio, Gupshup, MSG91, ...), register
+ * an adapter with registerProvider() and select it with
+ * MESSAGING_PROVIDER. An adapter is an object with:
+ * 
+ *   send({ channel, to, body }) => Promise<{ messageId }>
+ * 
+ * where channel is "sms" or "whatsapp" and `to` is an
+ * international number such as "+919876543210".
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+// Customers enter 10-digit local numbers; providers need the country code
+const COUNTRY_CODE = (process.env.PHONE_COUNTRY_CODE || '91').replace(/\D/g, '');
+
+const IS_PRODUCTION = process.env.NODE_ENV === 'production';
+
+/**
+ * Provider factories by name
+ */
+const providerFactories = {
+    mock: () => {
+        const outboxDir = path.resolve(process.env.MESSAGE_OUTBOX_DIR || 'outbox');
+
+        return {
+            send: async ({ channel, to, body }) => {
+                const messageId = crypto.randomUUID();
+                const fileName = `${Date.now()}-${channel}-${messageId}.json`;
+                const message = { messageId, channel, to, body, createdAt: new Date() };
+
+                await fs.mkdir(outboxDir, { recursive: true });
+                await fs.writeFile(path.join(outboxDir, fileName), JSON.stringify(message, null, 2));
+                return { messageId };
+            }
+        };
+    }
+};
+
+// Created on first use, like the email transport
+let provider = null;
+
+/**
+ * Adds (or replaces) a named provider adapter
+ * @param {string} name - Value of MESSAGING_PROVIDER that selects it
+ * @param {Function} factory - Returns an object with send({ channel, to, body })
+ */
+const registerProvider = (name, factory) => {
+    providerFactories[name] = factory;
+    provider = null;
+};
+
+/**
+ * The provider chosen by MESSAGING_PROVIDER
+ * @returns {Object} - Provider with send()
+ * @throws {Error} - If the provider is unknown, or is the mock one in production
+ */
+const getProvider = () => {
+    if (!provider) {
+        const name = process.env.MESSAGING_PROVIDER || 'mock';
+        const factory = providerFactories[name];
+
+        if (!factory) {
+            throw new Error(`Unknown MESSAGING_PROVIDER "${name}"`);
+        }
+        if (name === 'mock' && IS_PRODUCTION) {
+            throw new Error('The mock messaging provider is not allowed in production - set MESSAGING_PROVIDER to a real one');
+        }
+        provider = factory();
+    }
+    return provider;
+};
+
+/**
+ * Converts a customer's phone number to international format
+ * @param {string} phone - Number as entered, e.g. "98765 43210"
+ * @returns {string} - e.g. "+919876543210"
+ */
+const toInternationalNumber = (phone) => {
+    const digits = phone.replace(/\D/g, '');
+    return digits.length === 10 ? `+${COUNTRY_CODE}${digits}` : `+${digits}`;
+};
+
+/**
+ * Sends one SMS or WhatsApp message
+ * @param {Object} message - { channel: "sms" | "whatsapp", to, body }
+ * @returns {Promise<Object>} - Provider result (includes messageId)
+ */
+const sendTextMessage = (message) => {
+    return getProvider().send(message);
+};
+
+module.exports = {
+    registerProvider,
+    toInternationalNumber,
+    sendTextMessage
+};
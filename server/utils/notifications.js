@@ -0,0 +1,414 @@
+/**
+ * ============================================
+ * BOOKING NOTIFICATIONS
+ * ============================================
+ * 
+ * Queues customer messages when bookings change, and runs the
+ * worker that sends them.
+ * 
+ * - notifyBooking() is called by the routes after a booking is
+ *   created, confirmed, rescheduled or cancelled. It queues the
+ *   message plus reminders 24 hours and 1 hour before the start,
+ *   on the booking's preferred channel (email, SMS or WhatsApp).
+ *   The later occurrences of a recurring series only get reminders
+ *   (scheduleReminders()) - the first one's confirmation covers them.
+ *   Bookings that aren't confirmed yet (pending, or awaiting their
+ *   deposit) have their confirmation, with the manage link, held
+ *   until they are.
+ * - notifyWaitlistOffer() queues the message offering a freed slot to
+ *   a waitlisted customer, with the link to claim it (utils/waitlist.js).
+ * - startNotificationWorker() checks the queue every
+ *   NOTIFICATION_POLL_SECONDS and hands whatever is due to the
+ *   channel's notifier (see NOTIFIERS). Failed sends are retried
+ *   with a growing delay, and marked failed after MAX_ATTEMPTS.
+ * 
+ * Reminders aren't cancelled when a booking moves - the worker
+ * skips any reminder whose booking is no longer active or no
+ * longer starts at the time the reminder was written for.
+ * 
+ * Queueing never throws: a notification problem is logged and
+ * must not fail the booking change that caused it.
+ */
+
+const Booking = require('../models/Booking');
+const Notification = require('../models/Notification');
+const Schedule = require('../models/Schedule');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const { sendEmail } = require('./email');
+const { sendTextMessage, toInternationalNumber } = require('./messaging');
+const { renderEmail, renderTextMessage } = require('./messageTemplates');
+const { buildCustomerEvent, buildCalendar } = require('./ics');
+
+const POLL_INTERVAL_MS = (Number(process.env.NOTIFICATION_POLL_SECONDS) || 30) * 1000;
+
+// Delay before each retry; a send is given up after the last one
+const RETRY_DELAYS_MINUTES = [1, 5, 15, 60];
+const MAX_ATTEMPTS = RETRY_DELAYS_MINUTES.length + 1;
+
+// A claimed message is left alone by other workers for this long
+const CLAIM_LEASE_MS = 5 * 60 * 1000;
+
+// Messages sent per worker run
+const BATCH_SIZE = 20;
+
+const REMINDERS = [
+    { type: 'reminder_24h', hoursBefore: 24 },
+    { type: 'reminder_1h', hoursBefore: 1 }
+];
+
+// Message queued for each booking event
+const EVENT_TYPES = {
+    created: 'confirmation',
+    confirmed: 'confirmation',
+    rescheduled: 'reschedule',
+    cancelled: 'cancellation'
+};
+
+// Bookings that aren't confirmed yet get no confirmation or reminders
+const AWAITING_STATUSES = ['pending', 'pending-payment'];
+
+/**
+ * Link to a frontend page of a location
+ * @param {string} path - Page path, e.g. "/booking/<token>"
+ * @param {Object} business - Business document
+ * @returns {string}
+ */
+const getFrontendUrl = (path, business) => {
+    const frontendUrl = (process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/+$/, '');
+    return `${frontendUrl}${business.getPathPrefix()}${path}`;
+};
+
+/**
+ * Customer's manage link in the frontend, under the booking's location
+ * @param {string} manageToken - Raw manage token
+ * @param {Object} business - Business document the booking is at
+ * @returns {string}
+ */
+const getManageUrl = (manageToken, business) => getFrontendUrl(`/booking/${manageToken}`, business);
+
+/**
+ * Fields every message about a booking shares
+ * @param {Object} booking - Booking document
+ * @returns {Object} - Notification data
+ */
+const getBase = (booking) => {
+    const channel = booking.notificationChannel || 'email';
+    return {
+        channel,
+        booking: booking._id,
+        to: NOTIFIERS[channel].getRecipient(booking),
+        startAt: booking.start
+    };
+};
+
+/**
+ * Reminders still to come for a booking
+ * @param {Object} booking - Booking document
+ * @returns {Array} - Notification data, one per reminder
+ */
+const getReminders = (booking) => {
+    return REMINDERS
+        .map(({ type, hoursBefore }) => ({
+            ...getBase(booking),
+            type,
+            nextAttemptAt: new Date(booking.start.getTime() - hoursBefore * 60 * 60 * 1000)
+        }))
+        .filter(reminder => reminder.nextAttemptAt > new Date());
+};
+
+/**
+ * Queues the emails for a booking event
+ * @param {string} event - "created", "confirmed", "rescheduled" or "cancelled"
+ * @param {Object} booking - Booking after the change
+ * @param {Object} [options] - { manageToken, business } to include the manage
+ *   link (business is the booking's Business document)
+ */
+const notifyBooking = async (event, booking, { manageToken, business } = {}) => {
+    try {
+        // Only the token's hash is stored on the booking, so the link can
+        // only go in a message queued while the raw token is at hand
+        const data = manageToken ? { manageUrl: getManageUrl(manageToken, business) } : undefined;
+
+        // Pending bookings hear from us once an admin confirms them, and
+        // bookings awaiting their deposit once it is paid (see utils/payments.js).
+        // Their confirmation is queued now, for the manage link, and held until then.
+        if (event === 'created' && AWAITING_STATUSES.includes(booking.status)) {
+            if (data) {
+                await Notification.create({ ...getBase(booking), type: 'confirmation', status: 'held', data });
+            }
+            return;
+        }
+
+        // Cancelled before it was confirmed - the held confirmation never goes
+        if (event === 'cancelled') {
+            await Notification.updateMany(
+                { booking: booking._id, status: 'held' },
+                { $set: { status: 'skipped', lastError: 'Booking was cancelled' }, $unset: { data: 1 } }
+            );
+        }
+
+        // Confirmed: send the held confirmation (with the manage link) if
+        // there is one, written for where the booking is now
+        const released = event === 'confirmed' && await Notification.findOneAndUpdate(
+            { booking: booking._id, type: 'confirmation', status: 'held' },
+            { $set: { ...getBase(booking), status: 'pending', nextAttemptAt: new Date() } }
+        );
+
+        const notifications = released ? [] : [{ ...getBase(booking), type: EVENT_TYPES[event], data }];
+
+        if (event !== 'cancelled') {
+            notifications.push(...getReminders(booking));
+        }
+
+        await Notification.insertMany(notifications);
+    } catch (error) {
+        console.error(`Error queueing ${event} notification:`, error);
+    }
+};
+
+/**
+ * Queues only the reminders for a new booking, for occurrences of a
+ * series whose confirmation went out with its first booking
+ * @param {Object} booking - Booking after it was created
+ */
+const scheduleReminders = async (booking) => {
+    try {
+        if (AWAITING_STATUSES.includes(booking.status)) return;
+        await Notification.insertMany(getReminders(booking));
+    } catch (error) {
+        console.error('Error queueing reminders:', error);
+    }
+};
+
+/**
+ * Queues the message offering a freed slot to a waitlisted customer
+ * @param {Object} entry - Waitlist entry that was just offered the slot
+ * @param {Object} params - { offerToken, business } - the raw token for
+ *   the claim link, and the entry's Business document
+ */
+const notifyWaitlistOffer = async (entry, { offerToken, business }) => {
+    try {
+        const channel = entry.notificationChannel || 'email';
+        await Notification.create({
+            type: 'waitlist_offer',
+            channel,
+            waitlistEntry: entry._id,
+            to: NOTIFIERS[channel].getRecipient(entry),
+            startAt: entry.start,
+            data: { offerUrl: getFrontendUrl(`/waitlist/${offerToken}`, business) }
+        });
+    } catch (error) {
+        console.error('Error queueing waitlist offer:', error);
+    }
+};
+
+/**
+ * Why a queued message should no longer be sent, if it shouldn't
+ * @param {Object} notification - Notification document
+ * @param {Object|null} booking - Its booking (or waitlist entry), if it still exists
+ * @returns {string|null} - Reason to skip, or null to send
+ */
+const getSkipReason = (notification, booking) => {
+    if (notification.type === 'waitlist_offer') {
+        if (!booking) return 'Waitlist entry was removed';
+        if (booking.status !== 'offered' || booking.offerExpiresAt <= new Date()) return 'Offer is no longer open';
+        return null;
+    }
+
+    if (!booking || booking.deletedAt) return 'Booking was deleted';
+    if (notification.type === 'cancellation') return null;
+    if (!booking.isActive()) return `Booking is ${booking.status}`;
+    if (booking.start.getTime() !== notification.startAt.getTime()) return 'Booking was rescheduled';
+    return null;
+};
+
+/**
+ * Builds and sends one queued email, with an .ics calendar invite
+ * (except for waitlist offers, which aren't booked yet)
+ * @param {Object} notification - Notification document
+ * @param {Object} booking - Its booking (or waitlist entry)
+ * @param {string} timezone - Business timezone
+ */
+const sendEmailNotification = async (notification, booking, timezone) => {
+    const email = renderEmail(notification.type, {
+        booking,
+        timezone,
+        manageUrl: notification.data?.manageUrl,
+        offerUrl: notification.data?.offerUrl
+    });
+    const method = notification.type === 'cancellation' ? 'CANCEL' : 'REQUEST';
+    const attachments = notification.type === 'waitlist_offer' ? [] : [{
+        filename: 'appointment.ics',
+        content: buildCalendar([buildCustomerEvent(booking)], { method }),
+        contentType: `text/calendar; charset=utf-8; method=${method}`
+    }];
+
+    await sendEmail({
+        to: notification.to,
+        subject: email.subject,
+        text: email.text,
+        html: email.html,
+        attachments
+    });
+};
+
+/**
+ * Builds and sends one queued SMS or WhatsApp message
+ * @param {Object} notification - Notification document
+ * @param {Object} booking - Its booking
+ * @param {string} timezone - Business timezone
+ */
+const sendTextNotification = async (notification, booking, timezone) => {
+    await sendTextMessage({
+        channel: notification.channel,
+        to: notification.to,
+        body: renderTextMessage(notification.type, {
+            booking,
+            timezone,
+            manageUrl: notification.data?.manageUrl,
+            offerUrl: notification.data?.offerUrl
+        })
+    });
+};
+
+/**
+ * One notifier per channel:
+ * - getRecipient(booking): Address to send to on this channel
+ * - send(notification, booking, timezone): Delivers the message,
+ *   throwing if it should be retried
+ */
+const NOTIFIERS = {
+    email: {
+        getRecipient: (booking) => booking.email,
+        send: sendEmailNotification
+    },
+    sms: {
+        getRecipient: (booking) => toInternationalNumber(booking.phone),
+        send: sendTextNotification
+    },
+    whatsapp: {
+        getRecipient: (booking) => toInternationalNumber(booking.phone),
+        send: sendTextNotification
+    }
+};
+
+/**
+ * Claims the next due message so no other worker sends it too
+ * @returns {Promise<Object|null>} - Claimed notification
+ */
+const claimNext = () => {
+    const now = new Date();
+
+    return Notification.findOneAndUpdate(
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        {
+            $set: { nextAttemptAt: new Date(now.getTime() + CLAIM_LEASE_MS) },
+            $inc: { attempts: 1 }
+        },
+        { sort: { nextAttemptAt: 1 }, new: true }
+    );
+};
+
+/**
+ * Sends a claimed message and records the outcome
+ * @param {Object} notification - Claimed notification
+ */
+const processNotification = async (notification) => {
+    // The location's name signs the message. Waitlist offers are about
+    // an entry, which has the same contact details and times.
+    const booking = notification.waitlistEntry
+        ? await WaitlistEntry.findById(notification.waitlistEntry).populate('business', 'name')
+        : await Booking.findById(notification.booking).populate('business', 'name');
+    const skipReason = getSkipReason(notification, booking);
+
+    if (skipReason) {
+        notification.status = 'skipped';
+        notification.lastError = skipReason;
+        notification.data = undefined;
+        await notification.save();
+        return;
+    }
+
+    // Follow contact detail changes made since the message was queued
+    const notifier = NOTIFIERS[notification.channel];
+    notification.to = notifier.getRecipient(booking);
+
+    try {
+        const { timezone } = await Schedule.getCurrent(booking.populated('business'));
+        await notifier.send(notification, booking, timezone);
+
+        notification.status = 'sent';
+        notification.sentAt = new Date();
+        notification.lastError = undefined;
+        // Don't keep the manage link around once it's been delivered
+        notification.data = undefined;
+
+    } catch (error) {
+        notification.lastError = error.message;
+
+        if (notification.attempts >= MAX_ATTEMPTS) {
+            notification.status = 'failed';
+            notification.data = undefined;
+            console.error(`Giving up on ${notification.type} ${notification.channel} to ${notification.to}:`, error.message);
+        } else {
+            const delayMinutes = RETRY_DELAYS_MINUTES[notification.attempts - 1];
+            notification.nextAttemptAt = new Date(Date.now() + delayMinutes * 60 * 1000);
+        }
+    }
+
+    await notification.save();
+};
+
+/**
+ * Sends every message that is due (up to BATCH_SIZE)
+ * @returns {Promise<number>} - How many messages were processed
+ */
+const processDueNotifications = async () => {
+    let processed = 0;
+
+    while (processed < BATCH_SIZE) {
+        const notification = await claimNext();
+        if (!notification) break;
+
+        await processNotification(notification);
+        processed++;
+    }
+    return processed;
+};
+
+/**
+ * Starts polling the queue in the background
+ * @returns {Function} - Stops the worker
+ */
+const startNotificationWorker = () => {
+    let isRunning = false;
+
+    const run = async () => {
+        // Skip a tick if the previous run is still sending
+        if (isRunning) return;
+        isRunning = true;
+        try {
+            await processDueNotifications();
+        } catch (error) {
+            console.error('Notification worker error:', error);
+        } finally {
+            isRunning = false;
+        }
+    };
+
+    const timer = setInterval(run, POLL_INTERVAL_MS);
+    // Don't keep the process alive just for the worker
+    timer.unref();
+    run();
+
+    return () => clearInterval(timer);
+};
+
+module.exports = {
+    getFrontendUrl,
+    notifyBooking,
+    scheduleReminders,
+    notifyWaitlistOffer,
+    processDueNotifications,
+    startNotificationWorker
+};
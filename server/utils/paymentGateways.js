@@ -0,0 +1,218 @@
+/**
+ * ============================================
+ * PAYMENT GATEWAYS
+ * ============================================
+ * 
+ * Takes deposits through the gateway named by PAYMENT_GATEWAY.
+ * Only a fake gateway ships with the app: its checkout is a page
+ * served by this server (/api/payments/gateway/checkout/:id) with
+ * "Pay" and "Decline" buttons, which sends the same kind of signed
+ * webhook a real gateway would. Use it for development and testing:
+ * with NODE_ENV=production it is refused (anyone could "pay"), so
+ * PAYMENT_GATEWAY must name a real one there.
+ * 
+ * To use a real gateway (Razorpay, Stripe, ...), register an adapter
+ * with registerGateway() and select it with PAYMENT_GATEWAY. An
+ * adapter is an object with:
+ * 
+ *   createCheckout({ reference, amount, currency, description,
+ *                    customer: { name, email }, returnUrl, expiresAt })
+ *     => Promise<{ id, checkoutUrl }>
+ *   refund({ id, amount, currency }) => Promise<{ refundId }>
+ *   verifyWebhook(rawBody, headers)
+ *     => { type: "payment.succeeded" | "payment.failed", id } or null
+ *        for events the app doesn't use; throws WebhookSignatureError
+ *        if the request isn't signed by the gateway
+ *   routes (optional) - Express router mounted at /api/payments/gateway,
+ *     for gateways that run inside the app
+ * 
+ * Amounts are in currency units (e.g. 500 INR); `id` is the gateway's
+ * id for the checkout, which its webhooks refer to.
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const { escapeHtml } = require('./messageTemplates');
+
+// Webhooks signed more than this long ago are refused (replays)
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+const IS_PRODUCTION = process.env.NODE_ENV === 'production';
+
+/**
+ * Thrown when a webhook's signature doesn't check out
+ */
+class WebhookSignatureError extends Error {
+    constructor(message = 'Invalid webhook signature') {
+        super(message);
+        this.name = 'WebhookSignatureError';
+        this.status = 400;
+    }
+}
+
+/**
+ * Signs a webhook body the way the fake gateway does:
+ * HMAC-SHA256 of "<timestamp>.<body>" with the webhook secret
+ * @param {string} body - Raw JSON body
+ * @param {number} timestamp - Unix seconds
+ * @param {string} secret - PAYMENT_WEBHOOK_SECRET
+ * @returns {string} - Header value, "t=<timestamp>,v1=<hex>"
+ */
+const signFakeWebhook = (body, timestamp, secret) => {
+    const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `t=${timestamp},v1=${signature}`;
+};
+
+/**
+ * Gateway factories by name
+ */
+const gatewayFactories = {
+    fake: () => {
+        // Without a secret, one made up for this process: the fake gateway
+        // only sends webhooks to itself
+        const secret = process.env.PAYMENT_WEBHOOK_SECRET || crypto.randomBytes(32).toString('hex');
+        const serverUrl = (process.env.SERVER_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/+$/, '');
+
+        // Open checkouts - kept in memory, like a real gateway keeps them on its side
+        const checkouts = new Map();
+
+        const routes = express.Router();
+        routes.use(express.urlencoded({ extended: false }));
+
+        // The checkout page, with a button for each outcome
+        routes.get('/checkout/:id', (req, res) => {
+            const checkout = checkouts.get(req.params.id);
+            if (!checkout) {
+                return res.status(404).send('Checkout not found');
+            }
+
+            const amount = new Intl.NumberFormat('en-US', { style: 'currency', currency: checkout.currency })
+                .format(checkout.amount);
+            res.send(`<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>Fake payment gateway</title></head>
+<body style="font-family: Arial, sans-serif; max-width: 420px; margin: 60px auto; color: #333;">
+    <p style="color: #999; font-size: 12px;">FAKE PAYMENT GATEWAY - for development only, no money is taken</p>
+    <h2>${escapeHtml(checkout.description)}</h2>
+    <p style="font-size: 24px; font-weight: bold;">${escapeHtml(amount)}</p>
+    <form method="post">
+        <button name="outcome" value="paid" style="padding: 10px 20px;">Pay</button>
+        <button name="outcome" value="failed" style="padding: 10px 20px;">Decline</button>
+    </form>
+</body>
+</html>`);
+        });
+
+        // Sends the outcome to the webhook, then returns to the app
+        routes.post('/checkout/:id', async (req, res) => {
+            const checkout = checkouts.get(req.params.id);
+            if (!checkout) {
+                return res.status(404).send('Checkout not found');
+            }
+            checkouts.delete(req.params.id);
+
+            const body = JSON.stringify({
+                id: `evt_${crypto.randomUUID()}`,
+                type: req.body.outcome === 'paid' ? 'payment.succeeded' : 'payment.failed',
+                data: { id: req.params.id, amount: checkout.amount, currency: checkout.currency }
+            });
+
+            try {
+                await fetch(`${serverUrl}/api/payments/webhook`, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'X-Fake-Signature': signFakeWebhook(body, Math.floor(Date.now() / 1000), secret)
+                    },
+                    body
+                });
+            } catch (error) {
+                console.error('Fake gateway could not deliver its webhook:', error);
+            }
+            res.redirect(303, checkout.returnUrl);
+        });
+
+        return {
+            routes,
+
+            createCheckout: async ({ amount, currency, description, returnUrl }) => {
+                const id = `fake_${crypto.randomUUID()}`;
+                checkouts.set(id, { amount, currency, description, returnUrl });
+                return { id, checkoutUrl: `${serverUrl}/api/payments/gateway/checkout/${id}` };
+            },
+
+            refund: async () => ({ refundId: `fake_re_${crypto.randomUUID()}` }),
+
+            verifyWebhook: (rawBody, headers) => {
+                const parts = Object.fromEntries(
+                    String(headers['x-fake-signature'] || '').split(',').map(part => part.split('='))
+                );
+                const timestamp = Number(parts.t);
+                if (!timestamp || !parts.v1) {
+                    throw new WebhookSignatureError();
+                }
+
+                const expected = Buffer.from(signFakeWebhook(rawBody.toString('utf8'), timestamp, secret));
+                const received = Buffer.from(`t=${parts.t},v1=${parts.v1}`);
+                if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+                    throw new WebhookSignatureError();
+                }
+                if (Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+                    throw new WebhookSignatureError('Webhook signature has expired');
+                }
+
+                const event = JSON.parse(rawBody.toString('utf8'));
+                if (event.type !== 'payment.succeeded' && event.type !== 'payment.failed') return null;
+                return { type: event.type, id: event.data.id };
+            }
+        };
+    }
+};
+
+// Created on first use, like the messaging provider
+let gateway = null;
+
+/**
+ * Adds (or replaces) a named gateway adapter
+ * @param {string} name - Value of PAYMENT_GATEWAY that selects it
+ * @param {Function} factory - Returns an object with createCheckout(), refund()
+ *   and verifyWebhook()
+ */
+const registerGateway = (name, factory) => {
+    gatewayFactories[name] = factory;
+    gateway = null;
+};
+
+/**
+ * Name of the gateway chosen by PAYMENT_GATEWAY
+ * @returns {string}
+ */
+const getGatewayName = () => process.env.PAYMENT_GATEWAY || 'fake';
+
+/**
+ * The gateway chosen by PAYMENT_GATEWAY
+ * @returns {Object} - Gateway adapter
+ * @throws {Error} - If the gateway is unknown, or is the fake one in production
+ */
+const getGateway = () => {
+    if (!gateway) {
+        const name = getGatewayName();
+        const factory = gatewayFactories[name];
+
+        if (!factory) {
+            throw new Error(`Unknown PAYMENT_GATEWAY "${name}"`);
+        }
+        if (name === 'fake' && IS_PRODUCTION) {
+            throw new Error('The fake payment gateway is not allowed in production - set PAYMENT_GATEWAY to a real one');
+        }
+        gateway = factory();
+    }
+    return gateway;
+};
+
+module.exports = {
+    WebhookSignatureError,
+    registerGateway,
+    getGatewayName,
+    getGateway
+};
@@ -0,0 +1,293 @@
+/**
+ * ============================================
+ * DEPOSIT PAYMENTS
+ * ============================================
+ * 
+ * Takes deposits for services that ask for one, through the gateway
+ * chosen by PAYMENT_GATEWAY (see utils/paymentGateways.js).
+ * 
+ * - startDepositPayment() is called by POST /api/bookings for a new
+ *   booking in pending-payment. The booking keeps its seat while the
+ *   customer pays, for up to PAYMENT_TIMEOUT_MINUTES.
+ * - handlePaymentEvent() is called with each verified gateway webhook.
+ *   A paid deposit confirms the booking (and queues its confirmation
+ *   and reminders); a failed one releases it.
+ * - startPaymentWorker() checks every PAYMENT_POLL_SECONDS for unpaid
+ *   bookings that ran out of time, and releases them: the booking is
+ *   cancelled, freeing its seat for others (and the waitlist).
+ * - refundDeposit() is called when a booking is cancelled, and
+ *   refunds a paid deposit if the cancellation is eligible.
+ * 
+ * A payment that arrives after its booking was released is refunded
+ * straight away. Changes made here are audited as "payments".
+ */
+
+const Booking = require('../models/Booking');
+const Payment = require('../models/Payment');
+const { CURRENCY } = require('../models/Service');
+const { getGateway, getGatewayName } = require('./paymentGateways');
+const { recordSystemAudit } = require('./audit');
+const { notifyBooking } = require('./notifications');
+const { offerFreedSlots } = require('./waitlist');
+
+// How long a customer has to pay before their booking is released
+const PAYMENT_MINUTES = Number(process.env.PAYMENT_TIMEOUT_MINUTES) || 15;
+
+const POLL_INTERVAL_MS = (Number(process.env.PAYMENT_POLL_SECONDS) || 60) * 1000;
+
+// Who booking changes made here are recorded as
+const ACTOR = { username: 'payments' };
+
+/**
+ * Thrown when the gateway can't start a payment
+ */
+class PaymentUnavailableError extends Error {
+    constructor(message = 'Online payments are not available right now. Please try again later.') {
+        super(message);
+        this.name = 'PaymentUnavailableError';
+        this.status = 502;
+    }
+}
+
+/**
+ * Opens a checkout for a new booking's deposit
+ * @param {Object} booking - Booking in pending-payment, with its deposit
+ * @param {Object} options
+ * @param {string} options.returnUrl - Where the gateway sends the customer afterwards
+ * @returns {Promise<Document>} - The payment, with its checkoutUrl
+ * @throws {PaymentUnavailableError} - If the gateway can't be reached
+ *   or isn't set up
+ */
+const startDepositPayment = async (booking, { returnUrl }) => {
+    let gateway;
+    try {
+        gateway = getGateway();
+    } catch (error) {
+        console.error('Error starting deposit payment:', error.message);
+        throw new PaymentUnavailableError();
+    }
+
+    const payment = await Payment.create({
+        business: booking.business,
+        booking: booking._id,
+        amount: booking.deposit,
+        currency: CURRENCY,
+        gateway: getGatewayName(),
+        expiresAt: new Date(Date.now() + PAYMENT_MINUTES * 60 * 1000)
+    });
+
+    try {
+        const checkout = await gateway.createCheckout({
+            reference: String(payment._id),
+            amount: payment.amount,
+            currency: payment.currency,
+            description: `Deposit for ${booking.serviceName || 'your appointment'}`,
+            customer: { name: booking.name, email: booking.email },
+            returnUrl,
+            expiresAt: payment.expiresAt
+        });
+
+        payment.gatewayPaymentId = checkout.id;
+        payment.checkoutUrl = checkout.checkoutUrl;
+        return await payment.save();
+    } catch (error) {
+        console.error('Error starting deposit payment:', error);
+        await Payment.deleteOne({ _id: payment._id });
+        throw new PaymentUnavailableError();
+    }
+};
+
+/**
+ * Gives a paid deposit back through the gateway. Marked refunded
+ * first, so two callers can never refund it twice.
+ * @param {Object} payment - Payment document
+ * @returns {Promise<boolean>} - Whether it was refunded
+ */
+const refundPayment = async (payment) => {
+    const claimed = await Payment.findOneAndUpdate(
+        { _id: payment._id, status: 'paid' },
+        { $set: { status: 'refunded', refundedAt: new Date() } },
+        { new: true }
+    );
+    if (!claimed) return false;
+
+    try {
+        const { refundId } = await getGateway().refund({
+            id: claimed.gatewayPaymentId,
+            amount: claimed.amount,
+            currency: claimed.currency
+        });
+        await Payment.updateOne({ _id: claimed._id }, { $set: { refundId } });
+        return true;
+    } catch (error) {
+        // Put it back, so the refund can be tried again
+        await Payment.updateOne({ _id: claimed._id }, { $set: { status: 'paid' }, $unset: { refundedAt: 1 } });
+        throw error;
+    }
+};
+
+/**
+ * Cancels a booking still waiting for its deposit, freeing its seat
+ * @param {Object} payment - The payment that won't be made
+ */
+const releaseUnpaidBooking = async (payment) => {
+    // Only while still unpaid - a payment arriving now may have confirmed it
+    const changed = await Booking.changeStatusWhere(
+        { _id: payment.booking, status: 'pending-payment', deletedAt: null },
+        'cancelled',
+        ACTOR
+    );
+    if (!changed) return;
+
+    await recordSystemAudit(ACTOR.username, 'status', changed.before, changed.after);
+    await offerFreedSlots([changed.after]);
+};
+
+/**
+ * Applies a verified gateway webhook event
+ * @param {Object} event - { type: "payment.succeeded" | "payment.failed", id }
+ *   from the gateway's verifyWebhook()
+ */
+const handlePaymentEvent = async (event) => {
+    if (event.type === 'payment.failed') {
+        const payment = await Payment.findOneAndUpdate(
+            { gatewayPaymentId: event.id, status: 'pending' },
+            { $set: { status: 'failed' } },
+            { new: true }
+        );
+        if (payment) await releaseUnpaidBooking(payment);
+        return;
+    }
+
+    // Expired payments are taken too - the money has to go back
+    const payment = await Payment.findOneAndUpdate(
+        { gatewayPaymentId: event.id, status: { $in: ['pending', 'expired'] } },
+        { $set: { status: 'paid', paidAt: new Date() } },
+        { new: true }
+    );
+    if (!payment) return;
+
+    const changed = await Booking.changeStatusWhere(
+        { _id: payment.booking, status: 'pending-payment', deletedAt: null },
+        'confirmed',
+        ACTOR
+    );
+    if (!changed) {
+        // Released (or cancelled) before the money arrived
+        await refundPayment(payment);
+        return;
+    }
+
+    await recordSystemAudit(ACTOR.username, 'status', changed.before, changed.after);
+    await notifyBooking('confirmed', changed.after);
+};
+
+/**
+ * Refunds a cancelled booking's paid deposit, if it was cancelled
+ * before the schedule's change cutoff (the same window customers may
+ * change bookings online in). Never throws - a refund problem is
+ * logged and must not fail the cancellation.
+ * @param {Object} booking - Booking that was just cancelled
+ * @param {Object} schedule - Schedule document
+ * @returns {Promise<boolean>} - Whether a deposit was refunded
+ */
+const refundDeposit = async (booking, schedule) => {
+    try {
+        if (!booking.deposit) return false;
+
+        const deadline = booking.start.getTime() - schedule.changeCutoffHours * 60 * 60 * 1000;
+        if (Date.now() > deadline) return false;
+
+        const payment = await Payment.findOne({ booking: booking._id, status: 'paid' });
+        return payment ? await refundPayment(payment) : false;
+    } catch (error) {
+        console.error('Error refunding deposit:', error);
+        return false;
+    }
+};
+
+/**
+ * The latest payment for a booking, as shown to the customer
+ * @param {Object} booking - Booking document
+ * @returns {Promise<Object|undefined>} - { status, amount, currency, checkoutUrl?,
+ *   expiresAt, paidAt, refundedAt }, or undefined for bookings without a deposit
+ */
+const getPaymentSummary = async (booking) => {
+    if (!booking.deposit) return undefined;
+
+    const payment = await Payment.findOne({ booking: booking._id }).sort({ createdAt: -1 });
+    if (!payment) return undefined;
+
+    const isOpen = payment.status === 'pending' && booking.status === 'pending-payment';
+    return {
+        status: payment.status,
+        amount: payment.amount,
+        currency: payment.currency,
+        checkoutUrl: isOpen ? payment.checkoutUrl : undefined,
+        expiresAt: payment.expiresAt,
+        paidAt: payment.paidAt,
+        refundedAt: payment.refundedAt
+    };
+};
+
+/**
+ * Releases the bookings whose deposit wasn't paid in time
+ * @returns {Promise<number>} - How many were released
+ */
+const processExpiredPayments = async () => {
+    const now = new Date();
+
+    let expired = 0;
+    for (;;) {
+        // Claimed one at a time, so two workers never release the same booking
+        const payment = await Payment.findOneAndUpdate(
+            { status: 'pending', expiresAt: { $lte: now } },
+            { $set: { status: 'expired' } },
+            { new: true }
+        );
+        if (!payment) break;
+
+        expired++;
+        await releaseUnpaidBooking(payment);
+    }
+    return expired;
+};
+
+/**
+ * Starts releasing unpaid bookings in the background
+ * @returns {Function} - Stops the worker
+ */
+const startPaymentWorker = () => {
+    let isRunning = false;
+
+    const run = async () => {
+        // Skip a tick if the previous run is still going
+        if (isRunning) return;
+        isRunning = true;
+        try {
+            await processExpiredPayments();
+        } catch (error) {
+            console.error('Payment worker error:', error);
+        } finally {
+            isRunning = false;
+        }
+    };
+
+    const timer = setInterval(run, POLL_INTERVAL_MS);
+    // Don't keep the process alive just for the worker
+    timer.unref();
+    run();
+
+    return () => clearInterval(timer);
+};
+
+module.exports = {
+    PAYMENT_MINUTES,
+    PaymentUnavailableError,
+    startDepositPayment,
+    handlePaymentEvent,
+    refundDeposit,
+    getPaymentSummary,
+    processExpiredPayments,
+    startPaymentWorker
+};
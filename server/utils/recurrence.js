@@ -0,0 +1,288 @@
+/**
+ * ============================================
+ * RECURRING BOOKING UTILITIES
+ * ============================================
+ * 
+ * Works out the occurrences of a recurring series and whether each
+ * one can be booked, for creating a series and for moving "this and
+ * following" occurrences.
+ * 
+ * How it works:
+ * - A rule repeats the first appointment weekly, every two weeks or
+ *   monthly (same day of the month), for a number of occurrences or
+ *   until a date - at most MAX_OCCURRENCES, within MAX_SERIES_DAYS
+ * - Every occurrence keeps the first one's local time, so a series
+ *   stays at 10:00 across daylight saving changes
+ * - Each occurrence is checked like a normal booking (open that day,
+ *   the time is offered, someone free), and the problems are returned
+ *   as conflicts before anything is saved
+ * - Only the first occurrence has to be within the booking window;
+ *   a series exists to hold the same slot for months
+ * 
+ * Occurrences are ordinary bookings sharing a `series` id (see
+ * models/Booking.js), so capacity, reminders and calendars treat
+ * them like any other booking.
+ */
+
+const Booking = require('../models/Booking');
+const { ACTIVE_STATUSES, FREQUENCIES } = require('../models/Booking');
+const { isValidDate, addDays, getOpeningStatus, getDailySlots, getBookingLength } = require('./schedule');
+const { getLanes, getLanesForSlot, getFreeLanes, getStaffChoice } = require('./slots');
+const { getZonedParts, zonedTimeToUtc, formatDate } = require('./time');
+const { InvalidRequestError } = require('./errors');
+
+const MAX_OCCURRENCES = 52;
+const MAX_SERIES_DAYS = 366;
+
+// Wording of each frequency, e.g. in emails
+const FREQUENCY_LABELS = {
+    weekly: 'every week',
+    biweekly: 'every 2 weeks',
+    monthly: 'every month'
+};
+
+// Why an occurrence can't be booked, as shown to the customer
+const CONFLICT_MESSAGES = {
+    no_such_date: 'No such date that month',
+    past: 'Already passed',
+    holiday: 'Closed for a holiday',
+    closed: 'Closed that day',
+    unavailable: 'Time not offered that day',
+    full: 'Already fully booked'
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Validates a recurrence rule from a request body
+ * @param {Object} [rule] - { frequency, count } or { frequency, until: "YYYY-MM-DD" }
+ * @returns {Object|null} - The cleaned rule, or null when not recurring
+ * @throws {InvalidRequestError} - If the rule is invalid
+ */
+const parseRecurrence = (rule) => {
+    if (!rule) return null;
+
+    if (!FREQUENCIES.includes(rule.frequency)) {
+        throw new InvalidRequestError(`Repeat must be one of: ${FREQUENCIES.join(', ')}`);
+    }
+
+    const hasCount = rule.count !== undefined && rule.count !== null && rule.count !== '';
+    if (hasCount === Boolean(rule.until)) {
+        throw new InvalidRequestError('Give either a number of appointments or an end date for the series');
+    }
+
+    if (hasCount) {
+        const count = Number(rule.count);
+        if (!Number.isInteger(count) || count < 2 || count > MAX_OCCURRENCES) {
+            throw new InvalidRequestError(`A series has 2 to ${MAX_OCCURRENCES} appointments`);
+        }
+        return { frequency: rule.frequency, count };
+    }
+
+    if (!isValidDate(rule.until)) {
+        throw new InvalidRequestError('End date must be in YYYY-MM-DD format');
+    }
+    return { frequency: rule.frequency, until: rule.until };
+};
+
+/**
+ * Local date of the nth occurrence. Monthly dates keep the day of
+ * the month, so they may not exist (e.g. 31 April) - check with
+ * isValidDate().
+ * @param {string} first - Date of the first occurrence, "YYYY-MM-DD"
+ * @param {string} frequency - weekly | biweekly | monthly
+ * @param {number} index - Occurrence index, from 0
+ * @returns {string} - "YYYY-MM-DD"
+ */
+const getOccurrenceDate = (first, frequency, index) => {
+    if (frequency === 'weekly') return addDays(first, index * 7);
+    if (frequency === 'biweekly') return addDays(first, index * 14);
+
+    const [year, month, day] = first.split('-').map(Number);
+    const months = (month - 1) + index;
+    return `${year + Math.floor(months / 12)}-${pad((months % 12) + 1)}-${pad(day)}`;
+};
+
+/**
+ * Lists the local dates of every occurrence of a rule
+ * @param {string} first - Date of the first occurrence, "YYYY-MM-DD"
+ * @param {Object} rule - From parseRecurrence()
+ * @returns {string[]} - Dates, the first one included
+ * @throws {InvalidRequestError} - If the series is too long or ends before it starts
+ */
+const getOccurrenceDates = (first, rule) => {
+    if (rule.until && rule.until <= first) {
+        throw new InvalidRequestError('The series must end after the first appointment');
+    }
+
+    const dates = [];
+    for (let index = 0; rule.count ? index < rule.count : true; index++) {
+        const date = getOccurrenceDate(first, rule.frequency, index);
+        if (rule.until && date > rule.until) break;
+
+        if (dates.length === MAX_OCCURRENCES || date > addDays(first, MAX_SERIES_DAYS)) {
+            throw new InvalidRequestError(`A series can have up to ${MAX_OCCURRENCES} appointments within a year`);
+        }
+        dates.push(date);
+    }
+    return dates;
+};
+
+/**
+ * Describes a rule for people, e.g. "every week, 10 appointments"
+ * @param {Object} rule - Booking recurrence
+ * @param {string} timezone - Business timezone, for the end date
+ * @returns {string}
+ */
+const describeRecurrence = (rule, timezone) => {
+    const frequency = FREQUENCY_LABELS[rule.frequency];
+    if (rule.count) return `${frequency}, ${rule.count} appointments`;
+
+    const until = formatDate(zonedTimeToUtc(rule.until, 12 * 60, timezone), timezone);
+    return `${frequency} until ${until}`;
+};
+
+/**
+ * Checks whether one occurrence can be booked at a local date and time
+ * @param {Object} schedule - Schedule document
+ * @param {string} date - Local date, "YYYY-MM-DD"
+ * @param {number} minutes - Local start time, minutes since midnight
+ * @param {Object} length - { durationMinutes, bufferMinutes }
+ * @param {Array} lanes - Lanes that could take it (see getLanes)
+ * @param {Object} [options]
+ * @param {ObjectId} [options.exclude] - Booking being moved, whose own seat doesn't count
+ * @param {ObjectId} [options.hold] - The customer's own slot hold, which doesn't count
+ * @returns {Promise<Object>} - { date, start, slot, lanes } with the free
+ *   lanes, or { date, start, conflict: { reason, message } }
+ */
+const checkOccurrence = async (schedule, date, minutes, length, lanes, { exclude, hold } = {}) => {
+    const conflict = (reason, start = null) => ({
+        date,
+        start,
+        conflict: { reason, message: CONFLICT_MESSAGES[reason] }
+    });
+
+    if (!isValidDate(date)) return conflict('no_such_date');
+
+    const start = zonedTimeToUtc(date, minutes, schedule.timezone);
+    if (start.getTime() <= Date.now()) return conflict('past', start);
+
+    const opening = getOpeningStatus(schedule, date);
+    if (!opening.open) return conflict(opening.reason, start);
+
+    // Any offered slot of the day, even beyond the booking window
+    const slot = getDailySlots(schedule, date, length)
+        .find(daily => daily.start.getTime() === start.getTime());
+    const working = slot ? getLanesForSlot(lanes, schedule, slot) : [];
+    if (working.length === 0) return conflict('unavailable', start);
+
+    const free = await getFreeLanes(schedule, slot, working, { bufferMinutes: length.bufferMinutes, exclude, hold });
+    if (free.length === 0) return conflict('full', start);
+
+    return { date, start, slot, lanes: free };
+};
+
+/**
+ * Plans a new series from its first slot: every occurrence, with
+ * its free lanes or why it can't be booked
+ * @param {Object} schedule - Schedule document
+ * @param {Object} slot - First occurrence's slot ({ start, end })
+ * @param {Object} rule - From parseRecurrence()
+ * @param {Object} length - { durationMinutes, bufferMinutes }
+ * @param {Array} lanes - Lanes that could take the booking (see getLanes)
+ * @param {ObjectId} [hold] - The customer's hold on the first slot (see models/SlotHold.js)
+ * @returns {Promise<Array>} - From checkOccurrence(), plus occurrence (from 1)
+ */
+const planSeries = async (schedule, slot, rule, length, lanes, hold) => {
+    const { date: first, minutes } = getZonedParts(slot.start, schedule.timezone);
+    const plan = [];
+
+    for (const [index, date] of getOccurrenceDates(first, rule).entries()) {
+        plan.push({
+            ...await checkOccurrence(schedule, date, minutes, length, lanes, { hold }),
+            occurrence: index + 1
+        });
+    }
+    return plan;
+};
+
+/**
+ * The later occurrences of a booking's series that can still change
+ * (pending or confirmed, and not in the trash)
+ * @param {Object} booking - Booking document
+ * @returns {Promise<Array>} - Booking documents, in date order
+ */
+const getFollowingOccurrences = (booking) => {
+    if (!booking.series) return Promise.resolve([]);
+
+    return Booking.find({
+        business: booking.business,
+        series: booking.series,
+        deletedAt: null,
+        status: { $in: ACTIVE_STATUSES },
+        start: { $gt: booking.start }
+    }).sort({ start: 1 });
+};
+
+/**
+ * Plans moving occurrences the way one of them moved: the same
+ * number of days, to the same new local time. Each is checked like
+ * a new booking, keeping its own length.
+ * @param {Object} schedule - Schedule document
+ * @param {Array} bookings - Occurrences to move
+ * @param {Object} move - { from, to } - the old and new start of the occurrence
+ *   the change was made on (the same when only the staff member changes)
+ * @param {string} [staff] - Staff id to assign them to (default: each one's own choice)
+ * @returns {Promise<Array>} - [{ booking, ...checkOccurrence() }]
+ * @throws {InvalidRequestError} - If the staff member can't be booked
+ */
+const planSeriesMove = async (schedule, bookings, { from, to }, staff) => {
+    const before = getZonedParts(from, schedule.timezone);
+    const after = getZonedParts(to, schedule.timezone);
+    const dayShift = Math.round((new Date(`${after.date}T00:00:00Z`) - new Date(`${before.date}T00:00:00Z`)) / 86400000);
+
+    // Lanes only depend on the service and staff choice, so look each
+    // combination up once
+    const lanesByKey = new Map();
+    const plan = [];
+
+    for (const booking of bookings) {
+        const choice = staff || getStaffChoice(booking);
+        const key = `${booking.service}|${choice}`;
+        if (!lanesByKey.has(key)) {
+            lanesByKey.set(key, await getLanes(schedule, { service: booking.service, staff: choice }));
+        }
+
+        const { date } = getZonedParts(booking.start, schedule.timezone);
+        const lanes = lanesByKey.get(key);
+
+        plan.push({
+            booking,
+            ...await checkOccurrence(schedule, addDays(date, dayShift), after.minutes, getBookingLength(booking), lanes, { exclude: booking._id })
+        });
+    }
+    return plan;
+};
+
+/**
+ * Turns planned occurrences that can't be booked into the response's
+ * conflicts list
+ * @param {Array} plan - From planSeries() or planSeriesMove()
+ * @returns {Array} - [{ date, start, reason, message }]
+ */
+const getConflicts = (plan) => {
+    return plan
+        .filter(item => item.conflict)
+        .map(({ date, start, conflict }) => ({ date, start, ...conflict }));
+};
+
+module.exports = {
+    MAX_OCCURRENCES,
+    parseRecurrence,
+    getOccurrenceDates,
+    describeRecurrence,
+    planSeries,
+    getFollowingOccurrences,
+    planSeriesMove,
+    getConflicts
+};
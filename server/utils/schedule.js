@@ -0,0 +1,291 @@
+/**
+ * ============================================
+ * SCHEDULE HELPERS
+ * ============================================
+ * 
+ * Turns the Schedule document into concrete bookable dates
+ * and time slots. Dates are "YYYY-MM-DD" strings in the
+ * business timezone; slots carry UTC start/end Dates plus a
+ * local display label such as "10:00 AM - 11:00 AM".
+ * 
+ * Start times are offered every `slotMinutes` from opening time.
+ * How long each slot lasts depends on the service being booked
+ * (its durationMinutes); without one, slots last `slotMinutes`.
+ * Staff working hours and time off narrow these slots further
+ * for each staff member (see models/Staff.js).
+ * 
+ * Used by:
+ * - GET /api/schedule/dates (calendar in the booking form)
+ * - GET /api/availability (slots for one date)
+ * - POST /api/bookings (rejects dates/slots the schedule does not offer)
+ * - GET /api/bookings/calendar (the admin calendar's slot grid)
+ */
+
+const { getZonedParts, zonedTimeToUtc } = require('./time');
+
+// "YYYY-MM-DD", e.g. "2026-02-15"
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// "YYYY-MM", e.g. "2026-02"
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Converts "HH:mm" to minutes since midnight
+ * @param {string} time - Time in "HH:mm" format
+ * @returns {number} - Minutes since midnight
+ */
+const toMinutes = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+/**
+ * Formats minutes since midnight as a 12-hour time, e.g. "1:30 PM"
+ * @param {number} minutes - Minutes since midnight
+ * @returns {string} - Formatted time
+ */
+const formatTime = (minutes) => {
+    const hours = Math.floor(minutes / 60);
+    const period = hours >= 12 ? 'PM' : 'AM';
+    return `${hours % 12 || 12}:${pad(minutes % 60)} ${period}`;
+};
+
+/**
+ * Checks that a string is a real calendar date in "YYYY-MM-DD" format
+ * @param {string} date - Date to check
+ * @returns {boolean} - True if valid
+ */
+const isValidDate = (date) => {
+    if (typeof date !== 'string' || !DATE_PATTERN.test(date)) return false;
+    const parsed = new Date(`${date}T00:00:00Z`);
+    return !Number.isNaN(parsed.getTime()) && parsed.toISOString().startsWith(date);
+};
+
+/**
+ * Adds days to a "YYYY-MM-DD" date
+ * @param {string} date - Start date
+ * @param {number} days - Days to add
+ * @returns {string} - Resulting date
+ */
+const addDays = (date, days) => {
+    const parsed = new Date(`${date}T00:00:00Z`);
+    parsed.setUTCDate(parsed.getUTCDate() + days);
+    return parsed.toISOString().slice(0, 10);
+};
+
+/**
+ * Today's date in the business timezone as "YYYY-MM-DD"
+ * @param {Object} schedule - Schedule document
+ * @returns {string} - Today's date
+ */
+const getToday = (schedule) => getZonedParts(new Date(), schedule.timezone).date;
+
+/**
+ * Works out whether a date can be booked and, if not, why
+ * @param {Object} schedule - Schedule document
+ * @param {string} date - Date in "YYYY-MM-DD" format
+ * @returns {Object} - { available: boolean, reason?: string }
+ */
+const getDateStatus = (schedule, date) => {
+    const today = getToday(schedule);
+
+    if (date < today) {
+        return { available: false, reason: 'past' };
+    }
+    if (date > addDays(today, schedule.bookingWindowDays)) {
+        return { available: false, reason: 'outside_booking_window' };
+    }
+
+    const opening = getOpeningStatus(schedule, date);
+    if (!opening.open) {
+        return { available: false, reason: opening.reason, label: opening.label };
+    }
+
+    return { available: true };
+};
+
+/**
+ * Whether the business opens on a date at all (working day and not
+ * a holiday), regardless of whether it can still be booked
+ * @param {Object} schedule - Schedule document
+ * @param {string} date - Date in "YYYY-MM-DD" format
+ * @returns {Object} - { open: boolean, reason?: "holiday" | "closed", label? }
+ */
+const getOpeningStatus = (schedule, date) => {
+    const holiday = schedule.holidays.find(h => h.date === date);
+    if (holiday) {
+        return { open: false, reason: 'holiday', label: holiday.label };
+    }
+
+    const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+    if (!schedule.workingDays.includes(weekday)) {
+        return { open: false, reason: 'closed' };
+    }
+
+    return { open: true };
+};
+
+/**
+ * Generates every time slot of a working day from the opening
+ * hours, slot interval and breaks - including past slots.
+ * Appointments must end by closing time and can't overlap a break.
+ * @param {Object} schedule - Schedule document
+ * @param {string} date - Local date in "YYYY-MM-DD" format
+ * @param {Object} [service] - Service being booked ({ durationMinutes })
+ * @returns {Array} - [{ start: Date, end: Date, label }]
+ */
+const getDailySlots = (schedule, date, service) => {
+    const open = toMinutes(schedule.openTime);
+    const close = toMinutes(schedule.closeTime);
+    const duration = service?.durationMinutes || schedule.slotMinutes;
+    const breaks = schedule.breaks
+        .map(brk => ({ start: toMinutes(brk.start), end: toMinutes(brk.end) }))
+        .sort((a, b) => a.start - b.start);
+
+    const slots = [];
+    let start = open;
+
+    while (start + duration <= close) {
+        const end = start + duration;
+        const overlapping = breaks.find(brk => start < brk.end && end > brk.start);
+
+        if (overlapping) {
+            // Resume right after the break
+            start = overlapping.end;
+            continue;
+        }
+
+        slots.push({
+            start: zonedTimeToUtc(date, start, schedule.timezone),
+            end: zonedTimeToUtc(date, end, schedule.timezone),
+            label: `${formatTime(start)} - ${formatTime(end)}`
+        });
+        start += schedule.slotMinutes;
+    }
+
+    return slots;
+};
+
+/**
+ * Generates the time slots the schedule offers on a date.
+ * Slots that have already started are left out.
+ * @param {Object} schedule - Schedule document
+ * @param {string} date - Local date in "YYYY-MM-DD" format
+ * @param {Object} [service] - Service being booked ({ durationMinutes })
+ * @returns {Array} - [{ start: Date, end: Date, label }]
+ */
+const getSlotsForDate = (schedule, date, service) => {
+    if (!getDateStatus(schedule, date).available) return [];
+
+    const now = Date.now();
+    return getDailySlots(schedule, date, service).filter(slot => slot.start.getTime() > now);
+};
+
+/**
+ * A staff member's working hours on a date
+ * @param {Object} staff - Staff document
+ * @param {string} date - Local date in "YYYY-MM-DD" format
+ * @returns {Array} - [{ start, end }] in minutes since midnight;
+ *   empty when they're off that day
+ */
+const getStaffHours = (staff, date) => {
+    if (staff.timeOff.some(off => off.from <= date && date <= off.to)) return [];
+
+    // No shifts set: they work whenever the business is open
+    if (staff.workingHours.length === 0) return [{ start: 0, end: 24 * 60 }];
+
+    const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+    return staff.workingHours
+        .filter(shift => shift.day === weekday)
+        .map(shift => ({ start: toMinutes(shift.start), end: toMinutes(shift.end) }));
+};
+
+/**
+ * Whether a slot falls entirely within one of a staff member's shifts
+ * @param {Object} staff - Staff document
+ * @param {Object} schedule - Schedule document
+ * @param {Object} slot - Slot ({ start, end })
+ * @returns {boolean}
+ */
+const isStaffWorking = (staff, schedule, slot) => {
+    const start = getZonedParts(slot.start, schedule.timezone);
+    const end = start.minutes + Math.round((slot.end - slot.start) / 60000);
+
+    return getStaffHours(staff, start.date)
+        .some(shift => shift.start <= start.minutes && end <= shift.end);
+};
+
+/**
+ * Lists every date in a month with its bookable status
+ * @param {Object} schedule - Schedule document
+ * @param {string} month - Month in "YYYY-MM" format
+ * @param {Object} [service] - Service being booked ({ durationMinutes })
+ * @param {Array} [staff] - Staff who could take the booking; a date
+ *   needs a slot at least one of them works (omit when there are no staff)
+ * @returns {Array} - [{ date, available, reason? }]
+ */
+const getDatesForMonth = (schedule, month, service, staff) => {
+    const [year, monthIndex] = month.split('-').map(Number);
+    const daysInMonth = new Date(Date.UTC(year, monthIndex, 0)).getUTCDate();
+
+    const dates = [];
+    for (let day = 1; day <= daysInMonth; day++) {
+        const date = `${month}-${pad(day)}`;
+        const status = getDateStatus(schedule, date);
+
+        // A working day can still have no slots (e.g. breaks cover it,
+        // or everyone is off)
+        const hasSlots = () => getSlotsForDate(schedule, date, service)
+            .some(slot => !staff || staff.some(member => isStaffWorking(member, schedule, slot)));
+
+        if (status.available && !hasSlots()) {
+            dates.push({ date, available: false, reason: 'no_slots' });
+        } else {
+            dates.push({ date, ...status });
+        }
+    }
+    return dates;
+};
+
+/**
+ * Finds the offered slot that starts at an exact instant
+ * @param {Object} schedule - Schedule document
+ * @param {string|Date} start - Requested start (ISO string or Date)
+ * @param {Object} [service] - Service being booked ({ durationMinutes })
+ * @returns {Object|null} - Matching { start, end, label } or null
+ */
+const findSlot = (schedule, start, service) => {
+    const startDate = new Date(start);
+    if (Number.isNaN(startDate.getTime())) return null;
+
+    const { date } = getZonedParts(startDate, schedule.timezone);
+    return getSlotsForDate(schedule, date, service)
+        .find(slot => slot.start.getTime() === startDate.getTime()) || null;
+};
+
+/**
+ * The length of an existing booking, for finding slots to move it to
+ * @param {Object} booking - Booking document
+ * @returns {Object} - { durationMinutes, bufferMinutes }
+ */
+const getBookingLength = (booking) => ({
+    durationMinutes: Math.round((booking.end - booking.start) / 60000),
+    bufferMinutes: booking.bufferMinutes || 0
+});
+
+module.exports = {
+    MONTH_PATTERN,
+    isValidDate,
+    addDays,
+    getDateStatus,
+    getOpeningStatus,
+    getDailySlots,
+    getSlotsForDate,
+    getDatesForMonth,
+    getStaffHours,
+    isStaffWorking,
+    findSlot,
+    getBookingLength
+};
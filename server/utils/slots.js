@@ -0,0 +1,442 @@
+/**
+ * ============================================
+ * SLOT CAPACITY HELPERS
+ * ============================================
+ * 
+ * Keeps two customers from booking the same time slot
+ * beyond its capacity.
+ * 
+ * How it works:
+ * - Every active booking holds a numbered "seat" (0, 1, 2, ...),
+ *   one of the slot capacity's parallel places - or, once staff
+ *   are set up, the seat of the staff member it is assigned to
+ * - It keeps that seat for every 5-minute block from its start to
+ *   the end of its service's buffer time, listed in `blocks`
+ * - The Booking model has a unique index on (business, blocks, seat),
+ *   so each business location has its own seats
+ * - To book, we try to insert with each seat that could take it
+ *   (its "lanes": seat 0, 1, ... up to capacity, or each staff
+ *   member who works then) until one is free
+ * - MongoDB rejects a seat that is taken in any of the blocks
+ *   atomically, so two concurrent requests can never end up
+ *   holding the same seat, even for services of different lengths
+ * - A seat held for a customer who is still filling in the booking
+ *   form (see models/SlotHold.js) counts as taken for everyone else
+ *   until the hold runs out
+ * 
+ * Slot capacity and the list of slots come from the Schedule
+ * (see utils/schedule.js); staff and their hours from the Staff model.
+ */
+
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const SlotHold = require('../models/SlotHold');
+const Service = require('../models/Service');
+const Staff = require('../models/Staff');
+const { getSlotsForDate, isStaffWorking } = require('./schedule');
+const { InvalidRequestError } = require('./errors');
+
+// MongoDB duplicate key error code
+const DUPLICATE_KEY = 11000;
+
+// Size of the time blocks seats are held for
+const BLOCK_MS = 5 * 60 * 1000;
+
+// Staff choice for "whoever is free"
+const ANY_STAFF = 'any';
+
+/**
+ * Thrown when every seat in the requested slot is already taken
+ */
+class SlotUnavailableError extends Error {
+    constructor(message = 'This time slot is fully booked. Please pick another slot.') {
+        super(message);
+        this.name = 'SlotUnavailableError';
+        this.status = 409;
+    }
+}
+
+/**
+ * Lists the blocks a booking holds its seat for. Times that don't
+ * fall on a block boundary are rounded out to whole blocks.
+ * @param {Date} start - Appointment start
+ * @param {Date} end - Appointment end
+ * @param {number} [bufferMinutes] - Time kept free after the appointment
+ * @returns {Date[]} - Start of each block
+ */
+const getBlocks = (start, end, bufferMinutes = 0) => {
+    const first = Math.floor(new Date(start).getTime() / BLOCK_MS) * BLOCK_MS;
+    const last = new Date(end).getTime() + bufferMinutes * 60 * 1000;
+
+    const blocks = [];
+    for (let time = first; time < last; time += BLOCK_MS) {
+        blocks.push(new Date(time));
+    }
+    return blocks;
+};
+
+/**
+ * Lists the lanes a booking could take: one per active staff member
+ * (who offers the service), or the schedule's numbered seats while
+ * no staff have been set up at the schedule's location
+ * @param {Object} schedule - Schedule document
+ * @param {Object} [options]
+ * @param {string} [options.service] - Service id being booked
+ * @param {string} [options.staff] - Staff id, or "any" / omitted for whoever is free
+ * @returns {Promise<Array>} - [{ seat, staff? }]
+ * @throws {InvalidRequestError} - If the requested staff member can't be booked
+ */
+const getLanes = async (schedule, { service, staff } = {}) => {
+    const isSpecific = Boolean(staff) && staff !== ANY_STAFF;
+    const unavailable = new InvalidRequestError('Please choose an available staff member');
+
+    if (!(await Staff.exists({ business: schedule.business }))) {
+        if (isSpecific) throw unavailable;
+        return Array.from({ length: schedule.slotCapacity }, (_, seat) => ({ seat }));
+    }
+
+    const filter = { business: schedule.business, active: true };
+    if (isSpecific) {
+        if (!mongoose.isValidObjectId(staff)) throw unavailable;
+        filter._id = staff;
+    }
+
+    const members = (await Staff.find(filter).sort({ name: 1 }))
+        .filter(member => member.offers(service));
+
+    if (isSpecific && members.length === 0) throw unavailable;
+    return members.map(member => ({ seat: member.seat, staff: member }));
+};
+
+/**
+ * Narrows lanes to those that can take a slot (staff who work then)
+ * @param {Array} lanes - From getLanes()
+ * @param {Object} schedule - Schedule document
+ * @param {Object} slot - Slot ({ start, end })
+ * @returns {Array} - The lanes working during the slot
+ */
+const getLanesForSlot = (lanes, schedule, slot) => {
+    return lanes.filter(lane => !lane.staff || isStaffWorking(lane.staff, schedule, slot));
+};
+
+/**
+ * Which staff an existing booking may move between: its own staff
+ * member, or anyone if the customer had no preference
+ * @param {Object} booking - Booking document
+ * @returns {string} - Staff id or "any"
+ */
+const getStaffChoice = (booking) => {
+    return booking.staff && !booking.anyStaff ? String(booking.staff) : ANY_STAFF;
+};
+
+/**
+ * The booking fields that record a lane
+ * @param {Object} lane - { seat, staff? }
+ * @returns {Object} - { seat, staff?, staffName? }
+ */
+const getLaneFields = (lane) => ({
+    seat: lane.seat,
+    ...(lane.staff && { staff: lane.staff._id, staffName: lane.staff.name })
+});
+
+/**
+ * Creates a booking in the first free lane of its slot
+ * @param {Object} data - Booking fields (business, name, email, phone, start, end, bufferMinutes, ...)
+ * @param {Array} lanes - Lanes that can take the slot (see getLanesForSlot)
+ * @returns {Promise<Document>} - The saved booking
+ * @throws {SlotUnavailableError} - If the slot is already full
+ */
+const createBookingInSlot = async (data, lanes) => {
+    const blocks = getBlocks(data.start, data.end, data.bufferMinutes);
+
+    for (const lane of lanes) {
+        try {
+            return await Booking.create({ ...data, ...getLaneFields(lane), blocks });
+        } catch (error) {
+            // Seat taken by another booking - try the next one
+            if (error.code === DUPLICATE_KEY) continue;
+            throw error;
+        }
+    }
+
+    throw new SlotUnavailableError();
+};
+
+/**
+ * Holds the first free lane of a slot for a customer who is still
+ * filling in the booking form. Holds that have run out are cleared
+ * first, as they would otherwise block the unique index until
+ * MongoDB's TTL monitor removes them.
+ * @param {Object} schedule - Schedule document
+ * @param {Object} data - Hold fields (service, start, end, tokenHash, expiresAt)
+ * @param {Array} lanes - Lanes that can take the slot (see getLanesForSlot)
+ * @param {Object} [options]
+ * @param {number} [options.bufferMinutes] - Buffer after the appointment
+ * @returns {Promise<Document>} - The saved hold
+ * @throws {SlotUnavailableError} - If every lane is booked or held
+ */
+const createHoldInSlot = async (schedule, data, lanes, { bufferMinutes = 0 } = {}) => {
+    await SlotHold.deleteMany({ business: schedule.business, expiresAt: { $lte: new Date() } });
+
+    const slot = { start: data.start, end: data.end };
+    const blocks = getBlocks(data.start, data.end, bufferMinutes);
+
+    for (const lane of await getFreeLanes(schedule, slot, lanes, { bufferMinutes })) {
+        try {
+            return await SlotHold.create({
+                ...data,
+                business: schedule.business,
+                seat: lane.seat,
+                ...(lane.staff && { staff: lane.staff._id }),
+                blocks
+            });
+        } catch (error) {
+            // Seat held by another customer - try the next one
+            if (error.code === DUPLICATE_KEY) continue;
+            throw error;
+        }
+    }
+
+    throw new SlotUnavailableError();
+};
+
+/**
+ * Moves an existing booking into the first free lane of another slot,
+ * trying its current staff member first. The booking keeps its old
+ * seat until the move succeeds, and keeps its own buffer time.
+ * @param {Object} booking - Booking document to move
+ * @param {Object} slot - Target slot ({ start, end })
+ * @param {Array} lanes - Lanes that can take the slot (see getLanesForSlot)
+ * @returns {Promise<Document>} - The updated booking
+ * @throws {SlotUnavailableError} - If the target slot is already full
+ */
+const moveBookingToSlot = async (booking, slot, lanes) => {
+    const blocks = getBlocks(slot.start, slot.end, booking.bufferMinutes);
+    const isCurrent = (lane) => (booking.staff
+        ? Boolean(lane.staff?._id.equals(booking.staff))
+        : lane.seat === booking.seat);
+    const ordered = [...lanes.filter(isCurrent), ...lanes.filter(lane => !isCurrent(lane))];
+
+    for (const lane of ordered) {
+        try {
+            return await Booking.findByIdAndUpdate(
+                booking._id,
+                {
+                    $set: { start: slot.start, end: slot.end, ...getLaneFields(lane), blocks },
+                    $inc: { sequence: 1 }
+                },
+                { new: true }
+            );
+        } catch (error) {
+            // Seat taken by another booking - try the next one
+            if (error.code === DUPLICATE_KEY) continue;
+            throw error;
+        }
+    }
+
+    throw new SlotUnavailableError();
+};
+
+/**
+ * Narrows lanes to those no one else is holding during a slot and
+ * its buffer (see models/SlotHold.js)
+ * @param {Object} schedule - Schedule document
+ * @param {Object} slot - Slot ({ start, end })
+ * @param {Array} lanes - Lanes that can take the slot (see getLanesForSlot)
+ * @param {Object} [options]
+ * @param {number} [options.bufferMinutes] - Buffer after the appointment
+ * @param {ObjectId} [options.hold] - The customer's own hold, which doesn't count
+ * @returns {Promise<Array>} - The lanes that aren't held
+ */
+const getUnheldLanes = async (schedule, slot, lanes, { bufferMinutes = 0, hold } = {}) => {
+    if (lanes.length === 0) return [];
+
+    const held = await SlotHold.distinct('seat', {
+        business: schedule.business,
+        seat: { $in: lanes.map(lane => lane.seat) },
+        blocks: { $in: getBlocks(slot.start, slot.end, bufferMinutes) },
+        expiresAt: { $gt: new Date() },
+        ...(hold && { _id: { $ne: hold } })
+    });
+
+    return lanes.filter(lane => !held.includes(lane.seat));
+};
+
+/**
+ * Narrows lanes to those with no booking or hold in any block of a
+ * slot and its buffer - the same rule the unique index applies
+ * @param {Object} schedule - Schedule document
+ * @param {Object} slot - Slot ({ start, end })
+ * @param {Array} lanes - Lanes that can take the slot (see getLanesForSlot)
+ * @param {Object} [options]
+ * @param {number} [options.bufferMinutes] - Buffer after the appointment
+ * @param {ObjectId} [options.exclude] - Booking being moved, whose own seat doesn't count
+ * @param {ObjectId} [options.hold] - The customer's own hold, which doesn't count
+ * @returns {Promise<Array>} - The free lanes
+ */
+const getFreeLanes = async (schedule, slot, lanes, { bufferMinutes = 0, exclude, hold } = {}) => {
+    if (lanes.length === 0) return [];
+
+    const taken = await Booking.distinct('seat', {
+        business: schedule.business,
+        seat: { $in: lanes.map(lane => lane.seat) },
+        blocks: { $in: getBlocks(slot.start, slot.end, bufferMinutes) },
+        ...(exclude && { _id: { $ne: exclude } })
+    });
+
+    return getUnheldLanes(schedule, slot, lanes.filter(lane => !taken.includes(lane.seat)), { bufferMinutes, hold });
+};
+
+/**
+ * Counts free lanes for every time slot the schedule offers on a date.
+ * A lane is free for a slot only if it is free for the whole
+ * appointment and its buffer - the same rule the unique index applies -
+ * and no one else is holding it. Slots no lane works are left out.
+ * @param {Object} schedule - Schedule document
+ * @param {string} date - Local appointment date ("YYYY-MM-DD")
+ * @param {Object} [service] - Service being booked ({ durationMinutes, bufferMinutes })
+ * @param {Array} lanes - Lanes that could take the booking (see getLanes)
+ * @param {Object} [options]
+ * @param {ObjectId} [options.hold] - The customer's own hold, which doesn't count
+ * @returns {Promise<Array>} - [{ start, end, label, capacity, booked, held, remaining }]
+ */
+const getSlotAvailability = async (schedule, date, service, lanes, { hold } = {}) => {
+    const slots = getSlotsForDate(schedule, date, service);
+    if (slots.length === 0) return [];
+
+    const slotBlocks = slots.map(slot => getBlocks(slot.start, slot.end, service?.bufferMinutes));
+    const firstBlock = slotBlocks[0][0];
+    const lastBlock = slotBlocks[slotBlocks.length - 1].at(-1);
+
+    // Only bookings holding a seat at this location take up capacity
+    const bookings = await Booking.find(
+        {
+            business: schedule.business,
+            seat: { $exists: true },
+            blocks: { $elemMatch: { $gte: firstBlock, $lte: lastBlock } }
+        },
+        { seat: 1, blocks: 1 }
+    ).lean();
+
+    // Seats other customers are holding while they book
+    const holds = await SlotHold.find(
+        {
+            business: schedule.business,
+            blocks: { $elemMatch: { $gte: firstBlock, $lte: lastBlock } },
+            expiresAt: { $gt: new Date() },
+            ...(hold && { _id: { $ne: hold } })
+        },
+        { seat: 1, blocks: 1 }
+    ).lean();
+
+    // Taken (or held) block times on each seat
+    const getBlocksBySeat = (items) => {
+        const bySeat = new Map();
+        items.forEach((item) => {
+            const taken = bySeat.get(item.seat) || new Set();
+            item.blocks.forEach(block => taken.add(block.getTime()));
+            bySeat.set(item.seat, taken);
+        });
+        return bySeat;
+    };
+    const takenBySeat = getBlocksBySeat(bookings);
+    const heldBySeat = getBlocksBySeat(holds);
+
+    return slots
+        .map((slot, index) => {
+            const isFreeIn = bySeat => (lane) => {
+                const taken = bySeat.get(lane.seat);
+                return !taken || !slotBlocks[index].some(block => taken.has(block.getTime()));
+            };
+            const working = getLanesForSlot(lanes, schedule, slot);
+            const unbooked = working.filter(isFreeIn(takenBySeat));
+            const remaining = unbooked.filter(isFreeIn(heldBySeat)).length;
+
+            return {
+                ...slot,
+                capacity: working.length,
+                booked: working.length - unbooked.length,
+                held: unbooked.length - remaining,
+                remaining
+            };
+        })
+        .filter(slot => slot.capacity > 0);
+};
+
+/**
+ * Works out how long the slots asked about are, from availability
+ * query parameters: a service id, or an explicit duration (and
+ * buffer) when moving an existing booking. With neither, slots
+ * last the schedule's slot length.
+ * @param {Object} query - req.query ({ service } or { duration, buffer })
+ * @param {ObjectId} business - Location the service must belong to
+ * @returns {Promise<Object|null>} - { durationMinutes, bufferMinutes } or null
+ * @throws {InvalidRequestError} - Unknown service or out-of-range length
+ */
+const parseAppointmentLength = async (query, business) => {
+    if (query.service) {
+        const service = await Service.findBookable(query.service, business);
+        if (!service) {
+            throw new InvalidRequestError('Please choose an available service');
+        }
+        return service;
+    }
+
+    if (query.duration !== undefined) {
+        const durationMinutes = Number(query.duration);
+        const bufferMinutes = Number(query.buffer || 0);
+
+        if (!Number.isInteger(durationMinutes) || durationMinutes < 5 || durationMinutes > 480 ||
+            !Number.isInteger(bufferMinutes) || bufferMinutes < 0 || bufferMinutes > 240) {
+            throw new InvalidRequestError('duration must be 5-480 minutes and buffer 0-240 minutes');
+        }
+        return { durationMinutes, bufferMinutes };
+    }
+
+    return null;
+};
+
+/**
+ * Fills in `blocks` for upcoming bookings made before bookings
+ * recorded them, so they keep their seats. Run once at startup.
+ * @returns {Promise<number>} - Bookings updated
+ */
+const backfillBookingBlocks = async () => {
+    const bookings = await Booking.find(
+        { seat: { $exists: true }, blocks: { $exists: false }, end: { $gt: new Date() } },
+        { start: 1, end: 1, bufferMinutes: 1 }
+    );
+
+    let updated = 0;
+    for (const booking of bookings) {
+        try {
+            await Booking.updateOne(
+                { _id: booking._id },
+                { $set: { blocks: getBlocks(booking.start, booking.end, booking.bufferMinutes) } }
+            );
+            updated++;
+        } catch (error) {
+            // Overlaps another booking's seat (e.g. after the slot length changed)
+            if (error.code !== DUPLICATE_KEY) throw error;
+            console.warn(`Booking ${booking._id} overlaps another booking's seat; leaving it as is`);
+        }
+    }
+    return updated;
+};
+
+module.exports = {
+    ANY_STAFF,
+    SlotUnavailableError,
+    getBlocks,
+    getLanes,
+    getLanesForSlot,
+    getUnheldLanes,
+    getFreeLanes,
+    getStaffChoice,
+    createBookingInSlot,
+    createHoldInSlot,
+    moveBookingToSlot,
+    getSlotAvailability,
+    parseAppointmentLength,
+    backfillBookingBlocks
+};
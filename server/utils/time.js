@@ -0,0 +1,127 @@
+/**
+ * ============================================
+ * TIMEZONE HELPERS
+ * ============================================
+ * 
+ * Appointments are stored as UTC Date values, while the
+ * schedule (opening hours, breaks, holidays) is written in the
+ * business's local time. These helpers convert between the two
+ * using the built-in Intl API and an IANA timezone name such
+ * as "Asia/Kolkata".
+ */
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Checks that a string is a timezone name Intl understands
+ * @param {string} timeZone - IANA timezone, e.g. "Asia/Kolkata"
+ * @returns {boolean} - True if valid
+ */
+const isValidTimeZone = (timeZone) => {
+    if (!timeZone || typeof timeZone !== 'string') return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+/**
+ * Reads the local calendar date and time of an instant in a timezone
+ * @param {Date} instant - Point in time
+ * @param {string} timeZone - IANA timezone
+ * @returns {Object} - { date: "YYYY-MM-DD", minutes, seconds }
+ */
+const getZonedParts = (instant, timeZone) => {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    }).formatToParts(instant);
+
+    const get = (type) => Number(parts.find(part => part.type === type).value);
+
+    return {
+        date: `${get('year')}-${pad(get('month'))}-${pad(get('day'))}`,
+        minutes: get('hour') * 60 + get('minute'),
+        seconds: get('second')
+    };
+};
+
+/**
+ * Offset of a timezone from UTC at a given instant, in milliseconds
+ * @param {Date} instant - Point in time
+ * @param {string} timeZone - IANA timezone
+ * @returns {number} - Offset (positive east of UTC)
+ */
+const getOffset = (instant, timeZone) => {
+    const { date, minutes, seconds } = getZonedParts(instant, timeZone);
+    const [year, month, day] = date.split('-').map(Number);
+    const localAsUtc = Date.UTC(year, month - 1, day, 0, minutes, seconds);
+    const wholeSeconds = instant.getTime() - instant.getUTCMilliseconds();
+    return localAsUtc - wholeSeconds;
+};
+
+/**
+ * Converts a local date + time in a timezone to a UTC Date
+ * @param {string} date - Local date, "YYYY-MM-DD"
+ * @param {number} minutes - Local minutes since midnight
+ * @param {string} timeZone - IANA timezone
+ * @returns {Date} - The matching instant
+ */
+const zonedTimeToUtc = (date, minutes, timeZone) => {
+    const [year, month, day] = date.split('-').map(Number);
+    const localAsUtc = Date.UTC(year, month - 1, day, 0, minutes);
+
+    // Re-check the offset at the result in case it crossed a DST change
+    const firstOffset = getOffset(new Date(localAsUtc), timeZone);
+    const secondOffset = getOffset(new Date(localAsUtc - firstOffset), timeZone);
+
+    return new Date(localAsUtc - secondOffset);
+};
+
+/**
+ * Formats an instant as a local date, e.g. "5 Feb 2026"
+ * @param {Date} instant - Point in time
+ * @param {string} timeZone - IANA timezone
+ * @returns {string} - Formatted date
+ */
+const formatDate = (instant, timeZone) => {
+    return new Date(instant).toLocaleDateString('en-IN', { timeZone, dateStyle: 'medium' });
+};
+
+/**
+ * Formats an instant as a local time, e.g. "10:00 AM"
+ * @param {Date} instant - Point in time
+ * @param {string} timeZone - IANA timezone
+ * @returns {string} - Formatted time
+ */
+const formatTime = (instant, timeZone) => {
+    return new Date(instant).toLocaleTimeString('en-US', { timeZone, hour: 'numeric', minute: '2-digit' });
+};
+
+/**
+ * Formats a start/end pair as a local time range, e.g. "10:00 AM - 11:00 AM"
+ * @param {Date} start - Start instant
+ * @param {Date} end - End instant
+ * @param {string} timeZone - IANA timezone
+ * @returns {string} - Formatted time range
+ */
+const formatTimeRange = (start, end, timeZone) => {
+    return `${formatTime(start, timeZone)} - ${formatTime(end, timeZone)}`;
+};
+
+module.exports = {
+    isValidTimeZone,
+    getZonedParts,
+    zonedTimeToUtc,
+    formatDate,
+    formatTime,
+    formatTimeRange
+};
@@ -0,0 +1,30 @@
+/**
+ * ============================================
+ * TOKEN HELPERS
+ * ============================================
+ * 
+ * Random secret tokens handed to browsers (admin session cookies,
+ * customer manage links). Only a SHA-256 hash of each token is
+ * stored, so a database leak does not expose usable tokens.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Generates a random URL-safe token
+ * @param {number} bytes - Amount of randomness (default: 32 bytes)
+ * @returns {string} - Token
+ */
+const generateToken = (bytes = 32) => crypto.randomBytes(bytes).toString('base64url');
+
+/**
+ * Hashes a token for storage / lookup
+ * @param {string} token - Raw token
+ * @returns {string} - Hex SHA-256 hash
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+module.exports = {
+    generateToken,
+    hashToken
+};
@@ -0,0 +1,288 @@
+/**
+ * ============================================
+ * WAITLIST UTILITIES
+ * ============================================
+ * 
+ * Offers freed slots to customers on the waitlist, one at a time.
+ * 
+ * - offerFreedSlots() is called by the routes after bookings are
+ *   cancelled, deleted or moved. For every waitlisted slot the freed time
+ *   overlaps, the first waiting entry that now fits is offered the
+ *   slot for OFFER_MINUTES (or until the slot starts, if sooner).
+ * - startWaitlistWorker() checks every WAITLIST_POLL_SECONDS for
+ *   offers that ran out, and passes each slot on to the next entry.
+ *   It also offers slots that have room again without a booking
+ *   being freed (e.g. a slot hold ran out).
+ *   Claimed and declined offers are passed on straight away
+ *   (passOnOffer()), in case the slot still has room.
+ * 
+ * Only one offer per slot is open at a time (a unique index makes
+ * sure of it, even when cancellations race). A seat is held for the
+ * offer while it is open, and handed to the booking when it is
+ * claimed. Should the claim still find the slot full (e.g. the
+ * entry's staff member stopped working then), the entry goes back
+ * to waiting, keeping its place in the queue.
+ * 
+ * offerFreedSlots() and passOnOffer() never throw: a waitlist problem
+ * is logged and must not fail the booking change that caused it.
+ */
+
+const Business = require('../models/Business');
+const Schedule = require('../models/Schedule');
+const SlotHold = require('../models/SlotHold');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const {
+    ANY_STAFF,
+    getLanes,
+    getLanesForSlot,
+    getFreeLanes,
+    createHoldInSlot,
+    SlotUnavailableError
+} = require('./slots');
+const { InvalidRequestError } = require('./errors');
+const { generateToken, hashToken } = require('./tokens');
+const { notifyWaitlistOffer } = require('./notifications');
+
+// How long a customer has to claim an offered slot
+const OFFER_MINUTES = Number(process.env.WAITLIST_OFFER_MINUTES) || 30;
+
+const POLL_INTERVAL_MS = (Number(process.env.WAITLIST_POLL_SECONDS) || 60) * 1000;
+
+/**
+ * Lanes that could take a waitlist entry's slot, with the staff
+ * member it asked for (or anyone offering its service)
+ * @param {Object} schedule - Schedule document
+ * @param {Object} entry - Waitlist entry ({ service, staff, start, end })
+ * @returns {Promise<Array>} - Lanes (see utils/slots.js); none if its
+ *   staff member can no longer be booked
+ */
+const getEntryLanes = async (schedule, entry) => {
+    try {
+        return getLanesForSlot(
+            await getLanes(schedule, { service: entry.service, staff: entry.staff ? String(entry.staff) : ANY_STAFF }),
+            schedule,
+            { start: entry.start, end: entry.end }
+        );
+    } catch (error) {
+        if (error instanceof InvalidRequestError) return [];
+        throw error;
+    }
+};
+
+/**
+ * Lanes free right now for a waitlist entry's slot
+ * @param {Object} schedule - Schedule document
+ * @param {Object} entry - Waitlist entry ({ service, staff, start, end, bufferMinutes })
+ * @param {Object} [options]
+ * @param {ObjectId} [options.hold] - The entry's offer hold, which doesn't count
+ * @returns {Promise<Array>} - Free lanes, the held seat first
+ */
+const getWaitlistLanes = async (schedule, entry, { hold } = {}) => {
+    const lanes = await getFreeLanes(
+        schedule,
+        { start: entry.start, end: entry.end },
+        await getEntryLanes(schedule, entry),
+        { bufferMinutes: entry.bufferMinutes, hold: hold?._id }
+    );
+    return hold
+        ? [...lanes.filter(lane => lane.seat === hold.seat), ...lanes.filter(lane => lane.seat !== hold.seat)]
+        : lanes;
+};
+
+/**
+ * Offers a slot to the first waiting entry that fits it now, unless
+ * an offer for the slot is already open. A seat is held for the
+ * offer (models/SlotHold.js) until it runs out, with the offer
+ * link's token, so nobody else can book it in the meantime.
+ * @param {ObjectId} business - Location id
+ * @param {Date} start - Slot start
+ * @returns {Promise<Object|null>} - The entry offered the slot
+ */
+const offerNext = async (business, start) => {
+    const now = new Date();
+    if (start <= now) return null;
+
+    // Offers that ran out but the worker hasn't got to yet
+    await WaitlistEntry.updateMany(
+        { business, start, status: 'offered', offerExpiresAt: { $lte: now } },
+        { $set: { status: 'expired' } }
+    );
+    if (await WaitlistEntry.exists({ business, start, status: 'offered' })) return null;
+
+    const schedule = await Schedule.getCurrent(business);
+    const waiting = await WaitlistEntry.find({ business, start, status: 'waiting' }).sort({ createdAt: 1 });
+
+    for (const entry of waiting) {
+        const offerToken = generateToken();
+        const offerExpiresAt = new Date(Math.min(now.getTime() + OFFER_MINUTES * 60 * 1000, start.getTime()));
+
+        let hold;
+        try {
+            hold = await createHoldInSlot(schedule, {
+                service: entry.service,
+                start: entry.start,
+                end: entry.end,
+                tokenHash: hashToken(offerToken),
+                expiresAt: offerExpiresAt
+            }, await getEntryLanes(schedule, entry), { bufferMinutes: entry.bufferMinutes });
+        } catch (error) {
+            // A later entry may fit when the first one's staff member is busy
+            if (error instanceof SlotUnavailableError) continue;
+            throw error;
+        }
+
+        let offered = null;
+        try {
+            offered = await WaitlistEntry.findOneAndUpdate(
+                { _id: entry._id, status: 'waiting' },
+                {
+                    $set: {
+                        status: 'offered',
+                        offerTokenHash: hashToken(offerToken),
+                        offeredAt: now,
+                        offerExpiresAt
+                    }
+                },
+                { new: true }
+            );
+        } catch (error) {
+            // A concurrent cancellation opened an offer for the slot first
+            // (only one can be open - see models/WaitlistEntry.js)
+            if (error.code !== 11000) {
+                await SlotHold.deleteOne({ _id: hold._id });
+                throw error;
+            }
+        }
+        // Offered by a concurrent cancellation
+        if (!offered) {
+            await SlotHold.deleteOne({ _id: hold._id });
+            return null;
+        }
+
+        await notifyWaitlistOffer(offered, { offerToken, business: await Business.findById(business) });
+        return offered;
+    }
+    return null;
+};
+
+/**
+ * Offers an entry's slot to the next waiting entry once its own offer
+ * is over (claimed, declined or expired)
+ * @param {Object} entry - Waitlist entry
+ */
+const passOnOffer = async (entry) => {
+    try {
+        await offerNext(entry.business, entry.start);
+    } catch (error) {
+        console.error('Error passing on a waitlist offer:', error);
+    }
+};
+
+/**
+ * Offers the slots freed by cancelled, deleted or moved bookings to the waitlist
+ * @param {Array} bookings - Booking documents that gave up their seat
+ */
+const offerFreedSlots = async (bookings) => {
+    try {
+        const now = new Date();
+        const slots = new Map();
+
+        for (const booking of bookings.filter(item => item.end > now)) {
+            const freedUntil = new Date(booking.end.getTime() + (booking.bufferMinutes || 0) * 60 * 1000);
+            const entries = await WaitlistEntry.find({
+                business: booking.business,
+                status: 'waiting',
+                start: { $gt: now, $lt: freedUntil },
+                end: { $gt: booking.start }
+            }).select('business start');
+
+            for (const entry of entries) {
+                slots.set(`${entry.business}|${entry.start.toISOString()}`, entry);
+            }
+        }
+
+        for (const { business, start } of slots.values()) {
+            await offerNext(business, start);
+        }
+    } catch (error) {
+        console.error('Error offering freed slots to the waitlist:', error);
+    }
+};
+
+/**
+ * Expires offers that ran out and passes their slots on, closes
+ * entries for slots that have started, and offers every slot people
+ * are waiting for that has no open offer - in case it has room
+ * again without anyone telling the waitlist (a customer's slot hold
+ * ran out, which MongoDB removes on its own)
+ * @returns {Promise<number>} - How many offers expired
+ */
+const processExpiredOffers = async () => {
+    const now = new Date();
+
+    await WaitlistEntry.updateMany(
+        { status: 'waiting', start: { $lte: now } },
+        { $set: { status: 'expired' } }
+    );
+
+    let expired = 0;
+    for (;;) {
+        // Claimed one at a time, so two workers never pass on the same offer
+        const entry = await WaitlistEntry.findOneAndUpdate(
+            { status: 'offered', offerExpiresAt: { $lte: now } },
+            { $set: { status: 'expired' } },
+            { new: true }
+        );
+        if (!entry) break;
+
+        expired++;
+        await passOnOffer(entry);
+    }
+
+    const waitedFor = await WaitlistEntry.aggregate([
+        { $match: { status: 'waiting', start: { $gt: now } } },
+        { $group: { _id: { business: '$business', start: '$start' } } }
+    ]);
+    for (const { _id: { business, start } } of waitedFor) {
+        await passOnOffer({ business, start });
+    }
+
+    return expired;
+};
+
+/**
+ * Starts checking for expired offers in the background
+ * @returns {Function} - Stops the worker
+ */
+const startWaitlistWorker = () => {
+    let isRunning = false;
+
+    const run = async () => {
+        // Skip a tick if the previous run is still going
+        if (isRunning) return;
+        isRunning = true;
+        try {
+            await processExpiredOffers();
+        } catch (error) {
+            console.error('Waitlist worker error:', error);
+        } finally {
+            isRunning = false;
+        }
+    };
+
+    const timer = setInterval(run, POLL_INTERVAL_MS);
+    // Don't keep the process alive just for the worker
+    timer.unref();
+    run();
+
+    return () => clearInterval(timer);
+};
+
+module.exports = {
+    OFFER_MINUTES,
+    getWaitlistLanes,
+    passOnOffer,
+    offerFreedSlots,
+    processExpiredOffers,
+    startWaitlistWorker
+};